@@ -4,8 +4,98 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { assertCleanText } = require('../utils/profanityFilter');
 const { computeIsInTreatment, computeHealthStatus } = require('../utils/healthStatusSync');
-const { logFieldEdits, logCareUpdates, logAnimalCreated } = require('../utils/animalLogger');
+const { logFieldEdits, logCareUpdates, logAnimalCreated, logFeedingEvent } = require('../utils/animalLogger');
 const { resyncAnimalToPublic } = require('../utils/syncPublicAnimals');
+const { GeneticCodeError, buildLocusIndex, parseGeneticCode } = require('../utils/genetics');
+const { evaluatePhenotypeRules } = require('../utils/phenotypeRules');
+const { inferGenotype } = require('../utils/genotypeInference');
+const { planLitterStatusChange, deriveLitterStatus, LitterStatusError } = require('../utils/litterLifecycle');
+const { syncParentReproStatus } = require('../utils/reproStatusSync');
+const { projectLitterMilestones } = require('../utils/litterMilestones');
+const { buildBreedingPerformance } = require('../utils/breedingPerformance');
+const {
+    MAX_BREEDING_LINES,
+    MAX_TREND_MEMBERS,
+    BreedingLineError,
+    validateBreedingLine,
+    deriveLineMembership,
+    isLegacySlot,
+    nextLineKey,
+    linesFromLegacyProfile,
+    calculateLineTrends
+} = require('../utils/breedingLines');
+const {
+    OPEN_RESERVATION_STATUSES,
+    QUEUED_RESERVATION_STATUSES,
+    MAX_OPEN_VISITOR_REQUESTS,
+    ReservationError,
+    checkReservationTransition,
+    normalizeReservationRequest,
+    validateReservationRequest,
+    reorderWaitlist,
+    matchesReservationPreference
+} = require('../utils/reservations');
+const {
+    IdTemplateError,
+    usesToken,
+    validateIdTemplates,
+    templateDate,
+    templateValues,
+    renderIdTemplate,
+    litterCounterKey,
+    pupCounterKey,
+    allocateTemplateId
+} = require('../utils/idTemplates');
+const {
+    HeatRecordError,
+    heatHistory,
+    validateHeatRecord,
+    validateCycleDays,
+    calculateCycleLength,
+    heatSnapshot,
+    predictNextHeat
+} = require('../utils/heatCycles');
+const {
+    normalizeGrowthRecords,
+    buildReferenceCurve,
+    analyzeGrowth,
+    analyzeLitterGrowth
+} = require('../utils/growthCurves');
+const {
+    READING_SOURCES,
+    READING_FIELDS,
+    READING_TARGETS,
+    MAX_SENSOR_BATCH,
+    EnclosureReadingError,
+    normalizeReading,
+    checkReadingRanges,
+    describeBreach,
+    decideReadingAlert,
+    isValidTimeZone,
+    dailyReadingSummaryStages,
+    dailySummaryFromGroups,
+    readingWindow,
+    generateSensorKey,
+    hashSensorKey
+} = require('../utils/enclosureReadings');
+const {
+    FORECAST_WINDOW_DAYS,
+    SupplyError,
+    validateSupplyMovement,
+    forecastSupply,
+    buildShoppingList
+} = require('../utils/supplyForecast');
+const {
+    SUMMARY_WINDOW_DAYS,
+    FeedingError,
+    normalizeFeeding,
+    usesStock,
+    bodyWeightAt,
+    preyRatio,
+    refusalStreak,
+    isRefusalAlertDue,
+    summarizeFeedings
+} = require('../utils/feedingLog');
 
 const {
     User,
@@ -14,7 +104,18 @@ const {
     PublicAnimal,
     Litter,
     Counter,
-    Notification
+    Notification,
+    GeneticsData,
+    Species,
+    BreedingLine,
+    Reservation,
+    Transaction,
+    Enclosure,
+    EnclosureLog,
+    EnclosureReading,
+    SupplyItem,
+    SupplyMovement,
+    FeedingRecord
 } = require('./models.js'); // Finds /app/database/models.js 
 
 // Load environment variables (Only JWT secret and constants are read here)
@@ -61,6 +162,17 @@ const USER_TEXT_FIELDS = {
     bio: 'bio'
 };
 
+const BREEDING_LINE_TEXT_FIELDS = {
+    name: 'breeding line name',
+    description: 'breeding line description',
+    goals: 'breeding line goals'
+};
+
+const RESERVATION_TEXT_FIELDS = {
+    contactName: 'contact name',
+    message: 'message'
+};
+
 const ANIMAL_TEXT_FIELDS = {
     name: 'animal name',
     prefix: 'animal prefix',
@@ -153,6 +265,21 @@ const getNextSequence = async (name) => {
     return prefix + ret.seq;
 };
 
+/**
+ * Next value of a plain numeric counter (no prefix, first value 1), e.g. the per-user
+ * registration number counters of utils/idTemplates.js.
+ * @param {string} name - Counter _id
+ * @returns {Promise<number>}
+ */
+const getNextCounterValue = async (name) => {
+    const ret = await Counter.findByIdAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, setDefaultsOnInsert: false }
+    );
+    return ret.seq;
+};
+
 // --- DATABASE CONNECTION ---
 /**
  * Connects to the MongoDB database using the URI passed from index.js.
@@ -792,6 +919,12 @@ const addAnimal = async (appUserId_backend, animalData) => {
 
     enforceCleanAnimalText(animalData);
 
+    // Validate geneticCode against the species' published loci and store the parsed genotype.
+    // autoFillPhenotype (opt-in, not stored) fills color/coat/markings from the phenotype rules.
+    const autoFillPhenotype = animalData.autoFillPhenotype === true;
+    delete animalData.autoFillPhenotype;
+    Object.assign(animalData, await resolveGeneticCode(animalData.geneticCode, animalData.species, { autoFillPhenotype }));
+
     // If lifeStage is an empty string, set it to the default 'Unknown' to avoid validation error.
     if (animalData.lifeStage === '') {
         animalData.lifeStage = 'Unknown';
@@ -821,6 +954,20 @@ const addAnimal = async (appUserId_backend, animalData) => {
         } catch (e) { /* non-fatal */ }
     }
 
+    // Offspring of one of the user's litters are numbered from the offspring template, as in the
+    // bulk add; a numbering problem never blocks the create.
+    delete animalData.breederAssignedIdSeq;
+    if (!animalData.breederAssignedId && animalData.species) {
+        try {
+            const litter = await findOffspringLitter(appUserId_backend, animalData);
+            if (litter) {
+                await numberLitterOffspring(appUserId_backend, await getIdTemplateSettings(appUserId_backend), litter, animalData.species, [animalData]);
+            }
+        } catch (err) {
+            console.warn('Offspring numbering failed in addAnimal:', err && err.message ? err.message : err);
+        }
+    }
+
     const newAnimal = new Animal({
         creatorId: appUserId_backend,
         id_public,
@@ -829,7 +976,11 @@ const addAnimal = async (appUserId_backend, animalData) => {
         ...animalData,
     });
     console.log('[addAnimal] Creating animal with:', JSON.stringify({ breederAssignedId: newAnimal.breederAssignedId, geneticCode: newAnimal.geneticCode, remarks: newAnimal.remarks }));
-    await newAnimal.save();
+    try {
+        await newAnimal.save();
+    } catch (error) {
+        throw registrationConflict(error, newAnimal.breederAssignedId);
+    }
 
     // Update the User's ownedAnimals array
     await User.findByIdAndUpdate(appUserId_backend, { $push: { ownedAnimals: newAnimal._id } });
@@ -979,7 +1130,7 @@ const getUsersAnimals = async (appUserId_backend, filters = {}) => {
           'color coat earset morph markings eyeColor size carrierTraits geneticCode lifeStage ' +
           'ringId eartagNumber ' +
           // Feeding & Care management view (Feeding, Scheduled Care, Grooming & Special Care, Training clusters)
-          'lastFedDate feedingIntervalHours dietType animalCareTasks ' +
+          'lastFedDate lastOfferedDate feedingIntervalHours dietType animalCareTasks ' +
           'groomingSchedule brushingSchedule bathingSchedule specializedCareSchedule specialCareSchedule ' +
           'nailCareSchedule beakHoofScaleSchedule skinEarCareSchedule dentalCareSchedule healthMonitoringSchedule ' +
           'exerciseSchedule crateTrainingSchedule litterTrainingSchedule leashTrainingSchedule freeFlightTrainingSchedule ' +
@@ -1107,6 +1258,29 @@ const updateAnimal = async (appUserId_backend, animalId_backend, updates) => {
     delete updates._id;
     delete updates.__v;
     delete updates.creatorId;
+    // Heat history changes go through the heat record services; a cycle length typed in here
+    // overrides the calculated one (cleared, it is recalculated on the next heat record change).
+    delete updates.heatRecords;
+    delete updates.estrusCycleLengthSource;
+    // The parsed genotype is derived from geneticCode below and never taken from the client.
+    delete updates.geneticGenotype;
+    delete updates.geneticGenotypeVersion;
+    // A number typed over a template-drawn one is the breeder's own and no longer unique-checked.
+    delete updates.breederAssignedIdSeq;
+    if (updates.breederAssignedId !== undefined && (updates.breederAssignedId || null) !== (originalAnimal.breederAssignedId || null)) {
+        updates.breederAssignedIdSeq = null;
+    }
+    if (updates.estrusCycleLength !== undefined) {
+        const cycleError = validateCycleDays('estrusCycleLength', updates.estrusCycleLength);
+        if (cycleError) {
+            throw new HeatRecordError('Invalid cycle length.', [cycleError]);
+        }
+        const cycleLength = updates.estrusCycleLength === '' || updates.estrusCycleLength === null ? null : Number(updates.estrusCycleLength);
+        if (cycleLength !== (originalAnimal.estrusCycleLength ?? null)) {
+            updates.estrusCycleLength = cycleLength;
+            updates.estrusCycleLengthSource = cycleLength === null ? null : 'manual';
+        }
+    }
     
     // Track if birthdate or parents are being changed
     let shouldRemoveLitterLink = false;
@@ -1219,6 +1393,22 @@ const updateAnimal = async (appUserId_backend, animalId_backend, updates) => {
 
     enforceCleanAnimalText(updates);
 
+    // Re-parse geneticCode when it or the species changes. The edit form echoes the stored code
+    // back on every save, so an unchanged legacy code that no longer parses must not block edits.
+    // autoFillPhenotype (opt-in, not stored) fills color/coat/markings from the phenotype rules.
+    const speciesChanged = updates.species !== undefined && updates.species !== originalAnimal.species;
+    const autoFillPhenotype = updates.autoFillPhenotype === true;
+    delete updates.autoFillPhenotype;
+    if (updates.geneticCode !== undefined || speciesChanged || autoFillPhenotype) {
+        const code = updates.geneticCode !== undefined ? updates.geneticCode : originalAnimal.geneticCode;
+        const codeChanged = (code || '').trim() !== (originalAnimal.geneticCode || '').trim();
+        Object.assign(updates, await resolveGeneticCode(code, updates.species || originalAnimal.species, {
+            strict: codeChanged || speciesChanged,
+            autoFillPhenotype
+        }));
+        if (updates.geneticCode === undefined) delete updates.geneticCode;
+    }
+
     // If lifeStage is an empty string, set it to the default 'Unknown' to avoid validation error.
     if (updates.lifeStage === '') {
         updates.lifeStage = 'Unknown';
@@ -1706,9 +1896,95 @@ const toggleAnimalPublic = async (appUserId_backend, animalId_backend, toggleDat
     return animal; // Return the updated private record
 };
 
+/**
+ * Animals matching `filter` as this user may see them: their own or view-shared records, and
+ * the public copy of everyone else's (private animals of other users are left out). Used where
+ * a feature reads relatives or litter-mates that can belong to other breeders.
+ */
+const findVisibleAnimals = async (appUserId_backend, filter, select) => {
+    const [own, publicAnimals] = await Promise.all([
+        Animal.find({ $and: [filter, { $or: [{ creatorId: appUserId_backend }, { viewOnlyForUsers: appUserId_backend }] }] }).select(select).lean(),
+        PublicAnimal.find(filter).select(select).lean(),
+    ]);
+    const seen = new Set(own.map(a => a.id_public));
+    return [...own, ...publicAnimals.filter(a => !seen.has(a.id_public))];
+};
+
 
 // --- LITTER SERVICE FUNCTIONS ---
 
+// Fields whose change can move a litter's projected due date / milestones.
+const LITTER_PROJECTION_INPUTS = ['matingDate', 'birthDate', 'expectedDueDate', 'sireId_public', 'damId_public'];
+
+// Species document for a litter, via its dam (else its sire); private record first, then public.
+const getLitterSpeciesName = async (litter) => {
+    for (const id_public of [litter.damId_public, litter.sireId_public]) {
+        if (!id_public) continue;
+        const parent = await Animal.findOne({ id_public }).select('species').lean()
+            || await PublicAnimal.findOne({ id_public }).select('species').lean();
+        if (parent && parent.species) return parent.species;
+    }
+    return null;
+};
+
+const getLitterSpecies = async (litter) => {
+    const name = await getLitterSpeciesName(litter);
+    return name ? Species.findOne({ name }).lean() : null;
+};
+
+const dueDateTime = (date) => (date ? new Date(date).getTime() : null);
+
+/**
+ * Adds the species-projected expectedDueDate and projectedMilestones to a litter create/update
+ * payload. An expectedDueDate the user changed is kept and marked manual (as is one stored
+ * before projections existed); sending null hands it back to the projection, and sending the
+ * stored date back unchanged leaves its source alone. Client-sent projections are ignored.
+ */
+const withLitterProjections = async (existing, payload) => {
+    const { expectedDueDateSource, projectedMilestones: clientMilestones, ...fields } = payload;
+    const merged = { ...existing, ...fields };
+    let source = existing.expectedDueDateSource || (existing.expectedDueDate ? 'manual' : null);
+    if ('expectedDueDate' in fields && dueDateTime(fields.expectedDueDate) !== dueDateTime(existing.expectedDueDate)) {
+        source = fields.expectedDueDate ? 'manual' : null;
+    }
+
+    const species = await getLitterSpecies(merged);
+    const { expectedDueDate, projectedMilestones } = projectLitterMilestones(merged, species, { manualDueDate: source === 'manual' });
+    const projected = { ...fields, projectedMilestones, expectedDueDateSource: source };
+    if (source !== 'manual') {
+        projected.expectedDueDate = expectedDueDate;
+        projected.expectedDueDateSource = expectedDueDate ? 'projected' : null;
+    }
+    return projected;
+};
+
+/**
+ * One-off backfill for litters saved before projections existed (projectedMilestones null):
+ * stores their projected due date and milestones as updateLitter would on the next edit.
+ * Closed litters are skipped, as are litters whose species has no timeline (left null, so a
+ * re-run picks them up once the timeline is filled in).
+ * @param {Object} [options] - { apply: false for a dry run }
+ * @returns {Promise<{ checked: Number, projected: Number }>}
+ */
+const backfillLitterProjections = async ({ apply = false } = {}) => {
+    const litters = await Litter.find({
+        projectedMilestones: null,
+        status: { $nin: ['weaned', 'failed', 'lost'] },
+        weaningConfirmed: { $ne: true },
+        pregnancyLost: { $ne: true },
+        outcome: { $ne: 'Unsuccessful' },
+    }).select('matingDate birthDate expectedDueDate expectedDueDateSource sireId_public damId_public').lean();
+
+    let projected = 0;
+    for (const litter of litters) {
+        const fields = await withLitterProjections(litter, {});
+        if (!fields.projectedMilestones) continue;
+        projected++;
+        if (apply) await Litter.updateOne({ _id: litter._id }, { $set: fields });
+    }
+    return { checked: litters.length, projected };
+};
+
 /**
  * Registers a new litter and links it to the owner.
  */
@@ -1763,13 +2039,26 @@ const addLitter = async (appUserId_backend, litterData) => {
     // Auto-assign CTL-ID if not already provided
     const litter_id_public = litterData.litter_id_public || await getNextSequence('litterId');
 
-    const { confirmDuplicate, ...cleanLitterData } = litterData;
+    const { confirmDuplicate, statusNote, registrationSeq, ...cleanLitterData } = litterData;
+    // Status first: a rejected litter must not use up a registration number.
+    const { to: status, fields: statusFields } = planLitterStatusChange({}, cleanLitterData);
+    const registration = await planLitterRegistration(appUserId_backend, cleanLitterData);
+    const fields = await withLitterProjections({}, statusFields);
+    const now = new Date();
     const newLitter = new Litter({
         creatorId: appUserId_backend,
         litter_id_public,
-        ...cleanLitterData,
+        ...fields,
+        ...registration,
+        status,
+        statusChangedAt: status ? now : null,
+        statusHistory: status ? [{ from: null, to: status, at: now, by: appUserId_backend, note: statusNote || null }] : [],
     });
-    await newLitter.save();
+    try {
+        await newLitter.save();
+    } catch (error) {
+        throw registrationConflict(error, registration.registrationNumber);
+    }
 
     // Link the litter to the user's profile
     await User.findByIdAndUpdate(appUserId_backend, { $push: { ownedLitters: newLitter._id } });
@@ -1849,6 +2138,34 @@ const getUsersLitters = async (appUserId_backend) => {
     }));
 };
 
+/**
+ * The user's litters (created or adopted) in any of the given lifecycle statuses, newest
+ * status change first, plus a count per status across all of their litters. Litters saved
+ * before statuses existed are matched on their derived status.
+ */
+const getUsersLittersByStatus = async (appUserId_backend, statuses) => {
+    const ownerFilter = { $or: [{ creatorId: appUserId_backend }, { linkedOwners: appUserId_backend }] };
+    const [matching, all] = await Promise.all([
+        Litter.find({ $and: [ownerFilter, { $or: [{ status: { $in: statuses } }, { status: null }] }] }).lean(),
+        Litter.find(ownerFilter)
+            .select('status isPlanned matingDate pregnancyDate birthDate weaningConfirmed pregnancyLost outcome')
+            .lean(),
+    ]);
+
+    const counts = {};
+    all.forEach(l => {
+        const status = l.status || deriveLitterStatus(l);
+        if (status) counts[status] = (counts[status] || 0) + 1;
+    });
+
+    const litters = matching
+        .map(l => ({ ...l, status: l.status || deriveLitterStatus(l) }))
+        .filter(l => statuses.includes(l.status))
+        .sort((a, b) => new Date(b.statusChangedAt || b.updatedAt || 0) - new Date(a.statusChangedAt || a.updatedAt || 0));
+
+    return { counts, litters };
+};
+
 /**
  * Returns ALL litters referencing this animal as sire or dam, regardless of who created
  * the litter — this lets an animal's owner see planned matings/litters that other users
@@ -1886,11 +2203,21 @@ const getLittersForAnimal = async (animalId_public) => {
 };
 
 /**
- * Updates a specific litter's record.
+ * Updates a specific litter's record. `status` moves the litter through its lifecycle
+ * (utils/litterLifecycle.js); otherwise the status implied by the updated fields is used.
+ * Either way the transition is validated and appended to statusHistory (with `statusNote`).
+ * Throws LitterStatusError for an illegal transition or impossible dates. Due date and
+ * milestone projections are refreshed when the dates or parents change.
  */
 const updateLitter = async (appUserId_backend, litterId_backend, updates) => {
     // Ensure null values are preserved (don't convert to undefined)
-    const sanitizedUpdates = { ...updates };
+    const { statusNote, ...sanitizedUpdates } = updates;
+    delete sanitizedUpdates.statusHistory;
+    delete sanitizedUpdates.statusChangedAt;
+    delete sanitizedUpdates.registrationSeq;
+    // Projections are worked out here (withLitterProjections), never taken from the client
+    delete sanitizedUpdates.expectedDueDateSource;
+    delete sanitizedUpdates.projectedMilestones;
     
     // Explicitly handle maleCount and femaleCount to preserve null values
     if ('maleCount' in updates) {
@@ -1905,9 +2232,46 @@ const updateLitter = async (appUserId_backend, litterId_backend, updates) => {
         sanitizedUpdates.isPlanned = false;
     }
 
+    const ownerFilter = { _id: litterId_backend, $or: [{ creatorId: appUserId_backend }, { linkedOwners: appUserId_backend }] };
+    const litter = await Litter.findOne(ownerFilter).lean();
+    if (!litter) {
+        throw new Error('Litter not found or user does not own this litter.');
+    }
+
+    // A hand-edited registration number must stay unique among the creator's litters; it no
+    // longer matches a template counter value, so {litterSeq} is cleared with it.
+    if ('registrationNumber' in sanitizedUpdates) {
+        const number = typeof sanitizedUpdates.registrationNumber === 'string' ? sanitizedUpdates.registrationNumber.trim() || null : null;
+        if (number !== (litter.registrationNumber || null)) {
+            await assertLitterNumberFree(litter.creatorId, number, litter._id);
+            sanitizedUpdates.registrationSeq = null;
+        }
+        sanitizedUpdates.registrationNumber = number;
+    }
+
+    const change = planLitterStatusChange(litter, sanitizedUpdates);
+    if (!litter.projectedMilestones || LITTER_PROJECTION_INPUTS.some(field => field in change.fields)) {
+        change.fields = await withLitterProjections(litter, change.fields);
+    }
+    const $set = { ...change.fields, status: change.to };
+    const update = { $set };
+    // An unplanned litter with no dates has no status (see deriveLitterStatus) and no history entry.
+    if (change.to && (change.changed || !litter.status)) {
+        const now = new Date();
+        $set.statusChangedAt = now;
+        update.$push = { statusHistory: {
+            from: change.changed ? change.from : null, // null: first status stamped on an older litter
+            to: change.to,
+            at: now,
+            by: appUserId_backend,
+            correction: change.correction,
+            note: statusNote || null,
+        } };
+    }
+
     const updatedLitter = await Litter.findOneAndUpdate(
-        { _id: litterId_backend, $or: [{ creatorId: appUserId_backend }, { linkedOwners: appUserId_backend }] },
-        { $set: sanitizedUpdates },
+        ownerFilter,
+        update,
         { new: true, runValidators: true }
     );
 
@@ -1915,158 +2279,2457 @@ const updateLitter = async (appUserId_backend, litterId_backend, updates) => {
         throw new Error('Litter not found or user does not own this litter.');
     }
 
+    if (Array.isArray(sanitizedUpdates.offspringIds_public)) {
+        const linked = new Set(litter.offspringIds_public || []);
+        const added = sanitizedUpdates.offspringIds_public.filter(id => id && !linked.has(id));
+        try {
+            await numberLinkedOffspring(appUserId_backend, updatedLitter.toObject(), added);
+        } catch (error) {
+            console.warn('Offspring numbering failed in updateLitter:', error && error.message ? error.message : error);
+        }
+    }
+
     return updatedLitter;
 };
 
 
-// --- PEDIGREE SERVICE FUNCTIONS ---
+// --- Heat cycle tracking (Animal.heatRecords; prediction rules in utils/heatCycles.js) ---
+
+const HEAT_RECORD_FIELDS = ['startDate', 'endDate', 'ovulationDate', 'signs', 'progesteroneLevel', 'notes'];
+
+const pickHeatRecordFields = (input = {}) => Object.fromEntries(HEAT_RECORD_FIELDS
+    .filter(field => field in input)
+    .map(field => [field, input[field] === '' ? null : input[field]]));
+
+const findHeatTrackedAnimal = async (filter) => {
+    const animal = await Animal.findOne(filter);
+    if (!animal) {
+        throw new HeatRecordError('Animal not found or you do not have permission to access it.', [], 404);
+    }
+    if (['Male', 'Mixed'].includes(animal.gender)) {
+        throw new HeatRecordError('Heat records can only be kept for females.', [], 400);
+    }
+    return animal;
+};
+
+const heatCycleView = async (animal, today = new Date()) => {
+    const species = animal.species ? await Species.findOne({ name: animal.species }).lean() : null;
+    const records = [...(animal.heatRecords || [])]
+        .map(r => (r.toObject ? r.toObject() : r))
+        .sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+    const cycle = calculateCycleLength(records);
+    return {
+        id_public: animal.id_public,
+        name: animal.name,
+        species: animal.species || null,
+        estrusCycleLength: animal.estrusCycleLength ?? null,
+        estrusCycleLengthSource: animal.estrusCycleLengthSource || null,
+        averageCycleLength: cycle.averageDays,
+        intervals: cycle.intervals,
+        heatRecords: records,
+        prediction: predictNextHeat(heatHistory(animal), { estrusCycleLength: animal.estrusCycleLength, species, today }),
+    };
+};
+
+// Saves a changed history with its snapshot fields (lastHeatDate is mirrored to PublicAnimal).
+const saveHeatRecords = async (animal) => {
+    animal.heatRecords.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+    animal.markModified('heatRecords');
+    Object.assign(animal, heatSnapshot(animal.heatRecords, animal));
+    await animal.save();
+    await resyncAnimalToPublic(animal.toObject());
+    return heatCycleView(animal);
+};
+
+const checkHeatRecord = (record) => {
+    const errors = validateHeatRecord(record);
+    if (errors.length) {
+        throw new HeatRecordError('Invalid heat record.', errors);
+    }
+    assertCleanText(record.notes, 'heat record note');
+};
 
 /**
- * Optimized breadth-first pedigree fetch using batch loading.
- * Replaces recursive approach to reduce N+1 queries: 31 queries → 5 batch queries for 4 generations.
- * 
- * Strategy: Fetch all animals at each generation level in parallel using $in queries,
- * then construct the pedigree tree from the results.
+ * A female's heat history (newest first), average cycle length and next-heat prediction.
+ * Readable by the owner and by users the animal is shared view-only with.
  */
-const fetchPedigreeByBatch = async (rootId_public, maxDepth) => {
-    const animalsByLevel = {};
-    let currentLevelIds = [rootId_public];
-    
-    // Breadth-first: Fetch all animals at each level in parallel
-    for (let level = 0; level < maxDepth && currentLevelIds.length > 0; level++) {
-        const animals = await PublicAnimal.find(
-            { id_public: { $in: currentLevelIds } },
-            { id_public: 1, sireId_public: 1, damId_public: 1, creatorId_public: 1, 
-              name: 1, prefix: 1, suffix: 1, species: 1, gender: 1, 
-              birthDate: 1, deceasedDate: 1, color: 1 }
-        ).lean();
+const getHeatCycle = async (appUserId_backend, id_public) => {
+    const animal = await findHeatTrackedAnimal({
+        id_public,
+        $or: [{ creatorId: appUserId_backend }, { viewOnlyForUsers: appUserId_backend }],
+    });
+    return heatCycleView(animal);
+};
 
-        animalsByLevel[level] = new Map(animals.map(a => [a.id_public, a]));
+/**
+ * @param {Object} input - startDate (required), endDate, ovulationDate, signs, progesteroneLevel, notes
+ * @throws {HeatRecordError|ProfanityError}
+ */
+const addHeatRecord = async (appUserId_backend, id_public, input = {}) => {
+    const animal = await findHeatTrackedAnimal({ id_public, creatorId: appUserId_backend });
+    const record = pickHeatRecordFields(input);
+    checkHeatRecord(record);
+    // The first record keeps a lastHeatDate entered before heat records existed as history.
+    const [legacy] = animal.heatRecords.length ? [] : heatHistory(animal);
+    if (legacy && new Date(legacy.startDate).getTime() !== new Date(record.startDate).getTime()) {
+        animal.heatRecords.push(legacy);
+    }
+    animal.heatRecords.push(record);
+    return saveHeatRecords(animal);
+};
 
-        // Collect all parent IDs for the next level
-        const nextLevelIds = new Set();
-        for (const animal of animals) {
-            if (animal.sireId_public) nextLevelIds.add(animal.sireId_public);
-            if (animal.damId_public) nextLevelIds.add(animal.damId_public);
-        }
-        currentLevelIds = Array.from(nextLevelIds);
+const updateHeatRecord = async (appUserId_backend, id_public, recordId, input = {}) => {
+    const animal = await findHeatTrackedAnimal({ id_public, creatorId: appUserId_backend });
+    const record = animal.heatRecords.id(recordId);
+    if (!record) {
+        throw new HeatRecordError('Heat record not found.', [], 404);
     }
+    const updates = pickHeatRecordFields(input);
+    checkHeatRecord({ ...record.toObject(), ...updates });
+    record.set(updates);
+    return saveHeatRecords(animal);
+};
 
-    // Recursive helper to build the tree from fetched data
-    const buildTreeNode = (id_public, level) => {
-        if (!id_public || level >= maxDepth) return null;
+const deleteHeatRecord = async (appUserId_backend, id_public, recordId) => {
+    const animal = await findHeatTrackedAnimal({ id_public, creatorId: appUserId_backend });
+    const record = animal.heatRecords.id(recordId);
+    if (!record) {
+        throw new HeatRecordError('Heat record not found.', [], 404);
+    }
+    record.deleteOne();
+    return saveHeatRecords(animal);
+};
 
-        const animal = animalsByLevel[level]?.get(id_public);
+// --- Growth curves (Animal.growthRecords; analysis in utils/growthCurves.js) ---
 
-        if (!animal) {
-            // Ancestor not found (either never registered or never made public)
-            return {
-                id_public,
-                isPlaceholder: true,
-                generation: level,
-            };
-        }
+// Reference curves cover every animal of a species, so they are kept for a while instead of
+// being rebuilt on each request. The cache holds at most GROWTH_REFERENCE_CACHE_SIZE curves
+// (least recently used out first), and a curve is built from at most
+// GROWTH_REFERENCE_MAX_ANIMALS animals (the most recently added).
+const GROWTH_REFERENCE_TTL_MS = 6 * 60 * 60 * 1000;
+const GROWTH_REFERENCE_CACHE_SIZE = 200;
+const GROWTH_REFERENCE_MAX_ANIMALS = 5000;
+const growthReferenceCache = new Map(); // 'species|measure' -> { builtAt, curve }, oldest use first
+const GROWTH_SELECT = 'id_public name gender species birthDate litterId damId_public growthRecords measurementUnits';
 
-        return {
-            id_public: animal.id_public,
-            creatorId_public: animal.creatorId_public,
-            species: animal.species,
-            prefix: animal.prefix,
-            suffix: animal.suffix,
-            name: `${animal.prefix ? animal.prefix + ' ' : ''}${animal.name}${animal.suffix ? ' ' + animal.suffix : ''}`,
-            gender: animal.gender,
-            birthDate: animal.birthDate,
-            deceasedDate: animal.deceasedDate,
-            color: animal.color,
-            generation: level,
-            sire: buildTreeNode(animal.sireId_public, level + 1),
-            dam: buildTreeNode(animal.damId_public, level + 1),
-        };
-    };
+/**
+ * Percentile curve for one measure over all animals of a species (see buildReferenceCurve).
+ * Bins keep their raw `values` — use publicGrowthReference() before sending one out.
+ */
+const getGrowthReferenceCurve = async (species, measure = 'weight') => {
+    const key = `${species}|${measure}`;
+    const cached = growthReferenceCache.get(key);
+    growthReferenceCache.delete(key);
+    if (cached && Date.now() - cached.builtAt < GROWTH_REFERENCE_TTL_MS) {
+        growthReferenceCache.set(key, cached);
+        return cached.curve;
+    }
+    const animals = await Animal.find({ species, birthDate: { $ne: null }, 'growthRecords.0': { $exists: true } })
+        .select('birthDate growthRecords measurementUnits')
+        .sort({ _id: -1 })
+        .limit(GROWTH_REFERENCE_MAX_ANIMALS)
+        .lean();
+    const curve = buildReferenceCurve(animals.map(normalizeGrowthRecords), measure);
+    growthReferenceCache.set(key, { builtAt: Date.now(), curve });
+    while (growthReferenceCache.size > GROWTH_REFERENCE_CACHE_SIZE) {
+        growthReferenceCache.delete(growthReferenceCache.keys().next().value);
+    }
+    return curve;
+};
 
-    return buildTreeNode(rootId_public, 0);
+// Percentiles only — individual animals' values stay server-side.
+const publicGrowthReference = (curve) => curve.map(({ values, ...bin }) => bin);
+
+// Same-litter animals the user may see (see findVisibleAnimals): by litter link, else same dam
+// and birth date.
+const findLittermates = async (appUserId_backend, animal) => {
+    let filter = null;
+    if (animal.litterId) filter = { litterId: animal.litterId };
+    else if (animal.damId_public && animal.birthDate) filter = { damId_public: animal.damId_public, birthDate: animal.birthDate };
+    if (!filter) return [];
+    return findVisibleAnimals(appUserId_backend, { ...filter, id_public: { $ne: animal.id_public } }, GROWTH_SELECT);
 };
 
+/**
+ * An animal's normalized growth curve (grams / centimetres) compared with its litter-mates and
+ * its species' reference curve, with below-percentile and runt flags on the latest weighing.
+ * @param {Object} [options] - { percentile } flag threshold (default 10)
+ */
+const getAnimalGrowth = async (appUserId_backend, id_public, { percentile } = {}) => {
+    const animal = await Animal.findOne({
+        id_public,
+        $or: [{ creatorId: appUserId_backend }, { viewOnlyForUsers: appUserId_backend }],
+    }).select(GROWTH_SELECT).lean();
+    if (!animal) {
+        throw new Error('Animal not found or you do not have permission to view it.');
+    }
+    const [littermates, reference] = await Promise.all([
+        findLittermates(appUserId_backend, animal),
+        animal.species ? getGrowthReferenceCurve(animal.species) : [],
+    ]);
+    const analysis = analyzeGrowth(normalizeGrowthRecords(animal), {
+        littermates: littermates.map(normalizeGrowthRecords),
+        reference,
+        percentile,
+    });
+    return {
+        id_public: animal.id_public,
+        name: animal.name,
+        species: animal.species || null,
+        birthDate: animal.birthDate || null,
+        units: { weight: 'g', length: 'cm' },
+        littermates: littermates.length,
+        ...analysis,
+        reference: publicGrowthReference(reference),
+    };
+};
 
 /**
- * Generates a full pedigree chart for a given animal up to 4 generations (5 levels).
- * Uses optimized batch loading instead of recursive queries (31→5 query reduction).
+ * Latest weighing of each pup in a litter against its litter-mates and the species reference;
+ * flagged pups (runts, below the percentile) come first. Pups that went to other owners are
+ * only included through their public record.
+ * @param {Object} [options] - { percentile } flag threshold (default 10)
  */
-const generatePedigree = async (appUserId_backend, animalId_backend, generations = 4) => {
-    const maxDepth = Math.min(generations, 4) + 1; // 4 generations is 5 levels (P + 4 ancestors)
-    
-    // 1. Get the starting animal to find its public ID
-    // We must ensure the user owns the root animal first using the private collection
-    const rootAnimal = await getAnimalByIdAndUser(appUserId_backend, animalId_backend);
-    
-    // 2. Fetch the pedigree tree using optimized batch loading
-    const pedigreeTree = await fetchPedigreeByBatch(rootAnimal.id_public, maxDepth);
+const getLitterGrowth = async (appUserId_backend, litter_id_public, { percentile } = {}) => {
+    const litter = await Litter.findOne({
+        litter_id_public,
+        $or: [{ creatorId: appUserId_backend }, { linkedOwners: appUserId_backend }],
+    }).select('litter_id_public birthDate offspringIds_public').lean();
+    if (!litter) {
+        throw new Error('Litter not found or user does not own this litter.');
+    }
+    const pups = await findVisibleAnimals(appUserId_backend, {
+        $or: [{ id_public: { $in: litter.offspringIds_public || [] } }, { litterId: litter._id }],
+    }, GROWTH_SELECT);
+    const species = (pups.find(p => p.species) || {}).species;
+    const reference = species ? await getGrowthReferenceCurve(species) : [];
+    const analysed = analyzeLitterGrowth(
+        pups.map(p => ({ id_public: p.id_public, name: p.name, gender: p.gender, points: normalizeGrowthRecords(p) })),
+        { reference, percentile }
+    );
+    return {
+        litter_id_public: litter.litter_id_public,
+        birthDate: litter.birthDate,
+        species: species || null,
+        units: { weight: 'g', length: 'cm' },
+        runts: analysed.filter(p => p.flags.some(f => f.type === 'runt')).length,
+        belowPercentile: analysed.filter(p => p.flags.some(f => f.type === 'below_percentile')).length,
+        pups: analysed,
+    };
+};
 
-    return pedigreeTree;
+/**
+ * Public reference curve for a species named in a request. The name is matched against the
+ * Species list (trimmed, case-insensitive), so only real species are built and cached.
+ * @returns {Promise<{ species: String, curve: Array }|null>} null for an unknown species
+ */
+const getGrowthReference = async (species, measure = 'weight') => {
+    const name = typeof species === 'string' ? species.trim() : '';
+    if (!name) return null;
+    const known = await Species.findOne({ name }).collation({ locale: 'en', strength: 2 }).select('name').lean();
+    if (!known) return null;
+    return { species: known.name, curve: publicGrowthReference(await getGrowthReferenceCurve(known.name, measure)) };
 };
 
+// --- Enclosure readings (EnclosureReading; rules in utils/enclosureReadings.js) ---
 
-// --- PUBLIC FUNCTIONS ---
+const READING_ENCLOSURE_SELECT = 'creatorId name temperatureUnit tempMin tempMax humidityMin humidityMax phMin phMax ammoniaMax nitriteMax nitrateMax lastReadingAt readingAlert sensorKeyHint sensorKeyCreatedAt sensorLastSeenAt';
+const MAX_READING_PAGE = 500;
+
+const findReadingEnclosure = async (appUserId_backend, enclosureId) => {
+    const enclosure = mongoose.Types.ObjectId.isValid(enclosureId)
+        ? await Enclosure.findOne({ _id: enclosureId, creatorId: appUserId_backend }).select(READING_ENCLOSURE_SELECT).lean()
+        : null;
+    if (!enclosure) {
+        throw new EnclosureReadingError('Enclosure not found.', [], 404);
+    }
+    return enclosure;
+};
+
+const findEnclosureReading = async (enclosure, readingId) => {
+    const reading = mongoose.Types.ObjectId.isValid(readingId)
+        ? await EnclosureReading.findOne({ _id: readingId, enclosureId: enclosure._id })
+        : null;
+    if (!reading) {
+        throw new EnclosureReadingError('Reading not found.', [], 404);
+    }
+    return reading;
+};
+
+const breachFields = (breaches) => breaches.map(({ field, value, min, max, direction }) => ({ field, value, min, max, direction }));
+
+// Tells the owner an enclosure went out of range or came back; the Notification's post-save
+// hook pushes it under the 'enclosureCare' category.
+const notifyReadingAlert = async (enclosure, kind, reading, breaches) => {
+    try {
+        const owner = await User.findById(enclosure.creatorId).select('id_public').lean();
+        await Notification.create({
+            userId: enclosure.creatorId,
+            userId_public: owner ? owner.id_public : undefined,
+            type: 'enclosure_reading_alert',
+            status: 'pending',
+            read: false,
+            title: kind === 'out_of_range' ? `${enclosure.name}: out of range` : `${enclosure.name}: back in range`,
+            message: kind === 'out_of_range'
+                ? breaches.map(describeBreach).join(', ')
+                : 'All readings are back within the enclosure\'s targets.',
+            metadata: {
+                enclosureId: enclosure._id,
+                enclosureName: enclosure.name,
+                readingId: reading._id,
+                recordedAt: reading.recordedAt,
+                breaches: breachFields(breaches),
+            },
+        });
+    } catch (notifErr) {
+        console.error('Warning: failed to send enclosure reading alert:', notifErr);
+    }
+};
 
 /**
- * Retrieves a public profile for display.
+ * Validates, range-checks and stores readings, then moves the enclosure's alert state along.
+ * Alert changes are written to the EnclosureLog; of several in one batch only the last is sent.
+ * @param {Object} enclosure - lean, with READING_ENCLOSURE_SELECT fields
+ * @param {Array<Object>} inputs - reading payloads
+ * @param {Object} recorder - { source, userId, userName }
+ * @throws {EnclosureReadingError|ProfanityError}
  */
-const getPublicProfile = async (id_public) => { 
-    const profile = await PublicProfile.findOne({ id_public }).lean();
-    if (!profile) {
-        throw new Error(`Public profile with ID ${id_public} not found.`);
+const recordEnclosureReadings = async (enclosure, inputs, { source, userId = null, userName = '' }) => {
+    const now = new Date();
+    const docs = inputs.map((input, index) => {
+        const { reading, errors } = normalizeReading(input, { temperatureUnit: enclosure.temperatureUnit || 'C', now });
+        if (errors.length) {
+            const prefix = inputs.length > 1 ? `Reading ${index + 1}: ` : '';
+            throw new EnclosureReadingError('Invalid reading.', errors.map(e => prefix + e));
+        }
+        assertCleanText(reading.notes, 'reading note');
+        const breaches = checkReadingRanges(reading, enclosure);
+        return {
+            ...reading,
+            enclosureId: enclosure._id,
+            creatorId: enclosure.creatorId,
+            source,
+            breaches: breachFields(breaches),
+            recordedBy: userId,
+            recordedByName: userName,
+            _breaches: breaches,
+        };
+    });
+
+    const saved = await EnclosureReading.insertMany(docs.map(({ _breaches, ...doc }) => doc));
+
+    let state = enclosure.readingAlert || null;
+    let lastReadingAt = enclosure.lastReadingAt || null;
+    let stateChanged = false;
+    let pending = null;
+    const ordered = saved.map((reading, i) => ({ reading, breaches: docs[i]._breaches }))
+        .sort((a, b) => a.reading.recordedAt - b.reading.recordedAt);
+    for (const { reading, breaches } of ordered) {
+        const decision = decideReadingAlert(state, breaches, { recordedAt: reading.recordedAt, lastReadingAt, now });
+        if (!lastReadingAt || reading.recordedAt > lastReadingAt) lastReadingAt = reading.recordedAt;
+        if (!decision.state) continue;
+        const previousFields = state && state.active ? state.fields || [] : null;
+        state = decision.state;
+        stateChanged = true;
+        if (!decision.notify) continue;
+        pending = { kind: decision.notify, reading, breaches };
+        // Repeat reminders are only sent; the log records changes.
+        const changed = !previousFields || !state.active || breaches.some(b => !previousFields.includes(b.field));
+        if (!changed) continue;
+        await EnclosureLog.create({
+            enclosureId: enclosure._id,
+            enclosureName: enclosure.name,
+            userId: userId || enclosure.creatorId,
+            userName: userName || 'Sensor',
+            action: decision.notify === 'out_of_range' ? 'reading_out_of_range' : 'reading_back_in_range',
+            details: { readingId: reading._id, recordedAt: reading.recordedAt, source, breaches: breachFields(breaches) },
+        }).catch(err => console.error('[enclosureReadings] Failed to create EnclosureLog:', err.message));
     }
-    return profile;
+
+    const $set = { lastReadingAt };
+    if (stateChanged) $set.readingAlert = state;
+    if (source === 'sensor') $set.sensorLastSeenAt = now;
+    await Enclosure.updateOne({ _id: enclosure._id }, { $set });
+
+    if (pending) await notifyReadingAlert(enclosure, pending.kind, pending.reading, pending.breaches);
+    return saved;
 };
 
 /**
- * Retrieves all publicly shared animals owned by a user.
- * Only returns animals actually owned by the user (not borrowed/bred to).
+ * A reading typed in by the enclosure's owner.
+ * @param {Object} input - recordedAt, temperature, temperatureUnit, humidity, ph, ammonia, nitrite, nitrate, notes
+ * @param {String} userName - shown in the log
  */
-const getPublicAnimalsByOwner = async (creatorId_public) => { 
-    // Show owned animals, plus any marked for sale or stud regardless of isOwned status
-    return PublicAnimal.find({
-        creatorId_public,
-        $or: [{ isOwned: true }, { isForSale: true }, { availableForBreeding: true }]
-    }).sort({ birthDate: -1 }).lean();
+const addEnclosureReading = async (appUserId_backend, enclosureId, input = {}, userName = '') => {
+    const enclosure = await findReadingEnclosure(appUserId_backend, enclosureId);
+    const [reading] = await recordEnclosureReadings(enclosure, [input], { source: 'manual', userId: appUserId_backend, userName });
+    return { enclosure, reading: reading.toObject() };
 };
 
+/**
+ * Readings posted by a sensor script: one reading, or { readings: [...] } for a buffered batch.
+ * @throws {EnclosureReadingError} 401 for a missing or unknown key
+ */
+const ingestSensorReadings = async (sensorKey, body = {}) => {
+    if (!sensorKey || typeof sensorKey !== 'string') {
+        throw new EnclosureReadingError('Sensor key required.', ['Send the key in the X-Sensor-Key header.'], 401);
+    }
+    const enclosure = await Enclosure.findOne({ sensorKeyHash: hashSensorKey(sensorKey.trim()) }).select(READING_ENCLOSURE_SELECT).lean();
+    if (!enclosure) {
+        throw new EnclosureReadingError('Unknown sensor key.', [], 401);
+    }
+    const inputs = Array.isArray(body.readings) ? body.readings : [body];
+    if (!inputs.length || inputs.length > MAX_SENSOR_BATCH) {
+        throw new EnclosureReadingError(`Send between 1 and ${MAX_SENSOR_BATCH} readings.`);
+    }
+    const saved = await recordEnclosureReadings(enclosure, inputs, { source: 'sensor' });
+    return {
+        enclosureId: enclosure._id,
+        accepted: saved.length,
+        outOfRange: saved.filter(r => r.breaches.length).length,
+    };
+};
 
 /**
- * Deletes an animal owned by the user and cleans up related records.
+ * Readings in a window, newest first.
+ * @param {Object} query - from, to, source, outOfRange ('true' for breaching readings only), page, limit
  */
-const deleteAnimal = async (appUserId_backend, animalId_backend) => {
-    // Verify ownership and existence
-    const animal = await Animal.findOne({ _id: animalId_backend, creatorId: appUserId_backend });
-    if (!animal) {
-        throw new Error('Animal not found or does not own this animal.');
+const getEnclosureReadings = async (appUserId_backend, enclosureId, query = {}) => {
+    const enclosure = await findReadingEnclosure(appUserId_backend, enclosureId);
+    const window = readingWindow(query);
+    if (window.errors.length) {
+        throw new EnclosureReadingError('Invalid reading window.', window.errors);
     }
+    const filter = { enclosureId: enclosure._id, recordedAt: { $gte: window.from, $lte: window.to } };
+    if (READING_SOURCES.includes(query.source)) filter.source = query.source;
+    if (query.outOfRange === 'true') filter['breaches.0'] = { $exists: true };
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_READING_PAGE, Math.max(1, parseInt(query.limit, 10) || 100));
+    const [readings, total] = await Promise.all([
+        EnclosureReading.find(filter).sort({ recordedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+        EnclosureReading.countDocuments(filter),
+    ]);
+    return { enclosure, from: window.from, to: window.to, readings, total, page, limit };
+};
 
-    // Block deletion while a transfer is pending — otherwise the recipient is left with a
-    // notification/transfer record pointing at an animal that no longer exists.
-    if (animal.pendingTransferId) {
-        throw new Error('This animal has a pending transfer request. Withdraw it before deleting.');
+/**
+ * Daily min / max / mean per measurement, temperatures in the enclosure's unit. Grouped by day
+ * in MongoDB (see dailyReadingSummaryStages in utils/enclosureReadings.js).
+ * @param {Object} query - from, to, timeZone (IANA name, default UTC)
+ */
+const getEnclosureReadingSummary = async (appUserId_backend, enclosureId, query = {}) => {
+    const enclosure = await findReadingEnclosure(appUserId_backend, enclosureId);
+    const window = readingWindow(query);
+    const timeZone = query.timeZone || 'UTC';
+    if (!isValidTimeZone(timeZone)) window.errors.push(`Unknown time zone "${timeZone}".`);
+    if (window.errors.length) {
+        throw new EnclosureReadingError('Invalid reading window.', window.errors);
     }
+    const temperatureUnit = enclosure.temperatureUnit || 'C';
+    const groups = await EnclosureReading.aggregate([
+        { $match: { enclosureId: enclosure._id, recordedAt: { $gte: window.from, $lte: window.to } } },
+        ...dailyReadingSummaryStages({ temperatureUnit, timeZone }),
+    ]);
+    const targets = {};
+    Object.values(READING_TARGETS).flat().filter(Boolean).forEach(key => { targets[key] = enclosure[key] ?? null; });
+    return {
+        enclosureId: enclosure._id,
+        from: window.from,
+        to: window.to,
+        timeZone,
+        temperatureUnit,
+        targets,
+        days: dailySummaryFromGroups(groups),
+    };
+};
 
-    // Check if this is a transferred animal (has originalCreatorId and it's not the current owner)
-    if (animal.originalCreatorId && animal.originalCreatorId.toString() !== appUserId_backend.toString()) {
-        console.log(`[deleteAnimal] Reverting transferred animal ${animal.id_public} back to original owner`);
-        
-        // Revert ownership back to original owner
-        const originalOwner = await User.findById(animal.originalCreatorId).select('id_public');
-        
-        if (originalOwner) {
-            const originalCreatorId = animal.originalCreatorId; // Store before clearing
-            
-            // Update animal ownership
-            animal.creatorId = originalCreatorId;
-            animal.creatorId_public = originalOwner.id_public;
-            animal.soldStatus = null; // Clear sold status
-            animal.originalCreatorId = null; // Clear original owner reference
-            
-            // Remove original owner from viewOnlyForUsers (they own it now, not view-only)
-            // AND remove current owner (buyer returning the animal) - they should NOT have view-only access after returning
-            animal.viewOnlyForUsers = animal.viewOnlyForUsers.filter(
+/**
+ * Corrects a manual reading (sensor readings only take notes); breaches are re-checked against
+ * the current targets. Does not change the alert state.
+ * @returns {Promise<{ enclosure, reading, previous }>} previous: the reading before the edit, for the log
+ */
+const updateEnclosureReading = async (appUserId_backend, enclosureId, readingId, input = {}) => {
+    const enclosure = await findReadingEnclosure(appUserId_backend, enclosureId);
+    const reading = await findEnclosureReading(enclosure, readingId);
+    const previous = reading.toObject();
+    const editable = reading.source === 'sensor' ? ['notes'] : ['recordedAt', 'temperatureUnit', 'notes', ...READING_FIELDS];
+    const locked = Object.keys(input).filter(key => !editable.includes(key) && [...READING_FIELDS, 'recordedAt', 'temperatureUnit'].includes(key));
+    if (locked.length) {
+        throw new EnclosureReadingError('Sensor readings cannot be changed.', ['Only notes can be edited on a sensor reading.'], 409);
+    }
+    const merged = { ...previous };
+    editable.forEach(key => { if (input[key] !== undefined) merged[key] = input[key]; });
+    const { reading: normalized, errors } = normalizeReading(merged, { temperatureUnit: previous.temperatureUnit });
+    if (errors.length) {
+        throw new EnclosureReadingError('Invalid reading.', errors);
+    }
+    assertCleanText(normalized.notes, 'reading note');
+    editable.forEach(key => { reading[key] = normalized[key]; });
+    reading.breaches = breachFields(checkReadingRanges(normalized, enclosure));
+    reading.editedAt = new Date();
+    await reading.save();
+    return { enclosure, reading: reading.toObject(), previous };
+};
+
+/**
+ * @returns {Promise<{ enclosure, previous }>} the deleted reading, for the log
+ */
+const deleteEnclosureReading = async (appUserId_backend, enclosureId, readingId) => {
+    const enclosure = await findReadingEnclosure(appUserId_backend, enclosureId);
+    const reading = await findEnclosureReading(enclosure, readingId);
+    const previous = reading.toObject();
+    await reading.deleteOne();
+    return { enclosure, previous };
+};
+
+/**
+ * Issues a new sensor key for an enclosure, replacing any earlier one.
+ * @returns {Promise<{ enclosure, key, hint }>} key: shown once, only its hash is kept
+ */
+const createSensorKey = async (appUserId_backend, enclosureId) => {
+    const enclosure = await findReadingEnclosure(appUserId_backend, enclosureId);
+    const key = generateSensorKey();
+    const hint = key.slice(-4);
+    await Enclosure.updateOne(
+        { _id: enclosure._id },
+        { $set: { sensorKeyHash: hashSensorKey(key), sensorKeyHint: hint, sensorKeyCreatedAt: new Date(), sensorLastSeenAt: null } }
+    );
+    return { enclosure, key, hint, replaced: !!enclosure.sensorKeyHint };
+};
+
+const revokeSensorKey = async (appUserId_backend, enclosureId) => {
+    const enclosure = await findReadingEnclosure(appUserId_backend, enclosureId);
+    if (!enclosure.sensorKeyHint) {
+        throw new EnclosureReadingError('This enclosure has no sensor key.', [], 404);
+    }
+    await Enclosure.updateOne(
+        { _id: enclosure._id },
+        { $set: { sensorKeyHash: null, sensorKeyHint: null, sensorKeyCreatedAt: null, sensorLastSeenAt: null } }
+    );
+    return { enclosure };
+};
+
+// --- Supply stock ledger and forecasts (SupplyMovement; rules in utils/supplyForecast.js) ---
+
+/**
+ * Moves an item's stock and records the change in the ledger. Stock never drops below 0; the
+ * entry records what actually moved. Every stock change goes through here.
+ * @param {Object} movement
+ * @param {String} movement.type - 'consume', 'restock' or 'adjust'
+ * @param {Number} [movement.delta] - signed change, or
+ * @param {Number} [movement.stock] - the new stock (counts and edits)
+ * @param {String} [movement.source] - 'manual', 'feeding', 'enclosure_task' or 'stock_edit'
+ * @param {Number} [movement.unitCost] - restocks: price paid per unit, kept as costPerUnit
+ * @returns {Promise<{ item: Object, movement: Object|null }|null>} null when the item is not the
+ *   user's; movement null for a stock edit that changed nothing
+ */
+const adjustSupplyStock = async (appUserId_backend, supplyId, {
+    type, delta = 0, stock, source = 'manual', animalId_public = null, enclosureId = null, unitCost = null, notes = '',
+}) => {
+    if (!mongoose.Types.ObjectId.isValid(supplyId)) return null;
+    const now = new Date();
+    const $set = {
+        currentStock: stock !== undefined
+            ? Math.max(0, Number(stock) || 0)
+            : { $max: [0, { $add: [{ $ifNull: ['$currentStock', 0] }, Number(delta) || 0] }] },
+        trackedSince: { $ifNull: ['$trackedSince', now] },
+    };
+    if (unitCost !== null && unitCost !== undefined && unitCost !== '') $set.costPerUnit = Number(unitCost);
+    const before = await SupplyItem.findOneAndUpdate({ _id: supplyId, userId: appUserId_backend }, [{ $set }], { new: false }).lean();
+    if (!before) return null;
+
+    const previous = before.currentStock || 0;
+    const after = stock !== undefined ? Math.max(0, Number(stock) || 0) : Math.max(0, previous + (Number(delta) || 0));
+    const item = { ...before, currentStock: after, trackedSince: before.trackedSince || now };
+    if ($set.costPerUnit !== undefined) item.costPerUnit = $set.costPerUnit;
+    if (source === 'stock_edit' && after === previous) return { item, movement: null };
+
+    const movement = await SupplyMovement.create({
+        userId: appUserId_backend,
+        supplyId: before._id,
+        supplyName: before.name,
+        type,
+        change: after - previous,
+        stockAfter: after,
+        source,
+        animalId_public,
+        enclosureId,
+        unitCost: $set.costPerUnit ?? null,
+        notes: notes || '',
+        occurredAt: now,
+    });
+    return { item, movement: movement.toObject() };
+};
+
+/**
+ * A stock movement entered by hand: { type, quantity, unitCost, notes }. quantity is the amount
+ * used or bought, or for 'adjust' the counted stock.
+ * @throws {SupplyError|ProfanityError}
+ */
+const recordSupplyMovement = async (appUserId_backend, supplyId, input = {}) => {
+    const errors = validateSupplyMovement(input);
+    if (errors.length) {
+        throw new SupplyError('Invalid stock movement.', errors);
+    }
+    assertCleanText(input.notes, 'stock movement note');
+    const quantity = Number(input.quantity);
+    const result = await adjustSupplyStock(appUserId_backend, supplyId, {
+        type: input.type,
+        ...(input.type === 'adjust' ? { stock: quantity } : { delta: input.type === 'consume' ? -quantity : quantity }),
+        source: 'manual',
+        unitCost: input.type === 'restock' ? input.unitCost : null,
+        notes: input.notes,
+    });
+    if (!result) {
+        throw new SupplyError('Supply item not found.', [], 404);
+    }
+    return result;
+};
+
+const getSupplyMovements = async (appUserId_backend, supplyId, query = {}) => {
+    const item = mongoose.Types.ObjectId.isValid(supplyId)
+        ? await SupplyItem.findOne({ _id: supplyId, userId: appUserId_backend }).select('_id').lean()
+        : null;
+    if (!item) {
+        throw new SupplyError('Supply item not found.', [], 404);
+    }
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50));
+    const [movements, total] = await Promise.all([
+        SupplyMovement.find({ supplyId: item._id }).sort({ occurredAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+        SupplyMovement.countDocuments({ supplyId: item._id }),
+    ]);
+    return { movements, total, page, limit };
+};
+
+/**
+ * Every item of a user with its forecast (average daily use, run-out date, reorder reasons).
+ * @returns {Promise<Array<{ item, forecast }>>}
+ */
+const getSupplyForecasts = async (appUserId_backend) => {
+    const items = await SupplyItem.find({ userId: appUserId_backend }).sort({ category: 1, name: 1 }).lean();
+    const since = new Date(Date.now() - FORECAST_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const movements = await SupplyMovement.find({ userId: appUserId_backend, occurredAt: { $gte: since } })
+        .select('supplyId type change occurredAt')
+        .lean();
+    const bySupply = new Map();
+    movements.forEach(m => {
+        const key = m.supplyId.toString();
+        if (!bySupply.has(key)) bySupply.set(key, []);
+        bySupply.get(key).push(m);
+    });
+    return items.map(item => ({ item, forecast: forecastSupply(item, bySupply.get(item._id.toString()) || []) }));
+};
+
+/**
+ * Items due for reordering, grouped by supplier with estimated costs.
+ */
+const getShoppingList = async (appUserId_backend) => ({
+    generatedAt: new Date(),
+    ...buildShoppingList(await getSupplyForecasts(appUserId_backend)),
+});
+
+// --- Feeding log (FeedingRecord; rules in utils/feedingLog.js) ---
+
+const MAX_FEEDING_PAGE = 500;
+
+const feedingWindowQuery = (query = {}) => {
+    const filter = {};
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if (from && !isNaN(from.getTime())) filter.$gte = from;
+    if (to && !isNaN(to.getTime())) filter.$lte = to;
+    return Object.keys(filter).length ? { fedAt: filter } : {};
+};
+const feedingPageLimit = (query = {}) => Math.min(MAX_FEEDING_PAGE, Math.max(1, parseInt(query.limit, 10) || 100));
+const feedingSummarySince = () => new Date(Date.now() - SUMMARY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+// Tells the owner an animal has refused several feedings in a row; the Notification's post-save
+// hook pushes it under the 'health' category.
+const notifyRefusalStreak = async (animal, streak) => {
+    try {
+        const owner = await User.findById(animal.creatorId).select('id_public').lean();
+        const animalName = [animal.prefix, animal.name, animal.suffix].filter(Boolean).join(' ') || animal.id_public;
+        await Notification.create({
+            userId: animal.creatorId,
+            userId_public: owner ? owner.id_public : undefined,
+            type: 'feeding_refusal_alert',
+            status: 'pending',
+            read: false,
+            animalId_public: animal.id_public,
+            animalName,
+            title: `${animalName}: ${streak} refused feedings`,
+            message: `${animalName} has refused its last ${streak} feedings.`,
+            metadata: { animalId_public: animal.id_public, refusalStreak: streak },
+        });
+    } catch (notifErr) {
+        console.error('Warning: failed to send feeding refusal alert:', notifErr);
+    }
+};
+
+/**
+ * Records a feeding: stores the FeedingRecord, takes the food out of stock through the supply
+ * ledger, moves lastFedDate (accepted and skipped feedings, so a skip resets the schedule as it
+ * always has) and lastOfferedDate (anything but skipped) on and checks the refusal streak.
+ * @param {Object} input - supplyId, outcome, quantity, preyWeight, preyReturned, notes, fedAt
+ *   (or the older { skipped: true }); a supplyId that is not one of the user's items is ignored,
+ *   as it always was
+ * @returns {Promise<{ animal, supply, feeding, refusalStreak }>}
+ * @throws {FeedingError|ProfanityError}
+ */
+const recordFeeding = async (appUserId_backend, id_public, input = {}) => {
+    const animal = await Animal.findOne({ id_public, creatorId: appUserId_backend });
+    if (!animal) {
+        throw new FeedingError('Animal not found or you do not have permission to edit it.', [], 404);
+    }
+    const { feeding, errors } = normalizeFeeding(input, { weightUnit: animal.measurementUnits?.weight || 'g' });
+    if (errors.length) {
+        throw new FeedingError('Invalid feeding.', errors);
+    }
+    assertCleanText(feeding.notes, 'feeding note');
+
+    let supply = input.supplyId && mongoose.Types.ObjectId.isValid(input.supplyId)
+        ? await SupplyItem.findOne({ _id: input.supplyId, userId: appUserId_backend }).lean()
+        : null;
+
+    let movement = null;
+    if (supply && usesStock(feeding)) {
+        const result = await adjustSupplyStock(appUserId_backend, supply._id, {
+            type: 'consume',
+            delta: -feeding.quantity,
+            source: 'feeding',
+            animalId_public: animal.id_public,
+            enclosureId: animal.enclosureId || null,
+            notes: feeding.outcome === 'accepted' ? '' : feeding.outcome,
+        });
+        if (result) ({ item: supply, movement } = result);
+    }
+
+    const bodyWeight = bodyWeightAt(normalizeGrowthRecords(animal), feeding.fedAt);
+    const preyWeightGrams = feeding.preyWeightGrams ?? supply?.feederWeightGrams ?? null;
+    const record = await FeedingRecord.create({
+        userId: appUserId_backend,
+        animalId: animal._id,
+        animalId_public: animal.id_public,
+        enclosureId: animal.enclosureId || null,
+        supplyId: supply ? supply._id : null,
+        foodName: supply ? supply.name : '',
+        feederType: supply ? supply.feederType || '' : '',
+        feederSize: supply ? supply.feederSize || '' : '',
+        quantity: feeding.quantity,
+        outcome: feeding.outcome,
+        preyReturned: feeding.preyReturned,
+        preyWeightGrams,
+        ...preyRatio(preyWeightGrams, feeding.quantity, bodyWeight),
+        bodyWeightGrams: bodyWeight ? bodyWeight.grams : null,
+        bodyWeightDate: bodyWeight ? bodyWeight.date : null,
+        stockMovementId: movement ? movement._id : null,
+        notes: feeding.notes,
+        fedAt: feeding.fedAt,
+    });
+
+    const previousFedDate = animal.lastFedDate || null;
+    const lastFedDateMoved = (feeding.outcome === 'accepted' || feeding.outcome === 'skipped')
+        && (!previousFedDate || feeding.fedAt > previousFedDate);
+    if (lastFedDateMoved) animal.lastFedDate = feeding.fedAt;
+    if (feeding.outcome !== 'skipped' && (!animal.lastOfferedDate || feeding.fedAt > animal.lastOfferedDate)) {
+        animal.lastOfferedDate = feeding.fedAt;
+    }
+    if (animal.isModified()) await animal.save();
+
+    const recent = await FeedingRecord.find({ animalId: animal._id, fedAt: { $gte: feedingSummarySince() } })
+        .select('outcome fedAt')
+        .lean();
+    const streak = refusalStreak(recent);
+    if (feeding.outcome === 'refused' && isRefusalAlertDue(streak)) {
+        await notifyRefusalStreak(animal, streak);
+    }
+
+    await logFeedingEvent({
+        userId: appUserId_backend,
+        animalId: animal._id,
+        animalId_public: animal.id_public,
+        foodName: record.foodName || null,
+        quantity: feeding.quantity,
+        notes: feeding.notes,
+        skipped: feeding.outcome === 'skipped',
+        outcome: feeding.outcome,
+        fedAt: feeding.fedAt,
+        lastFedDateMoved,
+        previousFedDate,
+    });
+
+    return { animal, supply, feeding: record.toObject(), refusalStreak: streak };
+};
+
+/**
+ * An animal's feeding history, newest first, with a summary of the last SUMMARY_WINDOW_DAYS.
+ * @param {Object} query - from, to, limit
+ */
+const getAnimalFeedings = async (appUserId_backend, id_public, query = {}) => {
+    const animal = await Animal.findOne({
+        id_public,
+        $or: [{ creatorId: appUserId_backend }, { viewOnlyForUsers: appUserId_backend }],
+    }).select('id_public name prefix suffix species').lean();
+    if (!animal) {
+        throw new FeedingError('Animal not found or you do not have permission to view it.', [], 404);
+    }
+    const [feedings, recent] = await Promise.all([
+        FeedingRecord.find({ animalId: animal._id, ...feedingWindowQuery(query) }).sort({ fedAt: -1 }).limit(feedingPageLimit(query)).lean(),
+        FeedingRecord.find({ animalId: animal._id, fedAt: { $gte: feedingSummarySince() } }).select('outcome fedAt preyRatio').lean(),
+    ]);
+    return { animal, feedings, summary: summarizeFeedings(recent) };
+};
+
+/**
+ * Feedings recorded in an enclosure, newest first, with a summary per animal now housed there.
+ * @param {Object} query - from, to, limit
+ */
+const getEnclosureFeedings = async (appUserId_backend, enclosureId, query = {}) => {
+    const enclosure = mongoose.Types.ObjectId.isValid(enclosureId)
+        ? await Enclosure.findOne({ _id: enclosureId, creatorId: appUserId_backend }).select('name').lean()
+        : null;
+    if (!enclosure) {
+        throw new FeedingError('Enclosure not found.', [], 404);
+    }
+    const [feedings, occupants] = await Promise.all([
+        FeedingRecord.find({ enclosureId: enclosure._id, ...feedingWindowQuery(query) }).sort({ fedAt: -1 }).limit(feedingPageLimit(query)).lean(),
+        Animal.find({ enclosureId: enclosure._id, creatorId: appUserId_backend, status: { $nin: ['Deceased', 'Rehomed'] } })
+            .select('id_public name prefix suffix species')
+            .lean(),
+    ]);
+    const recent = await FeedingRecord.find({ animalId: { $in: occupants.map(a => a._id) }, fedAt: { $gte: feedingSummarySince() } })
+        .select('animalId outcome fedAt preyRatio')
+        .lean();
+    const animals = occupants.map(({ _id, ...animal }) => ({
+        ...animal,
+        summary: summarizeFeedings(recent.filter(r => r.animalId.equals(_id))),
+    }));
+    return { enclosure, feedings, animals };
+};
+
+// --- Registration number templates (User.idTemplates; tokens in utils/idTemplates.js) ---
+
+const ID_TEMPLATE_FIELDS = ['prefix', 'litter', 'offspring', 'speciesCodes'];
+
+const getIdTemplateSettings = async (appUserId_backend) => {
+    const user = await User.findById(appUserId_backend).select('idTemplates').lean();
+    const stored = (user && user.idTemplates) || {};
+    return {
+        prefix: stored.prefix || null,
+        litter: stored.litter || null,
+        offspring: stored.offspring || null,
+        speciesCodes: stored.speciesCodes || {},
+    };
+};
+
+// Stored settings with the fields present in `input` laid over them, blanks as null.
+const mergeIdTemplateSettings = (current, input) => {
+    const merged = { ...current };
+    ID_TEMPLATE_FIELDS.forEach(field => {
+        if (!(field in input)) return;
+        const value = input[field];
+        if (field === 'speciesCodes') merged.speciesCodes = value || {};
+        else merged[field] = typeof value === 'string' ? value.trim() || null : value ?? null;
+    });
+    return merged;
+};
+
+const isDuplicateKeyError = (error) => !!error && error.code === 11000;
+
+// A registration number taken between the check and the insert.
+const registrationConflict = (error, number = null) => (isDuplicateKeyError(error)
+    ? new IdTemplateError(`${number ? `Registration number ${number}` : 'A registration number'} is already in use; please try again.`, [], 409)
+    : error);
+
+const isLitterNumberTaken = async (creatorId, number, exceptLitterId = null) => !!(await Litter.exists({
+    creatorId,
+    registrationNumber: number,
+    ...(exceptLitterId ? { _id: { $ne: exceptLitterId } } : {}),
+}));
+
+const isAnimalNumberTaken = async (creatorId, number) => !!(await Animal.exists({ creatorId, breederAssignedId: number }));
+
+const assertLitterNumberFree = async (creatorId, number, exceptLitterId = null) => {
+    if (number && await isLitterNumberTaken(creatorId, number, exceptLitterId)) {
+        throw new IdTemplateError(`Registration number ${number} is already used by another of your litters.`, [], 409);
+    }
+};
+
+/**
+ * Draws a litter's registration number from the user's litter template.
+ * @returns {Promise<{ registrationNumber, registrationSeq }|null>} null without a template, or while
+ *   a value the template prints (species, prefix) is unknown
+ */
+const allocateLitterRegistration = async (appUserId_backend, settings, litter, species) => {
+    if (!settings.litter) return null;
+    const values = templateValues({ prefix: settings.prefix, date: templateDate(litter), species, speciesCodes: settings.speciesCodes });
+    const counter = litterCounterKey(appUserId_backend, settings.litter, values);
+    if (!counter) return null;
+    const allocated = await allocateTemplateId({
+        nextSeq: () => getNextCounterValue(counter),
+        render: (seq) => renderIdTemplate(settings.litter, { ...values, litterSeq: seq }),
+        isTaken: (number) => isLitterNumberTaken(appUserId_backend, number),
+    });
+    return allocated && { registrationNumber: allocated.number, registrationSeq: allocated.seq };
+};
+
+// Registration fields for a new litter: the number typed in (if free), else one from the template.
+const planLitterRegistration = async (appUserId_backend, litterData) => {
+    const typed = typeof litterData.registrationNumber === 'string' ? litterData.registrationNumber.trim() : '';
+    if (typed) {
+        await assertLitterNumberFree(appUserId_backend, typed);
+        return { registrationNumber: typed, registrationSeq: null };
+    }
+    const settings = await getIdTemplateSettings(appUserId_backend);
+    const registration = settings.litter
+        ? await allocateLitterRegistration(appUserId_backend, settings, litterData, await getLitterSpeciesName(litterData))
+        : null;
+    return registration || { registrationNumber: null, registrationSeq: null };
+};
+
+/**
+ * Fills breederAssignedId on new pups from the offspring template; pups that already carry one
+ * keep it. When the template prints {litterSeq} and the litter was never numbered, the litter
+ * gets its number first (creator only). Litters numbered by hand have no {litterSeq}, so their
+ * pups are left for the breeder to number.
+ */
+const numberLitterOffspring = async (appUserId_backend, settings, litter, species, pups) => {
+    if (!settings.offspring) return;
+    let litterSeq = litter.registrationSeq ?? null;
+    if (usesToken(settings.offspring, 'litterSeq') && litterSeq === null) {
+        if (litter.registrationNumber || String(litter.creatorId) !== String(appUserId_backend)) return;
+        const registration = await allocateLitterRegistration(appUserId_backend, settings, litter, species);
+        if (!registration) return;
+        try {
+            const result = await Litter.updateOne({ _id: litter._id, registrationNumber: null }, { $set: registration });
+            if (!result.modifiedCount) return;
+        } catch (error) {
+            if (isDuplicateKeyError(error)) return;
+            throw error;
+        }
+        Object.assign(litter, registration);
+        litterSeq = registration.registrationSeq;
+    }
+
+    const values = templateValues({ prefix: settings.prefix, date: templateDate(litter), species, speciesCodes: settings.speciesCodes, litterSeq });
+    const counter = pupCounterKey(appUserId_backend, litter._id);
+    const batch = new Set(pups.map(p => p.breederAssignedId).filter(Boolean));
+    for (const pup of pups) {
+        if (pup.breederAssignedId) continue;
+        const allocated = await allocateTemplateId({
+            nextSeq: () => getNextCounterValue(counter),
+            render: (seq) => renderIdTemplate(settings.offspring, { ...values, pupSeq: seq, sex: pup.gender }),
+            isTaken: async (number) => batch.has(number) || isAnimalNumberTaken(appUserId_backend, number),
+        });
+        if (!allocated) return;
+        batch.add(allocated.number);
+        pup.breederAssignedId = allocated.number;
+        pup.breederAssignedIdSeq = allocated.seq;
+    }
+};
+
+/**
+ * The litter a single new animal belongs to: its litterId, else the creator's litter with the same
+ * sire, dam and birth date.
+ */
+const findOffspringLitter = async (appUserId_backend, animalData) => {
+    const ownLitter = { $or: [{ creatorId: appUserId_backend }, { linkedOwners: appUserId_backend }] };
+    if (animalData.litterId && mongoose.Types.ObjectId.isValid(animalData.litterId)) {
+        return Litter.findOne({ _id: animalData.litterId, ...ownLitter }).lean();
+    }
+    const born = animalData.birthDate ? new Date(animalData.birthDate) : null;
+    if (!animalData.sireId_public || !animalData.damId_public || !born || isNaN(born.getTime())) return null;
+    const dayStart = new Date(Date.UTC(born.getUTCFullYear(), born.getUTCMonth(), born.getUTCDate()));
+    return Litter.findOne({
+        ...ownLitter,
+        sireId_public: animalData.sireId_public,
+        damId_public: animalData.damId_public,
+        birthDate: { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) },
+    }).lean();
+};
+
+/**
+ * Numbers offspring created one at a time and linked to a litter afterwards (ids added to its
+ * offspringIds_public). Only the user's own animals without a number are touched; a number
+ * taken in the meantime is left for the breeder.
+ */
+const numberLinkedOffspring = async (appUserId_backend, litter, ids_public) => {
+    if (!ids_public.length) return;
+    const settings = await getIdTemplateSettings(appUserId_backend);
+    if (!settings.offspring) return;
+    const pups = await Animal.find({
+        id_public: { $in: ids_public },
+        creatorId: appUserId_backend,
+        breederAssignedId: { $in: [null, ''] },
+    }).select('gender species breederAssignedId').lean();
+    if (!pups.length) return;
+    const species = (await getLitterSpeciesName(litter)) || pups[0].species;
+    await numberLitterOffspring(appUserId_backend, settings, litter, species, pups);
+    for (const pup of pups) {
+        if (!pup.breederAssignedId) continue;
+        try {
+            await Animal.updateOne(
+                { _id: pup._id, breederAssignedId: { $in: [null, ''] } },
+                { $set: { breederAssignedId: pup.breederAssignedId, breederAssignedIdSeq: pup.breederAssignedIdSeq } }
+            );
+        } catch (error) {
+            if (!isDuplicateKeyError(error)) throw error;
+        }
+    }
+};
+
+/**
+ * @returns {Promise<{ prefix, litter, offspring, speciesCodes }>}
+ */
+const getIdTemplates = async (appUserId_backend) => getIdTemplateSettings(appUserId_backend);
+
+/**
+ * Saves the fields of { prefix, litter, offspring, speciesCodes } present in `input`; null or
+ * empty templates switch numbering off. Counters are kept, so switching back on continues.
+ * @throws {IdTemplateError}
+ */
+const updateIdTemplates = async (appUserId_backend, input = {}) => {
+    const settings = mergeIdTemplateSettings(await getIdTemplateSettings(appUserId_backend), input);
+    const errors = validateIdTemplates(settings);
+    if (errors.length) {
+        throw new IdTemplateError('Invalid ID templates.', errors);
+    }
+    await User.updateOne({ _id: appUserId_backend }, { $set: { idTemplates: settings } });
+    return settings;
+};
+
+/**
+ * The numbers the templates would hand out next, without drawing from the counters. Fields of
+ * { prefix, litter, offspring, speciesCodes } in `input` override the stored settings so unsaved
+ * edits can be previewed. Offspring are previewed as pups of the first previewed litter.
+ *
+ * @param {Object} input - also { species, date, sex, count (1-10, default 3) }
+ * @returns {Promise<{ litter: Array<{ number, seq, taken }>, offspring: Array<{ number, pupSeq, taken }> }>}
+ *   number is null while a value the template prints (e.g. species) is missing from the input
+ */
+const previewIdTemplates = async (appUserId_backend, input = {}) => {
+    const settings = mergeIdTemplateSettings(await getIdTemplateSettings(appUserId_backend), input);
+    const errors = validateIdTemplates(settings);
+    if (input.species != null && typeof input.species !== 'string') {
+        errors.push('species must be a species name');
+    }
+    if (errors.length) {
+        throw new IdTemplateError('Invalid ID templates.', errors);
+    }
+    const count = Math.min(Math.max(parseInt(input.count, 10) || 3, 1), 10);
+    const values = templateValues({
+        prefix: settings.prefix,
+        date: input.date || new Date(),
+        species: input.species || null,
+        speciesCodes: settings.speciesCodes,
+    });
+
+    const litter = [];
+    if (settings.litter) {
+        const counter = litterCounterKey(appUserId_backend, settings.litter, values);
+        const current = counter ? await Counter.findById(counter).lean() : null;
+        const last = current ? current.seq : 0;
+        for (let seq = last + 1; seq <= last + count; seq++) {
+            const number = counter ? renderIdTemplate(settings.litter, { ...values, litterSeq: seq }) : null;
+            litter.push({ number, seq, taken: number ? await isLitterNumberTaken(appUserId_backend, number) : false });
+        }
+    }
+
+    const offspring = [];
+    if (settings.offspring) {
+        const litterSeq = litter.length ? litter[0].seq : null;
+        for (let pupSeq = 1; pupSeq <= count; pupSeq++) {
+            const number = renderIdTemplate(settings.offspring, { ...values, litterSeq, pupSeq, sex: input.sex || 'Unknown' });
+            offspring.push({ number, pupSeq, taken: number ? await isAnimalNumberTaken(appUserId_backend, number) : false });
+        }
+    }
+    return { litter, offspring };
+};
+
+// --- Breeding lines (BreedingLine model; membership rules in utils/breedingLines.js) ---
+
+// Fields a breeding line create/update may set; lineKey and userId are managed here.
+const BREEDING_LINE_FIELDS = ['name', 'description', 'goals', 'species', 'color', 'status', 'founders', 'members', 'deriveMembership', 'isPublic'];
+const LINE_ANIMAL_SELECT = 'id_public name prefix suffix gender species birthDate deceasedDate sireId_public damId_public imageUrl';
+
+const pickBreedingLineFields = (data) => {
+    const fields = {};
+    BREEDING_LINE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) fields[field] = data[field];
+    });
+    if ('founders' in fields) fields.founders = [...new Set(fields.founders.map(id => id.trim()))];
+    if ('members' in fields) fields.members = [...new Set(fields.members.map(id => id.trim()))];
+    if ('deriveMembership' in fields) fields.deriveMembership = !!fields.deriveMembership;
+    if ('isPublic' in fields) fields.isPublic = !!fields.isPublic;
+    enforceCleanFields(fields, BREEDING_LINE_TEXT_FIELDS);
+    return fields;
+};
+
+// Founders and members must be animals that exist (the user's own, or public ones).
+const assertLineAnimalsExist = async (fields) => {
+    const ids = [...new Set([...(fields.founders || []), ...(fields.members || [])])];
+    if (!ids.length) return;
+    const [privateAnimals, publicAnimals] = await Promise.all([
+        Animal.find({ id_public: { $in: ids } }).select('id_public').lean(),
+        PublicAnimal.find({ id_public: { $in: ids } }).select('id_public').lean(),
+    ]);
+    const known = new Set([...privateAnimals, ...publicAnimals].map(a => a.id_public));
+    const unknown = ids.filter(id => !known.has(id));
+    if (unknown.length) {
+        throw new BreedingLineError('Invalid breeding line.', [`Unknown animal ID(s): ${unknown.join(', ')}`]);
+    }
+};
+
+const findOwnedBreedingLine = async (appUserId_backend, lineId) => {
+    const line = mongoose.Types.ObjectId.isValid(lineId)
+        ? await BreedingLine.findOne({ _id: lineId, userId: appUserId_backend }).lean()
+        : null;
+    if (!line) throw new BreedingLineError('Breeding line not found.', [], 404);
+    return line;
+};
+
+/**
+ * Copies a user's PublicProfile.breedingLineDefs / animalBreedingLines into BreedingLine
+ * documents, once (breedingLinesMigratedAt). The profile fields are left as they were.
+ * @returns {Promise<Number>} lines copied
+ */
+const migrateLegacyBreedingLines = async (appUserId_backend) => {
+    const profile = await PublicProfile.findOne({ userId_backend: appUserId_backend })
+        .select('breedingLineDefs animalBreedingLines breedingLinesMigratedAt')
+        .lean();
+    if (!profile || profile.breedingLinesMigratedAt) return 0;
+
+    const lines = linesFromLegacyProfile(profile.breedingLineDefs, profile.animalBreedingLines);
+    if (lines.length) {
+        // Upserts keyed on lineKey, so two requests racing through here copy each line once
+        await BreedingLine.bulkWrite(lines.map(line => ({
+            updateOne: {
+                filter: { userId: appUserId_backend, lineKey: line.lineKey },
+                update: { $setOnInsert: { userId: appUserId_backend, ...line } },
+                upsert: true,
+            },
+        })));
+    }
+    await PublicProfile.updateOne({ _id: profile._id }, { $set: { breedingLinesMigratedAt: new Date() } });
+    return lines.length;
+};
+
+/**
+ * @param {Object} [options] - { status: 'active'|'retired' } to list only one kind
+ */
+const getBreedingLines = async (appUserId_backend, { status = null } = {}) => {
+    await migrateLegacyBreedingLines(appUserId_backend);
+    const filter = { userId: appUserId_backend };
+    if (status) filter.status = status;
+    return BreedingLine.find(filter).sort({ lineKey: 1 }).lean();
+};
+
+const getBreedingLine = findOwnedBreedingLine;
+
+const LINE_KEY_ATTEMPTS = 5;
+
+const createBreedingLine = async (appUserId_backend, data) => {
+    const errors = validateBreedingLine(data);
+    if (errors.length) throw new BreedingLineError('Invalid breeding line.', errors);
+
+    const existing = await getBreedingLines(appUserId_backend);
+    if (existing.length >= MAX_BREEDING_LINES) {
+        throw new BreedingLineError(`Maximum ${MAX_BREEDING_LINES} breeding lines allowed.`);
+    }
+
+    const fields = pickBreedingLineFields(data);
+    await assertLineAnimalsExist(fields);
+    if (fields.status === 'retired') fields.retiredAt = new Date();
+    let lineKey = nextLineKey(existing);
+
+    // Two creates racing pick the same free key; the unique { userId, lineKey } index turns the
+    // loser away and it retries with the next free one.
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const line = await BreedingLine.create({ ...fields, userId: appUserId_backend, lineKey });
+            return line.toObject();
+        } catch (error) {
+            if (!isDuplicateKeyError(error) || attempt >= LINE_KEY_ATTEMPTS) throw error;
+            lineKey = nextLineKey(await BreedingLine.find({ userId: appUserId_backend }).select('lineKey').lean());
+        }
+    }
+};
+
+const updateBreedingLine = async (appUserId_backend, lineId, data) => {
+    const existing = await findOwnedBreedingLine(appUserId_backend, lineId);
+    const errors = validateBreedingLine(data, { partial: true });
+    if (errors.length) throw new BreedingLineError('Invalid breeding line.', errors);
+
+    const fields = pickBreedingLineFields(data);
+    await assertLineAnimalsExist(fields);
+    if (fields.status && fields.status !== existing.status) {
+        fields.retiredAt = fields.status === 'retired' ? new Date() : null;
+    }
+
+    return BreedingLine.findOneAndUpdate(
+        { _id: existing._id, userId: appUserId_backend },
+        { $set: fields },
+        { new: true, runValidators: true }
+    ).lean();
+};
+
+const deleteBreedingLine = async (appUserId_backend, lineId) => {
+    const line = await findOwnedBreedingLine(appUserId_backend, lineId);
+    await BreedingLine.deleteOne({ _id: line._id });
+    return line;
+};
+
+/**
+ * Assigns (`add`) or unassigns (`remove`) animals. Unassigning a derived member has no
+ * effect while one of its parents is still in the line.
+ */
+const updateBreedingLineMembers = async (appUserId_backend, lineId, { add = [], remove = [] } = {}) => {
+    const line = await findOwnedBreedingLine(appUserId_backend, lineId);
+    if (!Array.isArray(add) || !Array.isArray(remove) || validateBreedingLine({ members: [...add, ...remove] }, { partial: true }).length) {
+        throw new BreedingLineError('Invalid member update.', ['add and remove must be arrays of animal IDs']);
+    }
+
+    const toAdd = [...new Set(add.map(id => id.trim()))];
+    const toRemove = new Set(remove.map(id => id.trim()));
+    await assertLineAnimalsExist({ members: toAdd });
+
+    const members = [...new Set([...(line.members || []), ...toAdd])].filter(id => !toRemove.has(id));
+    return BreedingLine.findOneAndUpdate({ _id: line._id }, { $set: { members } }, { new: true }).lean();
+};
+
+/**
+ * Members of a line with how they belong and their generation. Derivation only follows the
+ * user's own animals; founders and assigned animals owned by someone else are described from
+ * their public record (or by ID only if they are private).
+ */
+const getBreedingLineMembers = async (appUserId_backend, lineId) => {
+    const line = await findOwnedBreedingLine(appUserId_backend, lineId);
+    const owned = await Animal.find({ creatorId: appUserId_backend }).select(LINE_ANIMAL_SELECT).lean();
+    const membership = deriveLineMembership(line, owned);
+
+    const animals = new Map(owned.map(a => [a.id_public, a]));
+    const outside = [...membership.keys()].filter(id => !animals.has(id));
+    if (outside.length) {
+        const publicAnimals = await PublicAnimal.find({ id_public: { $in: outside } }).select(LINE_ANIMAL_SELECT).lean();
+        publicAnimals.forEach(a => animals.set(a.id_public, a));
+    }
+
+    return {
+        line,
+        members: [...membership.entries()].map(([id, m]) => ({ ...(animals.get(id) || { id_public: id }), ...m })),
+    };
+};
+
+/**
+ * Line-level COI and AVK by generation (utils/breedingLines.js calculateLineTrends), over at
+ * most MAX_TREND_MEMBERS members (the latest line generations).
+ */
+const getBreedingLineTrends = async (appUserId_backend, lineId, { generations = 20 } = {}) => {
+    const { line, members: allMembers } = await getBreedingLineMembers(appUserId_backend, lineId);
+    const members = allMembers.length > MAX_TREND_MEMBERS
+        ? [...allMembers].sort((a, b) => b.generation - a.generation).slice(0, MAX_TREND_MEMBERS)
+        : allMembers;
+
+    // Memoised: line members share most of their pedigree.
+    const fetchCache = new Map();
+    const fetchAnimal = (id) => {
+        if (!fetchCache.has(id)) {
+            fetchCache.set(id, (async () => {
+                const SELECT = 'sireId_public damId_public name';
+                return (await Animal.findOne({ id_public: id }).select(SELECT).lean())
+                    || PublicAnimal.findOne({ id_public: id }).select(SELECT).lean();
+            })());
+        }
+        return fetchCache.get(id);
+    };
+
+    const trends = await calculateLineTrends(members, fetchAnimal, generations);
+    const names = new Map(members.map(m => [m.id_public, [m.prefix, m.name, m.suffix].filter(Boolean).join(' ') || null]));
+    return {
+        line: { _id: line._id, name: line.name, species: line.species, status: line.status },
+        generations,
+        members: allMembers.length,
+        membersAnalysed: members.length,
+        calculatedAt: new Date(),
+        overall: trends.overall,
+        byGeneration: trends.generations,
+        animals: trends.animals.map(a => ({ ...a, name: names.get(a.id_public) })),
+    };
+};
+
+/**
+ * A user's lines marked isPublic, for their public profile. Only founders and members that
+ * are themselves public are listed.
+ */
+const getPublicBreedingLines = async (id_public) => {
+    const profile = await PublicProfile.findOne({ id_public }).select('userId_backend').lean();
+    if (!profile) throw new Error(`Public profile with ID ${id_public} not found.`);
+
+    await migrateLegacyBreedingLines(profile.userId_backend);
+    const lines = await BreedingLine.find({ userId: profile.userId_backend, isPublic: true }).sort({ lineKey: 1 }).lean();
+    if (!lines.length) return [];
+
+    const owned = await Animal.find({ creatorId: profile.userId_backend }).select('id_public sireId_public damId_public').lean();
+    const memberships = lines.map(line => deriveLineMembership(line, owned));
+    const ids = [...new Set(memberships.flatMap(m => [...m.keys()]))];
+    const publicAnimals = await PublicAnimal.find({ id_public: { $in: ids } })
+        .select('id_public name prefix suffix gender species birthDate deceasedDate imageUrl')
+        .lean();
+    const visible = new Map(publicAnimals.map(a => [a.id_public, a]));
+
+    return lines.map((line, i) => ({
+        _id: line._id,
+        name: line.name,
+        description: line.description,
+        goals: line.goals,
+        species: line.species,
+        color: line.color,
+        status: line.status,
+        members: [...memberships[i].entries()]
+            .filter(([id]) => visible.has(id))
+            .map(([id, m]) => ({ ...visible.get(id), ...m })),
+    }));
+};
+
+/**
+ * Saves the old { breedingLineDefs, animalBreedingLines } payload (PUT /api/users/breeding-lines)
+ * into BreedingLine documents: named slots are upserted by lineKey, blanked slots deleted.
+ * Description, goals, founders and the other newer fields are left untouched.
+ */
+const saveLegacyBreedingLines = async (appUserId_backend, breedingLineDefs, animalBreedingLines) => {
+    const existing = await getBreedingLines(appUserId_backend);
+    const foundersByKey = new Map(existing.map(line => [line.lineKey, new Set(line.founders || [])]));
+    const incoming = linesFromLegacyProfile(breedingLineDefs, animalBreedingLines);
+    const keep = new Set(incoming.map(line => line.lineKey));
+    const blanked = breedingLineDefs
+        .filter(def => def && isLegacySlot(def.id) && !keep.has(Number(def.id)))
+        .map(def => Number(def.id));
+
+    const ops = incoming.map(line => {
+        const founders = foundersByKey.get(line.lineKey) || new Set();
+        return {
+            updateOne: {
+                filter: { userId: appUserId_backend, lineKey: line.lineKey },
+                update: {
+                    $set: { name: line.name, color: line.color, members: line.members.filter(id => !founders.has(id)) },
+                    $setOnInsert: { userId: appUserId_backend, lineKey: line.lineKey },
+                },
+                upsert: true,
+            },
+        };
+    });
+    if (blanked.length) {
+        ops.push({ deleteMany: { filter: { userId: appUserId_backend, lineKey: { $in: blanked } } } });
+    }
+    if (ops.length) await BreedingLine.bulkWrite(ops);
+};
+
+// { lineDefs, animalLines } for buildBreedingPerformance, derived members included.
+const getBreedingLineIndex = async (appUserId_backend) => {
+    const lines = await getBreedingLines(appUserId_backend);
+    const owned = lines.some(line => line.deriveMembership)
+        ? await Animal.find({ creatorId: appUserId_backend }).select('id_public sireId_public damId_public').lean()
+        : [];
+    const animalLines = {};
+    lines.forEach(line => {
+        deriveLineMembership(line, owned).forEach((m, id) => {
+            (animalLines[id] = animalLines[id] || []).push(String(line._id));
+        });
+    });
+    return {
+        lineDefs: lines.map(line => ({ id: String(line._id), name: line.name, color: line.color })),
+        animalLines,
+    };
+};
+
+// --- Reservations / waitlist (Reservation model; status rules in utils/reservations.js) ---
+
+const displayNameOf = (user) => (user && (user.breederName || user.personalName || user.id_public)) || 'Someone';
+
+// req.user only carries ids, email and role; names come from the User record.
+const loadDisplayName = async (user) => {
+    if (!user) return displayNameOf(null);
+    const id = user._id || user.id;
+    const record = id ? await User.findById(id).select('breederName personalName id_public').lean() : null;
+    return displayNameOf(record || user);
+};
+
+const describePreference = (preference = {}) => [
+    preference.gender && preference.gender !== 'Any' ? preference.gender : null,
+    preference.color,
+    preference.species,
+].filter(Boolean).join(' ') || 'any animal';
+
+const findReservation = async (reservationId, filter) => {
+    const reservation = mongoose.Types.ObjectId.isValid(reservationId)
+        ? await Reservation.findOne({ _id: reservationId, ...filter })
+        : null;
+    if (!reservation) throw new ReservationError('Reservation not found.', [], 404);
+    return reservation;
+};
+
+// The reservations holding places in the same queue as `reservation`: same litter, or same
+// species for litter-less requests.
+const reservationQueueFilter = (reservation) => ({
+    breederId: reservation.breederId,
+    status: { $in: QUEUED_RESERVATION_STATUSES },
+    litterId: reservation.litterId || null,
+    ...(reservation.litterId ? {} : { 'preference.species': reservation.preference?.species || null }),
+});
+
+const nextReservationPosition = async (reservation) => {
+    const last = await Reservation.findOne(reservationQueueFilter(reservation)).sort({ position: -1 }).select('position').lean();
+    return (last?.position || 0) + 1;
+};
+
+// Renumbers a queue 1..n after a reservation leaves it.
+const compactReservationQueue = async (reservation) => {
+    const queue = await Reservation.find(reservationQueueFilter(reservation))
+        .sort({ position: 1, createdAt: 1 })
+        .select('_id position')
+        .lean();
+    const ops = queue
+        .map((r, i) => ({ _id: r._id, position: i + 1, previous: r.position }))
+        .filter(r => r.position !== r.previous)
+        .map(r => ({ updateOne: { filter: { _id: r._id }, update: { $set: { position: r.position } } } }));
+    if (ops.length) await Reservation.bulkWrite(ops);
+};
+
+// Notifies the breeder or the (registered) requester. Visitors and manually added entries have
+// no account to notify, so the breeder is reminded to pass the change on instead. Failures are
+// logged, not thrown — the reservation change has already been saved.
+const notifyReservation = async (reservation, recipient, type, message) => {
+    if (recipient === 'requester' && !reservation.requesterId) {
+        recipient = 'breeder';
+        type = 'reservation_update';
+        message = `${reservation.contactName}'s reservation is now ${reservation.status}. They have no account to be notified on — `
+            + (reservation.contactEmail ? `let them know at ${reservation.contactEmail}.` : 'let them know directly.');
+    }
+    const userId = recipient === 'breeder' ? reservation.breederId : reservation.requesterId;
+    if (!userId) return;
+    try {
+        await Notification.create({
+            userId,
+            userId_public: recipient === 'breeder' ? reservation.breederId_public : reservation.requesterId_public,
+            type,
+            status: 'pending',
+            read: false,
+            animalId_public: reservation.assignedAnimalId_public || undefined,
+            animalName: reservation.assignedAnimalName || undefined,
+            message,
+            metadata: {
+                reservationId: reservation._id,
+                status: reservation.status,
+                litterId_public: reservation.litter_id_public,
+                breederId_public: reservation.breederId_public,
+            },
+        });
+    } catch (notifErr) {
+        console.error('Warning: failed to send reservation notification:', notifErr);
+    }
+};
+
+// What the requester is told when the breeder moves their reservation.
+const RESERVATION_MESSAGES = {
+    accepted: (r, breeder) => `${breeder} accepted your waitlist request${r.litter_id_public ? ` for litter ${r.litter_id_public}` : ''} — you are number ${r.position} on the list.`,
+    declined: (r, breeder) => `${breeder} declined your waitlist request${r.litter_id_public ? ` for litter ${r.litter_id_public}` : ''}.`,
+    assigned: (r, breeder) => `${breeder} set aside ${r.assignedAnimalName || r.assignedAnimalId_public} (${r.assignedAnimalId_public}) for your reservation.`,
+    available: (r, breeder) => `${r.assignedAnimalName || r.assignedAnimalId_public} (${r.assignedAnimalId_public}), reserved for you by ${breeder}, is now ready to go home.`,
+    completed: (r, breeder) => `Your reservation with ${breeder} is complete.`,
+    released: (r, breeder) => `${breeder} released your waitlist spot${r.litter_id_public ? ` for litter ${r.litter_id_public}` : ''}.`,
+};
+
+/**
+ * Moves a (loaded) reservation to `to`, keeping positions, assignment and history in step,
+ * then notifies the other party. Assumes checkReservationTransition has passed.
+ */
+const applyReservationStatus = async (reservation, to, user, note = null) => {
+    const from = reservation.status;
+    const leavesQueue = QUEUED_RESERVATION_STATUSES.includes(from) && !QUEUED_RESERVATION_STATUSES.includes(to);
+
+    if (to === 'accepted' && from === 'requested') reservation.position = await nextReservationPosition(reservation);
+    if (to === 'accepted' && from !== 'requested') {
+        reservation.assignedAnimalId_public = null;
+        reservation.assignedAnimalName = null;
+    }
+    if (leavesQueue) reservation.position = null;
+    reservation.status = to;
+    reservation.statusHistory.push({ from, to, at: new Date(), by: user._id, note });
+    await reservation.save();
+    if (leavesQueue) await compactReservationQueue(reservation);
+
+    if (to === 'withdrawn') {
+        await notifyReservation(reservation, 'breeder', 'reservation_update',
+            `${reservation.contactName} withdrew their waitlist request${reservation.litter_id_public ? ` for litter ${reservation.litter_id_public}` : ''}.`);
+    } else if (RESERVATION_MESSAGES[to] && from !== to) {
+        await notifyReservation(reservation, 'requester', to === 'available' ? 'reservation_available' : 'reservation_update',
+            RESERVATION_MESSAGES[to](reservation, await loadDisplayName(user)));
+    }
+    return reservation;
+};
+
+// A litter of the breeder's that can still take reservations.
+const findReservableLitter = async (breederId, litter_id_public) => {
+    const litter = await Litter.findOne({
+        litter_id_public,
+        $or: [{ creatorId: breederId }, { linkedOwners: breederId }],
+    }).select('_id litter_id_public status isPlanned matingDate pregnancyDate birthDate weaningConfirmed pregnancyLost outcome sireId_public damId_public offspringIds_public').lean();
+    if (!litter) throw new ReservationError('Litter not found for this breeder.', [], 404);
+    if (['failed', 'lost'].includes(litter.status || deriveLitterStatus(litter))) {
+        throw new ReservationError('This litter is no longer taking reservations.', [], 409);
+    }
+    return litter;
+};
+
+// Litter and preference fields for a new reservation; the species defaults to the litter's.
+const reservationTarget = async (breederId, request) => {
+    const litter = request.litter_id_public ? await findReservableLitter(breederId, request.litter_id_public) : null;
+    const preference = { ...request.preference };
+    if (litter && !preference.species) preference.species = (await getLitterSpecies(litter))?.name || null;
+    return { litterId: litter ? litter._id : null, litter_id_public: litter ? litter.litter_id_public : null, preference };
+};
+
+/**
+ * A registered user's (`requester`) or a visitor's request for a spot on a breeder's waitlist.
+ * @param {String} breederId_public
+ * @param {Object} input - litter_id_public and/or preference { species, gender, color }, message;
+ *   visitors also contactName and contactEmail
+ * @param {Object} [options] - { requester: the signed-in User, or null for a visitor }
+ */
+const createReservationRequest = async (breederId_public, input, { requester = null } = {}) => {
+    const request = normalizeReservationRequest(input);
+    const errors = validateReservationRequest(request, { needsContact: !requester, needsEmail: !requester });
+    if (errors.length) throw new ReservationError('Invalid reservation request.', errors);
+    enforceCleanFields(request, RESERVATION_TEXT_FIELDS);
+
+    const breeder = await User.findOne({ id_public: breederId_public }).select('_id id_public').lean();
+    if (!breeder) throw new ReservationError('Breeder not found.', [], 404);
+    if (requester && String(requester._id) === String(breeder._id)) {
+        throw new ReservationError('You cannot request a spot on your own waitlist.');
+    }
+
+    const target = await reservationTarget(breeder._id, request);
+    const open = { breederId: breeder._id, status: { $in: OPEN_RESERVATION_STATUSES } };
+    if (requester) {
+        const duplicate = await Reservation.exists({
+            ...open,
+            requesterId: requester._id,
+            litterId: target.litterId,
+            ...(target.litterId ? {} : { 'preference.species': target.preference.species }),
+        });
+        if (duplicate) throw new ReservationError('You already have an open request for this.', [], 409);
+    } else if (await Reservation.countDocuments({ ...open, contactEmail: request.contactEmail }) >= MAX_OPEN_VISITOR_REQUESTS) {
+        throw new ReservationError(`At most ${MAX_OPEN_VISITOR_REQUESTS} open requests per email address.`, [], 429);
+    }
+
+    const reservation = await Reservation.create({
+        breederId: breeder._id,
+        breederId_public: breeder.id_public,
+        requesterId: requester ? requester._id : null,
+        requesterId_public: requester ? requester.id_public : null,
+        contactName: request.contactName || await loadDisplayName(requester),
+        contactEmail: request.contactEmail,
+        message: request.message,
+        source: requester ? 'user' : 'visitor',
+        ...target,
+        statusHistory: [{ from: null, to: 'requested', at: new Date(), by: requester ? requester._id : null }],
+    });
+
+    await notifyReservation(reservation, 'breeder', 'waitlist_request',
+        `${reservation.contactName} requested a spot on your waitlist ${reservation.litter_id_public ? `for litter ${reservation.litter_id_public}` : `(${describePreference(reservation.preference)})`}.`);
+    return reservation.toObject();
+};
+
+/**
+ * A spot the breeder enters themselves (e.g. from an existing spreadsheet): goes straight onto
+ * the waitlist as accepted, at the end of its queue.
+ */
+const addManualReservation = async (breeder, input) => {
+    const request = normalizeReservationRequest(input);
+    const errors = validateReservationRequest(request, { needsContact: true });
+    if (errors.length) throw new ReservationError('Invalid reservation.', errors);
+    enforceCleanFields(request, RESERVATION_TEXT_FIELDS);
+
+    const reservation = new Reservation({
+        breederId: breeder._id,
+        breederId_public: breeder.id_public,
+        contactName: request.contactName,
+        contactEmail: request.contactEmail,
+        message: request.message,
+        source: 'breeder',
+        status: 'accepted',
+        ...(await reservationTarget(breeder._id, request)),
+        statusHistory: [{ from: null, to: 'accepted', at: new Date(), by: breeder._id }],
+    });
+    reservation.position = await nextReservationPosition(reservation);
+    await reservation.save();
+    return reservation.toObject();
+};
+
+/**
+ * The breeder's waitlist, grouped by queue and ordered by position.
+ * @param {Object} [filters] - { statuses: Array<String>, litter_id_public }
+ */
+const getBreederReservations = async (breederId, { statuses = null, litter_id_public = null } = {}) => {
+    const filter = { breederId };
+    if (statuses && statuses.length) filter.status = { $in: statuses };
+    if (litter_id_public) filter.litter_id_public = litter_id_public;
+    return Reservation.find(filter)
+        .sort({ litter_id_public: 1, 'preference.species': 1, position: 1, createdAt: 1 })
+        .lean();
+};
+
+// A registered user's own requests, without the breeder's private notes.
+const getRequesterReservations = async (userId) => Reservation.find({ requesterId: userId })
+    .select('-breederNotes')
+    .sort({ createdAt: -1 })
+    .lean();
+
+/**
+ * Status change by the breeder, or a withdrawal by the requester.
+ * @param {Object} user - the signed-in User
+ */
+const changeReservationStatus = async (user, reservationId, to, { note = null } = {}) => {
+    const reservation = await findReservation(reservationId, { $or: [{ breederId: user._id }, { requesterId: user._id }] });
+    const actor = String(reservation.breederId) === String(user._id) ? 'breeder' : 'requester';
+    checkReservationTransition(reservation, to, actor);
+    return (await applyReservationStatus(reservation, to, user, note)).toObject();
+};
+
+/**
+ * Sets aside one of the breeder's animals for a reservation (or unassigns with null). For a
+ * litter reservation the animal must be one of that litter's offspring, and an animal can only
+ * be held for one open reservation at a time.
+ * @returns {{ reservation, matchesPreference: Boolean|null }}
+ */
+const assignReservationAnimal = async (breeder, reservationId, animalId_public) => {
+    const reservation = await findReservation(reservationId, { breederId: breeder._id });
+
+    if (!animalId_public) {
+        if (!['assigned', 'available'].includes(reservation.status)) {
+            throw new ReservationError('This reservation has no animal assigned.', [], 409);
+        }
+        await applyReservationStatus(reservation, 'accepted', breeder, 'Unassigned');
+        return { reservation: reservation.toObject(), matchesPreference: null };
+    }
+
+    if (!QUEUED_RESERVATION_STATUSES.includes(reservation.status)) {
+        throw new ReservationError('Only accepted reservations can have an animal assigned.', [], 409);
+    }
+    const animal = await Animal.findOne({ id_public: animalId_public, creatorId: breeder._id })
+        .select('id_public name species gender color')
+        .lean();
+    if (!animal) throw new ReservationError('Animal not found or not owned by you.', [], 404);
+    if (reservation.litterId) {
+        const litter = await Litter.findById(reservation.litterId).select('offspringIds_public').lean();
+        if (!litter || !(litter.offspringIds_public || []).includes(animal.id_public)) {
+            throw new ReservationError(`${animal.id_public} is not one of litter ${reservation.litter_id_public}'s offspring.`);
+        }
+    }
+    const heldFor = await Reservation.findOne({
+        _id: { $ne: reservation._id },
+        breederId: breeder._id,
+        assignedAnimalId_public: animal.id_public,
+        status: { $in: ['assigned', 'available'] },
+    }).select('contactName').lean();
+    if (heldFor) {
+        throw new ReservationError(`${animal.id_public} is already assigned to ${heldFor.contactName}'s reservation.`, [], 409);
+    }
+
+    const from = reservation.status;
+    reservation.assignedAnimalId_public = animal.id_public;
+    reservation.assignedAnimalName = animal.name;
+    if (from === 'accepted') {
+        checkReservationTransition(reservation, 'assigned', 'breeder');
+        await applyReservationStatus(reservation, 'assigned', breeder);
+    } else {
+        // Reassigning: a different animal is not necessarily ready yet, so back to assigned
+        reservation.status = 'assigned';
+        reservation.statusHistory.push({ from, to: 'assigned', at: new Date(), by: breeder._id, note: `Reassigned to ${animal.id_public}` });
+        await reservation.save();
+        await notifyReservation(reservation, 'requester', 'reservation_update', RESERVATION_MESSAGES.assigned(reservation, await loadDisplayName(breeder)));
+    }
+
+    return { reservation: reservation.toObject(), matchesPreference: matchesReservationPreference(animal, reservation.preference) };
+};
+
+/**
+ * Animals the breeder could assign: the litter's offspring, or their living, owned animals of
+ * the preferred species. Animals held for another open reservation are left out; preference
+ * matches come first.
+ */
+const getReservationCandidates = async (breederId, reservationId) => {
+    const reservation = await findReservation(reservationId, { breederId });
+    const filter = { creatorId: breederId };
+    if (reservation.litterId) {
+        const litter = await Litter.findById(reservation.litterId).select('offspringIds_public').lean();
+        filter.id_public = { $in: litter?.offspringIds_public || [] };
+    } else {
+        Object.assign(filter, {
+            species: reservation.preference.species,
+            isOwned: true,
+            archived: { $ne: true },
+            $or: [{ deceasedDate: null }, { deceasedDate: { $exists: false } }],
+        });
+    }
+
+    const [animals, held] = await Promise.all([
+        Animal.find(filter).select('id_public name prefix suffix species gender color birthDate imageUrl').limit(200).lean(),
+        Reservation.find({
+            _id: { $ne: reservation._id },
+            breederId,
+            status: { $in: ['assigned', 'available'] },
+        }).select('assignedAnimalId_public').lean(),
+    ]);
+    const heldIds = new Set(held.map(r => r.assignedAnimalId_public));
+
+    return animals
+        .filter(a => !heldIds.has(a.id_public))
+        .map(a => ({ ...a, matchesPreference: matchesReservationPreference(a, reservation.preference) }))
+        .sort((a, b) => Number(b.matchesPreference) - Number(a.matchesPreference));
+};
+
+/**
+ * Moves a reservation to `position` (1-based) in its queue.
+ * @returns {Promise<Array>} the queue in its new order
+ */
+const moveReservation = async (breederId, reservationId, position) => {
+    const reservation = await findReservation(reservationId, { breederId });
+    if (!QUEUED_RESERVATION_STATUSES.includes(reservation.status)) {
+        throw new ReservationError('Only reservations on the waitlist can be moved.', [], 409);
+    }
+    const queue = await Reservation.find(reservationQueueFilter(reservation)).select('_id position').lean();
+    const changes = reorderWaitlist(queue, reservation._id, position);
+    if (changes.length) {
+        await Reservation.bulkWrite(changes.map(c => ({ updateOne: { filter: { _id: c._id }, update: { $set: { position: c.position } } } })));
+    }
+    return Reservation.find(reservationQueueFilter(reservation)).sort({ position: 1 }).lean();
+};
+
+// Breeder-only fields editable after creation.
+const updateReservationDetails = async (breederId, reservationId, { breederNotes, preference, contactEmail } = {}) => {
+    const reservation = await findReservation(reservationId, { breederId });
+    if (breederNotes !== undefined) {
+        if (typeof breederNotes !== 'string' || breederNotes.length > 2000) {
+            throw new ReservationError('Invalid reservation.', ['breederNotes must be text of at most 2000 characters.']);
+        }
+        reservation.breederNotes = breederNotes;
+    }
+    if (preference !== undefined || contactEmail !== undefined) {
+        const request = normalizeReservationRequest({
+            litter_id_public: reservation.litter_id_public,
+            preference: { ...reservation.preference, ...(preference || {}) },
+            contactName: reservation.contactName,
+            contactEmail: contactEmail !== undefined ? contactEmail : reservation.contactEmail,
+        });
+        const errors = validateReservationRequest(request);
+        if (errors.length) throw new ReservationError('Invalid reservation.', errors);
+        reservation.preference = request.preference;
+        reservation.contactEmail = request.contactEmail;
+    }
+    await reservation.save();
+    return reservation.toObject();
+};
+
+// Budget Tracker transactions carry no currency, so deposits are taken in its default one.
+const DEPOSIT_CURRENCY = 'USD';
+
+/**
+ * Records a deposit and books it in the Budget Tracker as income (category "Reservation
+ * deposit"), in one transaction. Only DEPOSIT_CURRENCY is accepted.
+ */
+const addReservationDeposit = async (breederId, reservationId, { amount, currency = null, date = null, note = null } = {}) => {
+    const value = Number(amount);
+    const when = date ? new Date(date) : new Date();
+    const errors = [];
+    if (amount === undefined || amount === null || amount === '' || !Number.isFinite(value) || value <= 0) errors.push('amount must be a number greater than 0.');
+    if (currency && String(currency).toUpperCase() !== DEPOSIT_CURRENCY) errors.push(`currency must be ${DEPOSIT_CURRENCY}; the Budget Tracker keeps one currency.`);
+    if (isNaN(when.getTime())) errors.push('date is not a valid date.');
+    if (errors.length) throw new ReservationError('Invalid deposit.', errors);
+
+    const reservation = await findReservation(reservationId, { breederId });
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const [transaction] = await Transaction.create([{
+            userId: breederId,
+            type: 'income',
+            category: 'Reservation deposit',
+            price: value,
+            date: when,
+            animalId: reservation.assignedAnimalId_public,
+            animalName: reservation.assignedAnimalName,
+            description: `Reservation deposit — ${reservation.contactName}${reservation.litter_id_public ? ` (litter ${reservation.litter_id_public})` : ''}`,
+            notes: note || null,
+        }], { session });
+        reservation.deposits.push({ amount: value, currency: DEPOSIT_CURRENCY, date: when, note: note || null, transactionId: transaction._id });
+        await reservation.save({ session });
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+    return reservation.toObject();
+};
+
+// Removes a deposit and its Budget Tracker transaction.
+const removeReservationDeposit = async (breederId, reservationId, depositId) => {
+    const reservation = await findReservation(reservationId, { breederId });
+    const deposit = reservation.deposits.id(depositId);
+    if (!deposit) throw new ReservationError('Deposit not found.', [], 404);
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        if (deposit.transactionId) {
+            await Transaction.deleteOne({ _id: deposit.transactionId, userId: breederId }, { session });
+        }
+        deposit.deleteOne();
+        await reservation.save({ session });
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+    return reservation.toObject();
+};
+
+// Most pups a single bulk-offspring request may create.
+const MAX_BULK_OFFSPRING = 50;
+// Fields a bulk-offspring request may pre-fill on every pup (`defaults`) or per pup (`animals[i]`).
+// Pups are created private and without a genetic code; those go through the single-animal
+// endpoints, which keep PublicAnimal in sync and validate the code.
+const BULK_OFFSPRING_FIELDS = ['name', 'gender', 'prefix', 'suffix', 'color', 'coat', 'markings', 'earset', 'status', 'lifeStage', 'remarks', 'breederAssignedId'];
+
+const bulkOffspringError = (message) => {
+    const err = new Error(message);
+    err.code = 'INVALID_OFFSPRING_REQUEST';
+    return err;
+};
+
+/**
+ * Breeding performance per dam, sire and breeding line (utils/breedingPerformance.js) over the
+ * user's litters (created or adopted).
+ * @param {Object} filters - { species, from, to }; a litter's date is its birth date, else its
+ *   mating date, else when it was recorded; species is taken from the dam (else the sire)
+ */
+const getBreedingPerformance = async (appUserId_backend, { species = null, from = null, to = null } = {}) => {
+    const ownerFilter = { $or: [{ creatorId: appUserId_backend }, { linkedOwners: appUserId_backend }] };
+    const [allLitters, lineIndex] = await Promise.all([
+        Litter.find(ownerFilter).select('-images -statusHistory -projectedMilestones').lean(),
+        getBreedingLineIndex(appUserId_backend),
+    ]);
+
+    const parentIds = [...new Set(allLitters.flatMap(l => [l.sireId_public, l.damId_public]).filter(Boolean))];
+    const SELECT = 'id_public name prefix suffix species birthDate';
+    const [privateParents, publicParents] = await Promise.all([
+        Animal.find({ id_public: { $in: parentIds } }).select(SELECT).lean(),
+        PublicAnimal.find({ id_public: { $in: parentIds } }).select(SELECT).lean(),
+    ]);
+    const animals = new Map(publicParents.map(a => [a.id_public, a]));
+    privateParents.forEach(a => animals.set(a.id_public, a));
+
+    const fromTime = from ? new Date(from).getTime() : null;
+    // A date-only `to` includes that whole day
+    const toTime = to ? new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0) : null;
+    const speciesLitters = allLitters.filter(l => {
+        if (!species) return true;
+        const parent = animals.get(l.damId_public) || animals.get(l.sireId_public);
+        return !!parent && parent.species === species;
+    });
+    const litters = speciesLitters.filter(l => {
+        const when = new Date(l.birthDate || l.matingDate || l.createdAt).getTime();
+        if (fromTime !== null && !(when >= fromTime)) return false;
+        if (toTime !== null && !(when <= toTime)) return false;
+        return true;
+    });
+
+    return {
+        filters: { species, from, to },
+        ...buildBreedingPerformance({
+            litters,
+            allLitters: speciesLitters,
+            animals,
+            ...lineIndex,
+        }),
+    };
+};
+
+/**
+ * Works out the pups a bulk-offspring request creates (no database access): how many, their
+ * names and sexes, plus any pre-filled fields. Throws INVALID_OFFSPRING_REQUEST errors.
+ * @param {Object} litter - the Litter (counts, litter_id_public, breedingPairCodeName)
+ * @param {Array<String>} existingGenders - gender of each pup already linked to the litter
+ * @param {Object} options - see addLitterOffspring
+ * @returns {Array<Object>} one animal payload per pup
+ */
+const planLitterOffspring = (litter, existingGenders, options = {}) => {
+    const existingOf = (gender) => existingGenders.filter(g => g === gender).length;
+    const remaining = {
+        Male: Math.max(0, (litter.maleCount || 0) - existingOf('Male')),
+        Female: Math.max(0, (litter.femaleCount || 0) - existingOf('Female')),
+        Unknown: Math.max(0, (litter.unknownCount || 0) - existingOf('Unknown')),
+    };
+    const sexedTotal = (litter.maleCount || 0) + (litter.femaleCount || 0) + (litter.unknownCount || 0);
+    const liveBorn = (litter.litterSizeBorn ?? litter.numberBorn ?? 0) - (litter.stillbornCount || 0);
+    const missing = Math.max(0, (sexedTotal || liveBorn) - existingGenders.length);
+
+    const perPup = Array.isArray(options.animals) ? options.animals : [];
+    const count = options.count !== undefined ? Number(options.count) : Math.max(missing, perPup.length);
+    if (!Number.isInteger(count) || count < 1) {
+        throw bulkOffspringError('Nothing to create: pass a count (the litter\'s counts have no pups left to add).');
+    }
+    if (count > MAX_BULK_OFFSPRING) {
+        throw bulkOffspringError(`At most ${MAX_BULK_OFFSPRING} offspring can be created at once.`);
+    }
+    const startNumber = options.startNumber !== undefined ? Number(options.startNumber) : existingGenders.length + 1;
+    if (!Number.isInteger(startNumber)) {
+        throw bulkOffspringError('startNumber must be a whole number.');
+    }
+    if (options.namePattern !== undefined && options.namePattern !== null
+        && (typeof options.namePattern !== 'string' || !options.namePattern.trim())) {
+        throw bulkOffspringError('namePattern must be non-empty text.');
+    }
+
+    const pick = (source) => Object.fromEntries(BULK_OFFSPRING_FIELDS.filter(f => source && source[f] !== undefined).map(f => [f, source[f]]));
+    const defaults = pick(options.defaults);
+    const sexes = [
+        ...Array(remaining.Male).fill('Male'),
+        ...Array(remaining.Female).fill('Female'),
+        ...Array(remaining.Unknown).fill('Unknown'),
+    ];
+    const litterLabel = litter.breedingPairCodeName || litter.litter_id_public;
+    const namePattern = options.namePattern || '{litter} Pup {n}';
+
+    return Array.from({ length: count }, (_, i) => ({
+        name: namePattern.replace(/\{n\}/g, String(startNumber + i)).replace(/\{litter\}/g, litterLabel),
+        gender: sexes[i] || 'Unknown',
+        lifeStage: 'Newborn',
+        ...defaults,
+        ...pick(perPup[i]),
+    }));
+};
+
+/**
+ * Creates a born litter's pups in one go: species, birth date, sire/dam, breeder and litter link
+ * come from the litter; names follow `namePattern` ({n} = pup number, {litter} = pairing code
+ * name or CTL ID); sexes are handed out from the litter's male/female/unknown counts (less pups
+ * already created). The animals, the litter's offspringIds_public and the parents' repro flags
+ * are written in one transaction.
+ *
+ * @param {Object} options - { count, namePattern, startNumber, breederId_public, species, defaults, animals: [{...}] }
+ *   count defaults to the pups still missing from the litter's counts; `animals` overrides per pup;
+ *   species is only needed when neither parent has a record to take it from
+ * @returns {Promise<{ litter_id_public, created: Array, offspringIds_public: Array }>}
+ */
+const addLitterOffspring = async (appUserId_backend, litterId_backend, options = {}) => {
+    const litter = await Litter.findOne({ _id: litterId_backend, $or: [{ creatorId: appUserId_backend }, { linkedOwners: appUserId_backend }] }).lean();
+    if (!litter) {
+        throw new Error('Litter not found or user does not own this litter.');
+    }
+    const status = litter.status || deriveLitterStatus(litter);
+    if (!['born', 'weaned'].includes(status) || !litter.birthDate) {
+        throw new LitterStatusError(`Offspring can only be added to a born litter (this litter is ${status || 'unplanned'}).`, [], 409);
+    }
+
+    const speciesDoc = await getLitterSpecies(litter);
+    const species = options.species || (speciesDoc && speciesDoc.name);
+    if (!species) {
+        throw bulkOffspringError('Could not determine the species from the litter\'s parents; pass species explicitly.');
+    }
+
+    const existing = litter.offspringIds_public?.length
+        ? await Animal.find({ id_public: { $in: litter.offspringIds_public } }).select('gender').lean()
+        : [];
+    const pups = planLitterOffspring(litter, existing.map(a => a.gender), options);
+
+    const owner = await User.findById(appUserId_backend).select('id_public').lean();
+    const breederId_public = options.breederId_public || (owner && owner.id_public) || null;
+    await numberLitterOffspring(appUserId_backend, await getIdTemplateSettings(appUserId_backend), litter, species, pups);
+
+    const docs = [];
+    for (const animalData of pups) {
+        enforceCleanAnimalText(animalData);
+        docs.push({
+            isDisplay: false,
+            ...animalData,
+            creatorId: appUserId_backend,
+            creatorId_public: owner && owner.id_public,
+            id_public: await getNextSequence('animalId'),
+            species,
+            birthDate: litter.birthDate,
+            sireId_public: litter.sireId_public || null,
+            damId_public: litter.damId_public || null,
+            breederId_public,
+            litterId: litter._id,
+        });
+    }
+
+    const session = await mongoose.startSession();
+    let created;
+    try {
+        session.startTransaction();
+        created = await Animal.create(docs, { session, ordered: true });
+        const ids = created.map(a => a.id_public);
+        await Litter.updateOne({ _id: litter._id }, { $push: { offspringIds_public: { $each: ids } } }, { session });
+        await User.updateOne({ _id: appUserId_backend }, { $push: { ownedAnimals: { $each: created.map(a => a._id) } } }, { session });
+        await syncParentReproStatus(appUserId_backend, [litter.sireId_public, litter.damId_public], { session });
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw registrationConflict(error);
+    } finally {
+        session.endSession();
+    }
+
+    // Timeline entries and link requests to other owners' parents/breeder, as for single creates.
+    for (const animal of created) {
+        const saved = animal.toObject();
+        await notifyLinkageChanges(appUserId_backend, null, saved);
+        await logAnimalCreated({ userId: appUserId_backend, animalId: animal._id, animalId_public: saved.id_public, name: saved.name });
+    }
+
+    return {
+        litter_id_public: litter.litter_id_public,
+        created: created.map(a => ({ id_public: a.id_public, name: a.name, gender: a.gender, breederAssignedId: a.breederAssignedId || null })),
+        offspringIds_public: [...(litter.offspringIds_public || []), ...created.map(a => a.id_public)],
+    };
+};
+
+// --- PEDIGREE SERVICE FUNCTIONS ---
+
+// Deepest pedigree the API will trace. A full 12-generation tree is 8191 slots, which is
+// still cheap to build from the batched fetch below — line-bred colonies routinely have
+// their common ancestors 6-10 generations back.
+const MAX_PEDIGREE_GENERATIONS = 12;
+const PEDIGREE_FORMATS = ['nested', 'flat', 'ahnentafel'];
+
+// N generations is N+1 levels (the subject plus N generations of ancestors), capped at the maximum.
+const pedigreeDepth = (generations) => Math.min(generations, MAX_PEDIGREE_GENERATIONS) + 1;
+
+/**
+ * Optimized breadth-first pedigree fetch using batch loading.
+ * Replaces recursive approach to reduce N+1 queries: one $in query per generation.
+ *
+ * Each animal is fetched at most once even if it appears in several generations (common in
+ * line-bred pedigrees), so the query size is bounded by unique ancestors, not tree slots.
+ *
+ * @returns {Promise<Map<string, Object>>} id_public → lean PublicAnimal for every resolved ancestor
+ */
+const fetchPedigreeAnimals = async (rootId_public, maxDepth, rootAnimal = null) => {
+    const animals = new Map();
+    const requested = new Set();
+    // A caller that already holds the subject (e.g. the owner's private record) can seed it,
+    // so the pedigree still resolves when the subject itself has not been made public.
+    if (rootAnimal) {
+        animals.set(rootId_public, rootAnimal);
+        requested.add(rootId_public);
+    }
+    let currentLevelIds = [rootId_public];
+
+    for (let level = 0; level < maxDepth && currentLevelIds.length > 0; level++) {
+        const toFetch = currentLevelIds.filter(id => !requested.has(id));
+        toFetch.forEach(id => requested.add(id));
+
+        if (toFetch.length > 0) {
+            const found = await PublicAnimal.find(
+                { id_public: { $in: toFetch } },
+                { id_public: 1, sireId_public: 1, damId_public: 1, creatorId_public: 1,
+                  name: 1, prefix: 1, suffix: 1, species: 1, gender: 1,
+                  birthDate: 1, deceasedDate: 1, color: 1, coat: 1,
+                  breederAssignedId: 1, pedigreeRegistrationId: 1 }
+            ).lean();
+            found.forEach(a => animals.set(a.id_public, a));
+        }
+
+        // Parents of every animal on this level (including ones fetched on an earlier level)
+        const nextLevelIds = new Set();
+        for (const id of currentLevelIds) {
+            const animal = animals.get(id);
+            if (!animal) continue;
+            if (animal.sireId_public) nextLevelIds.add(animal.sireId_public);
+            if (animal.damId_public) nextLevelIds.add(animal.damId_public);
+        }
+        currentLevelIds = Array.from(nextLevelIds);
+    }
+
+    return animals;
+};
+
+const toPedigreeNode = (animal, generation) => {
+    return {
+        id_public: animal.id_public,
+        creatorId_public: animal.creatorId_public,
+        species: animal.species,
+        prefix: animal.prefix,
+        suffix: animal.suffix,
+        name: `${animal.prefix ? animal.prefix + ' ' : ''}${animal.name}${animal.suffix ? ' ' + animal.suffix : ''}`,
+        gender: animal.gender,
+        birthDate: animal.birthDate,
+        deceasedDate: animal.deceasedDate,
+        color: animal.color,
+        coat: animal.coat,
+        breederAssignedId: animal.breederAssignedId,
+        pedigreeRegistrationId: animal.pedigreeRegistrationId,
+        generation,
+    };
+};
+
+/**
+ * Nested { ...node, sire, dam } tree — the original pedigree chart shape.
+ * Ancestors that are referenced but not public become placeholder leaves.
+ */
+const buildNestedPedigree = (animals, rootId_public, maxDepth) => {
+    const buildTreeNode = (id_public, level) => {
+        if (!id_public || level >= maxDepth) return null;
+
+        const animal = animals.get(id_public);
+        if (!animal) {
+            // Ancestor not found (either never registered or never made public)
+            return { id_public, isPlaceholder: true, generation: level };
+        }
+
+        return {
+            ...toPedigreeNode(animal, level),
+            sire: buildTreeNode(animal.sireId_public, level + 1),
+            dam: buildTreeNode(animal.damId_public, level + 1),
+        };
+    };
+
+    return buildTreeNode(rootId_public, 0);
+};
+
+/**
+ * Flat graph: one node per unique animal plus child → parent edges. An ancestor reached
+ * along several lines appears once, with every generation it occupies in `generations`.
+ */
+const buildFlatPedigree = (animals, rootId_public, maxDepth) => {
+    const nodes = new Map();
+    const edges = [];
+    const seenEdges = new Set();
+    let current = [rootId_public];
+
+    for (let level = 0; level < maxDepth && current.length > 0; level++) {
+        const next = new Set();
+        for (const id of current) {
+            const animal = animals.get(id);
+            if (!nodes.has(id)) {
+                nodes.set(id, {
+                    ...(animal ? toPedigreeNode(animal, level) : { id_public: id, isPlaceholder: true, generation: level }),
+                    generations: [],
+                });
+            }
+            const node = nodes.get(id);
+            if (!node.generations.includes(level)) node.generations.push(level);
+
+            if (!animal || level + 1 >= maxDepth) continue;
+            for (const [relation, parentId] of [['sire', animal.sireId_public], ['dam', animal.damId_public]]) {
+                if (!parentId) continue;
+                const key = `${id}>${parentId}`;
+                if (!seenEdges.has(key)) {
+                    seenEdges.add(key);
+                    edges.push({ childId_public: id, parentId_public: parentId, relation });
+                }
+                next.add(parentId);
+            }
+        }
+        current = Array.from(next);
+    }
+
+    return {
+        rootId_public,
+        generations: maxDepth - 1,
+        nodes: Array.from(nodes.values()),
+        edges,
+    };
+};
+
+/**
+ * Ahnentafel-numbered list: the subject is 1, and an ancestor numbered n has its sire at 2n
+ * and its dam at 2n + 1. Only known slots are listed, in ascending number order.
+ */
+const buildAhnentafelPedigree = (animals, rootId_public, maxDepth) => {
+    const entries = [];
+    let current = [{ number: 1, id_public: rootId_public }];
+
+    for (let level = 0; level < maxDepth && current.length > 0; level++) {
+        const next = [];
+        for (const { number, id_public } of current) {
+            const animal = animals.get(id_public);
+            entries.push({
+                number,
+                ...(animal ? toPedigreeNode(animal, level) : { id_public, isPlaceholder: true, generation: level }),
+            });
+            if (!animal) continue;
+            if (animal.sireId_public) next.push({ number: number * 2, id_public: animal.sireId_public });
+            if (animal.damId_public) next.push({ number: number * 2 + 1, id_public: animal.damId_public });
+        }
+        current = next;
+    }
+
+    return entries;
+};
+
+/**
+ * Fetches a pedigree in batches and returns it in the requested shape.
+ * @param {string} rootId_public
+ * @param {number} maxDepth - levels including the subject (generations + 1)
+ * @param {string} format - 'nested' (default), 'flat' or 'ahnentafel'
+ */
+const fetchPedigreeByBatch = async (rootId_public, maxDepth, format = 'nested') => {
+    const animals = await fetchPedigreeAnimals(rootId_public, maxDepth);
+
+    if (format === 'flat') return buildFlatPedigree(animals, rootId_public, maxDepth);
+    if (format === 'ahnentafel') return buildAhnentafelPedigree(animals, rootId_public, maxDepth);
+    return buildNestedPedigree(animals, rootId_public, maxDepth);
+};
+
+
+/**
+ * Generates a pedigree for a given animal up to MAX_PEDIGREE_GENERATIONS generations.
+ * Uses batch loading (one query per generation) instead of recursive queries.
+ */
+const generatePedigree = async (appUserId_backend, animalId_backend, generations = 4, format = 'nested') => {
+    if (!PEDIGREE_FORMATS.includes(format)) {
+        throw new Error(`Unknown pedigree format "${format}".`);
+    }
+    const maxDepth = pedigreeDepth(generations);
+    
+    // 1. Get the starting animal to find its public ID
+    // We must ensure the user owns the root animal first using the private collection
+    const rootAnimal = await getAnimalByIdAndUser(appUserId_backend, animalId_backend);
+    
+    // 2. Fetch the pedigree using batch loading, shaped per `format`
+    return fetchPedigreeByBatch(rootAnimal.id_public, maxDepth, format);
+};
+
+/**
+ * Gathers everything a printable pedigree certificate needs for an owned animal: the owner's
+ * private record, a nested pedigree seeded from it, and the owner's/breeder's public profiles.
+ */
+const getPedigreeCertificateData = async (appUserId_backend, animalId_backend, generations = 4) => {
+    const maxDepth = pedigreeDepth(generations);
+    const animal = await getAnimalByIdAndUser(appUserId_backend, animalId_backend);
+
+    const animals = await fetchPedigreeAnimals(animal.id_public, maxDepth, animal);
+    const pedigree = buildNestedPedigree(animals, animal.id_public, maxDepth);
+
+    const PROFILE_SELECT = 'id_public personalName showPersonalName breederName showBreederName country state websiteURL showWebsiteURL';
+    const [owner, breeder] = await Promise.all([
+        PublicProfile.findOne({ userId_backend: appUserId_backend }).select(PROFILE_SELECT).lean(),
+        animal.breederId_public
+            ? PublicProfile.findOne({ id_public: animal.breederId_public }).select(PROFILE_SELECT).lean()
+            : null,
+    ]);
+
+    return { animal, pedigree, owner, breeder };
+};
+
+
+// --- GENETICS SERVICE FUNCTIONS ---
+
+/**
+ * Returns the current published GeneticsData for a species (highest version), or null.
+ */
+const getPublishedGeneticsData = async (speciesName) => {
+    if (!speciesName) return null;
+    return GeneticsData.findOne({ speciesName, isPublished: true })
+        .sort({ version: -1, updatedAt: -1 })
+        .lean();
+};
+
+/**
+ * Parses an animal's geneticCode against its species' published GeneticsData.
+ * Returns the fields to save: the code with each pair in normalised notation, plus the
+ * structured genotype. Species without published data are stored as typed, unparsed.
+ * With strict=false (legacy codes re-sent unchanged by the edit form) a code that does not
+ * parse is kept as-is rather than blocking the save; otherwise throws GeneticCodeError.
+ * With autoFillPhenotype, color/coat/markings suggested by the species' phenotypeRules are
+ * included too (fields no rule decides are left out, so existing values stay).
+ */
+const resolveGeneticCode = async (geneticCode, speciesName, { strict = true, autoFillPhenotype = false } = {}) => {
+    const raw = typeof geneticCode === 'string' ? geneticCode.trim() : '';
+    if (!raw) {
+        return { geneticCode: geneticCode === undefined ? undefined : null, geneticGenotype: [], geneticGenotypeVersion: null };
+    }
+
+    const geneticsData = await getPublishedGeneticsData(speciesName);
+    if (!geneticsData) {
+        return { geneticCode: raw, geneticGenotype: [], geneticGenotypeVersion: null };
+    }
+
+    const { genotype, normalizedCode, errors } = parseGeneticCode(raw, buildLocusIndex(geneticsData));
+    if (errors.length > 0) {
+        if (strict) throw new GeneticCodeError(speciesName, errors);
+        return { geneticCode: raw, geneticGenotype: [], geneticGenotypeVersion: null };
+    }
+    const resolved = { geneticCode: normalizedCode, geneticGenotype: genotype, geneticGenotypeVersion: geneticsData.version };
+    if (autoFillPhenotype) {
+        const { suggestions } = evaluatePhenotypeRules(genotype, geneticsData.phenotypeRules);
+        Object.entries(suggestions).forEach(([field, value]) => {
+            if (value) resolved[field] = value;
+        });
+    }
+    return resolved;
+};
+
+/**
+ * Infers per-locus genotype probabilities for an animal from its relatives' genetic codes
+ * (see utils/genotypeInference.js). Offspring are found through their sire/dam links and
+ * through litters' offspringIds_public. Only relatives the user may see are read: their own or
+ * view-shared animals, and public copies of everyone else's. Returns null when the species has
+ * no published data.
+ */
+const getGenotypeInference = async (appUserId_backend, animalId_public) => {
+    const animal = await Animal.findOne({
+        id_public: animalId_public,
+        $or: [{ creatorId: appUserId_backend }, { viewOnlyForUsers: appUserId_backend }],
+    }).select('id_public species').lean();
+    if (!animal) throw new Error('Animal not found.');
+
+    const geneticsData = await getPublishedGeneticsData(animal.species);
+    if (!geneticsData) return null;
+
+    // Relatives: the user's own or view-shared records, else the public copy (see findVisibleAnimals).
+    const select = 'id_public name sireId_public damId_public geneticCode';
+    const loadAnimal = async (id) => (await findVisibleAnimals(appUserId_backend, { id_public: id }, select))[0] || null;
+    const loadOffspring = async (id) => {
+        const [children, litters] = await Promise.all([
+            findVisibleAnimals(appUserId_backend, { $or: [{ sireId_public: id }, { damId_public: id }] }, select),
+            Litter.find({
+                $and: [
+                    { $or: [{ sireId_public: id }, { damId_public: id }] },
+                    { $or: [{ creatorId: appUserId_backend }, { linkedOwners: appUserId_backend }, { isDisplayLitter: true }] },
+                ],
+            }).select('sireId_public damId_public offspringIds_public').lean()
+        ]);
+        const offspring = children.map(c => ({ ...c, mateId: c.sireId_public === id ? c.damId_public : c.sireId_public }));
+        const known = new Set(offspring.map(c => c.id_public));
+        for (const litter of litters) {
+            const ids = (litter.offspringIds_public || []).filter(o => !known.has(o));
+            if (ids.length === 0) continue;
+            const mateId = litter.sireId_public === id ? litter.damId_public : litter.sireId_public;
+            const litterOffspring = await findVisibleAnimals(appUserId_backend, { id_public: { $in: ids } }, select);
+            litterOffspring.forEach(c => {
+                known.add(c.id_public);
+                offspring.push({ ...c, mateId });
+            });
+        }
+        return offspring;
+    };
+
+    const inference = await inferGenotype(animal.id_public, buildLocusIndex(geneticsData), { loadAnimal, loadOffspring });
+    return { species: animal.species, geneticsVersion: geneticsData.version, ...inference };
+};
+
+/**
+ * Bulk check of every owned animal's geneticCode. Read-only: nothing is saved.
+ * @returns {Object} { checked, valid, needsNormalizing: [...], invalid: [...], unchecked: [{ species, count, reason }] }
+ */
+const validateUsersGeneticCodes = async (appUserId_backend) => {
+    const animals = await Animal.find({
+        creatorId: appUserId_backend,
+        isStub: { $ne: true },
+        geneticCode: { $nin: [null, ''] }
+    }).select('id_public name prefix suffix species geneticCode').lean();
+
+    const bySpecies = new Map();
+    animals.forEach(a => {
+        if (!bySpecies.has(a.species)) bySpecies.set(a.species, []);
+        bySpecies.get(a.species).push(a);
+    });
+
+    const report = { checked: 0, valid: 0, needsNormalizing: [], invalid: [], unchecked: [] };
+    for (const [species, group] of bySpecies) {
+        const geneticsData = await getPublishedGeneticsData(species);
+        if (!geneticsData) {
+            report.unchecked.push({ species, count: group.length, reason: 'No published genetics data for this species.' });
+            continue;
+        }
+        const index = buildLocusIndex(geneticsData);
+        for (const animal of group) {
+            report.checked++;
+            const { normalizedCode, errors } = parseGeneticCode(animal.geneticCode, index);
+            const entry = { id_public: animal.id_public, name: animal.name, species, geneticCode: animal.geneticCode };
+            if (errors.length > 0) {
+                report.invalid.push({ ...entry, errors });
+                continue;
+            }
+            report.valid++;
+            if (normalizedCode !== animal.geneticCode.trim()) {
+                report.needsNormalizing.push({ ...entry, normalizedCode });
+            }
+        }
+    }
+    return report;
+};
+
+// --- PUBLIC FUNCTIONS ---
+
+/**
+ * Retrieves a public profile for display.
+ */
+const getPublicProfile = async (id_public) => { 
+    const profile = await PublicProfile.findOne({ id_public }).lean();
+    if (!profile) {
+        throw new Error(`Public profile with ID ${id_public} not found.`);
+    }
+    return profile;
+};
+
+/**
+ * Retrieves all publicly shared animals owned by a user.
+ * Only returns animals actually owned by the user (not borrowed/bred to).
+ */
+const getPublicAnimalsByOwner = async (creatorId_public) => { 
+    // Show owned animals, plus any marked for sale or stud regardless of isOwned status
+    return PublicAnimal.find({
+        creatorId_public,
+        $or: [{ isOwned: true }, { isForSale: true }, { availableForBreeding: true }]
+    }).sort({ birthDate: -1 }).lean();
+};
+
+
+/**
+ * Deletes an animal owned by the user and cleans up related records.
+ */
+const deleteAnimal = async (appUserId_backend, animalId_backend) => {
+    // Verify ownership and existence
+    const animal = await Animal.findOne({ _id: animalId_backend, creatorId: appUserId_backend });
+    if (!animal) {
+        throw new Error('Animal not found or does not own this animal.');
+    }
+
+    // Block deletion while a transfer is pending — otherwise the recipient is left with a
+    // notification/transfer record pointing at an animal that no longer exists.
+    if (animal.pendingTransferId) {
+        throw new Error('This animal has a pending transfer request. Withdraw it before deleting.');
+    }
+
+    // Check if this is a transferred animal (has originalCreatorId and it's not the current owner)
+    if (animal.originalCreatorId && animal.originalCreatorId.toString() !== appUserId_backend.toString()) {
+        console.log(`[deleteAnimal] Reverting transferred animal ${animal.id_public} back to original owner`);
+        
+        // Revert ownership back to original owner
+        const originalOwner = await User.findById(animal.originalCreatorId).select('id_public');
+        
+        if (originalOwner) {
+            const originalCreatorId = animal.originalCreatorId; // Store before clearing
+            
+            // Update animal ownership
+            animal.creatorId = originalCreatorId;
+            animal.creatorId_public = originalOwner.id_public;
+            animal.soldStatus = null; // Clear sold status
+            animal.originalCreatorId = null; // Clear original owner reference
+            
+            // Remove original owner from viewOnlyForUsers (they own it now, not view-only)
+            // AND remove current owner (buyer returning the animal) - they should NOT have view-only access after returning
+            animal.viewOnlyForUsers = animal.viewOnlyForUsers.filter(
                 userId => userId.toString() !== originalCreatorId.toString() && userId.toString() !== appUserId_backend.toString()
             );
             
@@ -2130,6 +4793,9 @@ const deleteAnimal = async (appUserId_backend, animalId_backend) => {
     await Litter.updateMany({ sireId_public: animal.id_public }, { $set: { sireId_public: null } });
     await Litter.updateMany({ damId_public: animal.id_public }, { $set: { damId_public: null } });
 
+    // Its feeding log goes with it
+    await FeedingRecord.deleteMany({ animalId: animal._id });
+
     // If a public record exists for this animal, remove it
     try {
         await PublicAnimal.deleteOne({ id_public: animal.id_public });
@@ -2579,10 +5245,83 @@ module.exports = {
     addLitter,
     adoptLitter,
     getUsersLitters,
+    getUsersLittersByStatus,
+    getBreedingPerformance,
+    addLitterOffspring,
+    planLitterOffspring,
     getLittersForAnimal,
     updateLitter,
+    backfillLitterProjections,
+    // Heat cycle functions
+    getHeatCycle,
+    addHeatRecord,
+    updateHeatRecord,
+    deleteHeatRecord,
+    // Growth curve functions
+    getAnimalGrowth,
+    getLitterGrowth,
+    getGrowthReference,
+    // Enclosure reading functions
+    addEnclosureReading,
+    ingestSensorReadings,
+    getEnclosureReadings,
+    getEnclosureReadingSummary,
+    updateEnclosureReading,
+    deleteEnclosureReading,
+    createSensorKey,
+    revokeSensorKey,
+    // Supply ledger and forecast functions
+    adjustSupplyStock,
+    recordSupplyMovement,
+    getSupplyMovements,
+    getSupplyForecasts,
+    getShoppingList,
+    // Feeding log functions
+    recordFeeding,
+    getAnimalFeedings,
+    getEnclosureFeedings,
+    // Registration number template functions
+    getIdTemplates,
+    updateIdTemplates,
+    previewIdTemplates,
+    // Breeding line functions
+    migrateLegacyBreedingLines,
+    getBreedingLines,
+    getBreedingLine,
+    createBreedingLine,
+    updateBreedingLine,
+    deleteBreedingLine,
+    updateBreedingLineMembers,
+    getBreedingLineMembers,
+    getBreedingLineTrends,
+    getPublicBreedingLines,
+    saveLegacyBreedingLines,
+    // Reservation (waitlist) functions
+    createReservationRequest,
+    addManualReservation,
+    getBreederReservations,
+    getRequesterReservations,
+    changeReservationStatus,
+    assignReservationAnimal,
+    getReservationCandidates,
+    moveReservation,
+    updateReservationDetails,
+    addReservationDeposit,
+    removeReservationDeposit,
     // Pedigree functions
+    MAX_PEDIGREE_GENERATIONS,
+    PEDIGREE_FORMATS,
+    pedigreeDepth,
+    buildNestedPedigree,
+    buildFlatPedigree,
+    buildAhnentafelPedigree,
     generatePedigree,
+    getPedigreeCertificateData,
+    // Genetics functions
+    getPublishedGeneticsData,
+    resolveGeneticCode,
+    getGenotypeInference,
+    validateUsersGeneticCodes,
     // Public functions
     getPublicProfile,
     getPublicAnimalsByOwner,
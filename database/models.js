@@ -130,6 +130,14 @@ const UserSchema = new mongoose.Schema({
         enclosureShowAvailable: { type: Boolean, default: true },
         enclosureShowBooked: { type: Boolean, default: true },
         enclosureShowRehomed: { type: Boolean, default: false }
+    },
+    // Registration number templates for litters and offspring (tokens in utils/idTemplates.js).
+    // A null template leaves that kind unnumbered.
+    idTemplates: {
+        prefix: { type: String, default: null, trim: true },
+        litter: { type: String, default: null }, // e.g. '{prefix}-{YYYY}-{litterSeq:3}'
+        offspring: { type: String, default: null }, // e.g. '{prefix}-{YYYY}-{litterSeq:3}-{pupSeq}'
+        speciesCodes: { type: Map, of: String, default: {} } // species name -> code printed by {species}
     }
 });
 const User = mongoose.model('User', UserSchema);
@@ -178,8 +186,10 @@ const PublicProfileSchema = new mongoose.Schema({
     betaSurveyLastPromptedAt: { type: Date, default: null }, // Drives the once-per-day "Skip for now" re-prompt throttle
     speciesOrder: { type: [String], default: [] }, // User's custom order for species display
     speciesFavorites: { type: [String], default: [] }, // User's favorite species (starred)
+    // Legacy breeding lines, kept for reference only — now the BreedingLine model
     breedingLineDefs: { type: Array, default: [] },        // [{ id, name, color }]
     animalBreedingLines: { type: mongoose.Schema.Types.Mixed, default: {} }, // { animalId_public: [lineIds] }
+    breedingLinesMigratedAt: { type: Date, default: null }, // set once copied into BreedingLine
     
     // Donation badge fields
     monthlyDonationActive: { type: Boolean, default: false },  // Monthly supporter badge (diamond)
@@ -246,6 +256,16 @@ const ShowEventSchema = new mongoose.Schema({
     judgeComments: { type: String }, // Judge feedback or critique
 }, { _id: false });
 
+// One locus of an animal's geneticCode as parsed against the species' published GeneticsData
+// (see utils/genetics.js parseGeneticCode).
+const GenotypeLocusSchema = new mongoose.Schema({
+    locus: { type: String }, // Locus symbol, e.g. 'A'
+    locusName: { type: String }, // e.g. 'Agouti'
+    category: { type: String }, // 'color' | 'marking' | 'coat' | 'other'
+    alleles: [{ type: String }], // Normalised order, '-' = unknown
+    notation: { type: String }, // e.g. 'A/a'
+}, { _id: false });
+
 // --- 4. ANIMAL SCHEMA (Private Data) ---
 const AnimalSchema = new mongoose.Schema({
     creatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
@@ -275,6 +295,8 @@ const AnimalSchema = new mongoose.Schema({
     birthDate: { type: Date, default: Date.now },
     deceasedDate: { type: Date, default: null },
     breederAssignedId: { type: String, default: null },
+    // Counter value an offspring template number was drawn with (null when typed in by hand)
+    breederAssignedIdSeq: { type: Number, default: null },
     sbId: { type: String, default: null, index: true }, // SimpleBreed animal ID (immutable, set during SB import)
     status: { type: String, default: 'Pet' },
     color: { type: String, default: null },
@@ -326,7 +348,8 @@ const AnimalSchema = new mongoose.Schema({
     treatmentHistory: { type: [mongoose.Schema.Types.Mixed], default: [] },
 
     // Feeding schedule tracking (for Management view)
-    lastFedDate: { type: Date, default: null },
+    lastFedDate: { type: Date, default: null }, // latest accepted (or deliberately skipped) feeding
+    lastOfferedDate: { type: Date, default: null }, // latest feeding offered, whatever the outcome
     feedingIntervalHours: { type: Number, default: null }, // Feed every N hours (supports multiple feedings/day)
 
     // Animal-specific care tasks (weigh, nail trim, health check, handling, etc.)
@@ -365,6 +388,10 @@ const AnimalSchema = new mongoose.Schema({
     // SENSITIVE/OPTIONAL DATA (Default to private)
     remarks: { type: String, default: '' },
     geneticCode: { type: String, default: null },
+    // Structured form of geneticCode, set on save when the species has published GeneticsData;
+    // geneticGenotypeVersion is the GeneticsData version it was parsed against.
+    geneticGenotype: { type: [GenotypeLocusSchema], default: undefined },
+    geneticGenotypeVersion: { type: Number, default: null },
     
     // Tab 2: Ownership Fields
     manualownerName: { type: String, default: null }, // Free-text keeper/custodian name
@@ -447,6 +474,19 @@ const AnimalSchema = new mongoose.Schema({
     
     // Dog/Cat specific reproduction fields
     estrusCycleLength: { type: Number, default: null }, // days
+    // 'calculated' when estrusCycleLength is the average of heatRecords, 'manual' when typed in
+    estrusCycleLengthSource: { type: String, enum: ['manual', 'calculated', null], default: null },
+    // Heat (estrus) observations, oldest first; lastHeatDate/ovulationDate mirror the latest.
+    // Changed only through the heat record services (utils/heatCycles.js).
+    heatRecords: [{
+        startDate: { type: Date, required: true },
+        endDate: { type: Date, default: null },
+        ovulationDate: { type: Date, default: null },
+        signs: { type: [String], default: [] },
+        progesteroneLevel: { type: Number, default: null }, // ng/mL
+        notes: { type: String, default: null },
+        createdAt: { type: Date, default: Date.now }
+    }],
     gestationLength: { type: Number, default: null }, // days
     artificialInseminationUsed: { type: Boolean, default: null },
     deliveryMethod: { type: String, default: null }, // Natural, C-section
@@ -950,6 +990,11 @@ const LitterSchema = new mongoose.Schema({
     // System-assigned litter ID (e.g., CTL1001) - used for system linkage to breeding records
     litter_id_public: { type: String, unique: true, sparse: true, index: true, default: null },
     
+    // Breeder's own registration number, from User.idTemplates.litter or typed in; unique per creator
+    registrationNumber: { type: String, default: null, trim: true },
+    // Counter value the number was drawn with — {litterSeq} in the offspring template
+    registrationSeq: { type: Number, default: null },
+
     // User-friendly breeding pair code name (optional, e.g., "Disney's Hakuna Matata", "Breeding Project A")
     breedingPairCodeName: { type: String, default: null }, 
     
@@ -1022,6 +1067,40 @@ const LitterSchema = new mongoose.Schema({
     unknownCount: { type: Number, default: null },
     weaningDate: { type: Date, default: null },
 
+    // Lifecycle status (see utils/litterLifecycle.js). null on litters saved before statuses
+    // existed — deriveLitterStatus() stands in for those. Changes go through updateLitter.
+    status: { type: String, enum: ['planned', 'mated', 'pregnant', 'born', 'weaned', 'failed', 'lost', null], default: null, index: true },
+    statusChangedAt: { type: Date, default: null },
+    statusHistory: [{
+        _id: false,
+        from: { type: String, default: null }, // null for the status set at creation
+        to: { type: String, required: true },
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        correction: { type: Boolean, default: false }, // Undo of the previous transition
+        note: { type: String, default: null },
+    }],
+
+    // 'manual' when expectedDueDate was entered by hand (never overwritten by projections),
+    // 'projected' when it was filled in from the species' gestation length.
+    expectedDueDateSource: { type: String, enum: ['manual', 'projected', null], default: null },
+    // Species-based projections, refreshed by addLitter/updateLitter (utils/litterMilestones.js)
+    projectedMilestones: {
+        type: {
+            _id: false,
+            dueDateEarliest: { type: Date, default: null },
+            dueDateLatest: { type: Date, default: null },
+            weaningWindowStart: { type: Date, default: null },
+            weaningWindowEnd: { type: Date, default: null },
+            sexingDate: { type: Date, default: null },
+            separateBySexDate: { type: Date, default: null },
+            species: { type: String, default: null },
+            basis: { type: String, enum: ['birthDate', 'expectedDueDate', 'projectedDueDate', null], default: null },
+            projectedAt: { type: Date, default: null },
+        },
+        default: null
+    },
+
     // Planned mating flag — true until a birthDate is set
     isPlanned: { type: Boolean, default: false, index: true },
     // Whether this litter is shown on the breeder's public profile
@@ -1030,6 +1109,8 @@ const LitterSchema = new mongoose.Schema({
     matingReminderSent: { type: Boolean, default: false },
     // Tracks whether the user has permanently dismissed the weaning notification for this litter
     weaningDismissed: { type: Boolean, default: false },
+    // Set once the pups have been split by sex; ends the separate-by-sex milestone reminder
+    separatedBySex: { type: Boolean, default: false },
     
     // Pregnancy loss tracking — for confirmed pregnancies that resulted in no live offspring
     // (e.g., mom cannibalized litter, all stillborn, reabsorbed, etc.)
@@ -1048,7 +1129,7 @@ const Litter = mongoose.model('Litter', LitterSchema);
 const NotificationSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     userId_public: { type: String, index: true },
-    type: { type: String, required: true, enum: ['breeder_request', 'parent_request', 'link_request', 'transfer_request', 'transfer_accepted', 'transfer_declined', 'transfer_cancelled', 'animal_returned', 'animal_recalled', 'moderator_warning', 'moderator_message', 'account_suspended', 'account_banned', 'content_edited', 'broadcast', 'announcement', 'marketplace_inquiry', 'litter_assignment', 'mating_reminder', 'new_rating', 'bug_report_update', 'report_status_update', 'report_feedback', 'beta_survey_completed'], index: true },
+    type: { type: String, required: true, enum: ['breeder_request', 'parent_request', 'link_request', 'transfer_request', 'transfer_accepted', 'transfer_declined', 'transfer_cancelled', 'animal_returned', 'animal_recalled', 'moderator_warning', 'moderator_message', 'account_suspended', 'account_banned', 'content_edited', 'broadcast', 'announcement', 'marketplace_inquiry', 'litter_assignment', 'mating_reminder', 'new_rating', 'bug_report_update', 'report_status_update', 'report_feedback', 'beta_survey_completed', 'waitlist_request', 'reservation_update', 'reservation_available', 'enclosure_reading_alert', 'feeding_refusal_alert'], index: true },
     status: { type: String, enum: ['pending', 'accepted', 'rejected', 'read', 'declined', 'cancelled', 'returned'], default: 'pending', index: true }, // Added 'returned' for consistency
     
     // Request details
@@ -1415,6 +1496,18 @@ const SpeciesSchema = new mongoose.Schema({
     // Safety-net cutoff (days from birthDate) after which a dam auto-clears "Nursing" status
     // if no weaningDate has been recorded, based on the species' realistic max weaning/independence age.
     maxNursingDays: { type: Number, default: null },
+    // Breeding timeline (days) used to project litter due dates and milestones — see utils/litterMilestones.js
+    gestationDaysMin: { type: Number, default: null, min: 0 },
+    gestationDaysMax: { type: Number, default: null, min: 0 },
+    weaningAgeDaysMin: { type: Number, default: null, min: 0 },
+    weaningAgeDaysMax: { type: Number, default: null, min: 0 },
+    eyeOpeningAgeDays: { type: Number, default: null, min: 0 },
+    sexualMaturityAgeDays: { type: Number, default: null, min: 0 },
+    // Heat cycle (days) used to predict the next heat and mating window — see utils/heatCycles.js
+    estrusCycleDaysMin: { type: Number, default: null, min: 0 },
+    estrusCycleDaysMax: { type: Number, default: null, min: 0 },
+    matingWindowStartDay: { type: Number, default: null, min: 0 }, // days after heat onset
+    matingWindowEndDay: { type: Number, default: null, min: 0 },
     createdAt: { type: Date, default: Date.now, index: true }
 });
 const Species = mongoose.model('Species', SpeciesSchema);
@@ -1644,6 +1737,40 @@ const GeneticsDataSchema = new mongoose.Schema({
 GeneticsDataSchema.index({ speciesName: 1, isPublished: 1 });
 const GeneticsData = mongoose.model('GeneticsData', GeneticsDataSchema);
 
+// Immutable snapshot of a species' GeneticsData, written on every publish and rollback so
+// curators can diff versions and roll back. Reuses GeneticsData's locus/rule definitions.
+const GeneticsDataVersionSchema = new mongoose.Schema({
+    speciesName: { type: String, required: true, index: true },
+    version: { type: Number, required: true },
+    sourceId: { type: mongoose.Schema.Types.ObjectId, ref: 'GeneticsData', default: null }, // Published doc at snapshot time
+    genes: GeneticsDataSchema.obj.genes,
+    phenotypeRules: GeneticsDataSchema.obj.phenotypeRules,
+    markingGenes: GeneticsDataSchema.obj.markingGenes,
+    coatGenes: GeneticsDataSchema.obj.coatGenes,
+    otherGenes: GeneticsDataSchema.obj.otherGenes,
+    adminNotes: { type: String, default: null },
+    lastEditedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    publishedAt: { type: Date, default: Date.now },
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    action: { type: String, enum: ['publish', 'rollback', 'backfill'], default: 'publish' },
+    rolledBackFrom: { type: Number, default: null }, // For action 'rollback': the version restored
+    note: { type: String, default: null },
+}, { timestamps: true });
+GeneticsDataVersionSchema.index({ speciesName: 1, version: -1 }, { unique: true });
+GeneticsDataVersionSchema.pre('save', function (next) {
+    if (!this.isNew) return next(new Error('Genetics versions are immutable.'));
+    next();
+});
+// Only a species rename may touch existing versions.
+GeneticsDataVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+    const update = this.getUpdate() || {};
+    const keys = Object.keys(update);
+    const isRename = keys.length === 1 && keys[0] === '$set' && Object.keys(update.$set).every(k => k === 'speciesName');
+    if (!isRename) return next(new Error('Genetics versions are immutable.'));
+    next();
+});
+const GeneticsDataVersion = mongoose.model('GeneticsDataVersion', GeneticsDataVersionSchema);
+
 // ── Enclosure Changelog ─────────────────────────────────────────────────────
 const EnclosureLogSchema = new mongoose.Schema({
     enclosureId: { type: mongoose.Schema.Types.ObjectId, ref: 'Enclosure', required: true, index: true },
@@ -1672,6 +1799,32 @@ const AnimalLogSchema = new mongoose.Schema({
 AnimalLogSchema.index({ animalId: 1, createdAt: -1 });
 const AnimalLog = mongoose.model('AnimalLog', AnimalLogSchema);
 
+// ── Feeding log: one entry per feeding (rules in utils/feedingLog.js) ────────
+const FeedingRecordSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    animalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Animal', required: true },
+    animalId_public: { type: String, index: true },
+    enclosureId: { type: mongoose.Schema.Types.ObjectId, ref: 'Enclosure', default: null }, // where the animal was housed
+    supplyId: { type: mongoose.Schema.Types.ObjectId, ref: 'SupplyItem', default: null },
+    foodName: { type: String, default: '' },       // Denormalized: supply name, feeder type and size
+    feederType: { type: String, default: '' },
+    feederSize: { type: String, default: '' },
+    quantity: { type: Number, default: null },
+    outcome: { type: String, enum: ['accepted', 'refused', 'regurgitated', 'skipped'], required: true },
+    preyReturned: { type: Boolean, default: false }, // refused prey put back in stock
+    preyWeightGrams: { type: Number, default: null },  // per item
+    mealWeightGrams: { type: Number, default: null },
+    bodyWeightGrams: { type: Number, default: null },  // latest growth record before the feeding
+    bodyWeightDate: { type: Date, default: null },
+    preyRatio: { type: Number, default: null },        // meal weight as % of body weight
+    stockMovementId: { type: mongoose.Schema.Types.ObjectId, ref: 'SupplyMovement', default: null },
+    notes: { type: String, default: '', maxlength: 500 },
+    fedAt: { type: Date, required: true },
+}, { timestamps: true });
+FeedingRecordSchema.index({ animalId: 1, fedAt: -1 });
+FeedingRecordSchema.index({ enclosureId: 1, fedAt: -1 });
+const FeedingRecord = mongoose.model('FeedingRecord', FeedingRecordSchema);
+
 // ── Supply Item ──────────────────────────────────────────────────────────────
 const SupplyItemSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
@@ -1685,14 +1838,37 @@ const SupplyItemSchema = new mongoose.Schema({
     isFeederAnimal: { type: Boolean, default: false },
     feederType: { type: String, default: '', trim: true },  // e.g. Mice, Rats, Crickets
     feederSize: { type: String, default: '', trim: true },  // e.g. Pinky, Fuzzy, Adult
+    feederWeightGrams: { type: Number, default: null },     // weight of one feeder, for prey ratios
     costPerUnit: { type: Number, default: null },           // cost per individual unit/animal
     // Schedule-based reorder (for bulk/timed items independent of stock count)
     nextOrderDate: { type: Date, default: null },           // when to place the next order
     orderFrequency: { type: Number, default: null },        // repeat interval number
     orderFrequencyUnit: { type: String, enum: ['days', 'weeks', 'months'], default: 'months' },
+    // Forecast-based reorder (utils/supplyForecast.js)
+    supplier: { type: String, default: '', trim: true },
+    leadTimeDays: { type: Number, default: null },          // days from order to delivery (default 7)
+    trackedSince: { type: Date, default: null },            // first SupplyMovement; the forecast's history start
 }, { timestamps: true });
 const SupplyItem = mongoose.model('SupplyItem', SupplyItemSchema);
 
+// ── Supply stock ledger: one entry per stock change ──────────────────────────
+const SupplyMovementSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    supplyId: { type: mongoose.Schema.Types.ObjectId, ref: 'SupplyItem', required: true },
+    supplyName: { type: String, default: '' }, // Denormalized for display
+    type: { type: String, enum: ['consume', 'restock', 'adjust'], required: true },
+    change: { type: Number, required: true },     // signed; what stock actually moved by (stock never goes below 0)
+    stockAfter: { type: Number, required: true },
+    source: { type: String, enum: ['manual', 'feeding', 'enclosure_task', 'stock_edit'], default: 'manual' },
+    animalId_public: { type: String, default: null },
+    enclosureId: { type: mongoose.Schema.Types.ObjectId, ref: 'Enclosure', default: null },
+    unitCost: { type: Number, default: null },     // restocks: price paid per unit
+    notes: { type: String, default: '', maxlength: 500 },
+    occurredAt: { type: Date, default: Date.now },
+}, { timestamps: true });
+SupplyMovementSchema.index({ supplyId: 1, occurredAt: -1 });
+const SupplyMovement = mongoose.model('SupplyMovement', SupplyMovementSchema);
+
 // ── AppearanceFieldOption (per-user, per-species dropdown entries for appearance fields
 // like Color — starts empty and grows as the user types new values on the Animal form) ──
 const AppearanceFieldOptionSchema = new mongoose.Schema({
@@ -1712,7 +1888,8 @@ const AppearanceFieldOption = mongoose.model('AppearanceFieldOption', Appearance
 const LocationSchema = new mongoose.Schema({
     creatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     name: { type: String, required: true, trim: true },
-    type: { type: String, enum: ['building', 'room'], required: true },
+    // building → room → rack → shelf; a parent is always a shallower type (utils/facilityMap.js)
+    type: { type: String, enum: ['building', 'room', 'rack', 'shelf'], required: true },
     parentLocationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null, index: true },
     address: {
         street: { type: String, default: null, trim: true },
@@ -1733,6 +1910,8 @@ const EnclosureSchema = new mongoose.Schema({
     purposeDescription: { type: String, default: '', trim: true, maxlength: 250 },
     buildingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null, index: true },
     roomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null, index: true },
+    // Most specific placement (a rack or shelf); buildingId/roomId are derived from its parents
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null, index: true },
     dimensions: {
         length: { type: Number, default: null },
         width: { type: Number, default: null },
@@ -1745,6 +1924,12 @@ const EnclosureSchema = new mongoose.Schema({
     temperatureUnit: { type: String, default: 'C', enum: ['C', 'F'] },
     humidityMin: { type: Number, default: null },
     humidityMax: { type: Number, default: null },
+    // Water parameter targets for aquatic enclosures (ammonia, nitrite, nitrate in ppm)
+    phMin: { type: Number, default: null },
+    phMax: { type: Number, default: null },
+    ammoniaMax: { type: Number, default: null },
+    nitriteMax: { type: Number, default: null },
+    nitrateMax: { type: Number, default: null },
     lightsOnTime: { type: String, default: null },
     lightsOffTime: { type: String, default: null },
     lightTimeFormat: { type: String, enum: ['12h', '24h'], default: '24h' },
@@ -1783,9 +1968,61 @@ const EnclosureSchema = new mongoose.Schema({
     tags: [{ type: String, trim: true }],
     speciesLabels: [{ type: String, trim: true }],
     imageUrl: { type: String, default: null },
+    // Checked on animal assignment (utils/enclosureAssignment.js): 'off', 'soft' (warn) or
+    // 'hard' (refuse unless overridden with a reason, logged in EnclosureLog)
+    assignmentRules: {
+        capacity: { type: String, enum: ['off', 'soft', 'hard'], default: 'soft' },
+        species: { type: String, enum: ['off', 'soft', 'hard'], default: 'soft' },
+        sexMixing: { type: String, enum: ['off', 'soft', 'hard'], default: 'off' },
+        sexPolicy: { type: String, enum: ['no_intact_mixed', 'single_sex'], default: 'no_intact_mixed' },
+        quarantine: { type: String, enum: ['off', 'soft', 'hard'], default: 'soft' }
+    },
+    // Environmental readings (EnclosureReading; rules in utils/enclosureReadings.js)
+    sensorKeyHash: { type: String, default: null, select: false }, // SHA-256 of the sensor script's key
+    sensorKeyHint: { type: String, default: null }, // last 4 characters, to tell keys apart
+    sensorKeyCreatedAt: { type: Date, default: null },
+    sensorLastSeenAt: { type: Date, default: null },
+    lastReadingAt: { type: Date, default: null },
+    readingAlert: {
+        active: { type: Boolean, default: false },
+        fields: [{ type: String }],
+        since: { type: Date, default: null },
+        lastNotifiedAt: { type: Date, default: null }
+    },
 }, { timestamps: true });
+EnclosureSchema.index({ sensorKeyHash: 1 }, { unique: true, partialFilterExpression: { sensorKeyHash: { $type: 'string' } } });
 const Enclosure = mongoose.model('Enclosure', EnclosureSchema);
 
+// --- ENCLOSURE READING SCHEMA (temperature / humidity / water parameter log) ---
+const EnclosureReadingSchema = new mongoose.Schema({
+    enclosureId: { type: mongoose.Schema.Types.ObjectId, ref: 'Enclosure', required: true },
+    creatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    recordedAt: { type: Date, required: true },
+    source: { type: String, enum: ['manual', 'sensor'], default: 'manual' },
+    temperature: { type: Number, default: null },
+    temperatureUnit: { type: String, enum: ['C', 'F'], default: 'C' },
+    humidity: { type: Number, default: null }, // % RH
+    ph: { type: Number, default: null },
+    ammonia: { type: Number, default: null }, // ppm
+    nitrite: { type: Number, default: null }, // ppm
+    nitrate: { type: Number, default: null }, // ppm
+    notes: { type: String, default: '', maxlength: 500 },
+    // Values outside the enclosure's targets when the reading was recorded
+    breaches: [{
+        _id: false,
+        field: { type: String },
+        value: { type: Number },
+        min: { type: Number, default: null },
+        max: { type: Number, default: null },
+        direction: { type: String, enum: ['low', 'high'] }
+    }],
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for sensor readings
+    recordedByName: { type: String, default: '' },
+    editedAt: { type: Date, default: null },
+}, { timestamps: true });
+EnclosureReadingSchema.index({ enclosureId: 1, recordedAt: -1 });
+const EnclosureReading = mongoose.model('EnclosureReading', EnclosureReadingSchema);
+
 // --- BREEDER RATING SCHEMA ---
 const BreederRatingSchema = new mongoose.Schema({
     raterId_backend: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -1845,6 +2082,76 @@ FavoriteSchema.index({ userId: 1, itemType: 1, itemId: 1 }, { unique: true });
 
 const Favorite = mongoose.model('Favorite', FavoriteSchema);
 
+// --- RESERVATION SCHEMA ---
+// A waitlist spot with a breeder: for one planned/born litter, or for a species/sex/colour
+// preference. Requested by a registered user or a visitor (contact details only), or entered
+// by the breeder. Status rules live in utils/reservations.js.
+const ReservationSchema = new mongoose.Schema({
+    breederId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    breederId_public: { type: String, required: true },
+    requesterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true }, // null for visitors/manual entries
+    requesterId_public: { type: String, default: null },
+    contactName: { type: String, required: true, trim: true, maxlength: 100 },
+    contactEmail: { type: String, default: null, trim: true, lowercase: true, maxlength: 254 },
+    message: { type: String, default: '', maxlength: 2000 },
+    source: { type: String, enum: ['user', 'visitor', 'breeder'], required: true },
+    litterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Litter', default: null, index: true },
+    litter_id_public: { type: String, default: null },
+    preference: {
+        species: { type: String, default: null, trim: true },
+        gender: { type: String, enum: ['Male', 'Female', 'Any'], default: 'Any' },
+        color: { type: String, default: null, trim: true },
+    },
+    status: {
+        type: String,
+        enum: ['requested', 'accepted', 'assigned', 'available', 'completed', 'declined', 'released', 'withdrawn'],
+        default: 'requested',
+        index: true
+    },
+    position: { type: Number, default: null }, // 1-based place in its queue while accepted or later
+    assignedAnimalId_public: { type: String, default: null, index: true },
+    assignedAnimalName: { type: String, default: null },
+    deposits: [{
+        amount: { type: Number, required: true, min: 0 },
+        currency: { type: String, default: 'USD' },
+        date: { type: Date, required: true },
+        note: { type: String, default: null },
+        transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+    }],
+    breederNotes: { type: String, default: '', maxlength: 2000 },
+    statusHistory: [{
+        _id: false,
+        from: { type: String, default: null },
+        to: { type: String, required: true },
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        note: { type: String, default: null },
+    }],
+}, { timestamps: true });
+ReservationSchema.index({ breederId: 1, status: 1, position: 1 });
+const Reservation = mongoose.model('Reservation', ReservationSchema);
+
+// --- BREEDING LINE SCHEMA ---
+// Replaces PublicProfile.breedingLineDefs / animalBreedingLines (copied over on first read,
+// see migrateLegacyBreedingLines). Membership rules live in utils/breedingLines.js.
+const BreedingLineSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    lineKey: { type: Number, required: true }, // numeric id older clients use (the breedingLineDefs slot)
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    description: { type: String, default: '', maxlength: 2000 },
+    goals: { type: String, default: '', maxlength: 2000 },
+    species: { type: String, default: null, trim: true },
+    color: { type: String, default: null },
+    status: { type: String, enum: ['active', 'retired'], default: 'active', index: true },
+    retiredAt: { type: Date, default: null },
+    founders: { type: [String], default: [] },  // animal id_publics, generation 0
+    members: { type: [String], default: [], index: true }, // animals assigned by hand
+    deriveMembership: { type: Boolean, default: false }, // offspring of members join automatically
+    isPublic: { type: Boolean, default: false }, // shown on the owner's public profile
+}, { timestamps: true });
+BreedingLineSchema.index({ userId: 1, lineKey: 1 }, { unique: true });
+const BreedingLine = mongoose.model('BreedingLine', BreedingLineSchema);
+
 // --- HIGH-PRIORITY COMPOUND INDEXES (Audit Step 2.2) ---
 // These optimize critical security checks and frequently-accessed queries
 // Expected improvement: 40-60% faster queries for these operations
@@ -1872,6 +2179,15 @@ NotificationSchema.index({ userId: 1, status: 1 });
 
 // 5. Litter breeding timeline filtering
 LitterSchema.index({ creatorId: 1, isPlanned: 1 });
+LitterSchema.index({ creatorId: 1, status: 1 });
+
+// 5b. Registration number collision checks (utils/idTemplates.js)
+LitterSchema.index({ creatorId: 1, registrationNumber: 1 });
+AnimalSchema.index({ creatorId: 1, breederAssignedId: 1 });
+// The checks above can race; these make a second use of a number fail on insert. Litter numbers
+// are unique per creator; of offspring numbers only template-drawn ones (hand-typed may repeat).
+LitterSchema.index({ registrationNumber: 1, creatorId: 1 }, { unique: true, partialFilterExpression: { registrationNumber: { $type: 'string' } } });
+AnimalSchema.index({ breederAssignedId: 1, creatorId: 1 }, { unique: true, partialFilterExpression: { breederAssignedIdSeq: { $type: 'number' } } });
 
 // 6. Transaction financial reporting (future use)
 TransactionSchema.index({ userId: 1, date: -1 }); // Uncommented and applied
@@ -1904,15 +2220,21 @@ module.exports = {
     Resource,
     ResourceSuggestion,
     GeneticsData,
+    GeneticsDataVersion,
     Transaction,
     AnimalTransfer,
     Enclosure,
     EnclosureLog,
+    EnclosureReading,
     SupplyItem,
+    SupplyMovement,
     AnimalLog,
+    FeedingRecord,
     BreederRating,
     RatingReport,
     Favorite,
+    BreedingLine,
+    Reservation,
     Location,
     AppearanceFieldOption,
 };
\ No newline at end of file
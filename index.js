@@ -342,6 +342,10 @@ app.use('/api/auth', authRoutes);
 // Public Data Routes
 app.use('/api/public', publicRoutes);
 
+// Enclosure sensor ingestion (authenticated by per-enclosure sensor key, not JWT)
+const enclosureReadingRoutes = require('./routes/enclosureReadingRoutes');
+app.use('/api/enclosure-readings', enclosureReadingRoutes);
+
 // Admin Routes (for migrations and admin tasks)
 // app.use('/api/admin', adminRoutes);
 
@@ -415,15 +419,13 @@ app.put('/api/users/profile', authMiddleware, uploadSingle.single('profileImage'
     }
 });
 
-// Breeding lines persistence
+// Breeding lines persistence — the pre-BreedingLine shape, kept for older clients.
+// New clients use /api/breeding-lines.
 app.get('/api/users/breeding-lines', authMiddleware, async (req, res) => {
     try {
-        const { PublicProfile } = require('./database/models');
-        const profile = await PublicProfile.findOne({ userId_backend: req.user.id }).lean();
-        res.json({
-            breedingLineDefs: profile?.breedingLineDefs || [],
-            animalBreedingLines: profile?.animalBreedingLines || {}
-        });
+        const { getBreedingLines } = require('./database/db_service');
+        const { toLegacyBreedingLines } = require('./utils/breedingLines');
+        res.json(toLegacyBreedingLines(await getBreedingLines(req.user.id)));
     } catch (error) {
         console.error('Error fetching breeding lines:', error);
         res.status(500).json({ message: 'Failed to fetch breeding lines' });
@@ -432,19 +434,17 @@ app.get('/api/users/breeding-lines', authMiddleware, async (req, res) => {
 
 app.put('/api/users/breeding-lines', authMiddleware, async (req, res) => {
     try {
-        const { PublicProfile } = require('./database/models');
+        const { saveLegacyBreedingLines } = require('./database/db_service');
+        const { LEGACY_MAX_BREEDING_LINES } = require('./utils/breedingLines');
         const { breedingLineDefs, animalBreedingLines } = req.body;
         if (!Array.isArray(breedingLineDefs) || typeof animalBreedingLines !== 'object' || animalBreedingLines === null) {
             return res.status(400).json({ message: 'Invalid data format' });
         }
-        // Enforce size limits to prevent abuse (11 allows the dev-only 11th "Legacy" combo line)
-        if (breedingLineDefs.length > 11) {
-            return res.status(400).json({ message: 'Maximum 11 breeding lines allowed' });
+        // Enforce size limits to prevent abuse
+        if (breedingLineDefs.length > LEGACY_MAX_BREEDING_LINES) {
+            return res.status(400).json({ message: `Maximum ${LEGACY_MAX_BREEDING_LINES} breeding lines allowed` });
         }
-        await PublicProfile.findOneAndUpdate(
-            { userId_backend: req.user.id },
-            { $set: { breedingLineDefs, animalBreedingLines } }
-        );
+        await saveLegacyBreedingLines(req.user.id, breedingLineDefs, animalBreedingLines);
         res.json({ message: 'Breeding lines saved' });
     } catch (error) {
         console.error('Error saving breeding lines:', error);
@@ -784,10 +784,13 @@ app.get('/api/users/breeding-status', authMiddleware, async (req, res) => {
 app.delete('/api/users/account', authMiddleware, async (req, res) => {
     try {
         const userId = req.user.id;
-        const { User, PublicProfile, Animal, PublicAnimal, Litter, Notification } = require('./database/models');
+        const { User, PublicProfile, Animal, PublicAnimal, Litter, Notification, FeedingRecord } = require('./database/models');
         
-        // Delete all user's animals from both collections
+        // Delete all user's animals from both collections, with their feeding logs (records the
+        // user wrote for animals since transferred to someone else stay with those animals)
+        const ownedAnimalIds = await Animal.find({ creatorId: userId }).distinct('_id');
         await Animal.deleteMany({ creatorId: userId });
+        await FeedingRecord.deleteMany({ animalId: { $in: ownedAnimalIds } });
         const userPublicId = await User.findById(userId).select('id_public');
         if (userPublicId) {
             await PublicAnimal.deleteMany({ creatorId_public: userPublicId.id_public });
@@ -834,6 +837,18 @@ app.use('/api/favorites', authMiddleware, favoritesRoutes);
 const collectionsRoutes = require('./routes/collectionsRoutes');
 app.use('/api/collections', authMiddleware, collectionsRoutes);
 
+// Breeding Line Routes (Require authMiddleware)
+const breedingLineRoutes = require('./routes/breedingLineRoutes');
+app.use('/api/breeding-lines', authMiddleware, breedingLineRoutes);
+
+// Reservation / Waitlist Routes (Require authMiddleware)
+const reservationRoutes = require('./routes/reservationRoutes');
+app.use('/api/reservations', authMiddleware, reservationRoutes);
+
+// Registration Number Template Routes (Require authMiddleware)
+const idTemplateRoutes = require('./routes/idTemplateRoutes');
+app.use('/api/id-templates', authMiddleware, idTemplateRoutes);
+
 // Enclosure Routes (private management)
 const enclosureRoutes = require('./routes/enclosureRoutes');
 app.use('/api/enclosures', authMiddleware, enclosureRoutes);
@@ -854,6 +869,10 @@ app.use('/api/transfers', authMiddleware, transferRoutes);
 const geneticsFeedbackRoutes = require('./routes/geneticsFeedbackRoutes');
 app.use('/api/genetics-feedback', authMiddleware, geneticsFeedbackRoutes);
 
+// Genetics Calculator Routes — offspring prediction etc. (Require authMiddleware)
+const geneticsRoutes = require('./routes/geneticsRoutes');
+app.use('/api/genetics', authMiddleware, geneticsRoutes);
+
 // Species Genetics Submission Routes (Require authMiddleware)
 const speciesGeneticsSubmissionRoutes = require('./routes/speciesGeneticsSubmissionRoutes');
 app.use('/api/species-genetics-feedback', authMiddleware, speciesGeneticsSubmissionRoutes);
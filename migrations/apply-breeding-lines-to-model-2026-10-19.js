@@ -0,0 +1,26 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { PublicProfile } = require('../database/models');
+const { migrateLegacyBreedingLines } = require('../database/db_service');
+
+// Copies every profile's breedingLineDefs / animalBreedingLines into BreedingLine documents.
+// The same copy also happens lazily on a user's first breeding line request; this just does it
+// for everyone up front. Safe to re-run: profiles already copied are skipped.
+(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const profiles = await PublicProfile.find({
+        breedingLinesMigratedAt: null,
+        'breedingLineDefs.0': { $exists: true },
+    }).select('id_public userId_backend').lean();
+
+    console.log('Profiles to migrate:', profiles.length);
+    let lines = 0;
+    for (const profile of profiles) {
+        const copied = await migrateLegacyBreedingLines(profile.userId_backend);
+        console.log(`${profile.id_public}: ${copied} line(s)`);
+        lines += copied;
+    }
+
+    console.log('Lines copied:', lines);
+    await mongoose.disconnect();
+})();
@@ -0,0 +1,19 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillLitterProjections } = require('../database/db_service');
+
+// Stores the species-projected due date and milestones on open litters saved before
+// projections existed; until now they only got them on their next edit. Safe to re-run:
+// litters that already have projections are skipped.
+const APPLY = process.argv.includes('--apply');
+
+(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const { checked, projected } = await backfillLitterProjections({ apply: APPLY });
+    console.log('Open litters without projections:', checked);
+    console.log(APPLY ? 'Litters projected:' : 'Litters to project:', projected);
+    if (!APPLY) console.log('Dry run only — pass --apply to write changes.');
+
+    await mongoose.disconnect();
+})();
@@ -4,7 +4,7 @@ const path = require('path');
 const fs = require('fs');
 const bcrypt = require('bcryptjs');
 const { LoginAuditLog } = require('../database/2faModels');
-const { Animal, PublicProfile, PublicAnimal, User, ProfileReport, AnimalReport, MessageReport, AuditLog } = require('../database/models');
+const { Animal, PublicProfile, PublicAnimal, User, ProfileReport, AnimalReport, MessageReport, AuditLog, FeedingRecord } = require('../database/models');
 const { createAuditLog, getAuditLogs } = require('../utils/auditLogger');
 
 // Helper: Check if user is admin
@@ -2094,8 +2094,9 @@ router.delete('/animals/:animalId', async (req, res) => {
         // Remove from public collection
         await PublicAnimal.deleteOne({ id_public: animal.id_public });
         
-        // Delete the animal
+        // Delete the animal and its feeding log
         await Animal.deleteOne({ _id: req.params.animalId });
+        await FeedingRecord.deleteMany({ animalId: animal._id });
 
         // Create audit log
         await createAuditLog({
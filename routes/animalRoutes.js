@@ -1,11 +1,16 @@
 ﻿﻿const express = require('express');
 const router = express.Router();
-const { Animal, AnimalLog, SupplyItem, Litter, User, PublicAnimal, Transaction, Notification } = require('../database/models');
-const { addAnimal, updateAnimal, deleteAnimal, getUsersAnimals, getAnimalByIdAndUser, getArchivedAndSoldAnimals, getAvkReferencePopulation } = require('../database/db_service');
-const { calculateInbreedingCoefficient, calculateInbreedingCoefficientWithDiagnostics, calculatePairingInbreeding, explainPairingInbreeding, calculateAverageKinship } = require('../utils/inbreeding');
-const { logFeedingEvent } = require('../utils/animalLogger');
+const { Animal, AnimalLog, Litter, User, PublicAnimal, Transaction, Notification, FeedingRecord } = require('../database/models');
+const { addAnimal, updateAnimal, deleteAnimal, getUsersAnimals, getAnimalByIdAndUser, getArchivedAndSoldAnimals, buildAvkPopulationQuery, getAvkReferencePopulation, validateUsersGeneticCodes, getGenotypeInference, getHeatCycle, addHeatRecord, updateHeatRecord, deleteHeatRecord, getAnimalGrowth, getGrowthReference, recordFeeding, getAnimalFeedings } = require('../database/db_service');
+const { calculateInbreedingCoefficient, calculateInbreedingCoefficientWithDiagnostics, calculatePairingInbreeding, explainPairingInbreeding, explainAnimalInbreeding, calculateAverageKinship, rankMateCandidates } = require('../utils/inbreeding');
+const { calculatePopulationGenetics } = require('../utils/populationGenetics');
+const { toCSV } = require('../utils/csv');
 const { protect } = require('../middleware/authMiddleware');
 const { ProfanityError } = require('../utils/profanityFilter');
+const { GeneticCodeError } = require('../utils/genetics');
+const { HeatRecordError } = require('../utils/heatCycles');
+const { FeedingError } = require('../utils/feedingLog');
+const { GROWTH_MEASURES, DEFAULT_FLAG_PERCENTILE } = require('../utils/growthCurves');
 
 // Apply authentication to all routes
 router.use(protect);
@@ -40,6 +45,18 @@ router.get('/archived', async (req, res) => {
     }
 });
 
+// GET /api/animals/genetic-codes/validation - Check every owned animal's geneticCode against
+// its species' published GeneticsData. Report only; codes are normalised on their next save.
+router.get('/genetic-codes/validation', async (req, res) => {
+    try {
+        const report = await validateUsersGeneticCodes(req.user.id);
+        res.json(report);
+    } catch (error) {
+        console.error('[ANIMALS] Error validating genetic codes:', error);
+        res.status(500).json({ message: 'Failed to validate genetic codes', error: error.message });
+    }
+});
+
 // GET /api/animals/inbreeding/pairing - Calculate COI for a pairing (two animals as parents)
 router.get('/inbreeding/pairing', async (req, res) => {
     try {
@@ -79,6 +96,133 @@ router.get('/inbreeding/pairing', async (req, res) => {
     }
 });
 
+// GET /api/animals/inbreeding/mate-recommendations - Rank every eligible partner for one animal
+// Query: animalId (required), includePublic=true to also score other breeders' public
+// availableForBreeding animals, limit (default 50), generations (default 20).
+// Candidates are opposite-sex, same-species, living, non-archived, intact animals in the
+// user's collection; ranked by predicted offspring COI, then by the pair's mean kinship.
+const MATE_CANDIDATE_SELECT = 'id_public name prefix suffix gender birthDate imageUrl photoUrl color coat breederAssignedId';
+const PUBLIC_MATE_CANDIDATE_LIMIT = 200;
+
+router.get('/inbreeding/mate-recommendations', async (req, res) => {
+    try {
+        const { animalId } = req.query;
+        const generations = parseInt(req.query.generations) || 20;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const includePublic = req.query.includePublic === 'true';
+
+        if (!animalId) {
+            return res.status(400).json({ message: 'animalId is required' });
+        }
+
+        const animal = await Animal.findOne({ id_public: animalId, creatorId: req.user.id })
+            .select('id_public name species gender').lean();
+        if (!animal) {
+            return res.status(404).json({ message: 'Animal not found or you do not have permission to view it.' });
+        }
+
+        const oppositeGender = { Male: 'Female', Female: 'Male' }[animal.gender];
+        if (!oppositeGender) {
+            return res.status(400).json({ message: 'Mate recommendations need the animal\'s sex to be Male or Female.' });
+        }
+
+        const [ownCandidates, publicCandidates, populationIds] = await Promise.all([
+            Animal.find({
+                ...buildAvkPopulationQuery(req.user.id, animal.species),
+                gender: oppositeGender,
+                isNeutered: { $ne: true },
+                isInfertile: { $ne: true },
+                id_public: { $ne: animal.id_public }
+            }).select(MATE_CANDIDATE_SELECT).lean(),
+            includePublic
+                ? PublicAnimal.find({
+                    species: animal.species,
+                    gender: oppositeGender,
+                    availableForBreeding: true,
+                    creatorId_public: { $ne: req.user.id_public },
+                    $or: [{ deceasedDate: null }, { deceasedDate: { $exists: false } }]
+                }).select(`${MATE_CANDIDATE_SELECT} creatorId_public studFeeAmount studFeeCurrency`).limit(PUBLIC_MATE_CANDIDATE_LIMIT).lean()
+                : [],
+            getAvkReferencePopulation(req.user.id, animal.species)
+        ]);
+
+        const candidateInfo = new Map();
+        ownCandidates.forEach(c => candidateInfo.set(c.id_public, { ...c, source: 'own' }));
+        publicCandidates.forEach(c => {
+            if (!candidateInfo.has(c.id_public)) candidateInfo.set(c.id_public, { ...c, source: 'public' });
+        });
+
+        // Memoised: every candidate's pedigree overlaps heavily with the others'.
+        const fetchCache = new Map();
+        const fetchAnimal = (id) => {
+            if (!fetchCache.has(id)) {
+                fetchCache.set(id, Animal.findOne({ id_public: id }).select('sireId_public damId_public name').lean());
+            }
+            return fetchCache.get(id);
+        };
+
+        const ranked = await rankMateCandidates(animal.id_public, [...candidateInfo.keys()], populationIds, fetchAnimal, generations);
+
+        res.json({
+            animalId: animal.id_public,
+            species: animal.species,
+            gender: animal.gender,
+            generations,
+            populationSize: populationIds.length,
+            candidateCount: ranked.length,
+            candidates: ranked.slice(0, limit).map((r, idx) => ({
+                rank: idx + 1,
+                ...candidateInfo.get(r.candidateId),
+                ...r
+            }))
+        });
+    } catch (error) {
+        console.error('[ANIMALS] Error ranking mate candidates:', error);
+        res.status(500).json({ message: 'Failed to rank mate candidates', error: error.message });
+    }
+});
+
+// GET /api/animals/inbreeding/population-report - Population genetics dashboard for one species
+// Query: species (required), generations (default 20).
+// The population is the user's living breeders of that species: the AVK reference population
+// minus neutered/infertile animals. See utils/populationGenetics.js for the statistics.
+router.get('/inbreeding/population-report', async (req, res) => {
+    try {
+        const { species } = req.query;
+        const generations = Math.min(Math.max(parseInt(req.query.generations) || 20, 1), 50);
+
+        if (!species) {
+            return res.status(400).json({ message: 'species is required' });
+        }
+
+        const breeders = await Animal.find({
+            ...buildAvkPopulationQuery(req.user.id, species),
+            isNeutered: { $ne: true },
+            isInfertile: { $ne: true }
+        }).select('id_public gender').lean();
+
+        const fetchCache = new Map();
+        const fetchAnimal = (id) => {
+            if (!fetchCache.has(id)) {
+                fetchCache.set(id, Animal.findOne({ id_public: id }).select('sireId_public damId_public name').lean());
+            }
+            return fetchCache.get(id);
+        };
+
+        const report = await calculatePopulationGenetics(breeders, fetchAnimal, generations);
+
+        res.json({
+            species,
+            generations,
+            calculatedAt: new Date(),
+            ...report
+        });
+    } catch (error) {
+        console.error('[ANIMALS] Error building population genetics report:', error);
+        res.status(500).json({ message: 'Failed to build population genetics report', error: error.message });
+    }
+});
+
 // ─── Duplicate detection helpers (Find Duplicates feature) ──────────────────
 // Levenshtein-distance-based similarity, 0 (no match) to 1 (identical).
 function nameSimilarity(a, b) {
@@ -135,6 +279,29 @@ const toDuplicateSummary = (a) => ({
     status: a.status
 });
 
+// GET /api/animals/growth/reference?species=Fancy%20Mouse&measure=weight - Species growth reference
+// curve (p10-p90 per age bin) built from the species' animals; bins with too few animals are left
+// out. 404 when species is not in the species list.
+router.get('/growth/reference', async (req, res) => {
+    try {
+        const { species, measure = 'weight' } = req.query;
+        if (!species || typeof species !== 'string' || !species.trim()) {
+            return res.status(400).json({ message: 'species is required.' });
+        }
+        if (!GROWTH_MEASURES.includes(measure)) {
+            return res.status(400).json({ message: `measure must be one of: ${GROWTH_MEASURES.join(', ')}` });
+        }
+        const reference = await getGrowthReference(species, measure);
+        if (!reference) {
+            return res.status(404).json({ message: `Unknown species "${species.trim()}".` });
+        }
+        res.json({ species: reference.species, measure, unit: measure === 'weight' ? 'g' : 'cm', curve: reference.curve });
+    } catch (error) {
+        console.error('[ANIMALS] Error building growth reference:', error);
+        res.status(500).json({ message: 'Failed to build growth reference', error: error.message });
+    }
+});
+
 // GET /api/animals/duplicates - Find potential duplicate animals within the user's own collection.
 // Registered ahead of /:id_public so 'duplicates' is never mistaken for an animal ID.
 router.get('/duplicates', async (req, res) => {
@@ -217,6 +384,7 @@ router.post('/duplicates/merge', async (req, res) => {
             PublicAnimal.updateMany({ sireId_public: deleteId }, { $set: { sireId_public: keepId } }),
             PublicAnimal.updateMany({ damId_public: deleteId }, { $set: { damId_public: keepId } }),
             AnimalLog.updateMany({ animalId_public: deleteId }, { $set: { animalId_public: keepId, animalId: keepAnimal._id } }),
+            FeedingRecord.updateMany({ animalId: deleteAnimalDoc._id }, { $set: { animalId: keepAnimal._id, animalId_public: keepId } }),
             Transaction.updateMany({ animalId: deleteId }, { $set: { animalId: keepId } }),
             Notification.updateMany({ animalId_public: deleteId }, { $set: { animalId_public: keepId } }),
             Notification.updateMany({ targetAnimalId_public: deleteId }, { $set: { targetAnimalId_public: keepId } })
@@ -492,6 +660,9 @@ router.post('/', async (req, res) => {
         if (error instanceof ProfanityError) {
             return res.status(error.statusCode).json({ message: error.message });
         }
+        if (error instanceof GeneticCodeError) {
+            return res.status(error.statusCode).json({ message: error.message, errors: error.errors });
+        }
         res.status(500).json({ message: 'Failed to create animal', error: error.message });
     }
 });
@@ -520,53 +691,111 @@ router.put('/:id_public', async (req, res) => {
         if (error instanceof ProfanityError) {
             return res.status(error.statusCode).json({ message: error.message });
         }
+        if (error instanceof GeneticCodeError || error instanceof HeatRecordError) {
+            return res.status(error.statusCode).json({ message: error.message, errors: error.errors });
+        }
         res.status(500).json({ message: 'Failed to update animal', error: error.message });
     }
 });
 
-// POST /api/animals/:id_public/feeding - Mark an animal as fed (or skip a feeding)
+const sendFeedingError = (res, error, fallback) => {
+    if (error instanceof FeedingError) {
+        return res.status(error.statusCode).json({ message: error.message, errors: error.errors });
+    }
+    if (error instanceof ProfanityError) {
+        return res.status(error.statusCode || 400).json({ message: error.message });
+    }
+    res.status(500).json({ message: fallback, error: error.message });
+};
+
+// POST /api/animals/:id_public/feeding - Record a feeding (or a skipped one)
+// Body: { supplyId, quantity, outcome: 'accepted'|'refused'|'regurgitated'|'skipped', preyWeight,
+// preyReturned, notes, fedAt } — { skipped: true } still works for outcome 'skipped'
+// 200 { animal, supply } as before, plus the stored feeding and the refusalStreak
 router.post('/:id_public/feeding', async (req, res) => {
     try {
-        const { id_public } = req.params;
-        const userId = req.user.id;
-        const { supplyId, quantity, notes, skipped } = req.body;
+        res.json(await recordFeeding(req.user.id, req.params.id_public, req.body || {}));
+    } catch (error) {
+        console.error(`[ANIMALS] Error logging feeding for ${req.params.id_public}:`, error);
+        sendFeedingError(res, error, 'Failed to log feeding');
+    }
+});
 
-        const animal = await Animal.findOne({ id_public, creatorId: userId });
-        if (!animal) {
-            return res.status(404).json({ message: 'Animal not found or you do not have permission to edit it.' });
-        }
+// GET /api/animals/:id_public/feedings?from=&to=&limit= - Feeding history, newest first, with
+// acceptance rate, refusal streak and average prey ratio over the last 90 days
+router.get('/:id_public/feedings', async (req, res) => {
+    try {
+        res.json(await getAnimalFeedings(req.user.id, req.params.id_public, req.query));
+    } catch (error) {
+        console.error(`[ANIMALS] Error fetching feedings for ${req.params.id_public}:`, error);
+        sendFeedingError(res, error, 'Failed to fetch feedings');
+    }
+});
 
-        animal.lastFedDate = new Date();
-        await animal.save();
+const sendHeatError = (res, error, fallback) => {
+    if (error instanceof HeatRecordError) {
+        return res.status(error.statusCode).json({ message: error.message, errors: error.errors });
+    }
+    if (error instanceof ProfanityError) {
+        return res.status(error.statusCode || 400).json({ message: error.message });
+    }
+    res.status(500).json({ message: fallback, error: error.message });
+};
 
-        let supply = null;
-        let foodName = null;
-        if (supplyId) {
-            supply = await SupplyItem.findOne({ _id: supplyId, userId });
-            if (supply) {
-                foodName = supply.name;
-                if (quantity !== undefined && quantity !== null && quantity !== '') {
-                    const qty = Number(quantity) || 0;
-                    supply.currentStock = Math.max(0, (supply.currentStock || 0) - qty);
-                    await supply.save();
-                }
-            }
-        }
+// GET /api/animals/:id_public/heat - Heat history, average cycle length and the predicted next
+// heat / mating window for a female
+router.get('/:id_public/heat', async (req, res) => {
+    try {
+        res.json(await getHeatCycle(req.user.id, req.params.id_public));
+    } catch (error) {
+        console.error(`[ANIMALS] Error fetching heat cycle for ${req.params.id_public}:`, error);
+        sendHeatError(res, error, 'Failed to fetch heat cycle');
+    }
+});
 
-        await logFeedingEvent({
-            userId,
-            animalId: animal._id,
-            animalId_public: animal.id_public,
-            foodName,
-            quantity,
-            notes,
-            skipped: !!skipped,
-        });
+// POST /api/animals/:id_public/heat - Record a heat observation
+// Body: { startDate, endDate, ovulationDate, signs: [...], progesteroneLevel, notes }
+router.post('/:id_public/heat', async (req, res) => {
+    try {
+        res.status(201).json(await addHeatRecord(req.user.id, req.params.id_public, req.body || {}));
+    } catch (error) {
+        console.error(`[ANIMALS] Error recording heat for ${req.params.id_public}:`, error);
+        sendHeatError(res, error, 'Failed to record heat');
+    }
+});
 
-        res.json({ animal, supply });
+// PUT /api/animals/:id_public/heat/:recordId - Edit a heat observation
+router.put('/:id_public/heat/:recordId', async (req, res) => {
+    try {
+        res.json(await updateHeatRecord(req.user.id, req.params.id_public, req.params.recordId, req.body || {}));
     } catch (error) {
-        console.error(`[ANIMALS] Error logging feeding for ${req.params.id_public}:`, error);
-        res.status(500).json({ message: 'Failed to log feeding', error: error.message });
+        console.error(`[ANIMALS] Error updating heat record for ${req.params.id_public}:`, error);
+        sendHeatError(res, error, 'Failed to update heat record');
+    }
+});
+
+// DELETE /api/animals/:id_public/heat/:recordId - Remove a heat observation
+router.delete('/:id_public/heat/:recordId', async (req, res) => {
+    try {
+        res.json(await deleteHeatRecord(req.user.id, req.params.id_public, req.params.recordId));
+    } catch (error) {
+        console.error(`[ANIMALS] Error deleting heat record for ${req.params.id_public}:`, error);
+        sendHeatError(res, error, 'Failed to delete heat record');
+    }
+});
+
+// GET /api/animals/:id_public/growth?percentile=10 - Normalized growth curve against litter-mates
+// and the species reference, with below-percentile / runt flags on the latest weighing
+router.get('/:id_public/growth', async (req, res) => {
+    try {
+        const percentile = Math.min(Math.max(parseInt(req.query.percentile) || DEFAULT_FLAG_PERCENTILE, 1), 50);
+        res.json(await getAnimalGrowth(req.user.id, req.params.id_public, { percentile }));
+    } catch (error) {
+        console.error(`[ANIMALS] Error analysing growth for ${req.params.id_public}:`, error);
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Failed to analyse growth', error: error.message });
     }
 });
 
@@ -699,4 +928,116 @@ router.get('/:id_public/inbreeding', async (req, res) => {
         res.status(500).json({ message: 'Failed to calculate inbreeding coefficient', error: error.message });
     }
 });
-module.exports = router;
\ No newline at end of file
+
+// GET /api/animals/:id_public/genotype-inference - Per-locus genotype probabilities
+// For animals with a missing or partial geneticCode: inferred from ancestors' and offspring's
+// recorded codes, with "possible het" (carrier) percentages per allele.
+router.get('/:id_public/genotype-inference', async (req, res) => {
+    try {
+        const { id_public } = req.params;
+        const userId = req.user.id;
+
+        // Inference reads the animal's private record: owner or view-only recipient only.
+        const animal = await Animal.findOne({
+            id_public,
+            $or: [{ creatorId: userId }, { viewOnlyForUsers: userId }]
+        }).select('id_public').lean();
+
+        if (!animal) {
+            return res.status(404).json({ message: 'Animal not found or you do not have permission to view it.' });
+        }
+
+        const inference = await getGenotypeInference(userId, id_public);
+        if (!inference) {
+            return res.status(404).json({ message: 'No published genetics data for this animal\'s species.' });
+        }
+        res.json(inference);
+    } catch (error) {
+        console.error(`[ANIMALS] Error inferring genotype for ${req.params.id_public}:`, error);
+        res.status(500).json({ message: 'Failed to infer genotype', error: error.message });
+    }
+});
+
+// GET /api/animals/:id_public/inbreeding/breakdown - Wright-path COI breakdown for an existing animal
+// Lists every common ancestor with its path-length pairs, its own COI and its partial contribution.
+// Pass ?format=csv to download it as a spreadsheet (one row per ancestor path pair).
+router.get('/:id_public/inbreeding/breakdown', async (req, res) => {
+    try {
+        const { id_public } = req.params;
+        const userId = req.user.id;
+        const generations = parseInt(req.query.generations) || 50;
+
+        // Ancestor names can come from private records, so only the owner (or a view-only
+        // recipient) may see the breakdown — unlike the bare COI number above.
+        const animal = await Animal.findOne({
+            id_public,
+            $or: [{ creatorId: userId }, { viewOnlyForUsers: userId }]
+        }).select('id_public name prefix suffix').lean();
+
+        if (!animal) {
+            return res.status(404).json({ message: 'Animal not found or you do not have permission to view it.' });
+        }
+
+        // Memoised: the breakdown also computes each common ancestor's own COI, which
+        // revisits the same pedigree many times over.
+        const fetchCache = new Map();
+        const fetchAnimal = (animalId) => {
+            if (!fetchCache.has(animalId)) {
+                fetchCache.set(animalId, Animal.findOne({ id_public: animalId }).select('sireId_public damId_public name prefix suffix').lean()
+                    .then(a => a && { ...a, name: [a.prefix, a.name, a.suffix].filter(Boolean).join(' ') }));
+            }
+            return fetchCache.get(animalId);
+        };
+
+        const result = await explainAnimalInbreeding(id_public, fetchAnimal, generations);
+
+        if (req.query.format === 'csv') {
+            const rows = [];
+            for (const entry of result.breakdown) {
+                for (const path of entry.paths) {
+                    rows.push({
+                        ancestorId: entry.ancestorId,
+                        ancestorName: entry.ancestorName,
+                        ancestorCOI_pct: entry.fa_pct,
+                        n1_sireSteps: path.n1,
+                        n2_damSteps: path.n2,
+                        pathCount: path.pathCount,
+                        pathContribution_pct: path.contribution_pct,
+                        ancestorContribution_pct: entry.contribution_pct
+                    });
+                }
+            }
+            if (rows.length > 0) {
+                rows.push({
+                    ancestorId: '',
+                    ancestorName: 'TOTAL COI',
+                    ancestorCOI_pct: '',
+                    n1_sireSteps: '',
+                    n2_damSteps: '',
+                    pathCount: '',
+                    pathContribution_pct: '',
+                    ancestorContribution_pct: result.total
+                });
+            }
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename=coi-breakdown-${id_public}.csv`);
+            return res.send(toCSV(rows));
+        }
+
+        res.json({
+            id_public,
+            name: [animal.prefix, animal.name, animal.suffix].filter(Boolean).join(' '),
+            sireId: result.sireId,
+            damId: result.damId,
+            inbreedingCoefficient: result.total,
+            generations,
+            commonAncestorCount: result.breakdown.length,
+            breakdown: result.breakdown
+        });
+    } catch (error) {
+        console.error(`[ANIMALS] Error building COI breakdown for ${req.params.id_public}:`, error);
+        res.status(500).json({ message: 'Failed to build COI breakdown', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getBreedingLines,
+    getBreedingLine,
+    createBreedingLine,
+    updateBreedingLine,
+    deleteBreedingLine,
+    updateBreedingLineMembers,
+    getBreedingLineMembers,
+    getBreedingLineTrends
+} = require('../database/db_service');
+const { ProfanityError } = require('../utils/profanityFilter');
+const { BREEDING_LINE_STATUSES, BreedingLineError } = require('../utils/breedingLines');
+const { logUserActivity, USER_ACTIONS } = require('../utils/userActivityLogger');
+// This router requires authMiddleware to be applied in index.js
+
+const sendLineError = (res, error, fallback) => {
+    if (error instanceof BreedingLineError) {
+        return res.status(error.statusCode).json({ message: error.message, errors: error.errors });
+    }
+    if (error instanceof ProfanityError) {
+        return res.status(error.statusCode || 400).json({ message: error.message });
+    }
+    res.status(500).json({ message: fallback, error: error.message });
+};
+
+const logLineActivity = (req, action, line, details) => {
+    logUserActivity({
+        userId: req.user.id,
+        id_public: req.user.id_public,
+        action,
+        targetType: 'breeding_line',
+        targetId: line._id,
+        details,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+};
+
+// GET /api/breeding-lines?status=active|retired
+// Lists the user's breeding lines (lines saved before the BreedingLine model are copied over first).
+router.get('/', async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !BREEDING_LINE_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `status must be one of: ${BREEDING_LINE_STATUSES.join(', ')}` });
+        }
+        res.status(200).json(await getBreedingLines(req.user.id, { status: status || null }));
+    } catch (error) {
+        console.error('Error fetching breeding lines:', error);
+        sendLineError(res, error, 'Failed to fetch breeding lines');
+    }
+});
+
+// POST /api/breeding-lines
+// Body: name (required), description, goals, species, color, status, founders, members,
+// deriveMembership, isPublic.
+router.post('/', async (req, res) => {
+    try {
+        const line = await createBreedingLine(req.user.id, req.body || {});
+        logLineActivity(req, USER_ACTIONS.BREEDING_LINE_CREATE, line, { name: line.name });
+        res.status(201).json(line);
+    } catch (error) {
+        console.error('Error creating breeding line:', error);
+        sendLineError(res, error, 'Failed to create breeding line');
+    }
+});
+
+// GET /api/breeding-lines/:id
+router.get('/:id', async (req, res) => {
+    try {
+        res.status(200).json(await getBreedingLine(req.user.id, req.params.id));
+    } catch (error) {
+        console.error('Error fetching breeding line:', error);
+        sendLineError(res, error, 'Failed to fetch breeding line');
+    }
+});
+
+// PATCH /api/breeding-lines/:id
+// Updates any of the fields accepted on create; status 'retired' stamps retiredAt.
+router.patch('/:id', async (req, res) => {
+    try {
+        const line = await updateBreedingLine(req.user.id, req.params.id, req.body || {});
+        logLineActivity(req, USER_ACTIONS.BREEDING_LINE_UPDATE, line, { fieldsUpdated: Object.keys(req.body || {}) });
+        res.status(200).json(line);
+    } catch (error) {
+        console.error('Error updating breeding line:', error);
+        sendLineError(res, error, 'Failed to update breeding line');
+    }
+});
+
+// DELETE /api/breeding-lines/:id
+router.delete('/:id', async (req, res) => {
+    try {
+        const line = await deleteBreedingLine(req.user.id, req.params.id);
+        logLineActivity(req, USER_ACTIONS.BREEDING_LINE_DELETE, line, { name: line.name });
+        res.status(200).json({ message: 'Breeding line deleted' });
+    } catch (error) {
+        console.error('Error deleting breeding line:', error);
+        sendLineError(res, error, 'Failed to delete breeding line');
+    }
+});
+
+// GET /api/breeding-lines/:id/members
+// Founders, assigned and derived members with their generation in the line.
+router.get('/:id/members', async (req, res) => {
+    try {
+        const { line, members } = await getBreedingLineMembers(req.user.id, req.params.id);
+        res.status(200).json({ lineId: line._id, name: line.name, memberCount: members.length, members });
+    } catch (error) {
+        console.error('Error fetching breeding line members:', error);
+        sendLineError(res, error, 'Failed to fetch breeding line members');
+    }
+});
+
+// POST /api/breeding-lines/:id/members
+// Body: { add: [id_public], remove: [id_public] } — assigns/unassigns animals by hand.
+router.post('/:id/members', async (req, res) => {
+    try {
+        const { add = [], remove = [] } = req.body || {};
+        const line = await updateBreedingLineMembers(req.user.id, req.params.id, { add, remove });
+        logLineActivity(req, USER_ACTIONS.BREEDING_LINE_UPDATE, line, { membersAdded: add, membersRemoved: remove });
+        res.status(200).json(line);
+    } catch (error) {
+        console.error('Error updating breeding line members:', error);
+        sendLineError(res, error, 'Failed to update breeding line members');
+    }
+});
+
+// GET /api/breeding-lines/:id/trends?generations=20
+// Mean COI and AVK of the line's members per line generation.
+router.get('/:id/trends', async (req, res) => {
+    try {
+        const generations = Math.min(Math.max(parseInt(req.query.generations) || 20, 1), 50);
+        res.status(200).json(await getBreedingLineTrends(req.user.id, req.params.id, { generations }));
+    } catch (error) {
+        console.error('Error calculating breeding line trends:', error);
+        sendLineError(res, error, 'Failed to calculate breeding line trends');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { ingestSensorReadings } = require('../database/db_service');
+const { EnclosureReadingError, MAX_SENSOR_BATCH } = require('../utils/enclosureReadings');
+const { ProfanityError } = require('../utils/profanityFilter');
+// This router is mounted WITHOUT authMiddleware: sensor scripts authenticate with the
+// enclosure's sensor key (POST /api/enclosures/:id/sensor-key) in the X-Sensor-Key header.
+
+// POST /api/enclosure-readings
+// Body: one reading { recordedAt?, temperature, temperatureUnit?, humidity, ph, ammonia, nitrite,
+// nitrate, notes } or { readings: [...] } with up to MAX_SENSOR_BATCH buffered readings.
+// recordedAt defaults to now; temperatureUnit to the enclosure's unit.
+router.post('/', async (req, res) => {
+    try {
+        res.status(201).json(await ingestSensorReadings(req.get('X-Sensor-Key'), req.body || {}));
+    } catch (error) {
+        if (error instanceof EnclosureReadingError) {
+            return res.status(error.statusCode).json({ message: error.message, errors: error.errors, maxBatch: MAX_SENSOR_BATCH });
+        }
+        if (error instanceof ProfanityError) {
+            return res.status(error.statusCode || 400).json({ message: error.message });
+        }
+        console.error('Error ingesting sensor readings:', error);
+        res.status(500).json({ message: 'Failed to store readings', error: error.message });
+    }
+});
+
+module.exports = router;
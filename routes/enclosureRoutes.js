@@ -1,7 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const { Enclosure, Animal, SupplyItem, EnclosureLog, UserActivityLog, Location } = require('../database/models');
+const { Enclosure, Animal, EnclosureLog, EnclosureReading, UserActivityLog, Location } = require('../database/models');
 const { logUserActivity } = require('../utils/userActivityLogger');
+const { assertCleanText, ProfanityError } = require('../utils/profanityFilter');
+const { EnclosureReadingError, validateReadingTargets } = require('../utils/enclosureReadings');
+const {
+    INACTIVE_STATUSES,
+    validateAssignmentRules,
+    resolveAssignmentRules,
+    evaluateAssignment,
+    normalizeOverrideReason,
+} = require('../utils/enclosureAssignment');
+const { placementFor } = require('../utils/facilityMap');
+const { FeedingError } = require('../utils/feedingLog');
+const {
+    addEnclosureReading,
+    getEnclosureReadings,
+    getEnclosureReadingSummary,
+    updateEnclosureReading,
+    deleteEnclosureReading,
+    createSensorKey,
+    revokeSensorKey,
+    adjustSupplyStock,
+    getEnclosureFeedings,
+} = require('../database/db_service');
 
 // ── Helper: Compute field diffs between old and new enclosure data ──────────
 const FIELD_LABELS = {
@@ -12,12 +34,18 @@ const FIELD_LABELS = {
     location: 'Location',
     buildingId: 'Building',
     roomId: 'Room',
+    locationId: 'Rack/Shelf',
     capacity: 'Capacity',
     tempMin: 'Min Temperature',
     tempMax: 'Max Temperature',
     temperatureUnit: 'Temperature Unit',
     humidityMin: 'Min Humidity',
     humidityMax: 'Max Humidity',
+    phMin: 'Min pH',
+    phMax: 'Max pH',
+    ammoniaMax: 'Max Ammonia',
+    nitriteMax: 'Max Nitrite',
+    nitrateMax: 'Max Nitrate',
     lightsOnTime: 'Lights On Time',
     lightsOffTime: 'Lights Off Time',
     lightTimeFormat: 'Time Format',
@@ -28,10 +56,16 @@ const FIELD_LABELS = {
     bedding: 'Bedding/Substrate',
     lightingType: 'Lighting Type',
     enrichment: 'Enrichment',
+    assignmentRules: 'Assignment Rules',
 };
 
 const DIFF_FIELDS = Object.keys(FIELD_LABELS);
 
+// Water targets keep 0 (e.g. "no detectable ammonia"), unlike the older `x ? Number(x) : null` fields.
+function numberOrNull(val) {
+    return val === null || val === undefined || val === '' ? null : Number(val);
+}
+
 function isEmpty(val) {
     return val === null || val === undefined || val === '' || (Array.isArray(val) && val.length === 0);
 }
@@ -47,7 +81,7 @@ async function computeFieldDiffs(oldData, newData) {
     const newRoomId = newData.roomId;
 
     // Batch-fetch all referenced locations in one query
-    const allLocationIds = [oldBuildingId, newBuildingId, oldRoomId, newRoomId].filter(Boolean);
+    const allLocationIds = [oldBuildingId, newBuildingId, oldRoomId, newRoomId, oldData.locationId, newData.locationId].filter(Boolean);
     const locations = allLocationIds.length > 0
         ? await Location.find({ _id: { $in: allLocationIds } }).select('name').lean()
         : [];
@@ -62,6 +96,7 @@ async function computeFieldDiffs(oldData, newData) {
     }
 
     for (const field of DIFF_FIELDS) {
+        if (!(field in newData)) continue;
         let oldVal = oldData[field];
         let newVal = newData[field];
         // Treat empty/null/undefined as equivalent to avoid phantom "empty → empty" changes
@@ -71,7 +106,7 @@ async function computeFieldDiffs(oldData, newData) {
             oldVal = resolveId(oldVal);
             newVal = resolveId(newVal);
         }
-        if (field === 'roomId') {
+        if (field === 'roomId' || field === 'locationId') {
             oldVal = resolveId(oldVal);
             newVal = resolveId(newVal);
         }
@@ -174,6 +209,44 @@ async function logEnclosureActivity({
     ).catch(err => console.error('[enclosureRoutes] Failed to push history:', err.message));
 }
 
+// Maintained by the reading endpoints (database/db_service.js), never by PATCH /:id
+const READING_MANAGED_FIELDS = ['sensorKeyHash', 'sensorKeyHint', 'sensorKeyCreatedAt', 'sensorLastSeenAt', 'lastReadingAt', 'readingAlert'];
+
+function sendReadingError(res, err, route, fallback) {
+    if (err instanceof EnclosureReadingError) {
+        return res.status(err.statusCode).json({ message: err.message, errors: err.errors });
+    }
+    if (err instanceof ProfanityError) {
+        return res.status(err.statusCode || 400).json({ message: err.message });
+    }
+    console.error(`[${route}]`, err);
+    res.status(500).json({ message: fallback });
+}
+
+// ── Helper: Place an enclosure on a rack/shelf (or any location) ───────────
+// Returns { buildingId, roomId, locationId } with building and room taken from the location's
+// parents, or null when the location is not the user's.
+async function resolvePlacement(userId, locationId) {
+    const locations = await Location.find({ creatorId: userId }).select('type parentLocationId').lean();
+    const byId = new Map(locations.map(l => [l._id.toString(), l]));
+    const location = byId.get(String(locationId));
+    if (!location) return null;
+    return { ...placementFor(location, byId), locationId: location._id };
+}
+
+// ── Helper: Evaluate assignment rules against the enclosure's current occupants ──
+const ASSIGNMENT_ANIMAL_FIELDS = 'id_public name prefix suffix species gender status isNeutered isQuarantine isInTreatment';
+const ASSIGNMENT_ENCLOSURE_FIELDS = '_id name capacity speciesLabels purpose assignmentRules';
+
+async function checkAssignment(userId, enclosure, animal) {
+    const occupants = await Animal.find({
+        creatorId: userId,
+        enclosureId: enclosure._id,
+        status: { $nin: INACTIVE_STATUSES },
+    }).select(ASSIGNMENT_ANIMAL_FIELDS).lean();
+    return evaluateAssignment({ enclosure, animal, occupants });
+}
+
 // ── Helpers for cleaning-task diffing ──────────────────────────────────────
 function compareTaskLists(oldTasks = [], newTasks = []) {
     const changes = [];
@@ -222,6 +295,25 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// GET /:id/assignment-check?animalId_public= — Dry run of the assignment rules, for showing
+// warnings before the animal is moved
+router.get('/:id/assignment-check', async (req, res) => {
+    try {
+        const { animalId_public } = req.query;
+        if (!animalId_public) return res.status(400).json({ message: 'animalId_public is required' });
+
+        const enc = await Enclosure.findOne({ _id: req.params.id, creatorId: req.user.id }).select(ASSIGNMENT_ENCLOSURE_FIELDS).lean();
+        if (!enc) return res.status(404).json({ message: 'Enclosure not found' });
+        const animal = await Animal.findOne({ id_public: animalId_public, creatorId: req.user.id }).select(ASSIGNMENT_ANIMAL_FIELDS).lean();
+        if (!animal) return res.status(404).json({ message: 'Animal not found' });
+
+        res.json({ ...(await checkAssignment(req.user.id, enc, animal)), rules: resolveAssignmentRules(enc.assignmentRules) });
+    } catch (err) {
+        console.error('[GET /api/enclosures/:id/assignment-check]', err);
+        res.status(500).json({ message: 'Failed to check assignment' });
+    }
+});
+
 // GET /:id/activity — Get aggregated activity for this enclosure
 router.get('/:id/activity', async (req, res) => {
     try {
@@ -246,7 +338,9 @@ router.get('/:id/activity', async (req, res) => {
 // Also get from UserActivityLog (enclosure-specific actions only)
         const enclosureActions = [
             'enclosure_create', 'enclosure_update', 'enclosure_delete',
-            'enclosure_assign', 'enclosure_unassign', 'enclosure_task_done',
+            'enclosure_assign', 'enclosure_unassign', 'enclosure_assign_override', 'enclosure_task_done',
+            'enclosure_reading_add', 'enclosure_reading_update', 'enclosure_reading_delete',
+            'enclosure_sensor_key_create', 'enclosure_sensor_key_revoke',
         ];
         const [activityLogs, activityTotal] = await Promise.all([
             UserActivityLog.find({
@@ -277,19 +371,178 @@ router.get('/:id/activity', async (req, res) => {
     }
 });
 
+// GET /:id/feedings — Feedings recorded in this enclosure, newest first, with a feeding summary
+// (acceptance rate, refusal streak) for each animal housed here. Query: from, to, limit
+router.get('/:id/feedings', async (req, res) => {
+    try {
+        res.json(await getEnclosureFeedings(req.user.id, req.params.id, req.query));
+    } catch (err) {
+        if (err instanceof FeedingError) {
+            return res.status(err.statusCode).json({ message: err.message, errors: err.errors });
+        }
+        console.error('[GET /api/enclosures/:id/feedings]', err);
+        res.status(500).json({ message: 'Failed to fetch feedings' });
+    }
+});
+
+// GET /:id/readings — Environmental readings, newest first
+// Query: from, to (default: the last 30 days), source (manual|sensor), outOfRange=true, page, limit
+router.get('/:id/readings', async (req, res) => {
+    try {
+        const { enclosure, ...result } = await getEnclosureReadings(req.user.id, req.params.id, req.query);
+        res.json({
+            ...result,
+            temperatureUnit: enclosure.temperatureUnit || 'C',
+            lastReadingAt: enclosure.lastReadingAt,
+            readingAlert: enclosure.readingAlert,
+        });
+    } catch (err) {
+        sendReadingError(res, err, 'GET /api/enclosures/:id/readings', 'Failed to fetch readings');
+    }
+});
+
+// GET /:id/readings/summary — Daily min/max/mean per measurement
+// Query: from, to, timeZone (IANA name, default UTC)
+router.get('/:id/readings/summary', async (req, res) => {
+    try {
+        res.json(await getEnclosureReadingSummary(req.user.id, req.params.id, req.query));
+    } catch (err) {
+        sendReadingError(res, err, 'GET /api/enclosures/:id/readings/summary', 'Failed to summarize readings');
+    }
+});
+
+// POST /:id/readings — Record a reading by hand
+router.post('/:id/readings', async (req, res) => {
+    try {
+        const userName = req.user.personalName || req.user.email || 'User';
+        const { enclosure, reading } = await addEnclosureReading(req.user.id, req.params.id, req.body, userName);
+
+        await logEnclosureActivity({
+            userId: req.user.id,
+            id_public: req.user.id_public,
+            enclosure,
+            action: 'enclosure_reading_add',
+            details: { userName, readingId: reading._id, recordedAt: reading.recordedAt, outOfRange: reading.breaches.length > 0 },
+            newValue: reading,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+        });
+
+        res.status(201).json(reading);
+    } catch (err) {
+        sendReadingError(res, err, 'POST /api/enclosures/:id/readings', 'Failed to record reading');
+    }
+});
+
+// PUT /:id/readings/:readingId — Correct a reading (sensor readings: notes only)
+router.put('/:id/readings/:readingId', async (req, res) => {
+    try {
+        const { enclosure, reading, previous } = await updateEnclosureReading(req.user.id, req.params.id, req.params.readingId, req.body);
+
+        await logEnclosureActivity({
+            userId: req.user.id,
+            id_public: req.user.id_public,
+            enclosure,
+            action: 'enclosure_reading_update',
+            details: { userName: req.user.personalName || req.user.email || 'User', readingId: reading._id, recordedAt: reading.recordedAt },
+            previousValue: previous,
+            newValue: reading,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+        });
+
+        res.json(reading);
+    } catch (err) {
+        sendReadingError(res, err, 'PUT /api/enclosures/:id/readings/:readingId', 'Failed to update reading');
+    }
+});
+
+// DELETE /:id/readings/:readingId — The deleted values stay in the enclosure's log
+router.delete('/:id/readings/:readingId', async (req, res) => {
+    try {
+        const { enclosure, previous } = await deleteEnclosureReading(req.user.id, req.params.id, req.params.readingId);
+
+        await logEnclosureActivity({
+            userId: req.user.id,
+            id_public: req.user.id_public,
+            enclosure,
+            action: 'enclosure_reading_delete',
+            details: { userName: req.user.personalName || req.user.email || 'User', readingId: previous._id, recordedAt: previous.recordedAt, reading: previous },
+            previousValue: previous,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+        });
+
+        res.json({ message: 'Reading deleted' });
+    } catch (err) {
+        sendReadingError(res, err, 'DELETE /api/enclosures/:id/readings/:readingId', 'Failed to delete reading');
+    }
+});
+
+// POST /:id/sensor-key — Issue a key for a sensor script (POST /api/enclosure-readings).
+// The key is returned once; issuing a new one invalidates the old one.
+router.post('/:id/sensor-key', async (req, res) => {
+    try {
+        const { enclosure, key, hint, replaced } = await createSensorKey(req.user.id, req.params.id);
+
+        await logEnclosureActivity({
+            userId: req.user.id,
+            id_public: req.user.id_public,
+            enclosure,
+            action: 'enclosure_sensor_key_create',
+            details: { userName: req.user.personalName || req.user.email || 'User', keyHint: hint, replaced },
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+        });
+
+        res.status(201).json({ key, hint });
+    } catch (err) {
+        sendReadingError(res, err, 'POST /api/enclosures/:id/sensor-key', 'Failed to create sensor key');
+    }
+});
+
+// DELETE /:id/sensor-key — Revoke the enclosure's sensor key
+router.delete('/:id/sensor-key', async (req, res) => {
+    try {
+        const { enclosure } = await revokeSensorKey(req.user.id, req.params.id);
+
+        await logEnclosureActivity({
+            userId: req.user.id,
+            id_public: req.user.id_public,
+            enclosure,
+            action: 'enclosure_sensor_key_revoke',
+            details: { userName: req.user.personalName || req.user.email || 'User', keyHint: enclosure.sensorKeyHint },
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+        });
+
+        res.json({ message: 'Sensor key revoked' });
+    } catch (err) {
+        sendReadingError(res, err, 'DELETE /api/enclosures/:id/sensor-key', 'Failed to revoke sensor key');
+    }
+});
+
 // POST create enclosure
 router.post('/', async (req, res) => {
     try {
         const {
             name, enclosureType, purpose, purposeDescription, location, dimensions, capacity,
             tempMin, tempMax, temperatureUnit, humidityMin, humidityMax,
+            phMin, phMax, ammoniaMax, nitriteMax, nitrateMax,
             lightsOnTime, lightsOffTime, lightTimeFormat, notes,
             cleaningTasks, tags, speciesLabels, imageUrl,
-            buildingId, roomId,
-            bedding, lightingType, enrichment
+            buildingId, roomId, locationId,
+            bedding, lightingType, enrichment, assignmentRules
         } = req.body;
 
         if (!name?.trim()) return res.status(400).json({ message: 'Enclosure name is required' });
+        const targetErrors = validateReadingTargets(req.body);
+        if (targetErrors.length) return res.status(400).json({ message: 'Invalid environment targets', errors: targetErrors });
+        const ruleErrors = validateAssignmentRules(assignmentRules);
+        if (ruleErrors.length) return res.status(400).json({ message: 'Invalid assignment rules', errors: ruleErrors });
+
+        const placement = locationId ? await resolvePlacement(req.user.id, locationId) : null;
+        if (locationId && !placement) return res.status(400).json({ message: 'Invalid location' });
 
         const enc = new Enclosure({
             creatorId: req.user.id,
@@ -305,6 +558,11 @@ router.post('/', async (req, res) => {
             temperatureUnit: temperatureUnit || 'C',
             humidityMin: humidityMin ? Number(humidityMin) : null,
             humidityMax: humidityMax ? Number(humidityMax) : null,
+            phMin: numberOrNull(phMin),
+            phMax: numberOrNull(phMax),
+            ammoniaMax: numberOrNull(ammoniaMax),
+            nitriteMax: numberOrNull(nitriteMax),
+            nitrateMax: numberOrNull(nitrateMax),
             lightsOnTime: lightsOnTime || null,
             lightsOffTime: lightsOffTime || null,
             lightTimeFormat: lightTimeFormat || '24h',
@@ -313,11 +571,13 @@ router.post('/', async (req, res) => {
             tags: Array.isArray(tags) ? tags : [],
             speciesLabels: Array.isArray(speciesLabels) ? speciesLabels : [],
             imageUrl: imageUrl || null,
-            buildingId: buildingId || null,
-            roomId: roomId || null,
+            buildingId: placement ? placement.buildingId : buildingId || null,
+            roomId: placement ? placement.roomId : roomId || null,
+            locationId: placement ? placement.locationId : null,
             bedding: bedding || null,
             lightingType: lightingType || null,
             enrichment: enrichment || null,
+            assignmentRules: resolveAssignmentRules(assignmentRules),
         });
 
         await enc.save();
@@ -346,13 +606,18 @@ router.put('/:id', async (req, res) => {
         const {
             name, enclosureType, purpose, purposeDescription, location, dimensions, capacity,
             tempMin, tempMax, temperatureUnit, humidityMin, humidityMax,
+            phMin, phMax, ammoniaMax, nitriteMax, nitrateMax,
             lightsOnTime, lightsOffTime, lightTimeFormat, notes,
             cleaningTasks, tags, speciesLabels, imageUrl,
-            buildingId, roomId,
-            bedding, lightingType, enrichment
+            buildingId, roomId, locationId,
+            bedding, lightingType, enrichment, assignmentRules
         } = req.body;
 
         if (!name?.trim()) return res.status(400).json({ message: 'Enclosure name is required' });
+        const targetErrors = validateReadingTargets(req.body);
+        if (targetErrors.length) return res.status(400).json({ message: 'Invalid environment targets', errors: targetErrors });
+        const ruleErrors = validateAssignmentRules(assignmentRules);
+        if (ruleErrors.length) return res.status(400).json({ message: 'Invalid assignment rules', errors: ruleErrors });
 
         // Fetch old enclosure to compute diffs
         const oldEnclosure = await Enclosure.findOne({ _id: req.params.id, creatorId: req.user.id }).lean();
@@ -371,6 +636,11 @@ router.put('/:id', async (req, res) => {
             temperatureUnit: temperatureUnit || 'C',
             humidityMin: humidityMin ? Number(humidityMin) : null,
             humidityMax: humidityMax ? Number(humidityMax) : null,
+            phMin: numberOrNull(phMin),
+            phMax: numberOrNull(phMax),
+            ammoniaMax: numberOrNull(ammoniaMax),
+            nitriteMax: numberOrNull(nitriteMax),
+            nitrateMax: numberOrNull(nitrateMax),
             lightsOnTime: lightsOnTime || null,
             lightsOffTime: lightsOffTime || null,
             lightTimeFormat: lightTimeFormat || '24h',
@@ -385,6 +655,19 @@ router.put('/:id', async (req, res) => {
             lightingType: lightingType || null,
             enrichment: enrichment || null,
         };
+        // Older clients do not send rules; leave them as they are
+        if (assignmentRules) setData.assignmentRules = resolveAssignmentRules(assignmentRules);
+
+        // A rack/shelf placement sets building and room; without one, keep the old placement
+        // unless building or room changed
+        if (locationId) {
+            const placement = await resolvePlacement(req.user.id, locationId);
+            if (!placement) return res.status(400).json({ message: 'Invalid location' });
+            Object.assign(setData, placement);
+        } else if (locationId === null || String(setData.buildingId) !== String(oldEnclosure.buildingId)
+            || String(setData.roomId) !== String(oldEnclosure.roomId)) {
+            setData.locationId = null;
+        }
 
         const enc = await Enclosure.findOneAndUpdate(
             { _id: req.params.id, creatorId: req.user.id },
@@ -394,7 +677,10 @@ router.put('/:id', async (req, res) => {
         if (!enc) return res.status(404).json({ message: 'Enclosure not found' });
 
 // Compute field diffs (now async — resolves building/room IDs to names)
-        const changes = await computeFieldDiffs(oldEnclosure, setData);
+        const changes = await computeFieldDiffs(
+            { ...oldEnclosure, assignmentRules: resolveAssignmentRules(oldEnclosure.assignmentRules) },
+            setData
+        );
 
         // Also detect task additions/removals
         const taskChanges = compareTaskLists(oldEnclosure.cleaningTasks, setData.cleaningTasks);
@@ -439,9 +725,13 @@ router.patch('/assign-animal', async (req, res) => {
     try {
         const { animalId_public, enclosureId } = req.body;
         if (!animalId_public) return res.status(400).json({ message: 'animalId_public is required' });
+        const override = normalizeOverrideReason(req.body.overrideReason);
+        if (override.errors.length) return res.status(400).json({ message: override.errors[0] });
+        if (override.reason) assertCleanText(override.reason, 'override reason');
 
-        // Fetch the animal to get its name
-        const animal = await Animal.findOne({ id_public: animalId_public, creatorId: req.user.id }).select('_id name prefix suffix status').lean();
+        // Fetch the animal to get its name and the fields the assignment rules look at
+        const animal = await Animal.findOne({ id_public: animalId_public, creatorId: req.user.id })
+            .select(`_id enclosureId ${ASSIGNMENT_ANIMAL_FIELDS}`).lean();
         if (!animal) return res.status(404).json({ message: 'Animal not found' });
 
         if (animal.status === 'Deceased' || animal.status === 'Rehomed') {
@@ -451,10 +741,21 @@ router.patch('/assign-animal', async (req, res) => {
         // If assigning, verify the enclosure belongs to this user
         let enc = null;
         if (enclosureId) {
-            enc = await Enclosure.findOne({ _id: enclosureId, creatorId: req.user.id }).select('_id name').lean();
+            enc = await Enclosure.findOne({ _id: enclosureId, creatorId: req.user.id }).select(ASSIGNMENT_ENCLOSURE_FIELDS).lean();
             if (!enc) return res.status(404).json({ message: 'Enclosure not found' });
         }
 
+        // Soft rules only warn; hard rules refuse unless the owner gives a reason to override
+        const evaluation = enc ? await checkAssignment(req.user.id, enc, animal) : { allowed: true, warnings: [], rejections: [] };
+        if (!evaluation.allowed && !override.reason) {
+            return res.status(409).json({
+                message: 'This assignment breaks the enclosure\'s rules. Send an overrideReason to assign anyway.',
+                warnings: evaluation.warnings,
+                rejections: evaluation.rejections,
+            });
+        }
+        const overridden = !evaluation.allowed;
+
         const animalName = [animal.prefix, animal.name, animal.suffix].filter(Boolean).join(' ');
 
         // --- Two-way route logging: Handle un-assignment from the old enclosure if moving ---
@@ -496,10 +797,28 @@ router.patch('/assign-animal', async (req, res) => {
                     userName: req.user.personalName || req.user.email || 'User',
                     animalName,
                     animalId: animalId_public,
+                    ...(evaluation.warnings.length ? { warnings: evaluation.warnings.map(v => v.code) } : {}),
                 },
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent'),
             });
+            if (overridden) {
+                await logEnclosureActivity({
+                    userId: req.user.id,
+                    id_public: req.user.id_public,
+                    enclosure: enc,
+                    action: 'enclosure_assign_override',
+                    details: {
+                        userName: req.user.personalName || req.user.email || 'User',
+                        animalName,
+                        animalId: animalId_public,
+                        reason: override.reason,
+                        rejections: evaluation.rejections,
+                    },
+                    ipAddress: req.ip,
+                    userAgent: req.get('User-Agent'),
+                });
+            }
         } else if (!enclosureId && animal.enclosureId) {
             // 2. Log unassignment if moving to no enclosure (this case is now also covered above, but this is a safeguard)
             const oldEnc = await Enclosure.findById(animal.enclosureId);
@@ -520,8 +839,16 @@ router.patch('/assign-animal', async (req, res) => {
             }
         }
 
-        res.json({ ok: true, enclosureId: result.enclosureId });
+        res.json({
+            ok: true,
+            enclosureId: result.enclosureId,
+            warnings: evaluation.warnings,
+            overridden: overridden ? evaluation.rejections : [],
+        });
     } catch (err) {
+        if (err instanceof ProfanityError) {
+            return res.status(err.statusCode || 400).json({ message: err.message });
+        }
         console.error('[PATCH /api/enclosures/assign-animal]', err);
         res.status(500).json({ message: 'Failed to assign animal to enclosure' });
     }
@@ -545,6 +872,12 @@ router.patch('/:id', async (req, res) => {
         if (Object.keys(operations).length === 0) {
             return res.status(400).json({ message: 'No valid update operations provided' });
         }
+        // Sensor keys and reading alert state are only changed through their own endpoints
+        const touchesReadingState = Object.values(operations).some(op => op && typeof op === 'object'
+            && Object.keys(op).some(path => READING_MANAGED_FIELDS.includes(path.split('.')[0])));
+        if (touchesReadingState) {
+            return res.status(400).json({ message: 'Sensor and reading alert fields cannot be patched' });
+        }
 
         // Detect the operation type for logging
         if ($push?.history) {
@@ -628,10 +961,13 @@ router.post('/:enclosureId/tasks/:taskId/complete', async (req, res) => {
         if (Array.isArray(supplyUsage) && supplyUsage.length > 0) {
             for (const item of supplyUsage) {
                 if (item.supplyId && item.quantityUsed > 0) {
-                    await SupplyItem.updateOne(
-                        { _id: item.supplyId, userId: req.user.id },
-                        { $inc: { currentStock: -item.quantityUsed } }
-                    );
+                    await adjustSupplyStock(req.user.id, item.supplyId, {
+                        type: 'consume',
+                        delta: -item.quantityUsed,
+                        source: 'enclosure_task',
+                        enclosureId: enclosure._id,
+                        notes: task.taskName || '',
+                    });
                 }
             }
         }
@@ -687,6 +1023,8 @@ router.delete('/:id', async (req, res) => {
             { $set: { enclosureId: null } }
         );
 
+        await EnclosureReading.deleteMany({ enclosureId: enc._id });
+
         res.json({ message: 'Enclosure deleted' });
     } catch (err) {
         console.error('[DELETE /api/enclosures/:id]', err);
@@ -3,32 +3,7 @@ const router = express.Router();
 const axios = require('axios');
 const JSZip = require('jszip');
 const { Animal, Litter, Enclosure, SupplyItem, Transaction } = require('../database/models');
-
-// --- CSV helpers ---
-
-function csvEscape(val) {
-    if (val === null || val === undefined) return '';
-    let s;
-    if (typeof val === 'object') {
-        s = JSON.stringify(val);
-    } else {
-        s = String(val);
-    }
-    if (s.includes(',') || s.includes('\n') || s.includes('"') || s.includes('\r')) {
-        return '"' + s.replace(/"/g, '""') + '"';
-    }
-    return s;
-}
-
-function toCSV(records) {
-    if (!records || records.length === 0) return 'No records exported.';
-    const headers = Object.keys(records[0]);
-    const rows = [headers.join(',')];
-    for (const rec of records) {
-        rows.push(headers.map(h => csvEscape(rec[h])).join(','));
-    }
-    return rows.join('\r\n');
-}
+const { toCSV } = require('../utils/csv');
 
 // --- Field strippers: remove internal MongoDB / ObjectId fields ---
 
@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const { Animal, PublicAnimal } = require('../database/models');
+const { getPublishedGeneticsData, getGenotypeInference } = require('../database/db_service');
+const { buildLocusIndex, parseGeneticCode, predictOffspring } = require('../utils/genetics');
+const { evaluatePhenotypeRules } = require('../utils/phenotypeRules');
+const { toPredictionGenotype } = require('../utils/genotypeInference');
+// This router requires authMiddleware to be applied in index.js
+
+const PARENT_SELECT = 'id_public name prefix suffix species gender geneticCode color coat markings';
+
+// An own animal, or any public one (e.g. another breeder's stud).
+const findParent = async (user, id_public) => {
+    const own = await Animal.findOne({ id_public, creatorId: user.id }).select(PARENT_SELECT).lean();
+    if (own) return { ...own, isOwn: true };
+    return PublicAnimal.findOne({ id_public }).select(PARENT_SELECT).lean();
+};
+
+// POST /api/genetics/offspring - Predict offspring genotypes/phenotypes for a pairing
+// Body: each parent as a genotype string (sireGenotype / damGenotype) or an animal ID
+// (sireId / damId) whose geneticCode is used; species is required when no ID is given.
+// inferGenotypes=true fills missing/partial loci of the user's own animals with probabilities
+// inferred from their relatives (see GET /api/animals/:id_public/genotype-inference).
+router.post('/offspring', async (req, res) => {
+    try {
+        const { sireGenotype, damGenotype, sireId, damId, inferGenotypes } = req.body || {};
+        let species = req.body && req.body.species;
+        let speciesFrom = species ? 'request' : null;
+
+        const parents = {};
+        for (const [role, genotype, id] of [['sire', sireGenotype, sireId], ['dam', damGenotype, damId]]) {
+            if (genotype) {
+                parents[role] = { geneticCode: genotype };
+                continue;
+            }
+            if (!id) {
+                return res.status(400).json({ message: `Provide either ${role}Genotype or ${role}Id.` });
+            }
+            const animal = await findParent(req.user, id);
+            if (!animal) {
+                return res.status(404).json({ message: `${role === 'sire' ? 'Sire' : 'Dam'} ${id} not found or not visible to you.` });
+            }
+            if (!animal.geneticCode && !(inferGenotypes && animal.isOwn)) {
+                return res.status(400).json({ message: `${role === 'sire' ? 'Sire' : 'Dam'} ${id} has no genetic code recorded.` });
+            }
+            if (species && animal.species !== species) {
+                const message = speciesFrom === 'request'
+                    ? `species does not match the parents (${species} given, ${role} ${id} is ${animal.species}).`
+                    : `Sire and dam must be the same species (${species} vs ${animal.species}).`;
+                return res.status(400).json({ message });
+            }
+            species = animal.species;
+            speciesFrom = role;
+            parents[role] = { ...animal };
+        }
+
+        if (!species) {
+            return res.status(400).json({ message: 'species is required when both parents are given as genotype strings.' });
+        }
+
+        const geneticsData = await getPublishedGeneticsData(species);
+        if (!geneticsData) {
+            return res.status(404).json({ message: `No published genetics data found for species: ${species}` });
+        }
+
+        const index = buildLocusIndex(geneticsData);
+        const sire = parseGeneticCode(parents.sire.geneticCode, index);
+        const dam = parseGeneticCode(parents.dam.geneticCode, index);
+        if (sire.errors.length || dam.errors.length) {
+            return res.status(400).json({
+                message: 'One or both genetic codes could not be parsed.',
+                errors: { sire: sire.errors, dam: dam.errors }
+            });
+        }
+
+        // Inference reads the animal's private record, so it is only applied to the user's own animals.
+        for (const [role, parsed] of [['sire', sire], ['dam', dam]]) {
+            if (!inferGenotypes || !parents[role].isOwn) continue;
+            const inference = await getGenotypeInference(req.user.id, parents[role].id_public);
+            if (inference) {
+                parsed.genotype = toPredictionGenotype(inference);
+                parents[role].inferred = true;
+            }
+        }
+
+        const prediction = predictOffspring(sire.genotype, dam.genotype, index);
+
+        // Rule-derived phenotypes (color/coat/markings) across the combined genotype table.
+        let derivedPhenotypes = null;
+        if ((geneticsData.phenotypeRules || []).length > 0 && !prediction.genotypesTruncated) {
+            const totals = new Map();
+            for (const outcome of prediction.genotypes) {
+                const { genotype } = parseGeneticCode(outcome.genotype, index);
+                const { suggestions } = evaluatePhenotypeRules(genotype, geneticsData.phenotypeRules);
+                const key = JSON.stringify(suggestions);
+                if (!totals.has(key)) totals.set(key, { ...suggestions, probability: 0 });
+                totals.get(key).probability += outcome.probability;
+            }
+            derivedPhenotypes = [...totals.values()]
+                .map(d => ({ ...d, probability: parseFloat(d.probability.toFixed(4)) }))
+                .sort((a, b) => b.probability - a.probability);
+        }
+
+        const describeParent = (parent, parsed) => ({
+            id_public: parent.id_public || null,
+            name: parent.name || null,
+            geneticCode: parent.geneticCode || null,
+            genotype: parsed.genotype.map(g => g.notation).join(' '),
+            inferred: !!parent.inferred
+        });
+
+        res.json({
+            species,
+            geneticsVersion: geneticsData.version,
+            sire: describeParent(parents.sire, sire),
+            dam: describeParent(parents.dam, dam),
+            ...prediction,
+            derivedPhenotypes
+        });
+    } catch (error) {
+        console.error('[GENETICS] Error predicting offspring:', error);
+        res.status(500).json({ message: 'Failed to predict offspring', error: error.message });
+    }
+});
+
+// POST /api/genetics/phenotype/preview - Suggest color/coat/markings from a genotype
+// Body: { species, geneticCode } or { animalId } (an own or public animal's geneticCode).
+// Evaluates the species' published phenotypeRules; nothing is saved (see autoFillPhenotype
+// on animal create/update for that).
+router.post('/phenotype/preview', async (req, res) => {
+    try {
+        let { species, geneticCode } = req.body || {};
+        const { animalId } = req.body || {};
+        let animal = null;
+
+        if (!geneticCode) {
+            if (!animalId) {
+                return res.status(400).json({ message: 'Provide either geneticCode and species, or animalId.' });
+            }
+            animal = await findParent(req.user, animalId);
+            if (!animal) {
+                return res.status(404).json({ message: `Animal ${animalId} not found or not visible to you.` });
+            }
+            if (!animal.geneticCode) {
+                return res.status(400).json({ message: `Animal ${animalId} has no genetic code recorded.` });
+            }
+            geneticCode = animal.geneticCode;
+            species = animal.species;
+        }
+        if (!species) {
+            return res.status(400).json({ message: 'species is required with geneticCode.' });
+        }
+
+        const geneticsData = await getPublishedGeneticsData(species);
+        if (!geneticsData) {
+            return res.status(404).json({ message: `No published genetics data found for species: ${species}` });
+        }
+
+        const index = buildLocusIndex(geneticsData);
+        const { genotype, normalizedCode, errors } = parseGeneticCode(geneticCode, index);
+        if (errors.length) {
+            return res.status(400).json({ message: 'The genetic code could not be parsed.', errors });
+        }
+
+        const { suggestions, matchedRules, undecidedRules } = evaluatePhenotypeRules(genotype, geneticsData.phenotypeRules);
+        const locusPhenotypes = genotype.map(g => {
+            const locus = index.loci.find(l => l.symbol === g.locus);
+            const combination = locus && locus.combinations.get(g.notation);
+            return {
+                locus: g.locus,
+                locusName: g.locusName,
+                category: g.category,
+                notation: g.notation,
+                phenotype: combination ? combination.phenotype : null,
+                carrier: combination ? combination.carrier : null
+            };
+        });
+
+        res.json({
+            species,
+            geneticsVersion: geneticsData.version,
+            animalId: animal ? animal.id_public : null,
+            geneticCode: normalizedCode,
+            suggestions,
+            current: animal ? { color: animal.color || null, coat: animal.coat || null, markings: animal.markings || null } : null,
+            matchedRules,
+            undecidedRules,
+            locusPhenotypes
+        });
+    } catch (error) {
+        console.error('[GENETICS] Error previewing phenotype:', error);
+        res.status(500).json({ message: 'Failed to preview phenotype', error: error.message });
+    }
+});
+
+module.exports = router;
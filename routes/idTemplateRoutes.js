@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { getIdTemplates, updateIdTemplates, previewIdTemplates } = require('../database/db_service');
+const { IdTemplateError, TEMPLATE_TOKENS } = require('../utils/idTemplates');
+const { logUserActivity, USER_ACTIONS } = require('../utils/userActivityLogger');
+// This router requires authMiddleware to be applied in index.js
+
+const sendTemplateError = (res, error, fallback) => {
+    if (error instanceof IdTemplateError) {
+        return res.status(error.statusCode).json({ message: error.message, errors: error.errors });
+    }
+    res.status(500).json({ message: fallback, error: error.message });
+};
+
+// GET /api/id-templates
+// The user's { prefix, litter, offspring, speciesCodes } and the tokens each template may use.
+router.get('/', async (req, res) => {
+    try {
+        res.status(200).json({ idTemplates: await getIdTemplates(req.user.id), tokens: TEMPLATE_TOKENS });
+    } catch (error) {
+        console.error('Error fetching ID templates:', error);
+        sendTemplateError(res, error, 'Failed to fetch ID templates');
+    }
+});
+
+// PUT /api/id-templates
+// Body: any of prefix, litter, offspring, speciesCodes ({ 'Fancy Mouse': 'FM' }). A null
+// template stops numbering that kind; new litters and bulk-created pups use the rest.
+router.put('/', async (req, res) => {
+    try {
+        const idTemplates = await updateIdTemplates(req.user.id, req.body || {});
+        logUserActivity({
+            userId: req.user.id,
+            id_public: req.user.id_public,
+            action: USER_ACTIONS.ID_TEMPLATES_UPDATE,
+            targetType: 'profile',
+            targetId: req.user.id,
+            details: { litter: idTemplates.litter, offspring: idTemplates.offspring },
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+        res.status(200).json({ idTemplates });
+    } catch (error) {
+        console.error('Error saving ID templates:', error);
+        sendTemplateError(res, error, 'Failed to save ID templates');
+    }
+});
+
+// POST /api/id-templates/preview
+// Body: { species, date, sex, count } plus optional unsaved prefix/litter/offspring/speciesCodes.
+// Lists the next numbers without using them up; `taken` flags numbers that would be skipped.
+router.post('/preview', async (req, res) => {
+    try {
+        res.status(200).json(await previewIdTemplates(req.user.id, req.body || {}));
+    } catch (error) {
+        console.error('Error previewing ID templates:', error);
+        sendTemplateError(res, error, 'Failed to preview ID templates');
+    }
+});
+
+module.exports = router;
@@ -3,7 +3,9 @@ const router = express.Router();
 const multer = require('multer');
 const JSZip = require('jszip');
 const { Animal, Litter, Enclosure, SupplyItem, Transaction } = require('../database/models');
-const { getNextSequence } = require('../database/db_service');
+const { getNextSequence, adjustSupplyStock } = require('../database/db_service');
+const { planLitterStatusChange } = require('../utils/litterLifecycle');
+const { syncParentReproStatus } = require('../utils/reproStatusSync');
 
 // Memory-only multer for import (we need the buffer, not a file on disk)
 const upload = multer({
@@ -120,7 +122,7 @@ const ANIMAL_SAFE = new Set([
     'id_public','species','prefix','suffix','name','gender','birthDate','deceasedDate',
     'breederId_public','manualBreederName','status','color','coat','earset',
     'isOwned','archived','soldStatus','isPregnant','isNursing','isInMating','isQuarantine',
-    'lastFedDate','feedingIntervalHours',
+    'lastFedDate','lastOfferedDate','feedingIntervalHours',
     'animalCareTasks','tags','imageUrl','photoUrl','extraImages',
     'sireId_public','damId_public',
     'remarks','geneticCode','manualownerName','groupRole','keeperHistory',
@@ -181,8 +183,8 @@ const ENCLOSURE_SAFE = new Set([
 
 const SUPPLY_SAFE = new Set([
     'name','category','currentStock','unit','reorderThreshold','notes',
-    'isFeederAnimal','feederType','feederSize','costPerUnit',
-    'nextOrderDate','orderFrequency','orderFrequencyUnit',
+    'isFeederAnimal','feederType','feederSize','feederWeightGrams','costPerUnit',
+    'nextOrderDate','orderFrequency','orderFrequencyUnit','supplier','leadTimeDays',
 ]);
 
 const BUDGET_SAFE = new Set([
@@ -370,6 +372,21 @@ router.post('/', upload.single('file'), async (req, res) => {
         const records = Array.isArray(importData.litters) ? importData.litters : [];
         written.litters = 0;
         skipped.litters = 0;
+        const litterParents = new Set();
+
+        // Imported litters get the status their dates describe, validated like any other edit,
+        // so the parents' pregnant/nursing flags can trust it.
+        const createLitter = async (rec) => {
+            const { to: status, fields } = planLitterStatusChange({}, rec);
+            const now = new Date();
+            await Litter.create({
+                ...fields,
+                creatorId: userId,
+                status,
+                statusChangedAt: now,
+                statusHistory: [{ from: null, to: status, at: now, by: userId, note: 'Imported' }],
+            });
+        };
 
         for (const raw of records) {
             const rec = sanitise(raw, LITTER_SAFE);
@@ -379,25 +396,52 @@ router.post('/', upload.single('file'), async (req, res) => {
                 if (!isConflict) {
                     if (!raw.litter_id_public) rec.litter_id_public = await getNextSequence('litterId');
                     else rec.litter_id_public = raw.litter_id_public;
-                    rec.creatorId = userId;
-                    await Litter.create(rec);
+                    await createLitter(rec);
                     written.litters++;
                 } else {
                     const action = resolveAction('litters', raw.litter_id_public);
                     if (action === 'skip') {
                         skipped.litters++;
+                        continue;
                     } else if (action === 'overwrite') {
-                        await Litter.updateOne({ litter_id_public: raw.litter_id_public, creatorId: userId }, { $set: rec });
+                        const filter = { litter_id_public: raw.litter_id_public, creatorId: userId };
+                        const existing = await Litter.findOne(filter).lean();
+                        if (!existing) continue;
+                        const change = planLitterStatusChange(existing, rec);
+                        const update = { $set: { ...change.fields, status: change.to } };
+                        if (change.changed || !existing.status) {
+                            const now = new Date();
+                            update.$set.statusChangedAt = now;
+                            update.$push = { statusHistory: {
+                                from: change.changed ? change.from : null,
+                                to: change.to,
+                                at: now,
+                                by: userId,
+                                correction: change.correction,
+                                note: 'Imported',
+                            } };
+                        }
+                        await Litter.updateOne(filter, update);
+                        [existing.sireId_public, existing.damId_public].forEach(id => id && litterParents.add(id));
                         written.litters++;
                     } else if (action === 'createNew') {
                         rec.litter_id_public = await getNextSequence('litterId');
-                        rec.creatorId = userId;
-                        await Litter.create(rec);
+                        await createLitter(rec);
                         written.litters++;
                     }
                 }
+                [rec.sireId_public, rec.damId_public].forEach(id => id && litterParents.add(id));
+            } catch (err) {
+                const details = Array.isArray(err.errors) && err.errors.length ? `: ${err.errors.join(' ')}` : '';
+                errors.push({ section: 'litters', id: raw.litter_id_public || '?', error: err.message + details });
+            }
+        }
+
+        if (litterParents.size) {
+            try {
+                await syncParentReproStatus(userId, [...litterParents]);
             } catch (err) {
-                errors.push({ section: 'litters', id: raw.litter_id_public || '?', error: err.message });
+                console.error('[import] Failed to sync parent reproductive status:', err.message);
             }
         }
     }
@@ -446,29 +490,42 @@ router.post('/', upload.single('file'), async (req, res) => {
         written.supplies = 0;
         skipped.supplies = 0;
 
+        // Imported stock figures are count corrections in the supply ledger, like a stock edit.
+        const importStock = async (item, stock) => {
+            if (!item || stock === undefined || stock === null || stock === '') return;
+            await adjustSupplyStock(userId, item._id, { type: 'adjust', stock: Number(stock), source: 'stock_edit', notes: 'Imported' });
+        };
+
         for (const raw of records) {
             const rec = sanitise(raw, SUPPLY_SAFE);
             if (!rec.name?.trim()) {
                 errors.push({ section: 'supplies', id: raw.name || '?', error: 'Missing required field: name' });
                 continue;
             }
+            const stock = rec.currentStock;
+            delete rec.currentStock;
+            if (stock !== undefined && stock !== null && !(typeof stock !== 'object' && Number.isFinite(Number(stock)) && Number(stock) >= 0)) {
+                errors.push({ section: 'supplies', id: raw.name || '?', error: 'currentStock must be a number of at least 0' });
+                continue;
+            }
             try {
                 const isConflict = existingSupplyNames.has(rec.name.toLowerCase());
                 if (!isConflict) {
                     rec.userId = userId;
-                    await SupplyItem.create(rec);
+                    await importStock(await SupplyItem.create(rec), stock);
                     written.supplies++;
                 } else {
                     const action = resolveAction('supplies', rec.name);
                     if (action === 'skip') {
                         skipped.supplies++;
                     } else if (action === 'overwrite') {
-                        await SupplyItem.updateOne({ userId, name: rec.name }, { $set: rec });
+                        const item = await SupplyItem.findOneAndUpdate({ userId, name: rec.name }, { $set: rec }, { new: true }).select('_id').lean();
+                        await importStock(item, stock);
                         written.supplies++;
                     } else if (action === 'createNew') {
                         rec.name = `${rec.name} (imported)`;
                         rec.userId = userId;
-                        await SupplyItem.create(rec);
+                        await importStock(await SupplyItem.create(rec), stock);
                         written.supplies++;
                     }
                 }
@@ -2,10 +2,14 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { addLitter, adoptLitter, getUsersLitters, getLittersForAnimal, updateLitter } = require('../database/db_service');
+const { addLitter, adoptLitter, getUsersLitters, getUsersLittersByStatus, getBreedingPerformance, getLittersForAnimal, updateLitter, addLitterOffspring, getLitterGrowth } = require('../database/db_service');
+const { ProfanityError } = require('../utils/profanityFilter');
 const { logUserActivity, USER_ACTIONS } = require('../utils/userActivityLogger');
 const { Animal, User, Notification, Litter, PublicAnimal } = require('../database/models');
 const { syncParentReproStatus } = require('../utils/reproStatusSync');
+const { LITTER_STATUSES, LitterStatusError } = require('../utils/litterLifecycle');
+const { IdTemplateError } = require('../utils/idTemplates');
+const { DEFAULT_FLAG_PERCENTILE } = require('../utils/growthCurves');
 const r2 = require('../storage/r2_client');
 // This router requires authMiddleware to be applied in index.js
 
@@ -97,7 +101,8 @@ router.post('/', async (req, res) => {
         res.status(201).json({
             message: 'Litter registered successfully!',
             litterId_backend: newLitter._id,
-            litter_id_public: newLitter.litter_id_public
+            litter_id_public: newLitter.litter_id_public,
+            registrationNumber: newLitter.registrationNumber
         });
 
         // Notify owners of sire/dam if they are a different user (fire-and-forget)
@@ -147,6 +152,9 @@ router.post('/', async (req, res) => {
         if (error.code === 'DUPLICATE_LITTER') {
             return res.status(409).json({ message: error.message, duplicate: error.duplicate });
         }
+        if (error instanceof LitterStatusError || error instanceof IdTemplateError) {
+            return res.status(error.statusCode).json({ message: error.message, errors: error.errors });
+        }
         console.error('Error registering litter:', error);
         res.status(500).json({ message: 'Internal server error during litter registration.' });
     }
@@ -199,6 +207,47 @@ router.get('/for-animal/:id_public', async (req, res) => {
     }
 });
 
+// GET /api/litters/by-status?status=pregnant,born
+// The logged-in user's litters in the given lifecycle status(es) (all statuses when omitted),
+// with a count of their litters per status.
+router.get('/by-status', async (req, res) => {
+    try {
+        const statuses = req.query.status
+            ? String(req.query.status).split(',').map(s => s.trim()).filter(Boolean)
+            : LITTER_STATUSES;
+        const unknown = statuses.filter(s => !LITTER_STATUSES.includes(s));
+        if (unknown.length) {
+            return res.status(400).json({ message: `Unknown litter status: ${unknown.join(', ')}. Use one of: ${LITTER_STATUSES.join(', ')}.` });
+        }
+
+        const result = await getUsersLittersByStatus(req.user.id, statuses);
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error fetching litters by status:', error);
+        res.status(500).json({ message: 'Internal server error while fetching litters.' });
+    }
+});
+
+// GET /api/litters/analytics/performance?species=Fancy%20Mouse&from=2025-01-01&to=2025-12-31
+// Litter size, weaning rate, mortality, inter-litter interval, age at first litter and
+// pregnancy-loss rate per dam, per sire, per breeding line and overall.
+router.get('/analytics/performance', async (req, res) => {
+    try {
+        const { species, from, to } = req.query;
+        for (const [label, value] of [['from', from], ['to', to]]) {
+            if (value && isNaN(new Date(value).getTime())) {
+                return res.status(400).json({ message: `Invalid ${label} date.` });
+            }
+        }
+
+        const performance = await getBreedingPerformance(req.user.id, { species: species || null, from: from || null, to: to || null });
+        res.status(200).json(performance);
+    } catch (error) {
+        console.error('Error computing breeding performance:', error);
+        res.status(500).json({ message: 'Internal server error while computing breeding performance.' });
+    }
+});
+
 // GET /api/litters/:id_public/offspring
 // Returns all offspring animals for a litter with display-safe fields.
 // Private animals (isDisplay: false) are included with isPrivate: true flag.
@@ -230,6 +279,22 @@ router.get('/:id_public/offspring', async (req, res) => {
     }
 });
 
+// GET /api/litters/:id_public/growth?percentile=10
+// Each pup's latest weighing against its litter-mates' mean and the species reference curve;
+// runts (under 75% of the litter-mates' mean) and pups below the percentile are flagged.
+router.get('/:id_public/growth', async (req, res) => {
+    try {
+        const percentile = Math.min(Math.max(parseInt(req.query.percentile) || DEFAULT_FLAG_PERCENTILE, 1), 50);
+        res.status(200).json(await getLitterGrowth(req.user.id, req.params.id_public, { percentile }));
+    } catch (error) {
+        if (error.message.includes('not found') || error.message.includes('does not own')) {
+            return res.status(404).json({ message: error.message });
+        }
+        console.error('Error analysing litter growth:', error);
+        res.status(500).json({ message: 'Internal server error while analysing litter growth.' });
+    }
+});
+
 // GET /api/litters/:id_public
 // Gets a single litter by its public ID (any authenticated user can fetch).
 router.get('/:id_public', async (req, res) => {
@@ -262,6 +327,8 @@ router.get('/', async (req, res) => {
 
 // PUT /api/litters/:id_backend
 // 3. Updates an existing litter's record.
+// Body may include `status` (planned/mated/pregnant/born/weaned/failed/lost) and `statusNote`;
+// illegal transitions return 409, impossible dates 400 (see utils/litterLifecycle.js).
 router.put('/:id_backend', async (req, res) => {
     try {
         const appUserId_backend = req.user.id;
@@ -338,6 +405,9 @@ router.put('/:id_backend', async (req, res) => {
             litter: updatedLitter
         });
     } catch (error) {
+        if (error instanceof LitterStatusError || error instanceof IdTemplateError) {
+            return res.status(error.statusCode).json({ message: error.message, errors: error.errors });
+        }
         console.error('Error updating litter:', error);
         // Use 404 if the litter isn't found or doesn't belong to the user
         if (error.message.includes("not found") || error.message.includes("does not own")) {
@@ -347,6 +417,46 @@ router.put('/:id_backend', async (req, res) => {
     }
 });
 
+// POST /api/litters/:id_backend/offspring/bulk
+// Creates a born litter's pups in one transaction with parentage, birth date, breeder and litter
+// link pre-filled. Body: { count, namePattern ('{litter} Pup {n}'), startNumber, breederId_public,
+// species, defaults: {...}, animals: [{ name, gender, ... }] } — all optional; count defaults to the pups
+// missing from the litter's male/female/unknown counts, which also assign each pup's sex.
+router.post('/:id_backend/offspring/bulk', async (req, res) => {
+    try {
+        const appUserId_backend = req.user.id;
+        const result = await addLitterOffspring(appUserId_backend, req.params.id_backend, req.body || {});
+
+        logUserActivity({
+            userId: appUserId_backend,
+            id_public: req.user.id_public,
+            action: USER_ACTIONS.LITTER_UPDATE,
+            targetType: 'litter',
+            targetId: req.params.id_backend,
+            details: { offspringCreated: result.created.map(a => a.id_public) },
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        res.status(201).json({
+            message: `${result.created.length} offspring created.`,
+            ...result
+        });
+    } catch (error) {
+        if (error instanceof LitterStatusError || error instanceof ProfanityError || error instanceof IdTemplateError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        if (error.code === 'INVALID_OFFSPRING_REQUEST') {
+            return res.status(400).json({ message: error.message });
+        }
+        if (error.message.includes('not found') || error.message.includes('does not own')) {
+            return res.status(404).json({ message: error.message });
+        }
+        console.error('Error creating litter offspring:', error);
+        res.status(500).json({ message: 'Internal server error while creating offspring.' });
+    }
+});
+
 // DELETE /api/litters/:id_backend
 // 4. Deletes a litter record.
 router.delete('/:id_backend', async (req, res) => {
@@ -1,6 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const { Location, Enclosure } = require('../database/models');
+const { Location, Enclosure, Animal } = require('../database/models');
+const { LOCATION_TYPES, checkLocationParent, placementFor, buildLocationTree } = require('../utils/facilityMap');
+const { INACTIVE_STATUSES } = require('../utils/enclosureAssignment');
+
+// ── Helper: Re-derive enclosures' buildingId/roomId after a location moved ────
+async function refileEnclosures(userId) {
+    const locations = await Location.find({ creatorId: userId }).lean();
+    const byId = new Map(locations.map(l => [l._id.toString(), l]));
+    const enclosures = await Enclosure.find({
+        creatorId: userId,
+        $or: [{ locationId: { $ne: null } }, { roomId: { $ne: null } }],
+    }).select('buildingId roomId locationId').lean();
+
+    const ops = [];
+    for (const enc of enclosures) {
+        const at = byId.get(String(enc.locationId || enc.roomId));
+        if (!at) continue;
+        const { buildingId, roomId } = placementFor(at, byId);
+        if (String(buildingId) !== String(enc.buildingId) || String(roomId) !== String(enc.roomId)) {
+            ops.push({ updateOne: { filter: { _id: enc._id }, update: { $set: { buildingId, roomId } } } });
+        }
+    }
+    if (ops.length > 0) await Enclosure.bulkWrite(ops);
+}
 
 // GET all locations for the logged-in user
 // The auth middleware is applied in index.js, so we don't need it here.
@@ -14,22 +37,62 @@ router.get('/', async (req, res) => {
     }
 });
 
+// GET /tree — The facility map: the location tree with per-location enclosure, animal
+// (by species/sex/status), free capacity and overdue task counts, own and rolled up.
+// ?species=Fancy Rat also counts free places in enclosures suitable for that species.
+router.get('/tree', async (req, res) => {
+    try {
+        const [locations, enclosures] = await Promise.all([
+            Location.find({ creatorId: req.user.id }).select('name type parentLocationId').lean(),
+            Enclosure.find({ creatorId: req.user.id })
+                .select('name purpose capacity speciesLabels cleaningTasks buildingId roomId locationId')
+                .lean(),
+        ]);
+        const animals = await Animal.find({
+            creatorId: req.user.id,
+            enclosureId: { $in: enclosures.map(e => e._id) },
+            status: { $nin: INACTIVE_STATUSES },
+        }).select('enclosureId species gender status').lean();
+
+        const species = typeof req.query.species === 'string' && req.query.species.trim() ? req.query.species.trim() : null;
+        res.json({ species, ...buildLocationTree({ locations, enclosures, animals }, { species }) });
+    } catch (error) {
+        console.error('Failed to build location tree:', error);
+        res.status(500).json({ message: 'Failed to build location tree' });
+    }
+});
+
 // POST a new location
 router.post('/', async (req, res) => {
     const { name, type, parentLocationId, address } = req.body;
     if (!name || !type) {
         return res.status(400).json({ message: 'Name and type are required' });
     }
+    if (!LOCATION_TYPES.includes(type)) {
+        return res.status(400).json({ message: `Type must be one of: ${LOCATION_TYPES.join(', ')}` });
+    }
     if (type === 'room' && !parentLocationId) {
         return res.status(400).json({ message: 'A room must have a parent building' });
     }
 
     try {
+        let parent = null;
+        if (type !== 'building' && parentLocationId) {
+            parent = await Location.findOne({ _id: parentLocationId, creatorId: req.user.id }).lean();
+            if (!parent) {
+                return res.status(400).json({ message: 'Invalid parent location' });
+            }
+        }
+        const problem = checkLocationParent(type, parent);
+        if (problem) {
+            return res.status(400).json({ message: problem });
+        }
+
         const newLocation = new Location({
             creatorId: req.user.id,
             name,
             type,
-            parentLocationId: type === 'building' ? null : parentLocationId,
+            parentLocationId: parent ? parent._id : null,
             address: type === 'building' ? address : null,
         });
         await newLocation.save();
@@ -58,21 +121,29 @@ router.put('/:id', async (req, res) => {
         if (location.type === 'building' && address) {
             location.address = address;
         }
-        // Only allow updating parentLocationId for rooms
-        if (location.type === 'room') {
-            // A null parentLocationId is valid (making it an unassigned room)
+        // Rooms, racks and shelves can move; a null parentLocationId is valid for a room
+        // (making it an unassigned room). Leaving parentLocationId out keeps the current parent.
+        const previousParent = location.parentLocationId ? location.parentLocationId.toString() : null;
+        if (location.type !== 'building' && parentLocationId !== undefined) {
+            let parent = null;
             if (parentLocationId) {
-                const parent = await Location.findOne({ _id: parentLocationId, creatorId: req.user.id, type: 'building' });
+                parent = await Location.findOne({ _id: parentLocationId, creatorId: req.user.id }).lean();
                 if (!parent) {
-                    return res.status(400).json({ message: 'Invalid parent building' });
+                    return res.status(400).json({ message: 'Invalid parent location' });
                 }
-                location.parentLocationId = parentLocationId;
-            } else {
-                location.parentLocationId = null;
             }
+            const problem = checkLocationParent(location.type, parent);
+            if (problem) {
+                return res.status(400).json({ message: problem });
+            }
+            location.parentLocationId = parent ? parent._id : null;
         }
-        
+
         await location.save();
+        const newParent = location.parentLocationId ? location.parentLocationId.toString() : null;
+        if (newParent !== previousParent) {
+            await refileEnclosures(req.user.id);
+        }
         res.json(location);
     } catch (error) {
         console.error('Failed to update location:', error);
@@ -80,7 +151,7 @@ router.put('/:id', async (req, res) => {
     }
 });
 
-// DELETE a location
+// DELETE a location, with everything nested inside it
 router.delete('/:id', async (req, res) => {
     try {
         const location = await Location.findOne({ _id: req.params.id, creatorId: req.user.id });
@@ -88,23 +159,20 @@ router.delete('/:id', async (req, res) => {
             return res.status(404).json({ message: 'Location not found' });
         }
 
-        if (location.type === 'building') {
-            // If deleting a building, also find and delete its rooms
-            const rooms = await Location.find({ parentLocationId: location._id });
-            const roomIds = rooms.map(r => r._id);
-            // Unassign enclosures from the building and any of its rooms
-            await Enclosure.updateMany(
-                { creatorId: req.user.id, $or: [{ buildingId: location._id }, { roomId: { $in: roomIds } }] },
-                { $set: { buildingId: null, roomId: null } }
-            );
-            // Delete the rooms
-            await Location.deleteMany({ _id: { $in: roomIds } });
-        } else { // It's a room
-            // Unassign enclosures from just this room
-            await Enclosure.updateMany({ creatorId: req.user.id, roomId: location._id }, { $set: { roomId: null } });
+        // Collect the location and its descendants (rooms, racks, shelves)
+        const all = await Location.find({ creatorId: req.user.id }).select('parentLocationId').lean();
+        const ids = [location._id.toString()];
+        for (let i = 0; i < ids.length; i++) {
+            all.filter(l => l.parentLocationId && l.parentLocationId.toString() === ids[i])
+                .forEach(l => ids.push(l._id.toString()));
         }
 
-        await Location.deleteOne({ _id: req.params.id });
+        // Unassign enclosures from whatever is deleted; they keep the levels above it
+        await Enclosure.updateMany({ creatorId: req.user.id, buildingId: { $in: ids } }, { $set: { buildingId: null } });
+        await Enclosure.updateMany({ creatorId: req.user.id, roomId: { $in: ids } }, { $set: { roomId: null } });
+        await Enclosure.updateMany({ creatorId: req.user.id, locationId: { $in: ids } }, { $set: { locationId: null } });
+
+        await Location.deleteMany({ _id: { $in: ids }, creatorId: req.user.id });
         res.status(204).send();
     } catch (error) {
         console.error('Failed to delete location:', error);
@@ -112,4 +180,4 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,12 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { generatePedigree } = require('../database/db_service');
+const { Animal } = require('../database/models');
+const { generatePedigree, getPedigreeCertificateData, MAX_PEDIGREE_GENERATIONS, PEDIGREE_FORMATS } = require('../database/db_service');
+const { calculateInbreedingCoefficient } = require('../utils/inbreeding');
+const {
+    PAPER_SIZES,
+    ORIENTATIONS,
+    MIN_CERTIFICATE_GENERATIONS,
+    MAX_CERTIFICATE_GENERATIONS,
+    renderPedigreeCertificate
+} = require('../utils/pedigreeCertificate');
 // This router requires authMiddleware to be applied in index.js
 
 // --- Pedigree Route Controllers (PROTECTED) ---
 
 // GET /api/pedigree/:animalId_backend
-// 1. Generates and returns a nested pedigree structure for the specified animal.
+// 1. Generates and returns the pedigree for the specified animal.
+// Query: generations (1-12, default 4), format ('nested' | 'flat' | 'ahnentafel', default 'nested')
 router.get('/:animalId_backend', async (req, res) => {
     try {
         // req.user is added by authMiddleware and contains the user's backend _id
@@ -16,14 +26,20 @@ router.get('/:animalId_backend', async (req, res) => {
         // Optional: Number of generations to trace (default to 4)
         const generations = req.query.generations ? parseInt(req.query.generations, 10) : 4;
 
-        if (isNaN(generations) || generations < 1 || generations > 4) {
-            return res.status(400).json({ message: 'Generations must be an integer between 1 and 4.' });
+        if (isNaN(generations) || generations < 1 || generations > MAX_PEDIGREE_GENERATIONS) {
+            return res.status(400).json({ message: `Generations must be an integer between 1 and ${MAX_PEDIGREE_GENERATIONS}.` });
         }
 
-        const pedigreeTree = await generatePedigree(appUserId_backend, animalId_backend, generations);
+        const format = req.query.format || 'nested';
+        if (!PEDIGREE_FORMATS.includes(format)) {
+            return res.status(400).json({ message: `Format must be one of: ${PEDIGREE_FORMATS.join(', ')}.` });
+        }
+
+        const pedigree = await generatePedigree(appUserId_backend, animalId_backend, generations, format);
 
-        // This returns the nested object structure suitable for a 4-generation chart.
-        res.status(200).json(pedigreeTree);
+        // 'nested' returns the tree object suitable for a pedigree chart; 'flat' returns
+        // { nodes, edges }; 'ahnentafel' returns an array ordered by Ahnentafel number.
+        res.status(200).json(pedigree);
     } catch (error) {
         console.error('Error generating pedigree:', error);
         if (error.message.includes('not found') || error.message.includes('does not own')) {
@@ -33,5 +49,50 @@ router.get('/:animalId_backend', async (req, res) => {
     }
 });
 
+// GET /api/pedigree/:animalId_backend/certificate.pdf
+// Renders a printable pedigree certificate for an owned animal.
+// Query: generations (3-5, default 4), paper ('a4' | 'letter', default 'a4'),
+//        orientation ('landscape' | 'portrait', default 'landscape')
+router.get('/:animalId_backend/certificate.pdf', async (req, res) => {
+    try {
+        const generations = req.query.generations ? parseInt(req.query.generations, 10) : 4;
+        if (isNaN(generations) || generations < MIN_CERTIFICATE_GENERATIONS || generations > MAX_CERTIFICATE_GENERATIONS) {
+            return res.status(400).json({ message: `Generations must be an integer between ${MIN_CERTIFICATE_GENERATIONS} and ${MAX_CERTIFICATE_GENERATIONS}.` });
+        }
+
+        // A repeated query parameter arrives as an array, which is rejected like any unknown value.
+        const paper = req.query.paper || 'a4';
+        if (typeof paper !== 'string' || !Object.prototype.hasOwnProperty.call(PAPER_SIZES, paper.toLowerCase())) {
+            return res.status(400).json({ message: `Paper must be one of: ${Object.keys(PAPER_SIZES).join(', ')}.` });
+        }
+
+        const orientation = req.query.orientation || 'landscape';
+        if (typeof orientation !== 'string' || !ORIENTATIONS.includes(orientation.toLowerCase())) {
+            return res.status(400).json({ message: `Orientation must be one of: ${ORIENTATIONS.join(', ')}.` });
+        }
+
+        const data = await getPedigreeCertificateData(req.user.id, req.params.animalId_backend, generations);
+
+        const fetchAnimal = async (animalId) => {
+            // In a private context, we can see all animals for pedigree calculation.
+            return Animal.findOne({ id_public: animalId }).select('sireId_public damId_public').lean();
+        };
+        const coi = await calculateInbreedingCoefficient(data.animal.id_public, fetchAnimal);
+
+        const pdf = await renderPedigreeCertificate({ ...data, coi }, { paper: paper.toLowerCase(), orientation: orientation.toLowerCase(), generations });
+
+        const safeName = (data.animal.name || data.animal.id_public).replace(/[^a-z0-9_-]+/gi, '_');
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="pedigree-${data.animal.id_public}-${safeName}.pdf"`);
+        res.status(200).send(pdf);
+    } catch (error) {
+        console.error('Error generating pedigree certificate:', error);
+        if (error.message.includes('not found') || error.message.includes('does not own')) {
+            return res.status(404).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Internal server error during certificate generation.' });
+    }
+});
+
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
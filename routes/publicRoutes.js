@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs');
-const { getPublicProfile, getPublicAnimalsByOwner } = require('../database/db_service');
+const { getPublicProfile, getPublicAnimalsByOwner, getPublicBreedingLines, createReservationRequest } = require('../database/db_service');
+const { ReservationError } = require('../utils/reservations');
+const { ProfanityError } = require('../utils/profanityFilter');
 const { PublicAnimal, Animal, PublicProfile, User, GeneticsData, Litter, BreederRating } = require('../database/models');
 const { calculateInbreedingCoefficient, calculateInbreedingCoefficientWithDiagnostics } = require('../utils/inbreeding');
 
@@ -34,6 +36,77 @@ router.get('/profile/:id_public', async (req, res) => {
 });
 
 
+// GET /api/public/profile/:id_public/breeding-lines
+// Breeding lines the owner marked public, with their public founders/members.
+router.get('/profile/:id_public/breeding-lines', async (req, res) => {
+    try {
+        const lines = await getPublicBreedingLines(req.params.id_public);
+        res.status(200).json(lines);
+    } catch (error) {
+        console.error('Error fetching public breeding lines:', error);
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Internal server error while fetching breeding lines.' });
+    }
+});
+
+// Visitor waitlist requests notify the breeder, so each client IP is capped over a sliding hour,
+// in all and per breeder (in memory, per process). The per-breeder count only starts once the
+// breeder exists, and one client cannot use up another's allowance.
+const WAITLIST_WINDOW_MS = 60 * 60 * 1000;
+const WAITLIST_MAX_PER_IP = 5;
+const WAITLIST_MAX_PER_IP_AND_BREEDER = 3;
+const waitlistHits = new Map();
+
+const takeWaitlistSlot = (key, max, now) => {
+    const recent = (waitlistHits.get(key) || []).filter(t => now - t < WAITLIST_WINDOW_MS);
+    if (recent.length >= max) {
+        waitlistHits.set(key, recent);
+        return false;
+    }
+    recent.push(now);
+    waitlistHits.set(key, recent);
+    return true;
+};
+
+const pruneWaitlistHits = (now) => {
+    for (const [key, hits] of waitlistHits) {
+        if (!hits.length || now - hits[hits.length - 1] >= WAITLIST_WINDOW_MS) waitlistHits.delete(key);
+    }
+};
+
+// POST /api/public/waitlist/:breederId_public
+// A visitor without an account asks for a waitlist spot. Body: contactName, contactEmail
+// (both required), litter_id_public and/or preference { species, gender, color }, message.
+// 429 once the client IP reaches its hourly cap, in all or for this breeder. The visitor gets no
+// in-app updates; the breeder is reminded to email them when the reservation moves on.
+router.post('/waitlist/:breederId_public', async (req, res) => {
+    try {
+        const { breederId_public } = req.params;
+        const now = Date.now();
+        if (waitlistHits.size > 10000) pruneWaitlistHits(now);
+        const ip = req.ip || req.socket?.remoteAddress || 'unknown';
+        const tooMany = () => res.status(429).json({ message: 'Too many waitlist requests. Please try again later.' });
+        if (!takeWaitlistSlot(`ip:${ip}`, WAITLIST_MAX_PER_IP, now)) return tooMany();
+        if (!(await User.exists({ id_public: breederId_public }))) {
+            return res.status(404).json({ message: 'Breeder not found.' });
+        }
+        if (!takeWaitlistSlot(`ip:${ip}|breeder:${breederId_public}`, WAITLIST_MAX_PER_IP_AND_BREEDER, now)) return tooMany();
+        const reservation = await createReservationRequest(breederId_public, req.body || {});
+        res.status(201).json({ message: 'Your request was sent to the breeder.', reservationId: reservation._id, status: reservation.status });
+    } catch (error) {
+        console.error('Error creating visitor waitlist request:', error);
+        if (error instanceof ReservationError) {
+            return res.status(error.statusCode).json({ message: error.message, errors: error.errors });
+        }
+        if (error instanceof ProfanityError) {
+            return res.status(error.statusCode || 400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Internal server error while sending the waitlist request.' });
+    }
+});
+
 // GET /api/public/animals/:creatorId_public
 // 2. Gets all publicly visible animals belonging to a specific owner.
 router.get('/animals/:creatorId_public', async (req, res) => {
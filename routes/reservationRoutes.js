@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createReservationRequest,
+    addManualReservation,
+    getBreederReservations,
+    getRequesterReservations,
+    changeReservationStatus,
+    assignReservationAnimal,
+    getReservationCandidates,
+    moveReservation,
+    updateReservationDetails,
+    addReservationDeposit,
+    removeReservationDeposit
+} = require('../database/db_service');
+const { ProfanityError } = require('../utils/profanityFilter');
+const { RESERVATION_STATUSES, ReservationError } = require('../utils/reservations');
+// This router requires authMiddleware to be applied in index.js
+// Visitors without an account request spots through POST /api/public/waitlist/:breederId_public.
+
+const sendReservationError = (res, error, fallback) => {
+    if (error instanceof ReservationError) {
+        return res.status(error.statusCode).json({ message: error.message, errors: error.errors });
+    }
+    if (error instanceof ProfanityError) {
+        return res.status(error.statusCode || 400).json({ message: error.message });
+    }
+    res.status(500).json({ message: fallback, error: error.message });
+};
+
+// GET /api/reservations?status=requested,accepted&litter=CTL12
+// The signed-in breeder's waitlist, ordered by queue and position.
+router.get('/', async (req, res) => {
+    try {
+        const statuses = req.query.status ? String(req.query.status).split(',').map(s => s.trim()).filter(Boolean) : null;
+        const unknown = (statuses || []).filter(s => !RESERVATION_STATUSES.includes(s));
+        if (unknown.length) {
+            return res.status(400).json({ message: `Unknown status: ${unknown.join(', ')}. Must be one of: ${RESERVATION_STATUSES.join(', ')}` });
+        }
+        res.status(200).json(await getBreederReservations(req.user._id, { statuses, litter_id_public: req.query.litter || null }));
+    } catch (error) {
+        console.error('Error fetching reservations:', error);
+        sendReservationError(res, error, 'Failed to fetch reservations');
+    }
+});
+
+// GET /api/reservations/mine - the signed-in user's requests with other breeders
+router.get('/mine', async (req, res) => {
+    try {
+        res.status(200).json(await getRequesterReservations(req.user._id));
+    } catch (error) {
+        console.error('Error fetching own reservations:', error);
+        sendReservationError(res, error, 'Failed to fetch your reservations');
+    }
+});
+
+// POST /api/reservations
+// Body: breederId_public, litter_id_public and/or preference { species, gender, color }, message.
+router.post('/', async (req, res) => {
+    try {
+        const { breederId_public, ...request } = req.body || {};
+        if (!breederId_public) {
+            return res.status(400).json({ message: 'breederId_public is required' });
+        }
+        const reservation = await createReservationRequest(breederId_public, request, { requester: req.user });
+        res.status(201).json(reservation);
+    } catch (error) {
+        console.error('Error requesting reservation:', error);
+        sendReservationError(res, error, 'Failed to request reservation');
+    }
+});
+
+// POST /api/reservations/manual
+// Breeder adds a spot directly (e.g. moving an existing list over): contactName (required),
+// contactEmail, litter_id_public and/or preference, message. Starts as accepted.
+router.post('/manual', async (req, res) => {
+    try {
+        res.status(201).json(await addManualReservation(req.user, req.body || {}));
+    } catch (error) {
+        console.error('Error adding reservation:', error);
+        sendReservationError(res, error, 'Failed to add reservation');
+    }
+});
+
+// PATCH /api/reservations/:id - breeder notes, preference, contact email
+router.patch('/:id', async (req, res) => {
+    try {
+        res.status(200).json(await updateReservationDetails(req.user._id, req.params.id, req.body || {}));
+    } catch (error) {
+        console.error('Error updating reservation:', error);
+        sendReservationError(res, error, 'Failed to update reservation');
+    }
+});
+
+// POST /api/reservations/:id/status
+// Body: { status, note }. The breeder accepts, declines, marks available/completed or
+// releases; the requester can only withdraw. See utils/reservations.js for allowed moves.
+router.post('/:id/status', async (req, res) => {
+    try {
+        const { status, note } = req.body || {};
+        if (!status) {
+            return res.status(400).json({ message: 'status is required' });
+        }
+        res.status(200).json(await changeReservationStatus(req.user, req.params.id, status, { note: note || null }));
+    } catch (error) {
+        console.error('Error changing reservation status:', error);
+        sendReservationError(res, error, 'Failed to change reservation status');
+    }
+});
+
+// GET /api/reservations/:id/candidates - animals the breeder could assign to this spot
+router.get('/:id/candidates', async (req, res) => {
+    try {
+        res.status(200).json(await getReservationCandidates(req.user._id, req.params.id));
+    } catch (error) {
+        console.error('Error fetching reservation candidates:', error);
+        sendReservationError(res, error, 'Failed to fetch candidates');
+    }
+});
+
+// POST /api/reservations/:id/assign
+// Body: { animalId_public } to set an animal aside for this spot, or null to unassign.
+router.post('/:id/assign', async (req, res) => {
+    try {
+        const { animalId_public = null } = req.body || {};
+        res.status(200).json(await assignReservationAnimal(req.user, req.params.id, animalId_public));
+    } catch (error) {
+        console.error('Error assigning reservation animal:', error);
+        sendReservationError(res, error, 'Failed to assign animal');
+    }
+});
+
+// POST /api/reservations/:id/position
+// Body: { position } (1-based). Returns the reordered queue.
+router.post('/:id/position', async (req, res) => {
+    try {
+        const position = parseInt(req.body?.position, 10);
+        if (!Number.isInteger(position) || position < 1) {
+            return res.status(400).json({ message: 'position must be a whole number of 1 or more' });
+        }
+        res.status(200).json(await moveReservation(req.user._id, req.params.id, position));
+    } catch (error) {
+        console.error('Error moving reservation:', error);
+        sendReservationError(res, error, 'Failed to move reservation');
+    }
+});
+
+// POST /api/reservations/:id/deposits
+// Body: { amount, currency, date, note }. Also booked as Budget Tracker income, so currency may
+// only be USD (the default).
+router.post('/:id/deposits', async (req, res) => {
+    try {
+        res.status(201).json(await addReservationDeposit(req.user._id, req.params.id, req.body || {}));
+    } catch (error) {
+        console.error('Error recording reservation deposit:', error);
+        sendReservationError(res, error, 'Failed to record deposit');
+    }
+});
+
+// DELETE /api/reservations/:id/deposits/:depositId - removes the deposit and its transaction
+router.delete('/:id/deposits/:depositId', async (req, res) => {
+    try {
+        res.status(200).json(await removeReservationDeposit(req.user._id, req.params.id, req.params.depositId));
+    } catch (error) {
+        console.error('Error removing reservation deposit:', error);
+        sendReservationError(res, error, 'Failed to remove deposit');
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { Species, GeneticsData, Animal, User, PublicProfile, PublicAnimal } = require('../database/models');
+const { Species, GeneticsData, GeneticsDataVersion, Animal, User, PublicProfile, PublicAnimal } = require('../database/models');
+const { diffGeneticsData } = require('../utils/geneticsDiff');
+const { exportGeneticsData, validateGeneticsImport } = require('../utils/geneticsInterchange');
+const { SPECIES_TIMELINE_FIELDS, validateSpeciesTimeline } = require('../utils/litterMilestones');
+const { SPECIES_CYCLE_FIELDS, validateSpeciesCycle } = require('../utils/heatCycles');
 
 // Middleware to check admin/moderator access
 const requireAdmin = async (req, res, next) => {
@@ -27,6 +31,18 @@ const requireAdmin = async (req, res, next) => {
 // SPECIES MANAGEMENT ROUTES
 // ============================================
 
+// Breeding timeline and heat cycle values (gestation, weaning, eye-opening, maturity ages, cycle
+// length, mating window) present in a request body.
+const SPECIES_DAY_FIELDS = [...SPECIES_TIMELINE_FIELDS, ...SPECIES_CYCLE_FIELDS];
+
+const pickSpeciesTimeline = (body) => {
+    const values = {};
+    SPECIES_DAY_FIELDS.forEach(field => {
+        if (body[field] !== undefined) values[field] = body[field] === '' || body[field] === null ? null : Number(body[field]);
+    });
+    return values;
+};
+
 // GET /api/admin/species - Get all species with stats
 router.get('/species', requireAdmin, async (req, res) => {
     try {
@@ -61,6 +77,8 @@ router.get('/species', requireAdmin, async (req, res) => {
             userId: s.userId,
             createdBy: s.userId ? userMap[s.userId.toString()] : null,
             createdAt: s.createdAt,
+            maxNursingDays: s.maxNursingDays,
+            ...Object.fromEntries(SPECIES_DAY_FIELDS.map(f => [f, s[f] ?? null])),
             animalCount: countMap[s.name] || 0
         }));
         
@@ -80,6 +98,12 @@ router.post('/species', requireAdmin, async (req, res) => {
             return res.status(400).json({ error: 'Name and category are required' });
         }
         
+        const timeline = pickSpeciesTimeline(req.body);
+        const timelineErrors = [...validateSpeciesTimeline(timeline), ...validateSpeciesCycle(timeline)];
+        if (timelineErrors.length) {
+            return res.status(400).json({ error: timelineErrors.join('; ') });
+        }
+        
         // Check if species already exists
         const existing = await Species.findOne({ name: { $regex: new RegExp(`^${name}$`, 'i') } });
         if (existing) {
@@ -91,7 +115,8 @@ router.post('/species', requireAdmin, async (req, res) => {
             latinName: latinName?.trim() || null,
             category,
             isDefault: isDefault || false,
-            userId: req.user._id || req.user.id
+            userId: req.user._id || req.user.id,
+            ...timeline
         });
         
         await newSpecies.save();
@@ -113,6 +138,14 @@ router.patch('/species/:id', requireAdmin, async (req, res) => {
             return res.status(404).json({ error: 'Species not found' });
         }
         
+        // Min/max pairs are checked against the stored value when only one end is sent
+        const timeline = pickSpeciesTimeline(req.body);
+        const merged = { ...Object.fromEntries(SPECIES_DAY_FIELDS.map(f => [f, species[f]])), ...timeline };
+        const timelineErrors = [...validateSpeciesTimeline(merged), ...validateSpeciesCycle(merged)];
+        if (timelineErrors.length) {
+            return res.status(400).json({ error: timelineErrors.join('; ') });
+        }
+        
         // If renaming, update all animals with this species
         if (name && name !== species.name) {
             const oldName = species.name;
@@ -131,12 +164,17 @@ router.patch('/species/:id', requireAdmin, async (req, res) => {
                 { speciesName: oldName },
                 { $set: { speciesName: name.trim() } }
             );
+            await GeneticsDataVersion.updateMany(
+                { speciesName: oldName },
+                { $set: { speciesName: name.trim() } }
+            );
         }
         
         if (name) species.name = name.trim();
         if (latinName !== undefined) species.latinName = latinName?.trim() || null;
         if (category) species.category = category;
         if (isDefault !== undefined) species.isDefault = isDefault;
+        Object.assign(species, timeline);
         
         await species.save();
         res.json(species);
@@ -185,6 +223,7 @@ router.delete('/species/:id', requireAdmin, async (req, res) => {
         
         // Delete associated genetics data
         await GeneticsData.deleteMany({ speciesName: species.name });
+        await GeneticsDataVersion.deleteMany({ speciesName: species.name });
         
         await Species.findByIdAndDelete(id);
         res.json({ 
@@ -202,6 +241,39 @@ router.delete('/species/:id', requireAdmin, async (req, res) => {
 // GENETICS DATA ROUTES (Calculator Builder)
 // ============================================
 
+// Calculator content copied into every version snapshot (and back out on rollback).
+const GENETICS_CONTENT_FIELDS = ['genes', 'markingGenes', 'coatGenes', 'otherGenes', 'phenotypeRules', 'adminNotes'];
+
+const pickGeneticsContent = (doc) => {
+    const content = {};
+    GENETICS_CONTENT_FIELDS.forEach(field => {
+        const value = doc[field];
+        content[field] = value && typeof value.toObject === 'function' ? value.toObject() : (value ?? (field === 'adminNotes' ? null : []));
+    });
+    return content;
+};
+
+const latestGeneticsVersionNumber = async (speciesName) => {
+    const latest = await GeneticsDataVersion.findOne({ speciesName }).sort({ version: -1 }).select('version').lean();
+    return latest ? latest.version : 0;
+};
+
+// Writes the immutable snapshot for a published GeneticsData document.
+const snapshotGeneticsVersion = (doc, { action = 'publish', rolledBackFrom = null, note = null } = {}) => {
+    return GeneticsDataVersion.create({
+        speciesName: doc.speciesName,
+        version: doc.version,
+        sourceId: doc._id,
+        ...pickGeneticsContent(doc),
+        lastEditedBy: doc.lastEditedBy || null,
+        publishedAt: doc.publishedAt || new Date(),
+        publishedBy: doc.publishedBy || null,
+        action,
+        rolledBackFrom,
+        note
+    });
+};
+
 // GET /api/admin/genetics - Get all genetics data (drafts and published)
 router.get('/genetics', requireAdmin, async (req, res) => {
     try {
@@ -336,8 +408,12 @@ router.post('/genetics/:id/publish', requireAdmin, async (req, res) => {
             isPublished: true 
         });
         
+        const latestVersion = await latestGeneticsVersionNumber(draft.speciesName);
         if (currentPublished) {
-            // Delete old published version (or could archive it)
+            // Published before versioning existed: keep it in the history before replacing it
+            if (currentPublished.version > latestVersion) {
+                await snapshotGeneticsVersion(currentPublished, { action: 'backfill' });
+            }
             await GeneticsData.findByIdAndDelete(currentPublished._id);
         }
         
@@ -345,9 +421,10 @@ router.post('/genetics/:id/publish', requireAdmin, async (req, res) => {
         draft.isPublished = true;
         draft.publishedAt = new Date();
         draft.publishedBy = req.user._id;
-        draft.version = (currentPublished?.version || 0) + 1;
+        draft.version = Math.max(currentPublished?.version || 0, latestVersion) + 1;
         
         await draft.save();
+        await snapshotGeneticsVersion(draft, { note: req.body?.note || null });
         res.json(draft);
     } catch (error) {
         console.error('Error publishing genetics data:', error);
@@ -381,6 +458,8 @@ router.post('/genetics/:id/duplicate', requireAdmin, async (req, res) => {
             speciesName: source.speciesName,
             genes: source.genes,
             markingGenes: source.markingGenes,
+            coatGenes: source.coatGenes,
+            otherGenes: source.otherGenes,
             phenotypeRules: source.phenotypeRules,
             adminNotes: source.adminNotes,
             isPublished: false,
@@ -396,6 +475,206 @@ router.post('/genetics/:id/duplicate', requireAdmin, async (req, res) => {
     }
 });
 
+// GET /api/admin/genetics/:id/export - Download a draft or published document in the interchange format
+router.get('/genetics/:id/export', requireAdmin, async (req, res) => {
+    try {
+        const geneticsData = await GeneticsData.findById(req.params.id).lean();
+        if (!geneticsData) {
+            return res.status(404).json({ error: 'Genetics data not found' });
+        }
+        const safeName = geneticsData.speciesName.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+        const suffix = geneticsData.isPublished ? `v${geneticsData.version}` : 'draft';
+        res.setHeader('Content-Disposition', `attachment; filename="genetics-${safeName}-${suffix}.json"`);
+        res.json(exportGeneticsData(geneticsData));
+    } catch (error) {
+        console.error('Error exporting genetics data:', error);
+        res.status(500).json({ error: 'Failed to export genetics data' });
+    }
+});
+
+// POST /api/admin/genetics/import?dryRun=true&overwrite=true&speciesName=Mouse
+// Body: an interchange document as JSON (see utils/geneticsInterchange.js). YAML files are not
+// parsed here: convert them to JSON first, the structure is the same. Always returns the validation
+// report and a diff against the species' current draft (or published data); unless dryRun, a valid
+// import is written to the species' draft. An existing draft is only replaced with overwrite=true.
+router.post('/genetics/import', requireAdmin, async (req, res) => {
+    try {
+        const dryRun = req.query.dryRun === 'true';
+        const overwrite = req.query.overwrite === 'true';
+        const report = validateGeneticsImport(req.body);
+        if (req.query.speciesName !== undefined && typeof req.query.speciesName !== 'string') {
+            return res.status(400).json({ error: 'speciesName must be given once, as text' });
+        }
+        const speciesName = (req.query.speciesName || report.speciesName || '').trim();
+
+        if (!speciesName) {
+            report.valid = false;
+            report.errors.push({ path: 'speciesName', message: 'Species name is required (in the file or as ?speciesName=)' });
+        } else if (!await Species.exists({ name: speciesName })) {
+            report.valid = false;
+            report.errors.push({ path: 'speciesName', message: `Species "${speciesName}" does not exist. Create it first.` });
+        }
+
+        const [draft, published] = speciesName
+            ? await Promise.all([
+                GeneticsData.findOne({ speciesName, isPublished: false }),
+                GeneticsData.findOne({ speciesName, isPublished: true }).lean()
+            ])
+            : [null, null];
+        const compareTo = draft || published;
+        const response = {
+            dryRun,
+            speciesName: speciesName || null,
+            valid: report.valid,
+            errors: report.errors,
+            warnings: report.warnings,
+            summary: report.summary,
+            comparedTo: compareTo ? (compareTo.isPublished ? `v${compareTo.version}` : 'draft') : null,
+            diff: report.valid ? diffGeneticsData(compareTo ? exportGeneticsData(compareTo) : {}, report.content) : null
+        };
+
+        if (dryRun) {
+            return res.json(response);
+        }
+        if (!report.valid) {
+            return res.status(400).json({ error: 'Import failed validation', ...response });
+        }
+        if (draft && !overwrite) {
+            return res.status(409).json({
+                error: 'A draft already exists for this species. Re-run with overwrite=true to replace it.',
+                existingId: draft._id,
+                ...response
+            });
+        }
+
+        const target = draft || new GeneticsData({
+            speciesName,
+            isPublished: false,
+            version: 1
+        });
+        Object.assign(target, report.content);
+        target.lastEditedBy = req.user._id;
+        await target.save();
+
+        res.status(draft ? 200 : 201).json({ ...response, geneticsData: target });
+    } catch (error) {
+        console.error('Error importing genetics data:', error);
+        res.status(500).json({ error: 'Failed to import genetics data' });
+    }
+});
+
+// GET /api/admin/genetics/:speciesName/versions - Publish history for a species (newest first)
+router.get('/genetics/:speciesName/versions', requireAdmin, async (req, res) => {
+    try {
+        const versions = await GeneticsDataVersion.find({ speciesName: req.params.speciesName })
+            .select('speciesName version action rolledBackFrom note publishedAt publishedBy lastEditedBy')
+            .populate('publishedBy', 'username')
+            .populate('lastEditedBy', 'username')
+            .sort({ version: -1 });
+        res.json(versions);
+    } catch (error) {
+        console.error('Error fetching genetics versions:', error);
+        res.status(500).json({ error: 'Failed to fetch genetics versions' });
+    }
+});
+
+// GET /api/admin/genetics/:speciesName/versions/diff?from=3&to=5 - Compare two versions
+// `to` may be 'draft' to compare a version against the current unpublished draft.
+router.get('/genetics/:speciesName/versions/diff', requireAdmin, async (req, res) => {
+    try {
+        const { speciesName } = req.params;
+        const from = parseInt(req.query.from);
+        const toDraft = req.query.to === 'draft';
+        const to = toDraft ? null : parseInt(req.query.to);
+
+        if (isNaN(from) || (!toDraft && isNaN(to))) {
+            return res.status(400).json({ error: 'from and to must be version numbers (to may also be "draft")' });
+        }
+
+        const [fromDoc, toDoc] = await Promise.all([
+            GeneticsDataVersion.findOne({ speciesName, version: from }).lean(),
+            toDraft
+                ? GeneticsData.findOne({ speciesName, isPublished: false }).lean()
+                : GeneticsDataVersion.findOne({ speciesName, version: to }).lean()
+        ]);
+        if (!fromDoc) {
+            return res.status(404).json({ error: `Version ${from} not found` });
+        }
+        if (!toDoc) {
+            return res.status(404).json({ error: toDraft ? 'No draft exists for this species' : `Version ${to} not found` });
+        }
+
+        res.json({
+            speciesName,
+            from,
+            to: toDraft ? 'draft' : to,
+            ...diffGeneticsData(fromDoc, toDoc)
+        });
+    } catch (error) {
+        console.error('Error diffing genetics versions:', error);
+        res.status(500).json({ error: 'Failed to diff genetics versions' });
+    }
+});
+
+// GET /api/admin/genetics/:speciesName/versions/:version - Full snapshot of one version
+router.get('/genetics/:speciesName/versions/:version', requireAdmin, async (req, res) => {
+    try {
+        const version = await GeneticsDataVersion.findOne({
+            speciesName: req.params.speciesName,
+            version: parseInt(req.params.version)
+        })
+            .populate('publishedBy', 'username')
+            .populate('lastEditedBy', 'username');
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+        res.json(version);
+    } catch (error) {
+        console.error('Error fetching genetics version:', error);
+        res.status(500).json({ error: 'Failed to fetch genetics version' });
+    }
+});
+
+// POST /api/admin/genetics/:speciesName/versions/:version/rollback - Republish an old version
+// The restored content is published as a new version (history is never rewritten); any
+// draft in progress is left alone.
+router.post('/genetics/:speciesName/versions/:version/rollback', requireAdmin, async (req, res) => {
+    try {
+        const { speciesName } = req.params;
+        const target = await GeneticsDataVersion.findOne({ speciesName, version: parseInt(req.params.version) });
+        if (!target) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        let published = await GeneticsData.findOne({ speciesName, isPublished: true });
+        const latestVersion = await latestGeneticsVersionNumber(speciesName);
+        if (published && published.version > latestVersion) {
+            await snapshotGeneticsVersion(published, { action: 'backfill' });
+        }
+        if (!published) {
+            published = new GeneticsData({ speciesName, isPublished: true });
+        }
+
+        Object.assign(published, pickGeneticsContent(target));
+        published.version = Math.max(published.version || 0, latestVersion) + 1;
+        published.publishedAt = new Date();
+        published.publishedBy = req.user._id;
+        published.lastEditedBy = req.user._id;
+        await published.save();
+
+        await snapshotGeneticsVersion(published, {
+            action: 'rollback',
+            rolledBackFrom: target.version,
+            note: req.body?.note || null
+        });
+
+        res.json(published);
+    } catch (error) {
+        console.error('Error rolling back genetics data:', error);
+        res.status(500).json({ error: 'Failed to roll back genetics data' });
+    }
+});
+
 // DELETE /api/admin/genetics/:id - Delete genetics data
 router.delete('/genetics/:id', requireAdmin, async (req, res) => {
     try {
@@ -1,6 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const { SupplyItem } = require('../database/models');
+const { SupplyItem, SupplyMovement } = require('../database/models');
+const { adjustSupplyStock, recordSupplyMovement, getSupplyMovements, getSupplyForecasts, getShoppingList } = require('../database/db_service');
+const { SupplyError } = require('../utils/supplyForecast');
+const { ProfanityError } = require('../utils/profanityFilter');
+
+const optionalNumber = (value) => (value !== '' && value != null ? Number(value) : null);
+
+// Names of the given body fields that are filled in but not a number of at least 0.
+const invalidNumberFields = (body, fields) => fields.filter((field) => {
+    const value = body[field];
+    if (value === undefined || value === '' || value === null) return false;
+    const n = Number(value);
+    return typeof value === 'object' || !Number.isFinite(n) || n < 0;
+});
+const NUMBER_FIELDS = ['currentStock', 'reorderThreshold', 'costPerUnit', 'feederWeightGrams', 'leadTimeDays'];
+
+function sendSupplyError(res, err, fallback) {
+    if (err instanceof SupplyError) {
+        return res.status(err.statusCode).json({ message: err.message, errors: err.errors });
+    }
+    if (err instanceof ProfanityError) {
+        return res.status(err.statusCode || 400).json({ message: err.message });
+    }
+    res.status(500).json({ message: fallback, error: err.message });
+}
 
 // GET /api/supplies — list all items owned by the current user
 router.get('/', async (req, res) => {
@@ -12,28 +36,58 @@ router.get('/', async (req, res) => {
     }
 });
 
+// GET /api/supplies/forecast — every item with average daily use, run-out date and reorder reasons
+router.get('/forecast', async (req, res) => {
+    try {
+        res.json(await getSupplyForecasts(req.user.id));
+    } catch (err) {
+        sendSupplyError(res, err, 'Failed to forecast supplies');
+    }
+});
+
+// GET /api/supplies/shopping-list — items due for reordering, grouped by supplier with estimated cost
+router.get('/shopping-list', async (req, res) => {
+    try {
+        res.json(await getShoppingList(req.user.id));
+    } catch (err) {
+        sendSupplyError(res, err, 'Failed to build shopping list');
+    }
+});
+
 // POST /api/supplies — create a new supply item
 router.post('/', async (req, res) => {
     try {
-        const { name, category, currentStock, unit, reorderThreshold, notes, isFeederAnimal, feederType, feederSize, costPerUnit, nextOrderDate, orderFrequency, orderFrequencyUnit } = req.body;
+        const { name, category, currentStock, unit, reorderThreshold, notes, isFeederAnimal, feederType, feederSize, feederWeightGrams, costPerUnit, nextOrderDate, orderFrequency, orderFrequencyUnit, supplier, leadTimeDays } = req.body;
         if (!name?.trim()) return res.status(400).json({ message: 'Name is required' });
+        const invalid = invalidNumberFields(req.body, NUMBER_FIELDS);
+        if (invalid.length) return res.status(400).json({ message: `${invalid.join(', ')} must be a number of at least 0` });
         const item = new SupplyItem({
             userId: req.user.id,
             name: name.trim(),
             category: category || 'Other',
-            currentStock: currentStock !== '' && currentStock != null ? Number(currentStock) : 0,
+            currentStock: 0,
             unit: unit || '',
             reorderThreshold: reorderThreshold !== '' && reorderThreshold != null ? Number(reorderThreshold) : null,
             notes: notes || '',
             isFeederAnimal: !!isFeederAnimal,
             feederType: isFeederAnimal ? (feederType || '') : '',
             feederSize: isFeederAnimal ? (feederSize || '') : '',
+            feederWeightGrams: isFeederAnimal ? optionalNumber(feederWeightGrams) : null,
             costPerUnit: costPerUnit !== '' && costPerUnit != null ? Number(costPerUnit) : null,
             nextOrderDate: nextOrderDate || null,
             orderFrequency: orderFrequency !== '' && orderFrequency != null ? Number(orderFrequency) : null,
             orderFrequencyUnit: orderFrequencyUnit || 'months',
+            supplier: (supplier || '').trim(),
+            leadTimeDays: optionalNumber(leadTimeDays),
+            trackedSince: new Date(),
         });
         await item.save();
+        // The opening stock is the ledger's first entry.
+        const opening = optionalNumber(currentStock);
+        if (opening) {
+            const result = await adjustSupplyStock(req.user.id, item._id, { type: 'adjust', stock: opening, source: 'stock_edit' });
+            item.currentStock = result.item.currentStock;
+        }
         res.status(201).json(item);
     } catch (err) {
         res.status(500).json({ message: 'Failed to create supply item', error: err.message });
@@ -45,32 +99,65 @@ router.patch('/:id', async (req, res) => {
     try {
         const item = await SupplyItem.findOne({ _id: req.params.id, userId: req.user.id });
         if (!item) return res.status(404).json({ message: 'Supply item not found' });
-        const { name, category, currentStock, unit, reorderThreshold, notes, isFeederAnimal, feederType, feederSize, costPerUnit, nextOrderDate, orderFrequency, orderFrequencyUnit } = req.body;
+        const { name, category, currentStock, unit, reorderThreshold, notes, isFeederAnimal, feederType, feederSize, feederWeightGrams, costPerUnit, nextOrderDate, orderFrequency, orderFrequencyUnit, supplier, leadTimeDays } = req.body;
+        const invalid = invalidNumberFields(req.body, NUMBER_FIELDS);
+        if (invalid.length) return res.status(400).json({ message: `${invalid.join(', ')} must be a number of at least 0` });
         if (name !== undefined) item.name = name.trim();
         if (category !== undefined) item.category = category;
-        if (currentStock !== undefined) item.currentStock = Number(currentStock);
         if (unit !== undefined) item.unit = unit;
         if (reorderThreshold !== undefined) item.reorderThreshold = reorderThreshold !== '' && reorderThreshold != null ? Number(reorderThreshold) : null;
         if (notes !== undefined) item.notes = notes;
         if (isFeederAnimal !== undefined) item.isFeederAnimal = !!isFeederAnimal;
         if (feederType !== undefined) item.feederType = feederType || '';
         if (feederSize !== undefined) item.feederSize = feederSize || '';
+        if (feederWeightGrams !== undefined) item.feederWeightGrams = optionalNumber(feederWeightGrams);
         if (costPerUnit !== undefined) item.costPerUnit = costPerUnit !== '' && costPerUnit != null ? Number(costPerUnit) : null;
         if (nextOrderDate !== undefined) item.nextOrderDate = nextOrderDate || null;
         if (orderFrequency !== undefined) item.orderFrequency = orderFrequency !== '' && orderFrequency != null ? Number(orderFrequency) : null;
         if (orderFrequencyUnit !== undefined) item.orderFrequencyUnit = orderFrequencyUnit || 'months';
+        if (supplier !== undefined) item.supplier = (supplier || '').trim();
+        if (leadTimeDays !== undefined) item.leadTimeDays = optionalNumber(leadTimeDays);
         await item.save();
+        // An edited stock figure is a count correction in the ledger.
+        if (currentStock !== undefined && currentStock !== '' && currentStock !== null) {
+            const result = await adjustSupplyStock(req.user.id, item._id, { type: 'adjust', stock: Number(currentStock), source: 'stock_edit' });
+            if (result) {
+                item.currentStock = result.item.currentStock;
+                item.trackedSince = result.item.trackedSince;
+            }
+        }
         res.json(item);
     } catch (err) {
         res.status(500).json({ message: 'Failed to update supply item', error: err.message });
     }
 });
 
+// GET /api/supplies/:id/movements — the item's stock ledger, newest first (?page=&limit=)
+router.get('/:id/movements', async (req, res) => {
+    try {
+        res.json(await getSupplyMovements(req.user.id, req.params.id, req.query));
+    } catch (err) {
+        sendSupplyError(res, err, 'Failed to fetch stock movements');
+    }
+});
+
+// POST /api/supplies/:id/movements — record use, a restock or a stock count by hand
+// Body: { type: 'consume'|'restock'|'adjust', quantity, unitCost?, notes? }
+router.post('/:id/movements', async (req, res) => {
+    try {
+        const { item, movement } = await recordSupplyMovement(req.user.id, req.params.id, req.body);
+        res.status(201).json({ item, movement });
+    } catch (err) {
+        sendSupplyError(res, err, 'Failed to record stock movement');
+    }
+});
+
 // DELETE /api/supplies/:id — delete a supply item
 router.delete('/:id', async (req, res) => {
     try {
         const result = await SupplyItem.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
         if (!result) return res.status(404).json({ message: 'Supply item not found' });
+        await SupplyMovement.deleteMany({ supplyId: result._id });
         res.json({ message: 'Deleted' });
     } catch (err) {
         res.status(500).json({ message: 'Failed to delete supply item', error: err.message });
@@ -22,7 +22,8 @@ const {
     calculateInbreedingCoefficient,
     calculatePairingInbreeding,
     buildPedigreeDAG,
-    computePathSums
+    computePathSums,
+    rankMateCandidates
 } = require('../utils/inbreeding');
 
 // ---------------------------------------------------------------------------
@@ -245,6 +246,35 @@ test('Existing COI calculation is unchanged by AVK addition (regression check)',
     expectPct(pairing, 25, 'COI regression: pairing full siblings');
 });
 
+// 12. Mate ranking: an unrelated candidate outranks a half-sibling, and each candidate's
+// mean kinship is the same AVK calculateAverageKinship reports for it.
+test('Mate ranking orders by offspring COI and reuses AVK for mean kinship', async () => {
+    const db = {
+        S:  { sire: null, dam: null },
+        D1: { sire: null, dam: null },
+        D2: { sire: null, dam: null },
+        M:  { sire: 'S', dam: 'D1' },   // male being paired
+        F1: { sire: 'S', dam: 'D2' },   // half-sister → offspring COI 12.5%
+        F2: { sire: null, dam: null }   // unrelated → offspring COI 0%
+    };
+    const fetchAnimal = makeFetchAnimal(db);
+    const population = ['M', 'F1', 'F2'];
+    const ranked = await rankMateCandidates('M', ['F1', 'F2'], population, fetchAnimal);
+
+    if (ranked.map(r => r.candidateId).join(',') !== 'F2,F1') {
+        throw new Error(`Expected F2 ranked ahead of F1, got ${ranked.map(r => r.candidateId).join(',')}`);
+    }
+    expectPct(ranked[0].offspringCOI, 0, 'Unrelated candidate offspring COI');
+    expectPct(ranked[1].offspringCOI, 12.5, 'Half-sibling candidate offspring COI');
+
+    for (const entry of ranked) {
+        const { avgKinship } = await calculateAverageKinship(entry.candidateId, population, fetchAnimal);
+        expectPct(entry.candidateMeanKinship, avgKinship, `Mean kinship of ${entry.candidateId}`);
+    }
+    const { avgKinship: maleAvk } = await calculateAverageKinship('M', population, fetchAnimal);
+    expectPct(ranked[1].pairMeanKinship, (maleAvk + ranked[1].candidateMeanKinship) / 2, 'Pair mean kinship');
+});
+
 // ---------------------------------------------------------------------------
 // Report
 // ---------------------------------------------------------------------------
@@ -0,0 +1,148 @@
+/**
+ * Breeding Line Unit Tests
+ *
+ * Covers utils/breedingLines.js: payload validation, founder/assigned/derived membership and
+ * generations, conversion to and from the older PublicProfile breedingLineDefs /
+ * animalBreedingLines shape, and line-level COI/AVK trends.
+ *
+ * Pure functions only — no MongoDB connection needed (pedigrees come from an in-memory map).
+ */
+
+const {
+    validateBreedingLine,
+    deriveLineMembership,
+    LEGACY_MAX_BREEDING_LINES,
+    nextLineKey,
+    linesFromLegacyProfile,
+    toLegacyBreedingLines,
+    calculateLineTrends
+} = require('../utils/breedingLines');
+const { calculateAverageKinship } = require('../utils/inbreeding');
+
+const results = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+// A × B (unrelated founders) → full siblings C and D → C × D → E (COI 25%).
+// X is an outcross mate unrelated to the line, Y is X × E.
+const PEDIGREE = {
+    A: {}, B: {}, X: {},
+    C: { sireId_public: 'A', damId_public: 'B' },
+    D: { sireId_public: 'A', damId_public: 'B' },
+    E: { sireId_public: 'C', damId_public: 'D' },
+    Y: { sireId_public: 'X', damId_public: 'E' },
+};
+const ANIMALS = Object.entries(PEDIGREE).map(([id_public, parents]) => ({ id_public, ...parents }));
+const fetchAnimal = async (id) => (PEDIGREE[id] ? { id_public: id, name: id, ...PEDIGREE[id] } : null);
+
+(async () => {
+    // 1. Validation.
+    await test('Create requires a name; bad status, species and member lists are rejected', async () => {
+        const errors = validateBreedingLine({ status: 'archived', founders: 'A', species: ['Fancy Mouse'] });
+        assert(errors.includes('name is required'), errors.join('; '));
+        assert(errors.includes('species must be a species name'), errors.join('; '));
+        assert(errors.some(e => e.startsWith('status must be one of')), errors.join('; '));
+        assert(errors.includes('founders must be an array of animal IDs'), errors.join('; '));
+        assert(validateBreedingLine({ description: 'New goals' }, { partial: true }).length === 0, 'partial update without name');
+    });
+
+    // 2. Derived membership follows offspring of members, with generations.
+    await test('Derived membership and generations', async () => {
+        const members = deriveLineMembership({ founders: ['A', 'B'], deriveMembership: true }, ANIMALS);
+        assert([...members.keys()].join() === 'A,B,C,D,E,Y', `members ${[...members.keys()].join()}`);
+        assert(members.get('C').source === 'derived' && members.get('C').generation === 1, 'C is generation 1');
+        assert(members.get('Y').generation === 3, `Y generation ${members.get('Y').generation}`);
+        assert(!members.has('X'), 'outcross mate is not a member');
+    });
+
+    // 3. Assigned-only lines do not pick up offspring.
+    await test('Without derivation only founders and assigned animals are members', async () => {
+        const members = deriveLineMembership({ founders: ['A'], members: ['C', 'E'] }, ANIMALS);
+        assert([...members.keys()].join() === 'A,C,E', `members ${[...members.keys()].join()}`);
+        assert(members.get('E').source === 'assigned' && members.get('E').generation === 2, 'E via assigned C');
+    });
+
+    // 4. Cyclic pedigree data does not hang.
+    await test('Cyclic pedigree is tolerated', async () => {
+        const cyclic = [{ id_public: 'P', sireId_public: 'Q' }, { id_public: 'Q', sireId_public: 'P' }];
+        const members = deriveLineMembership({ founders: ['P'], deriveMembership: true }, cyclic);
+        assert(members.get('P').source === 'founder', 'founder kept');
+    });
+
+    // 5. Older profile data.
+    await test('Legacy profile lines are copied and returned with stable slot ids', async () => {
+        const defs = [{ id: 0, name: '', color: '#ef4444' }, { id: 1, name: ' Blue ', color: '#3b82f6' }, { id: 2, name: 'Satin', color: null }];
+        const lines = linesFromLegacyProfile(defs, { CTC1: [1, 2], CTC2: [2], CTC3: [] });
+        assert(lines.length === 2 && lines[0].lineKey === 1 && lines[0].name === 'Blue', 'blank slot dropped, name trimmed');
+        assert(lines[1].members.join() === 'CTC1,CTC2', `Satin members ${lines[1].members.join()}`);
+
+        const legacy = toLegacyBreedingLines(lines.map(l => ({ ...l, founders: l.lineKey === 1 ? ['CTC9'] : [] })));
+        assert(legacy.breedingLineDefs.length === 3 && legacy.breedingLineDefs[0].name === '', 'slot 0 kept blank');
+        assert(legacy.breedingLineDefs.every((def, i) => def.id === i), 'defs[i].id === i');
+        assert(legacy.animalBreedingLines.CTC1.join() === '1,2' && legacy.animalBreedingLines.CTC9.join() === '1', 'assignments');
+    });
+
+    // 5b. New keys refill free slots; lines past the legacy slots stay out of the old shape.
+    await test('Line keys reuse free slots and the legacy shape keeps to its slots', async () => {
+        assert(nextLineKey([]) === 0, 'first key');
+        assert(nextLineKey([{ lineKey: 0 }, { lineKey: 2 }]) === 1, 'deleted slot reused');
+        const many = Array.from({ length: 13 }, (_, lineKey) => ({ lineKey, name: `Line ${lineKey}`, members: [`CTC${lineKey}`] }));
+        const legacy = toLegacyBreedingLines(many);
+        assert(legacy.breedingLineDefs.length === LEGACY_MAX_BREEDING_LINES, `slots ${legacy.breedingLineDefs.length}`);
+        assert(!legacy.animalBreedingLines.CTC12, 'member of a line past the slots not listed');
+        const saved = linesFromLegacyProfile([...legacy.breedingLineDefs, { id: 12, name: 'Extra' }], {});
+        assert(saved.length === LEGACY_MAX_BREEDING_LINES && saved.every(l => l.lineKey < LEGACY_MAX_BREEDING_LINES), 'slot ids past the limit ignored');
+    });
+
+    // 6. COI and AVK by generation.
+    await test('Line trends: COI and AVK per generation', async () => {
+        const members = deriveLineMembership({ founders: ['A', 'B'], members: [], deriveMembership: true }, ANIMALS.filter(a => a.id_public !== 'Y'));
+        const trends = await calculateLineTrends([...members].map(([id_public, m]) => ({ id_public, ...m })), fetchAnimal);
+        const [g0, g1, g2] = trends.generations;
+        assert(trends.generations.length === 3, `generations ${trends.generations.length}`);
+        assert(g0.meanCOI === 0 && g1.meanCOI === 0 && g2.meanCOI === 25, `COI ${g0.meanCOI}/${g1.meanCOI}/${g2.meanCOI}`);
+        assert(g0.meanAVK < g1.meanAVK && g1.meanAVK < g2.meanAVK, `AVK should rise: ${g0.meanAVK}/${g1.meanAVK}/${g2.meanAVK}`);
+        // Same figure the animal's own AVK shows when the line is its reference population
+        const population = [...members.keys()];
+        for (const a of trends.animals) {
+            const { avgKinship } = await calculateAverageKinship(a.id_public, population, fetchAnimal);
+            assert(a.avk === avgKinship, `${a.id_public}: line AVK ${a.avk} vs calculateAverageKinship ${avgKinship}`);
+        }
+        assert(trends.overall.animals === 5 && trends.overall.maxCOI === 25, 'overall');
+    });
+
+    await test('Empty line has no figures', async () => {
+        const trends = await calculateLineTrends([], fetchAnimal);
+        assert(trends.overall.animals === 0 && trends.overall.meanCOI === null && trends.generations.length === 0, JSON.stringify(trends.overall));
+    });
+
+    console.log('\n==============================');
+    console.log(' Breeding Line Test Results');
+    console.log('==============================');
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed);
+    results.forEach(r => {
+        const icon = r.passed ? '✅' : '❌';
+        console.log(`${icon} ${r.name}`);
+        if (!r.passed) console.log(`   → ${r.error}`);
+    });
+    console.log('------------------------------');
+    console.log(`Passed: ${passed}/${results.length}`);
+    if (failed.length > 0) {
+        console.log(`Failed: ${failed.length}`);
+        process.exit(1);
+    } else {
+        console.log('All tests passed.');
+    }
+})();
@@ -0,0 +1,134 @@
+/**
+ * Breeding Performance Unit Tests
+ *
+ * Covers utils/breedingPerformance.js: per-dam / per-sire / per-line aggregation of litter
+ * size, weaning rate, mortality, inter-litter interval, age at first litter and
+ * pregnancy-loss rate.
+ *
+ * Pure functions only — no MongoDB connection needed.
+ */
+
+const { summarizeLitters, buildBreedingPerformance } = require('../utils/breedingPerformance');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+function expectEqual(actual, expected, label) {
+    assert(actual === expected, `${label}: expected ${expected} but got ${actual}`);
+}
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+const ANIMALS = new Map([
+    ['D1', { id_public: 'D1', name: 'Juno', prefix: 'CT', species: 'Fancy Mouse', birthDate: day('2025-01-01') }],
+    ['D2', { id_public: 'D2', name: 'Vesta', species: 'Fancy Mouse', birthDate: day('2025-02-01') }],
+    ['S1', { id_public: 'S1', name: 'Mars', species: 'Fancy Mouse', birthDate: day('2024-12-01') }],
+]);
+
+const LITTERS = [
+    // D1: two born litters 60 days apart, one confirmed pregnancy lost
+    { damId_public: 'D1', sireId_public: 'S1', status: 'weaned', birthDate: day('2025-03-02'), litterSizeBorn: 10, litterSizeWeaned: 8, stillbornCount: 1, lossesCount: 1, maleLossesCount: 1 },
+    { damId_public: 'D1', sireId_public: 'S1', status: 'born', birthDate: day('2025-05-01'), litterSizeBorn: 6 },
+    { damId_public: 'D1', sireId_public: 'S1', status: 'lost', pregnancyDate: day('2025-07-01'), pregnancyLost: true },
+    // D2: one failed mating (older record without a status), one born litter
+    { damId_public: 'D2', sireId_public: 'S1', matingDate: day('2025-04-01'), outcome: 'Unsuccessful' },
+    { damId_public: 'D2', sireId_public: 'S1', status: 'weaned', birthDate: day('2025-06-01'), litterSizeBorn: 8, litterSizeWeaned: 8 },
+];
+
+// 1. Per-dam figures.
+test('Dam: litter size, weaning rate, mortality and loss rate', () => {
+    const { dams } = buildBreedingPerformance({ litters: LITTERS, animals: ANIMALS });
+    const juno = dams.find(d => d.id_public === 'D1');
+    expectEqual(juno.name, 'CT Juno', 'display name');
+    expectEqual(juno.litters, 3, 'litters');
+    expectEqual(juno.littersBorn, 2, 'born litters');
+    expectEqual(juno.avgLitterSize, 8, 'avg litter size');
+    expectEqual(juno.weaningRate, 0.8, 'weaning rate (8 of 10 where weaned recorded)');
+    expectEqual(juno.mortalityRate, 0.125, 'mortality (2 of 16)');
+    expectEqual(juno.mortalityBySex.losses.male, 1, 'male losses');
+    expectEqual(juno.avgInterLitterDays, 60, 'inter-litter interval');
+    expectEqual(juno.ageAtFirstLitterDays, 60, 'age at first litter');
+    expectEqual(juno.pregnancyLossRate, 0.3333, 'pregnancy loss rate (1 of 3)');
+});
+
+// 2. Older records without a status are classified from their fields.
+test('Dam with a failed mating recorded before statuses existed', () => {
+    const { dams } = buildBreedingPerformance({ litters: LITTERS, animals: ANIMALS });
+    const vesta = dams.find(d => d.id_public === 'D2');
+    expectEqual(vesta.failedMatingRate, 0.5, 'failed mating rate');
+    expectEqual(vesta.avgInterLitterDays, null, 'single birth → no interval');
+});
+
+// 3. Sires aggregate across dams.
+test('Sire aggregates all of its litters', () => {
+    const { sires, dams } = buildBreedingPerformance({ litters: LITTERS, animals: ANIMALS });
+    expectEqual(sires.length, 1, 'one sire');
+    expectEqual(sires[0].litters, 5, 'sire litters');
+    expectEqual(sires[0].avgLitterSize, 8, 'sire avg litter size');
+    expectEqual(dams[0].id_public, 'D1', 'dams sorted by litter count');
+});
+
+// 4. Lines: membership through either parent; intervals averaged over the line's dams.
+test('Breeding line figures', () => {
+    const { lines, overall } = buildBreedingPerformance({
+        litters: LITTERS,
+        animals: ANIMALS,
+        lineDefs: [{ id: 1, name: 'Blue line', color: '#00f' }, { id: 2, name: 'Empty' }],
+        animalLines: { D2: [1], X9: [1] },
+    });
+    const blue = lines.find(l => l.name === 'Blue line');
+    expectEqual(blue.animals, 2, 'members');
+    expectEqual(blue.litters, 2, 'litters via D2');
+    expectEqual(blue.ageAtFirstLitterDays, 120, 'D2 first litter at 120 days');
+    expectEqual(lines.find(l => l.name === 'Empty').avgLitterSize, null, 'empty line has no figures');
+    expectEqual(overall.litters, 5, 'overall litters');
+    expectEqual(overall.ageAtFirstLitterDays, 90, 'overall mean of dam first-litter ages');
+});
+
+// 5. No data.
+test('Empty input gives null figures, not NaN', () => {
+    const summary = summarizeLitters([]);
+    expectEqual(summary.litters, 0, 'litters');
+    assert(['avgLitterSize', 'weaningRate', 'mortalityRate', 'pregnancyLossRate'].every(k => summary[k] === null), JSON.stringify(summary));
+});
+
+// 6. A date range limits counts and rates, but age at first litter uses every litter.
+test('Age at first litter ignores the date filter', () => {
+    const recent = LITTERS.filter(l => l.birthDate && l.birthDate >= day('2025-04-01'));
+    const { dams, overall } = buildBreedingPerformance({ litters: recent, allLitters: LITTERS, animals: ANIMALS });
+    const juno = dams.find(d => d.id_public === 'D1');
+    expectEqual(juno.litters, 1, 'litters in range');
+    expectEqual(juno.ageAtFirstLitterDays, 60, 'first litter (before the range) at 60 days');
+    expectEqual(overall.ageAtFirstLitterDays, 90, 'overall mean of dam first-litter ages');
+});
+
+console.log('\n==============================');
+console.log(' Breeding Performance Test Results');
+console.log('==============================');
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
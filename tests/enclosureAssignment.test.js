@@ -0,0 +1,133 @@
+/**
+ * Enclosure Assignment Rule Unit Tests
+ *
+ * Covers utils/enclosureAssignment.js: capacity, species, sex-mixing and quarantine rules in
+ * their off / soft / hard modes, defaults for enclosures saved before the rules existed, and
+ * rule / override-reason validation.
+ *
+ * Pure functions only — no MongoDB connection needed.
+ */
+
+const {
+    DEFAULT_ASSIGNMENT_RULES,
+    validateAssignmentRules,
+    resolveAssignmentRules,
+    evaluateAssignment,
+    normalizeOverrideReason
+} = require('../utils/enclosureAssignment');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+let seq = 0;
+const rat = (fields = {}) => ({ id_public: `CTC${++seq}`, name: `Rat ${seq}`, species: 'Fancy Rat', gender: 'Female', status: 'Pet', ...fields });
+const codes = (list) => list.map(v => v.code).join(',');
+
+test('capacity warns by default and refuses when hard', () => {
+    const occupants = [rat(), rat(), rat(), rat()];
+    const enclosure = { name: 'Bin A', capacity: 4 };
+    const soft = evaluateAssignment({ enclosure, animal: rat(), occupants });
+    assert(soft.allowed && codes(soft.warnings) === 'over_capacity', `soft: ${codes(soft.warnings)}`);
+    assert(soft.warnings[0].capacity === 4 && soft.warnings[0].occupants === 4, 'details');
+
+    const hard = evaluateAssignment({ enclosure: { ...enclosure, assignmentRules: { capacity: 'hard' } }, animal: rat(), occupants });
+    assert(!hard.allowed && codes(hard.rejections) === 'over_capacity', 'hard rejects');
+
+    // Re-assigning an occupant, or counting deceased ones, does not overflow
+    const again = evaluateAssignment({ enclosure: { ...enclosure, assignmentRules: { capacity: 'hard' } }, animal: occupants[0], occupants });
+    assert(again.allowed, 'an occupant is not counted twice');
+    const withDead = [rat(), rat(), rat(), rat({ status: 'Deceased' })];
+    assert(evaluateAssignment({ enclosure, animal: rat(), occupants: withDead }).warnings.length === 0, 'deceased not counted');
+    assert(evaluateAssignment({ enclosure: { capacity: null }, animal: rat(), occupants }).warnings.length === 0, 'no capacity set');
+});
+
+test('species checks the labels, or the occupants when there are none', () => {
+    const mouse = rat({ species: 'Fancy Mouse' });
+    const labelled = evaluateAssignment({ enclosure: { speciesLabels: ['fancy rat'] }, animal: mouse, occupants: [] });
+    assert(codes(labelled.warnings) === 'species_not_allowed', codes(labelled.warnings));
+    assert(evaluateAssignment({ enclosure: { speciesLabels: ['Fancy Rat', 'Fancy Mouse'] }, animal: mouse, occupants: [rat()] }).warnings.length === 0,
+        'a mixed-species enclosure lists both');
+
+    const mixed = evaluateAssignment({ enclosure: { assignmentRules: { species: 'hard' } }, animal: mouse, occupants: [rat()] });
+    assert(!mixed.allowed && codes(mixed.rejections) === 'mixed_species', codes(mixed.rejections));
+    assert(mixed.rejections[0].occupantSpecies[0] === 'Fancy Rat', 'occupant species listed');
+    assert(evaluateAssignment({ enclosure: { assignmentRules: { species: 'off' } }, animal: mouse, occupants: [rat()] }).warnings.length === 0, 'off');
+});
+
+test('sex mixing: intact pairs, neutered animals and single-sex enclosures', () => {
+    const rules = { sexMixing: 'hard' };
+    const buck = rat({ gender: 'Male' });
+    const does = [rat(), rat({ isNeutered: true })];
+    const intact = evaluateAssignment({ enclosure: { assignmentRules: rules }, animal: buck, occupants: does });
+    assert(!intact.allowed && codes(intact.rejections) === 'intact_mixed_sexes', codes(intact.rejections));
+    assert(intact.rejections[0].conflictingAnimals.length === 1, 'only the intact doe conflicts');
+
+    assert(evaluateAssignment({ enclosure: { assignmentRules: rules }, animal: rat({ gender: 'Male', isNeutered: true }), occupants: does }).allowed,
+        'a neutered male may live with does');
+    assert(evaluateAssignment({ enclosure: { assignmentRules: rules }, animal: rat({ gender: 'Unknown' }), occupants: [buck] }).allowed,
+        'unknown sex is not flagged');
+    assert(!evaluateAssignment({ enclosure: { assignmentRules: rules }, animal: rat({ gender: 'Mixed' }), occupants: [buck] }).allowed,
+        'a mixed group counts as both sexes');
+
+    const single = { sexMixing: 'soft', sexPolicy: 'single_sex' };
+    const neutered = evaluateAssignment({ enclosure: { assignmentRules: single }, animal: rat({ gender: 'Male', isNeutered: true }), occupants: does });
+    assert(neutered.allowed && codes(neutered.warnings) === 'mixed_sexes', 'single-sex flags neutered animals too');
+    assert(evaluateAssignment({ enclosure: {}, animal: buck, occupants: does }).warnings.length === 0, 'sex mixing is off by default');
+});
+
+test('quarantine enclosures take only quarantined or treated animals', () => {
+    const enclosure = { purpose: 'health', assignmentRules: { quarantine: 'hard' } };
+    assert(codes(evaluateAssignment({ enclosure, animal: rat(), occupants: [] }).rejections) === 'not_in_quarantine', 'healthy animal refused');
+    assert(evaluateAssignment({ enclosure, animal: rat({ isQuarantine: true }), occupants: [] }).allowed, 'quarantined animal allowed');
+    assert(evaluateAssignment({ enclosure, animal: rat({ isInTreatment: true }), occupants: [] }).allowed, 'animal in treatment allowed');
+    assert(evaluateAssignment({ enclosure: { purpose: 'general', assignmentRules: { quarantine: 'hard' } }, animal: rat(), occupants: [] }).allowed,
+        'other purposes unaffected');
+});
+
+test('rules resolve over defaults and validate', () => {
+    assert(JSON.stringify(resolveAssignmentRules(undefined)) === JSON.stringify(DEFAULT_ASSIGNMENT_RULES), 'defaults');
+    const resolved = resolveAssignmentRules({ capacity: 'hard', sexPolicy: 'single_sex', extra: 'x' });
+    assert(resolved.capacity === 'hard' && resolved.species === 'soft' && resolved.sexPolicy === 'single_sex', 'merged');
+    assert(!('extra' in resolved), 'unknown keys dropped');
+
+    assert(validateAssignmentRules({ capacity: 'hard', sexPolicy: 'single_sex' }).length === 0, 'valid rules');
+    assert(validateAssignmentRules(null).length === 0, 'no rules sent');
+    assert(validateAssignmentRules({ capacity: 'strict' })[0].includes('capacity'), 'bad mode');
+    assert(validateAssignmentRules({ sexPolicy: 'any' })[0].includes('sexPolicy'), 'bad policy');
+    assert(validateAssignmentRules(['hard']).length === 1, 'array rejected');
+});
+
+test('override reasons are trimmed and capped', () => {
+    assert(normalizeOverrideReason(undefined).reason === null, 'no reason');
+    assert(normalizeOverrideReason('  temporary, vet visit ').reason === 'temporary, vet visit', 'trimmed');
+    assert(normalizeOverrideReason('   ').errors.length === 1, 'blank reason is an error');
+    assert(normalizeOverrideReason('x'.repeat(501)).errors.length === 1, 'too long');
+});
+
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
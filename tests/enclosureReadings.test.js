@@ -0,0 +1,180 @@
+/**
+ * Enclosure Reading Unit Tests
+ *
+ * Covers utils/enclosureReadings.js: reading validation, range checks against the enclosure's
+ * targets (converting between °C and °F), when out-of-range alerts fire and repeat, daily
+ * min/max summaries in a time zone, and sensor key hashing.
+ *
+ * Pure functions only — no MongoDB connection needed.
+ */
+
+const {
+    READING_ALERT_REPEAT_HOURS,
+    convertTemperature,
+    normalizeReading,
+    validateReadingTargets,
+    checkReadingRanges,
+    describeBreach,
+    decideReadingAlert,
+    isValidTimeZone,
+    dailyReadingSummaryStages,
+    dailySummaryFromGroups,
+    readingWindow,
+    generateSensorKey,
+    hashSensorKey
+} = require('../utils/enclosureReadings');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+const at = (iso) => new Date(iso);
+const HOUR = 60 * 60 * 1000;
+
+const VIVARIUM = { temperatureUnit: 'C', tempMin: 24, tempMax: 30, humidityMin: 50, humidityMax: 70 };
+const TANK = { temperatureUnit: 'F', tempMin: 72, tempMax: 80, phMin: 6.5, phMax: 7.5, ammoniaMax: 0, nitriteMax: 0, nitrateMax: 40 };
+
+test('normalizeReading parses numbers, defaults unit and time, and rejects bad input', () => {
+    const now = at('2026-03-01T12:00:00Z');
+    const { reading, errors } = normalizeReading({ temperature: '26,5', humidity: 60, ph: '' }, { temperatureUnit: 'F', now });
+    assert(errors.length === 0, `unexpected errors: ${errors.join('; ')}`);
+    assert(reading.temperature === 26.5 && reading.temperatureUnit === 'F', 'decimal comma parsed, enclosure unit assumed');
+    assert(reading.ph === null, 'blank ph is not measured');
+    assert(reading.recordedAt.getTime() === now.getTime(), 'recordedAt defaults to now');
+
+    assert(normalizeReading({}, { now }).errors.includes('Record at least one measurement.'), 'empty reading rejected');
+    assert(normalizeReading({ humidity: 120 }, { now }).errors.some(e => e.includes('humidity')), 'humidity over 100 rejected');
+    assert(normalizeReading({ ph: 'acidic' }, { now }).errors.some(e => e.includes('ph must be a number')), 'text ph rejected');
+    assert(normalizeReading({ temperature: 220, temperatureUnit: 'F' }, { now }).errors.length === 1, 'above boiling is implausible');
+    assert(normalizeReading({ temperature: 95, temperatureUnit: 'F' }, { now }).errors.length === 0, '95 °F is plausible');
+    assert(normalizeReading({ temperature: 25, recordedAt: '2026-03-01T13:00:00Z' }, { now }).errors.some(e => e.includes('future')), 'future reading rejected');
+});
+
+test('validateReadingTargets catches inverted and negative targets', () => {
+    assert(validateReadingTargets(VIVARIUM).length === 0, 'valid targets pass');
+    assert(validateReadingTargets({ tempMin: 30, tempMax: 24 }).some(e => e.includes('tempMin')), 'min above max');
+    assert(validateReadingTargets({ nitrateMax: -1 }).length === 1, 'negative nitrate target');
+    assert(validateReadingTargets({ phMin: 'x' }).some(e => e.includes('phMin must be a number')), 'non-numeric target');
+    assert(validateReadingTargets({ ammoniaMax: 0, tempMin: '', tempMax: null }).length === 0, '0 and blanks allowed');
+});
+
+test('checkReadingRanges compares in the enclosure unit and skips unset targets', () => {
+    assert(Math.abs(convertTemperature(86, 'F', 'C') - 30) < 1e-9, '86 °F is 30 °C');
+    const hot = checkReadingRanges({ temperature: 31, temperatureUnit: 'C', humidity: 45 }, VIVARIUM);
+    assert(hot.length === 2, `expected 2 breaches, got ${hot.length}`);
+    assert(hot[0].field === 'temperature' && hot[0].direction === 'high' && hot[0].max === 30, 'temperature high');
+    assert(hot[1].field === 'humidity' && hot[1].direction === 'low', 'humidity low');
+    assert(describeBreach(hot[0]) === 'Temperature 31 C (max 30)', describeBreach(hot[0]));
+    assert(describeBreach(hot[1]) === 'Humidity 45% (min 50)', describeBreach(hot[1]));
+
+    // 27 °C = 80.6 °F: above the tank's 80 °F
+    const tank = checkReadingRanges({ temperature: 27, temperatureUnit: 'C', ammonia: 0.25, nitrate: 20, ph: 7 }, TANK);
+    assert(tank.map(b => b.field).join() === 'temperature,ammonia', tank.map(b => b.field).join());
+    assert(tank[0].value === 80.6 && tank[0].unit === 'F', 'converted to °F');
+    assert(tank[1].unit === 'ppm', 'ppm unit');
+    assert(checkReadingRanges({ temperature: 40, humidity: 99 }, {}).length === 0, 'no targets, no breaches');
+});
+
+test('decideReadingAlert alerts once, repeats on new fields or after the repeat window, then clears', () => {
+    const now = at('2026-03-01T12:00:00Z');
+    const hot = [{ field: 'temperature' }];
+    const first = decideReadingAlert(null, hot, { recordedAt: now, now });
+    assert(first.notify === 'out_of_range' && first.state.active, 'first breach alerts');
+
+    const soon = new Date(now.getTime() + HOUR);
+    const quiet = decideReadingAlert(first.state, hot, { recordedAt: soon, lastReadingAt: now, now: soon });
+    assert(quiet.notify === null && quiet.state.active, 'still hot within the repeat window: silent');
+    assert(quiet.state.since.getTime() === now.getTime(), 'since kept');
+
+    const drier = decideReadingAlert(quiet.state, [...hot, { field: 'humidity' }], { recordedAt: soon, lastReadingAt: soon, now: soon });
+    assert(drier.notify === 'out_of_range', 'a new field alerts again');
+
+    const later = new Date(now.getTime() + READING_ALERT_REPEAT_HOURS * HOUR);
+    assert(decideReadingAlert(first.state, hot, { recordedAt: later, lastReadingAt: soon, now: later }).notify === 'out_of_range', 'repeat after the window');
+
+    const clear = decideReadingAlert(first.state, [], { recordedAt: soon, lastReadingAt: now, now: soon });
+    assert(clear.notify === 'back_in_range' && !clear.state.active, 'all-clear');
+    assert(decideReadingAlert(clear.state, [], { recordedAt: soon, now: soon }).state === null, 'in range and quiet: no change');
+});
+
+test('decideReadingAlert ignores back-filled readings', () => {
+    const now = at('2026-03-01T12:00:00Z');
+    const older = decideReadingAlert(null, [{ field: 'humidity' }], { recordedAt: at('2026-03-01T10:00:00Z'), lastReadingAt: at('2026-03-01T11:00:00Z'), now });
+    assert(older.notify === null && older.state === null, 'older than the latest reading');
+    const stale = decideReadingAlert(null, [{ field: 'humidity' }], { recordedAt: at('2026-02-27T12:00:00Z'), now });
+    assert(stale.notify === null && stale.state === null, 'older than a day');
+});
+
+test('daily summary stages group by local day and convert temperatures', () => {
+    const [project, group, sort] = dailyReadingSummaryStages({ temperatureUnit: 'F', timeZone: 'Europe/Amsterdam' });
+    assert(project.$project.day.$dateToString.timezone === 'Europe/Amsterdam', 'days in the requested time zone');
+    const temperature = project.$project.temperature.$cond;
+    assert(temperature[0].$eq[1] === 'C' && temperature[1].$add && temperature[2] === '$temperature', 'C readings converted to °F');
+    assert(group.$group.humidityMean.$avg === '$humidity' && group.$group.readings.$sum === 1, 'per-field aggregates');
+    assert(sort.$sort._id === 1, 'oldest day first');
+    assert(isValidTimeZone('Europe/Amsterdam') && !isValidTimeZone('Mars/Olympus'), 'time zone check');
+});
+
+test('dailySummaryFromGroups rounds measured fields and nulls unmeasured ones', () => {
+    const [day] = dailySummaryFromGroups([{
+        _id: '2026-03-01', readings: 3, outOfRange: 1,
+        temperatureMin: 22, temperatureMax: 30.00000001, temperatureMean: 25.666666, temperatureCount: 3,
+        humidityMin: 40, humidityMax: 60, humidityMean: 50, humidityCount: 2,
+        phMin: null, phMax: null, phMean: null, phCount: 0,
+    }]);
+    assert(day.date === '2026-03-01' && day.readings === 3 && day.outOfRange === 1, JSON.stringify(day));
+    assert(day.temperature.max === 30 && day.temperature.mean === 25.67, `temperature ${JSON.stringify(day.temperature)}`);
+    assert(day.humidity.count === 2 && day.humidity.mean === 50, 'humidity mean over measured readings');
+    assert(day.ph === null && day.nitrate === null, 'unmeasured field is null');
+});
+
+test('normalizeReading rejects entries that are not objects', () => {
+    for (const entry of [null, 'hot', 25, [25]]) {
+        const { reading, errors } = normalizeReading(entry);
+        assert(reading === null && errors[0] === 'A reading must be an object.', `${JSON.stringify(entry)}: ${errors}`);
+    }
+});
+
+test('readingWindow defaults to 30 days and caps the span', () => {
+    const now = at('2026-03-31T00:00:00Z');
+    const def = readingWindow({}, { now });
+    assert(def.errors.length === 0 && def.from.toISOString() === '2026-03-01T00:00:00.000Z', 'default window');
+    assert(readingWindow({ from: '2026-03-02', to: '2026-03-01' }).errors.length === 1, 'inverted window');
+    assert(readingWindow({ from: '2024-01-01', to: '2026-01-01' }).errors.some(e => e.includes('366')), 'span capped');
+});
+
+test('sensor keys are random and stored only as a stable hash', () => {
+    const a = generateSensorKey();
+    const b = generateSensorKey();
+    assert(a.startsWith('ctsk_') && a.length === 53, `key shape ${a}`);
+    assert(a !== b, 'keys differ');
+    assert(hashSensorKey(a) === hashSensorKey(a) && hashSensorKey(a) !== hashSensorKey(b), 'hash stable and distinct');
+    assert(/^[0-9a-f]{64}$/.test(hashSensorKey(a)), 'sha-256 hex');
+});
+
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
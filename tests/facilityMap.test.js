@@ -0,0 +1,148 @@
+/**
+ * Facility Map Unit Tests
+ *
+ * Covers utils/facilityMap.js: which parent a building/room/rack/shelf may have, deriving an
+ * enclosure's building and room from a rack or shelf, overdue cleaning tasks, and the
+ * location tree's own and rolled-up occupancy figures.
+ *
+ * Pure functions only — no MongoDB connection needed.
+ */
+
+const {
+    checkLocationParent,
+    cleaningTaskFreqDays,
+    isCleaningTaskOverdue,
+    locationAncestors,
+    placementFor,
+    buildLocationTree
+} = require('../utils/facilityMap');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+const NOW = new Date('2026-05-20T12:00:00');
+const daysAgo = (n) => new Date(NOW.getTime() - n * 24 * 60 * 60 * 1000);
+
+const LOCATIONS = [
+    { _id: 'b1', name: 'Barn', type: 'building', parentLocationId: null },
+    { _id: 'r1', name: 'Rodent Room', type: 'room', parentLocationId: 'b1' },
+    { _id: 'r2', name: 'Reptile Room', type: 'room', parentLocationId: 'b1' },
+    { _id: 'k1', name: 'Rack A', type: 'rack', parentLocationId: 'r1' },
+    { _id: 's1', name: 'Shelf 1', type: 'shelf', parentLocationId: 'k1' },
+    { _id: 's2', name: 'Shelf 2', type: 'shelf', parentLocationId: 'k1' },
+    { _id: 'r9', name: 'Spare Room', type: 'room', parentLocationId: null },
+];
+const byId = new Map(LOCATIONS.map(l => [l._id, l]));
+
+test('checkLocationParent only nests shallower types', () => {
+    assert(checkLocationParent('building', null) === null, 'building at the top');
+    assert(checkLocationParent('room', null) === null, 'unassigned room allowed');
+    assert(checkLocationParent('shelf', byId.get('k1')) === null, 'shelf on a rack');
+    assert(checkLocationParent('shelf', byId.get('r1')) === null, 'shelf straight in a room');
+    assert(checkLocationParent('rack', null).includes('must be inside'), 'rack needs a parent');
+    assert(checkLocationParent('room', byId.get('s1')).includes('cannot be inside a shelf'), 'room on a shelf');
+    assert(checkLocationParent('rack', byId.get('k1')).includes('cannot be inside a rack'), 'rack in a rack');
+    assert(checkLocationParent('building', byId.get('b1')).includes('building'), 'nested building');
+    assert(checkLocationParent('cupboard', null).includes('type must be one of'), 'unknown type');
+});
+
+test('placementFor derives building and room from a shelf', () => {
+    assert(locationAncestors(byId.get('s1'), byId).map(l => l._id).join() === 'k1,r1,b1', 'ancestors nearest first');
+    const shelf = placementFor(byId.get('s1'), byId);
+    assert(shelf.buildingId === 'b1' && shelf.roomId === 'r1', JSON.stringify(shelf));
+    const spare = placementFor(byId.get('r9'), byId);
+    assert(spare.buildingId === null && spare.roomId === 'r9', 'unassigned room has no building');
+});
+
+test('isCleaningTaskOverdue follows the task frequency', () => {
+    assert(cleaningTaskFreqDays({ frequency: 2, frequencyUnit: 'weeks' }) === 14, 'weeks');
+    assert(cleaningTaskFreqDays({ frequencyDays: 3 }) === 3, 'legacy frequencyDays');
+    assert(isCleaningTaskOverdue({ frequency: 7, lastDoneDate: daysAgo(7) }, NOW), 'due on the day');
+    assert(!isCleaningTaskOverdue({ frequency: 7, lastDoneDate: daysAgo(6) }, NOW), 'not yet');
+    assert(isCleaningTaskOverdue({ frequency: 1, frequencyUnit: 'months', lastDoneDate: null }, NOW), 'never done');
+    assert(!isCleaningTaskOverdue({ frequency: null, lastDoneDate: null }, NOW), 'no frequency');
+});
+
+const ENCLOSURES = [
+    { _id: 'e1', name: 'Tub 1', capacity: 4, speciesLabels: ['Fancy Rat'], buildingId: 'b1', roomId: 'r1', locationId: 's1',
+        cleaningTasks: [{ taskName: 'Full clean', frequency: 7, lastDoneDate: daysAgo(10) }] },
+    { _id: 'e2', name: 'Tub 2', capacity: 2, speciesLabels: [], buildingId: 'b1', roomId: 'r1', locationId: 's2', cleaningTasks: [] },
+    { _id: 'e3', name: 'Viv', capacity: null, buildingId: 'b1', roomId: 'r2', locationId: null,
+        cleaningTasks: [{ taskName: 'Spot clean', frequency: 1, lastDoneDate: daysAgo(2) }] },
+    { _id: 'e4', name: 'Travel box', capacity: 1 },
+];
+const ANIMALS = [
+    { enclosureId: 'e1', species: 'Fancy Rat', gender: 'Female', status: 'Pet' },
+    { enclosureId: 'e1', species: 'Fancy Rat', gender: 'Female', status: 'Breeder' },
+    { enclosureId: 'e2', species: 'Fancy Mouse', gender: 'Male', status: 'Pet' },
+    { enclosureId: 'e2', species: 'Fancy Mouse', gender: 'Male', status: 'Pet' },
+    { enclosureId: 'e2', species: 'Fancy Mouse', gender: 'Male', status: 'Pet' },
+    { enclosureId: 'e3', species: 'Leopard Gecko', gender: 'Male', status: 'Pet' },
+];
+
+test('buildLocationTree nests locations and places enclosures at their most specific location', () => {
+    const tree = buildLocationTree({ locations: LOCATIONS, enclosures: ENCLOSURES, animals: ANIMALS }, { now: NOW });
+    assert(tree.locations.map(l => l._id).join() === 'b1,r9', `roots ${tree.locations.map(l => l._id).join()}`);
+    const barn = tree.locations[0];
+    assert(barn.children.map(c => c.name).join() === 'Reptile Room,Rodent Room', 'rooms sorted by name');
+    const rack = barn.children[1].children[0];
+    assert(rack.children.map(c => c._id).join() === 's1,s2', 'shelves on the rack');
+    assert(rack.children[0].enclosures[0].name === 'Tub 1' && rack.own.enclosures === 0, 'enclosure on its shelf, not the rack');
+    assert(tree.unplaced.enclosures.map(e => e.name).join() === 'Travel box', 'unplaced enclosure');
+});
+
+test('buildLocationTree rolls occupancy, free capacity and overdue tasks up the tree', () => {
+    const tree = buildLocationTree({ locations: LOCATIONS, enclosures: ENCLOSURES, animals: ANIMALS }, { species: 'Fancy Rat', now: NOW });
+    const rodentRoom = tree.locations[0].children[1];
+    const t = rodentRoom.totals;
+    assert(t.enclosures === 2 && t.animals.total === 5, JSON.stringify(t));
+    assert(t.animals.bySpecies['Fancy Rat'] === 2 && t.animals.bySpecies['Fancy Mouse'] === 3, 'by species');
+    assert(t.animals.bySex.Female === 2 && t.animals.bySex.Male === 3, 'by sex');
+    assert(t.animals.byStatus.Breeder === 1, 'by status');
+    // Tub 1 has 2 free; Tub 2 is over capacity and counts 0, not -1
+    assert(t.capacity === 6 && t.freeCapacity === 2, `capacity ${t.capacity}, free ${t.freeCapacity}`);
+    assert(t.freeCapacityForSpecies === 2 && t.overdueTasks === 1, 'species free places and overdue tasks');
+
+    const barn = tree.locations[0].totals;
+    assert(barn.enclosures === 3 && barn.animals.total === 6 && barn.uncapped === 1 && barn.overdueTasks === 2, JSON.stringify(barn));
+    assert(tree.locations[1].totals.enclosures === 0 && tree.locations[1].totals.freeCapacityForSpecies === 0, 'empty room');
+    assert(tree.totals.enclosures === 4 && tree.totals.freeCapacity === 3, 'grand totals include unplaced');
+
+    const viv = tree.locations[0].children[0].enclosures[0];
+    assert(viv.freeCapacity === null && viv.species.join() === 'Leopard Gecko', 'enclosure summary');
+});
+
+test('buildLocationTree keeps orphaned locations as roots and omits species figures when not asked', () => {
+    const orphan = { _id: 'k9', name: 'Loose rack', type: 'rack', parentLocationId: 'gone' };
+    const tree = buildLocationTree({ locations: [...LOCATIONS, orphan], enclosures: [], animals: [] }, { now: NOW });
+    assert(tree.locations.some(l => l._id === 'k9'), 'orphan is a root');
+    assert(!('freeCapacityForSpecies' in tree.totals), 'no species figure');
+});
+
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
@@ -0,0 +1,138 @@
+/**
+ * Feeding Log Unit Tests
+ *
+ * Covers utils/feedingLog.js: reading feeding payloads (including the older { skipped: true }),
+ * when a feeding takes food out of stock, body weight at the time of a feeding, prey ratios,
+ * refusal streaks and their alerts, and the feeding summary.
+ *
+ * Pure functions only — no MongoDB connection needed.
+ */
+
+const {
+    REFUSAL_ALERT_STREAK,
+    normalizeFeeding,
+    usesStock,
+    bodyWeightAt,
+    preyRatio,
+    refusalStreak,
+    isRefusalAlertDue,
+    summarizeFeedings
+} = require('../utils/feedingLog');
+const { normalizeGrowthRecords } = require('../utils/growthCurves');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+const NOW = new Date('2026-05-20T12:00:00');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (n) => new Date(NOW.getTime() - n * DAY_MS);
+const fed = (outcome, days, extra = {}) => ({ outcome, fedAt: daysAgo(days), ...extra });
+
+test('normalizeFeeding reads outcomes, quantities and prey weights', () => {
+    const legacy = normalizeFeeding({ skipped: true }, { now: NOW });
+    assert(legacy.errors.length === 0 && legacy.feeding.outcome === 'skipped', 'skipped: true still works');
+    assert(normalizeFeeding({}, { now: NOW }).feeding.outcome === 'accepted', 'accepted by default');
+    const uncounted = normalizeFeeding({ quantity: 0 }, { now: NOW });
+    assert(uncounted.errors.length === 0 && uncounted.feeding.quantity === null, 'quantity 0 read as blank');
+
+    const { feeding } = normalizeFeeding({ outcome: 'refused', quantity: '2', preyWeight: '1 oz', preyReturned: true, notes: ' shed soon ' }, { now: NOW, weightUnit: 'g' });
+    assert(feeding.quantity === 2 && feeding.preyReturned && feeding.notes === 'shed soon', 'fields read');
+    assert(Math.abs(feeding.preyWeightGrams - 28.35) < 0.01, `1 oz in grams, got ${feeding.preyWeightGrams}`);
+    assert(normalizeFeeding({ preyWeight: '2' }, { now: NOW, weightUnit: 'oz' }).feeding.preyWeightGrams === 56.7, 'animal unit used');
+    assert(!normalizeFeeding({ outcome: 'accepted', preyReturned: true }, { now: NOW }).feeding.preyReturned, 'only refused prey is returned');
+});
+
+test('normalizeFeeding rejects bad values', () => {
+    const { errors } = normalizeFeeding({ outcome: 'ate', quantity: -1, preyWeight: 'heavy', fedAt: daysAgo(-1) }, { now: NOW });
+    assert(errors.length === 4, `expected 4 errors, got ${errors.length}: ${errors}`);
+    assert(errors[0].includes('outcome must be one of'), 'outcome');
+    assert(errors.some(e => e.includes('future')), 'future date');
+    assert(normalizeFeeding({ fedAt: daysAgo(3) }, { now: NOW }).errors.length === 0, 'backdated feeding allowed');
+});
+
+test('usesStock takes offered food out of stock unless it was put back', () => {
+    assert(usesStock({ outcome: 'accepted', quantity: 1 }), 'eaten');
+    assert(usesStock({ outcome: 'regurgitated', quantity: 1 }), 'regurgitated prey is gone');
+    assert(usesStock({ outcome: 'refused', quantity: 1, preyReturned: false }), 'thawed prey wasted');
+    assert(!usesStock({ outcome: 'refused', quantity: 1, preyReturned: true }), 'live prey put back');
+    assert(!usesStock({ outcome: 'skipped', quantity: 1 }), 'skipped');
+    assert(!usesStock({ outcome: 'accepted', quantity: null }), 'no quantity');
+});
+
+test('bodyWeightAt and preyRatio use the latest recent weighing', () => {
+    const points = normalizeGrowthRecords({
+        measurementUnits: { weight: 'g' },
+        growthRecords: [
+            { date: daysAgo(100).toISOString(), weight: '150' },
+            { date: daysAgo(20).toISOString(), weight: '200' },
+            { date: daysAgo(10).toISOString(), length: '90' },
+            { date: daysAgo(-2).toISOString(), weight: '260' },
+        ],
+    });
+    const weight = bodyWeightAt(points, NOW);
+    assert(weight && weight.grams === 200, `200 g from 20 days ago, got ${weight && weight.grams}`);
+    assert(bodyWeightAt(points, daysAgo(30)) === null, 'weighing older than the limit ignored');
+
+    const ratio = preyRatio(15, 2, weight);
+    assert(ratio.mealWeightGrams === 30 && ratio.preyRatio === 15, `30 g is 15%, got ${ratio.preyRatio}`);
+    assert(preyRatio(15, null, null).preyRatio === null && preyRatio(15, null, null).mealWeightGrams === 15, 'no body weight');
+    assert(preyRatio(null, 1, weight).mealWeightGrams === null, 'no prey weight');
+});
+
+test('refusalStreak counts refusals in a row, skipping skipped feedings', () => {
+    const records = [fed('accepted', 40), fed('refused', 30), fed('skipped', 20), fed('refused', 14), fed('refused', 7)];
+    assert(refusalStreak(records) === 3, `expected 3, got ${refusalStreak(records)}`);
+    assert(refusalStreak([...records, fed('accepted', 1)]) === 0, 'a meal ends the streak');
+    assert(refusalStreak([fed('refused', 2), fed('regurgitated', 1)]) === 0, 'regurgitation ends the streak');
+    assert(isRefusalAlertDue(REFUSAL_ALERT_STREAK) && isRefusalAlertDue(REFUSAL_ALERT_STREAK * 2), 'alert at each multiple');
+    assert(!isRefusalAlertDue(REFUSAL_ALERT_STREAK + 1) && !isRefusalAlertDue(0), 'no alert in between');
+});
+
+test('summarizeFeedings reports rates over the window', () => {
+    const summary = summarizeFeedings([
+        fed('accepted', 200, { preyRatio: 50 }),
+        fed('accepted', 60, { preyRatio: 10 }),
+        fed('accepted', 45, { preyRatio: 14 }),
+        fed('regurgitated', 30, { preyRatio: 20 }),
+        fed('skipped', 21),
+        fed('refused', 14),
+        fed('refused', 7),
+        fed('refused', 1),
+    ], { now: NOW });
+    assert(summary.feedings === 7 && summary.offered === 6, 'old feeding outside the window');
+    assert(summary.byOutcome.refused === 3 && summary.byOutcome.skipped === 1, 'counts');
+    assert(summary.acceptanceRate === 33.3, `2 of 6 accepted, got ${summary.acceptanceRate}`);
+    assert(summary.refusalStreak === 3 && summary.refusalAlert, 'streak flagged');
+    assert(summary.averagePreyRatio === 12, `accepted meals only, got ${summary.averagePreyRatio}`);
+    assert(summary.lastAcceptedAt.getTime() === daysAgo(45).getTime(), 'last accepted');
+    assert(summary.lastOfferedAt.getTime() === daysAgo(1).getTime(), 'last offered');
+    assert(summarizeFeedings([], { now: NOW }).acceptanceRate === null, 'nothing offered');
+});
+
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
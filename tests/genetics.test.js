@@ -0,0 +1,350 @@
+/**
+ * Genotype Parsing & Offspring Prediction Unit Tests
+ *
+ * Covers utils/genetics.js against a small mouse-like GeneticsData fixture:
+ *   A locus: A > at > a (Ay/Ay lethal), B locus: B > b, C locus: C > ch > c.
+ * Also covers rule evaluation, genotype inference, version diffs (utils/geneticsDiff.js) and
+ * the import/export interchange format (utils/geneticsInterchange.js).
+ *
+ * Probabilities are fractions (0-1); tolerance +/-0.0001.
+ */
+
+const { buildLocusIndex, parseGeneticCode, predictOffspring } = require('../utils/genetics');
+const { evaluatePhenotypeRules } = require('../utils/phenotypeRules');
+const { inferGenotype, toPredictionGenotype } = require('../utils/genotypeInference');
+const { diffGeneticsData } = require('../utils/geneticsDiff');
+const { exportGeneticsData, validateGeneticsImport } = require('../utils/geneticsInterchange');
+
+const GENETICS = {
+    speciesName: 'Mouse',
+    version: 3,
+    genes: [
+        {
+            symbol: 'A', name: 'Agouti',
+            alleles: [{ symbol: 'Ay' }, { symbol: 'A' }, { symbol: 'at' }, { symbol: 'a' }],
+            combinations: [
+                { notation: 'Ay/Ay', phenotype: 'Lethal', isLethal: true },
+                { notation: 'Ay/A', phenotype: 'Dominant Red' },
+                { notation: 'Ay/a', phenotype: 'Dominant Red', carrier: 'Black' },
+                { notation: 'A/A', phenotype: 'Agouti' },
+                { notation: 'A/a', phenotype: 'Agouti', carrier: 'Black' },
+                { notation: 'a/a', phenotype: 'Black' }
+            ]
+        },
+        {
+            symbol: 'B', name: 'Brown',
+            alleles: [{ symbol: 'B' }, { symbol: 'b' }],
+            combinations: [
+                { notation: 'B/B', phenotype: null },
+                { notation: 'B/b', phenotype: null, carrier: 'Chocolate' },
+                { notation: 'b/b', phenotype: 'Chocolate' }
+            ]
+        }
+    ],
+    coatGenes: [
+        {
+            symbol: 'C', name: 'Albino',
+            alleles: [{ symbol: 'C' }, { symbol: 'ch' }, { symbol: 'c' }],
+            combinations: [
+                { notation: 'C/C', phenotype: null },
+                { notation: 'C/c', phenotype: null, carrier: 'Albino' },
+                { notation: 'c/c', phenotype: 'Albino' }
+            ]
+        }
+    ]
+};
+
+const index = buildLocusIndex(GENETICS);
+const TOLERANCE = 0.0001;
+
+function expectProb(actual, expected, label) {
+    if (actual == null || Math.abs(actual - expected) > TOLERANCE) {
+        throw new Error(`${label}: expected ${expected} but got ${actual}`);
+    }
+}
+
+function parseOk(code) {
+    const { genotype, errors } = parseGeneticCode(code, index);
+    if (errors.length) throw new Error(`Unexpected parse errors for "${code}": ${errors.map(e => e.message).join('; ')}`);
+    return genotype;
+}
+
+// ---------------------------------------------------------------------------
+// Minimal test runner (no external framework dependency, matches inbreeding.test.js)
+// ---------------------------------------------------------------------------
+const results = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Test cases
+// ---------------------------------------------------------------------------
+
+// 1. Pairs are normalised to combination notation and sorted into locus order.
+test('Parse normalises allele order and locus order', async () => {
+    const genotype = parseOk('c/ch a/A  b/B');
+    const notations = genotype.map(g => g.notation).join(' ');
+    if (notations !== 'A/a B/b ch/c') throw new Error(`Expected "A/a B/b ch/c", got "${notations}"`);
+    if (genotype[2].category !== 'coat') throw new Error(`Expected C locus category "coat", got ${genotype[2].category}`);
+});
+
+// 1b. normalizedCode keeps the breeder's pair order but fixes allele order within each pair.
+test('normalizedCode keeps entered locus order', async () => {
+    const { normalizedCode } = parseGeneticCode('c/ch a/A b/B', index);
+    if (normalizedCode !== 'ch/c A/a B/b') throw new Error(`Expected "ch/c A/a B/b", got "${normalizedCode}"`);
+});
+
+// 2. Unknown alleles are reported with the locus' valid alleles.
+test('Unknown allele → precise error naming the locus', async () => {
+    const { errors } = parseGeneticCode('a/A b/x', index);
+    if (errors.length !== 1 || !/Unknown allele "x".*Brown \(B\).*B, b/.test(errors[0].message)) {
+        throw new Error(`Unexpected errors: ${JSON.stringify(errors)}`);
+    }
+});
+
+// 3. Malformed tokens, cross-locus pairs and repeated loci are all rejected.
+test('Malformed, mixed-locus and duplicate pairs → errors', async () => {
+    const { errors } = parseGeneticCode('aa a/b A/a a/a', index);
+    const messages = errors.map(e => e.message).join(' | ');
+    if (errors.length !== 3) throw new Error(`Expected 3 errors, got ${errors.length}: ${messages}`);
+    if (!/not an allele pair/.test(messages) || !/different loci/.test(messages) || !/more than once/.test(messages)) {
+        throw new Error(`Unexpected messages: ${messages}`);
+    }
+});
+
+// 4. Het x het at one locus → 1:2:1 genotypes, 3:1 phenotypes, 2/3 of non-black are carriers.
+test('A/a x A/a → 1:2:1 genotypes, 75% Agouti, 50% carriers', async () => {
+    const prediction = predictOffspring(parseOk('A/a'), parseOk('A/a'), index);
+    const byGenotype = Object.fromEntries(prediction.genotypes.map(g => [g.genotype, g.probability]));
+    expectProb(byGenotype['A/A'], 0.25, 'A/A');
+    expectProb(byGenotype['A/a'], 0.5, 'A/a');
+    expectProb(byGenotype['a/a'], 0.25, 'a/a');
+    const byPhenotype = Object.fromEntries(prediction.phenotypes.map(p => [p.phenotype, p.probability]));
+    expectProb(byPhenotype['Agouti'], 0.75, 'Agouti');
+    expectProb(byPhenotype['Black'], 0.25, 'Black');
+    expectProb(prediction.carriers[0].probability, 0.5, 'Black carriers');
+    if (prediction.parentCarriers.sire[0].carrier !== 'Black') throw new Error('Sire should be reported as a Black carrier');
+});
+
+// 5. Ay/a x Ay/a → 25% lethal; viable offspring are 2/3 Dominant Red, 1/3 Black.
+test('Ay/a x Ay/a → lethal warning and viable 2:1 ratio', async () => {
+    const prediction = predictOffspring(parseOk('Ay/a'), parseOk('Ay/a'), index);
+    expectProb(prediction.lethalProbability, 0.25, 'Lethal probability');
+    if (prediction.lethalWarnings.length !== 1 || prediction.lethalWarnings[0].notation !== 'Ay/Ay') {
+        throw new Error(`Expected an Ay/Ay lethal warning, got ${JSON.stringify(prediction.lethalWarnings)}`);
+    }
+    const byPhenotype = Object.fromEntries(prediction.phenotypes.map(p => [p.phenotype, p.probability]));
+    expectProb(byPhenotype['Dominant Red'], 2 / 3, 'Dominant Red');
+    expectProb(byPhenotype['Black'], 1 / 3, 'Black');
+});
+
+// 6. Two independent loci multiply: a/a B/b x a/a b/b → 50% Black, 50% Black Chocolate.
+test('Two loci combine independently', async () => {
+    const prediction = predictOffspring(parseOk('a/a B/b'), parseOk('a/a b/b'), index);
+    if (prediction.genotypes.length !== 2) throw new Error(`Expected 2 genotypes, got ${prediction.genotypes.length}`);
+    const byPhenotype = Object.fromEntries(prediction.phenotypes.map(p => [p.phenotype, p.probability]));
+    expectProb(byPhenotype['Black'], 0.5, 'Black');
+    expectProb(byPhenotype['Black Chocolate'], 0.5, 'Black Chocolate');
+});
+
+// 7. A locus known for only one parent is reported, not guessed.
+test('Locus missing from one parent → unpredicted', async () => {
+    const prediction = predictOffspring(parseOk('a/a c/c'), parseOk('a/a'), index);
+    if (prediction.unpredictedLoci.length !== 1 || prediction.unpredictedLoci[0].locus !== 'C') {
+        throw new Error(`Expected C to be unpredicted, got ${JSON.stringify(prediction.unpredictedLoci)}`);
+    }
+});
+
+// 8. Unknown alleles propagate; the phenotype is kept only when every completion agrees.
+test('A/- x a/a → unknown allele carried through the square', async () => {
+    const prediction = predictOffspring(parseOk('A/-'), parseOk('a/a'), index);
+    const outcome = prediction.loci[0].outcomes.find(o => o.notation === 'A/a');
+    expectProb(outcome.probability, 0.5, 'A/a');
+    if (outcome.phenotype !== 'Agouti') throw new Error(`Expected Agouti for A/a, got ${outcome.phenotype}`);
+    const unknown = prediction.loci[0].outcomes.find(o => o.notation === 'a/-');
+    expectProb(unknown.probability, 0.5, 'a/-');
+    if (unknown.phenotype !== null) throw new Error(`Expected unknown phenotype for a/-, got ${unknown.phenotype}`);
+});
+
+// --- Phenotype rules (utils/phenotypeRules.js) ---
+const RULES = [
+    { name: 'Black', priority: 1, conditions: { A: 'a/a' } },
+    { name: 'Chocolate', priority: 5, conditions: { all: [{ locus: 'A', genotype: 'a/a' }, { locus: 'B', homozygous: 'b' }] } },
+    { name: 'Agouti', priority: 1, conditions: { locus: 'A', hasAllele: 'A' } },
+    { name: 'Pink Eyed White', priority: 10, conditions: { locus: 'C', homozygous: 'c' } },
+    { name: 'Self', priority: 0, conditions: { field: 'markings', not: { locus: 'C', homozygous: 'c' } } }
+];
+
+// 9. Highest-priority applicable rule wins per field.
+test('Rules: priority picks Chocolate over Black for a/a b/b', async () => {
+    const { suggestions, matchedRules } = evaluatePhenotypeRules(parseOk('a/a b/b C/C'), RULES);
+    if (suggestions.color !== 'Chocolate') throw new Error(`Expected Chocolate, got ${suggestions.color}`);
+    if (suggestions.markings !== 'Self') throw new Error(`Expected Self markings, got ${suggestions.markings}`);
+    if (!matchedRules.some(r => r.name === 'Black')) throw new Error('Black should still be listed as matched');
+});
+
+// 10. Albino overrides every color rule by priority.
+test('Rules: c/c → Pink Eyed White, no Self marking', async () => {
+    const { suggestions } = evaluatePhenotypeRules(parseOk('A/a c/c'), RULES);
+    if (suggestions.color !== 'Pink Eyed White') throw new Error(`Expected Pink Eyed White, got ${suggestions.color}`);
+    if (suggestions.markings !== null) throw new Error(`Expected no markings, got ${suggestions.markings}`);
+});
+
+// 11. Uncovered loci and unknown alleles leave rules undecided rather than guessing.
+test('Rules: missing C locus and A/- stay undecided', async () => {
+    const { suggestions } = evaluatePhenotypeRules(parseOk('A/-'), RULES);
+    if (suggestions.color !== null) throw new Error(`Expected no color (C locus unknown), got ${suggestions.color}`);
+    const { suggestions: agouti } = evaluatePhenotypeRules(parseOk('A/- C/C'), RULES);
+    if (agouti.color !== 'Agouti') throw new Error(`Expected Agouti, got ${agouti.color}`);
+});
+
+// --- Genotype inference (utils/genotypeInference.js) ---
+function makeLoaders(db) {
+    return {
+        loadAnimal: async (id) => db[id] ? { id_public: id, name: id, sireId_public: db[id].sire || null, damId_public: db[id].dam || null, geneticCode: db[id].code || null } : null,
+        loadOffspring: async (id) => Object.entries(db)
+            .filter(([, a]) => a.sire === id || a.dam === id)
+            .map(([childId, a]) => ({ id_public: childId, geneticCode: a.code || null, mateId: a.sire === id ? a.dam : a.sire }))
+    };
+}
+
+// 12. A black (a/a B/-) mouse that threw a chocolate pup must carry b.
+test('Inference: B/- parent of a b/b pup → B/b certain', async () => {
+    const db = { X: { code: 'a/a B/-' }, M: { code: 'a/a b/b' }, P: { sire: 'X', dam: 'M', code: 'a/a b/b' } };
+    const { loci } = await inferGenotype('X', index, makeLoaders(db));
+    const b = loci.find(l => l.locus === 'B');
+    if (b.mostLikely !== 'B/b' || b.genotypes.length !== 1) throw new Error(`Expected certain B/b, got ${JSON.stringify(b.genotypes)}`);
+    const a = loci.find(l => l.locus === 'A');
+    if (a.source !== 'recorded') throw new Error('A locus should be reported as recorded');
+});
+
+// 13. Unrecorded offspring of two B/b parents: 1/4 B/B, 1/2 B/b, 1/4 b/b.
+test('Inference: child of B/b x B/b → 75% carries b, 50% het', async () => {
+    const db = { S: { code: 'B/b' }, D: { code: 'B/b' }, X: { sire: 'S', dam: 'D' } };
+    const { loci } = await inferGenotype('X', index, makeLoaders(db));
+    const b = loci.find(l => l.locus === 'B').alleles.find(a => a.allele === 'b');
+    expectProb(b.carrierProbability, 0.75, 'P(carries b)');
+    expectProb(b.hetProbability, 0.5, 'P(het b)');
+});
+
+// 14. Inferred distributions feed straight into the Punnett engine.
+test('Inference → prediction: possible-het x b/b gives 25% chocolate', async () => {
+    const db = { S: { code: 'B/b' }, D: { code: 'B/B' }, X: { sire: 'S', dam: 'D' } };
+    const inference = await inferGenotype('X', index, makeLoaders(db));
+    const prediction = predictOffspring(toPredictionGenotype(inference), parseOk('b/b'), index);
+    const chocolate = prediction.loci[0].outcomes.find(o => o.notation === 'b/b');
+    expectProb(chocolate.probability, 0.25, 'b/b from a 50% het');
+});
+
+// 15. Version diff: added/removed loci and alleles, changed combination phenotypes.
+test('Diff: added locus, removed allele, changed combination phenotype', async () => {
+    const next = JSON.parse(JSON.stringify(GENETICS));
+    next.genes[0].alleles = next.genes[0].alleles.filter(a => a.symbol !== 'at');
+    next.genes[1].combinations[2].phenotype = 'Chocolate (Brown)';
+    next.markingGenes = [{ symbol: 'S', name: 'Piebald', alleles: [{ symbol: 'S' }, { symbol: 's' }], combinations: [] }];
+    next.genes.reverse(); // order alone is not a change
+
+    const diff = diffGeneticsData(GENETICS, next);
+    if (diff.identical) throw new Error('Expected differences');
+    if (diff.loci.added.length !== 1 || diff.loci.added[0].symbol !== 'S') throw new Error(`Added: ${JSON.stringify(diff.loci.added)}`);
+    if (diff.loci.removed.length !== 0) throw new Error(`Removed: ${JSON.stringify(diff.loci.removed)}`);
+
+    const a = diff.loci.changed.find(l => l.symbol === 'A');
+    if (!a || a.alleles.removed.map(x => x.symbol).join() !== 'at') throw new Error('Expected allele at removed from A');
+    const b = diff.loci.changed.find(l => l.symbol === 'B');
+    const change = b && b.combinations.changed.find(c => c.notation === 'b/b');
+    if (!change || change.changes[0].to !== 'Chocolate (Brown)') throw new Error('Expected b/b phenotype change');
+    if (diff.loci.changed.some(l => l.symbol === 'C')) throw new Error('C is unchanged');
+
+    if (!diffGeneticsData(GENETICS, JSON.parse(JSON.stringify(GENETICS))).identical) throw new Error('Copy should be identical');
+});
+
+// 16. Export → import round-trips without changes.
+test('Interchange: export then import is valid and identical', async () => {
+    const exported = JSON.parse(JSON.stringify(exportGeneticsData({ ...GENETICS, phenotypeRules: RULES })));
+    const report = validateGeneticsImport(exported);
+    if (!report.valid) throw new Error(`Unexpected errors: ${JSON.stringify(report.errors)}`);
+    if (report.summary.loci !== 3 || report.summary.alleles !== 9) throw new Error(`Summary: ${JSON.stringify(report.summary)}`);
+    const diff = diffGeneticsData({ ...GENETICS, phenotypeRules: RULES }, report.content);
+    if (!diff.identical) throw new Error(`Round trip changed data: ${JSON.stringify(diff)}`);
+});
+
+// 17. Dry-run report flags duplicates, bad combinations and orphan rules.
+test('Interchange: duplicate symbols, unknown-allele combos and orphan rules are errors', async () => {
+    const bad = JSON.parse(JSON.stringify(exportGeneticsData(GENETICS)));
+    bad.genes[1].alleles.push({ symbol: 'b' });
+    bad.genes[1].combinations.push({ notation: 'B/bx', phenotype: 'Nope' });
+    bad.otherGenes = [{ symbol: 'A', name: 'Second Agouti', alleles: [{ symbol: 'r' }] }];
+    bad.phenotypeRules = [
+        { name: 'Satin', conditions: { locus: 'Sa', homozygous: 'sa' } },
+        { name: 'Beige', conditions: { all: [{ B: 'b/b' }, { locus: 'C', hasAllele: 'ce' }] } }
+    ];
+
+    const report = validateGeneticsImport(bad);
+    if (report.valid || report.content !== null) throw new Error('Expected the import to be rejected');
+    const expectError = (path, fragment) => {
+        if (!report.errors.some(e => e.path === path && e.message.includes(fragment))) {
+            throw new Error(`Missing error at ${path} (${fragment}): ${JSON.stringify(report.errors)}`);
+        }
+    };
+    expectError('genes[1].alleles[2].symbol', 'Duplicate allele "b"');
+    expectError('genes[1].combinations[3].notation', 'bx');
+    expectError('otherGenes[0].symbol', 'Duplicate locus symbol "A"');
+    expectError('phenotypeRules[0].conditions', 'locus Sa');
+    expectError('phenotypeRules[1].conditions.all[1]', 'ce');
+});
+
+// 18. Lethal outcomes at one locus add up: D/d x D/d with D/D and d/d both lethal → 50% lost.
+test('Two lethal genotypes at one locus → survival 0.5', async () => {
+    const balanced = buildLocusIndex({
+        speciesName: 'Test',
+        genes: [{
+            symbol: 'D', name: 'Balanced',
+            alleles: [{ symbol: 'D' }, { symbol: 'd' }],
+            combinations: [
+                { notation: 'D/D', phenotype: 'Lethal', isLethal: true },
+                { notation: 'D/d', phenotype: 'Heterozygote' },
+                { notation: 'd/d', phenotype: 'Lethal', isLethal: true }
+            ]
+        }]
+    });
+    const { genotype } = parseGeneticCode('D/d', balanced);
+    const prediction = predictOffspring(genotype, genotype, balanced);
+    expectProb(prediction.lethalProbability, 0.5, 'Lethal probability');
+    if (prediction.lethalWarnings.length !== 2) throw new Error(`Expected 2 lethal warnings, got ${prediction.lethalWarnings.length}`);
+    expectProb(prediction.genotypes[0].probability, 1, 'D/d among viable offspring');
+});
+
+// ---------------------------------------------------------------------------
+// Report
+// ---------------------------------------------------------------------------
+(async () => {
+    await new Promise(r => setTimeout(r, 100));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed);
+
+    console.log('\n==============================');
+    console.log(' Genetics Unit Test Results');
+    console.log('==============================');
+    results.forEach(r => {
+        const icon = r.passed ? '✅' : '❌';
+        console.log(`${icon} ${r.name}`);
+        if (!r.passed) console.log(`   → ${r.error}`);
+    });
+    console.log('------------------------------');
+    console.log(`Passed: ${passed}/${results.length}`);
+    if (failed.length > 0) {
+        console.log(`Failed: ${failed.length}`);
+        process.exit(1);
+    } else {
+        console.log('All tests passed.');
+    }
+})();
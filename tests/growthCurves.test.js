@@ -0,0 +1,139 @@
+/**
+ * Growth Curve Unit Tests
+ *
+ * Covers utils/growthCurves.js: parsing free-text measurements into grams / centimetres, age
+ * binning, species reference percentiles, and below-percentile and runt flags for an animal
+ * and across a litter.
+ *
+ * Pure functions only — no MongoDB connection needed.
+ */
+
+const {
+    parseMeasurement,
+    normalizeGrowthRecords,
+    ageBinStart,
+    buildReferenceCurve,
+    percentileRank,
+    analyzeGrowth,
+    analyzeLitterGrowth
+} = require('../utils/growthCurves');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+const close = (a, b, eps = 0.01) => Math.abs(a - b) < eps;
+const BORN = '2026-03-01';
+// A pup weighed on the given days of age: { day: grams }
+const pup = (weights) => normalizeGrowthRecords({
+    birthDate: `${BORN}T00:00:00Z`,
+    growthRecords: Object.entries(weights).map(([d, w]) => ({
+        date: new Date(Date.parse(`${BORN}T00:00:00Z`) + Number(d) * 86400000).toISOString().slice(0, 10),
+        weight: String(w),
+    })),
+});
+
+// 1. Parsing.
+test('Measurements parse with default units, written units and compound values', () => {
+    assert(parseMeasurement('12.5', 'g') === 12.5, 'plain grams');
+    assert(parseMeasurement('12,5', 'g') === 12.5, 'decimal comma');
+    assert(parseMeasurement('1.2', 'kg') === 1200, 'default kg');
+    assert(parseMeasurement('300 g', 'kg') === 300, 'written unit wins');
+    assert(close(parseMeasurement('1 lb 4 oz', 'g'), 566.99), `lb+oz ${parseMeasurement('1 lb 4 oz', 'g')}`);
+    assert(parseMeasurement('4 in', 'cm', 'length') === 10.16, 'inches');
+    assert(parseMeasurement('about', 'g') === null && parseMeasurement('', 'g') === null, 'unparseable');
+    assert(parseMeasurement('5 stone', 'g') === null, 'unknown unit');
+});
+
+// 2. Normalizing records.
+test('Records normalize to dated, aged points in grams and centimetres', () => {
+    const points = normalizeGrowthRecords({
+        birthDate: '2026-03-01T00:00:00Z',
+        measurementUnits: { weight: 'oz', length: 'in' },
+        growthRecords: [
+            { date: '2026-03-15', weight: '2', length: '3', bcs: '3' },
+            { date: '2026-03-08', weight: '1' },
+            { date: '', weight: '9' },
+            { date: '2026-03-20', notes: 'no measurement' },
+        ],
+    });
+    assert(points.length === 2 && points[0].ageDays === 7 && points[1].ageDays === 14, JSON.stringify(points));
+    assert(close(points[1].weight, 56.7) && points[1].length === 7.62 && points[1].bcs === 3, JSON.stringify(points[1]));
+});
+
+// 3. Age bins.
+test('Age bins: daily, weekly, then 30 days', () => {
+    assert(ageBinStart(0) === 0 && ageBinStart(28) === 28, 'daily');
+    assert(ageBinStart(29) === 29 && ageBinStart(35) === 29 && ageBinStart(36) === 36, 'weekly');
+    assert(ageBinStart(183) === 183 && ageBinStart(212) === 183 && ageBinStart(213) === 213, 'monthly');
+    assert(ageBinStart(-1) === null && ageBinStart(null) === null, 'no age');
+});
+
+// 4. Reference curve.
+test('Reference percentiles use one value per animal and skip sparse bins', () => {
+    const animals = [10, 11, 12, 13, 14].map(w => pup({ 7: w, 8: w + 2 }));
+    animals.push(pup({ 7: 100, 14: 20 })); // an outlier; day 14 has one animal only
+    const curve = buildReferenceCurve(animals, 'weight');
+    assert(curve.map(b => b.ageStart).join() === '7,8', curve.map(b => b.ageStart).join());
+    const week = curve[0];
+    assert(week.animals === 6 && week.p50 === 12.5, JSON.stringify(week));
+    assert(percentileRank(week.values, 10) === 8.3, `rank ${percentileRank(week.values, 10)}`);
+    assert(percentileRank(week.values, 12) === 41.7, `rank ${percentileRank(week.values, 12)}`);
+});
+
+// 5. Flags for one animal.
+test('Latest weighing below the percentile or under 75% of litter-mates is flagged', () => {
+    const reference = buildReferenceCurve([10, 11, 12, 13, 14, 15, 16, 17, 18, 19].map(w => pup({ 14: w })), 'weight');
+    const small = pup({ 7: 6, 14: 9 });
+    const mates = [pup({ 7: 8, 14: 14 }), pup({ 7: 9, 14: 16 })];
+    const { points, flags } = analyzeGrowth(small, { littermates: mates, reference });
+    assert(points[1].dailyGain === 0.43, `gain ${points[1].dailyGain}`);
+    assert(points[1].littermateMean === 15 && points[1].littermateRatio === 0.6, JSON.stringify(points[1]));
+    assert(flags.map(f => f.type).join() === 'below_percentile,runt', flags.map(f => f.type).join());
+    const normal = analyzeGrowth(pup({ 14: 15 }), { littermates: mates, reference });
+    assert(normal.flags.length === 0, JSON.stringify(normal.flags));
+});
+
+// 6. Litter view.
+test('Litter analysis flags the runt first', () => {
+    const pups = [
+        { id_public: 'CTC1', name: 'A', gender: 'Male', points: pup({ 10: 20 }) },
+        { id_public: 'CTC2', name: 'B', gender: 'Female', points: pup({ 10: 21 }) },
+        { id_public: 'CTC3', name: 'C', gender: 'Female', points: pup({ 10: 12 }) },
+        { id_public: 'CTC4', name: 'D', gender: 'Male', points: [] },
+    ];
+    const analysed = analyzeLitterGrowth(pups);
+    assert(analysed[0].id_public === 'CTC3' && analysed[0].flags[0].type === 'runt', JSON.stringify(analysed[0]));
+    assert(analysed.find(p => p.id_public === 'CTC4').latest === null, 'unweighed pup');
+    assert(analysed.filter(p => p.flags.length).length === 1, 'only one runt');
+});
+
+console.log('\n==============================');
+console.log(' Growth Curve Test Results');
+console.log('==============================');
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
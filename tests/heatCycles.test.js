@@ -0,0 +1,170 @@
+/**
+ * Heat Cycle Unit Tests
+ *
+ * Covers utils/heatCycles.js: average cycle length (skipping missed heats), next heat and
+ * mating window prediction from observed ovulation or species data, snapshot fields, record
+ * validation, and which females the daily digest (utils/animalAlertsCron.js) reminds about.
+ *
+ * Pure functions only — no MongoDB connection needed.
+ */
+
+const {
+    heatHistory,
+    validateHeatRecord,
+    validateSpeciesCycle,
+    validateCycleDays,
+    calculateCycleLength,
+    heatSnapshot,
+    predictNextHeat,
+    isHeatAlertDue
+} = require('../utils/heatCycles');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+const iso = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+const heats = (...dates) => dates.map(d => ({ startDate: day(d) }));
+
+const DOG = { name: 'Dog', estrusCycleDaysMin: 150, estrusCycleDaysMax: 210, matingWindowStartDay: 10, matingWindowEndDay: 14 };
+
+// 1. Average over regular gaps; a missed heat (double gap) is left out.
+test('Cycle length averages regular gaps and skips a missed heat', () => {
+    const regular = calculateCycleLength(heats('2025-01-01', '2025-07-01', '2025-12-28'));
+    assert(regular.averageDays === 180.5 && regular.intervals.join() === '181,180', JSON.stringify(regular));
+    const missed = calculateCycleLength(heats('2024-01-01', '2024-06-29', '2024-12-26', '2025-12-21'));
+    assert(missed.intervals.length === 3 && missed.used.length === 2, JSON.stringify(missed));
+    assert(missed.averageDays === 180, `average ${missed.averageDays}`);
+    assert(calculateCycleLength(heats('2025-01-01')).averageDays === null, 'one heat has no cycle');
+});
+
+// 2. Observed ovulation sets the mating window.
+test('Next heat and window from observed history and ovulation', () => {
+    const records = [
+        { startDate: day('2025-01-01'), ovulationDate: day('2025-01-12') },
+        { startDate: day('2025-07-01'), ovulationDate: day('2025-07-12') },
+    ];
+    const p = predictNextHeat(records, { species: DOG, today: day('2025-08-01') });
+    assert(p.cycleLengthSource === 'observed' && p.cycleLengthDays === 181, JSON.stringify(p));
+    assert(iso(p.nextHeatDate) === '2025-12-29', `next ${iso(p.nextHeatDate)}`);
+    assert(p.matingWindowSource === 'observed', p.matingWindowSource);
+    assert(iso(p.matingWindowStart) === '2026-01-09' && iso(p.matingWindowEnd) === '2026-01-11', `${iso(p.matingWindowStart)}..${iso(p.matingWindowEnd)}`);
+});
+
+// 3. Fallbacks: the animal's own cycle length, then species data.
+test('Falls back to the animal cycle length, then the species cycle', () => {
+    const own = predictNextHeat(heats('2025-01-01'), { estrusCycleLength: 200, species: DOG, today: day('2025-02-01') });
+    assert(own.cycleLengthSource === 'animal' && iso(own.nextHeatDate) === '2025-07-20', JSON.stringify(own));
+    assert(iso(own.matingWindowStart) === '2025-07-30' && own.matingWindowSource === 'species', iso(own.matingWindowStart));
+    const species = predictNextHeat(heats('2025-01-01'), { species: DOG, today: day('2025-02-01') });
+    assert(species.cycleLengthSource === 'species' && species.cycleLengthDays === 180, JSON.stringify(species));
+    assert(iso(species.nextHeatEarliest) === '2025-05-31' && iso(species.nextHeatLatest) === '2025-07-30', 'species range');
+    assert(predictNextHeat(heats('2025-01-01'), { today: day('2025-02-01') }) === null, 'nothing to go by');
+    assert(predictNextHeat([], { species: DOG }) === null, 'no heats');
+});
+
+// 4. Short cycles roll forward past heats nobody recorded.
+test('Unrecorded cycles are rolled forward to the next upcoming heat', () => {
+    const rat = { estrusCycleDaysMin: 4, estrusCycleDaysMax: 5, matingWindowStartDay: 0, matingWindowEndDay: 0 };
+    const p = predictNextHeat(heats('2026-03-01', '2026-03-05'), { species: rat, today: day('2026-03-20') });
+    assert(p.cycleLengthDays === 4 && iso(p.nextHeatDate) === '2026-03-21' && p.unrecordedCycles === 3, JSON.stringify(p));
+    assert(!isHeatAlertDue(p, day('2026-03-20')), 'stale after three unrecorded cycles');
+
+    // Skipped cycles are counted, not stepped through: a tiny cycle length returns at once.
+    const started = Date.now();
+    const tiny = predictNextHeat(heats('2025-01-01'), { estrusCycleLength: 1e-9, today: day('2026-03-20') });
+    assert(Date.now() - started < 1000 && tiny.unrecordedCycles > 1e11, `took ${Date.now() - started} ms`);
+});
+
+// 5. Snapshot fields follow the history; manual cycle lengths are kept.
+test('Snapshot mirrors the latest heat and keeps manual cycle lengths', () => {
+    const records = [
+        { startDate: day('2025-07-01'), ovulationDate: day('2025-07-12') },
+        { startDate: day('2025-01-01') },
+    ];
+    const snap = heatSnapshot(records, {});
+    assert(iso(snap.lastHeatDate) === '2025-07-01' && iso(snap.ovulationDate) === '2025-07-12', JSON.stringify(snap));
+    assert(snap.estrusCycleLength === 181 && snap.estrusCycleLengthSource === 'calculated', JSON.stringify(snap));
+    assert(!('estrusCycleLength' in heatSnapshot(records, { estrusCycleLength: 170, estrusCycleLengthSource: 'manual' })), 'manual kept');
+    assert(!('estrusCycleLength' in heatSnapshot(records, { estrusCycleLength: 170 })), 'pre-existing value kept');
+    assert(heatSnapshot([], { estrusCycleLengthSource: 'calculated', estrusCycleLength: 181 }).estrusCycleLength === null, 'cleared with the history');
+    assert(iso(heatHistory({ heatRecords: [], lastHeatDate: day('2025-03-01') })[0].startDate) === '2025-03-01', 'legacy lastHeatDate');
+});
+
+// 6. Validation.
+test('Record and species validation', () => {
+    const errors = validateHeatRecord({ startDate: '2025-07-10', endDate: '2025-07-01', signs: ['howling'], progesteroneLevel: -2 });
+    assert(errors.some(e => e.includes('endDate cannot be before')), errors.join('; '));
+    assert(errors.some(e => e.includes('signs must be')), errors.join('; '));
+    assert(errors.some(e => e.includes('progesteroneLevel')), errors.join('; '));
+    assert(validateHeatRecord({}).some(e => e.includes('startDate is required')), 'startDate required');
+    assert(validateHeatRecord({ startDate: '2025-07-01', signs: ['swelling'], ovulationDate: '2025-07-12' }).length === 0, 'valid record');
+    assert(validateSpeciesCycle({ estrusCycleDaysMin: 210, estrusCycleDaysMax: 150 }).length === 1, 'min > max');
+    assert(validateCycleDays('estrusCycleLength', 1e400) && validateCycleDays('estrusCycleLength', -1), 'out of range');
+    assert(validateCycleDays('estrusCycleLength', 28) === null && validateCycleDays('estrusCycleLength', '') === null, 'valid or empty');
+});
+
+// 7. Alerts.
+test('Alert is due from a few days before the window until it closes', () => {
+    const p = predictNextHeat(heats('2025-01-01', '2025-07-01'), { species: DOG, today: day('2025-08-01') });
+    // next heat 2025-12-29, window 2026-01-08..2026-01-12
+    assert(!isHeatAlertDue(p, day('2026-01-04')), 'too early');
+    assert(isHeatAlertDue(p, day('2026-01-05')), 'three days ahead');
+    assert(isHeatAlertDue(p, day('2026-01-12')), 'last window day');
+    assert(!isHeatAlertDue(p, day('2026-01-13')), 'window closed');
+    assert(!isHeatAlertDue(null), 'no prediction');
+});
+
+// 7b. Rat-length cycles alert too, with a lead time scaled down to the cycle.
+test('Rat cycle alerts the day before heat, not every day', () => {
+    const rat = { estrusCycleDaysMin: 4, estrusCycleDaysMax: 5, matingWindowStartDay: 0, matingWindowEndDay: 0 };
+    const p = predictNextHeat(heats('2026-03-01', '2026-03-05'), { species: rat, today: day('2026-03-07') });
+    assert(p.cycleLengthDays === 4 && iso(p.nextHeatDate) === '2026-03-09', JSON.stringify(p));
+    assert(!isHeatAlertDue(p, day('2026-03-07')), 'two days ahead is too early');
+    assert(isHeatAlertDue(p, day('2026-03-08')), 'day before');
+    assert(isHeatAlertDue(p, day('2026-03-09')), 'heat night');
+    assert(!isHeatAlertDue(p, day('2026-03-10')), 'window closed');
+});
+
+// 8. An old history stops alerting once heats have gone unrecorded for too long.
+test('Predictions go stale after more than two unrecorded cycles', () => {
+    const history = heats('2025-01-01', '2025-07-01');
+    const recent = predictNextHeat(history, { species: DOG, today: day('2026-07-08') });
+    assert(recent.unrecordedCycles === 1 && !recent.stale, JSON.stringify(recent));
+    assert(isHeatAlertDue(recent, day('2026-07-08')), 'one missed cycle still alerts');
+
+    const old = predictNextHeat(history, { species: DOG, today: day('2027-07-05') });
+    assert(old.unrecordedCycles === 3 && old.stale, JSON.stringify(old));
+    assert(!isHeatAlertDue(old, old.matingWindowStart), 'stale prediction never alerts');
+});
+
+console.log('\n==============================');
+console.log(' Heat Cycle Test Results');
+console.log('==============================');
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
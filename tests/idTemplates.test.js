@@ -0,0 +1,117 @@
+/**
+ * Registration Number Template Unit Tests
+ *
+ * Covers utils/idTemplates.js: template validation, token rendering and padding, species
+ * codes, litter counter scoping per species/year, and skipping numbers that are already taken.
+ *
+ * Pure functions only — no MongoDB connection needed (counters are in-memory).
+ */
+
+const {
+    IdTemplateError,
+    validateIdTemplates,
+    speciesCode,
+    templateValues,
+    renderIdTemplate,
+    litterCounterKey,
+    allocateTemplateId
+} = require('../utils/idTemplates');
+
+const results = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+const counterFrom = (start = 0) => {
+    let seq = start;
+    return async () => ++seq;
+};
+
+(async () => {
+    await test('Validation: required sequence tokens, unknown tokens, prefix, {litterSeq} in offspring', async () => {
+        const ok = validateIdTemplates({ prefix: 'ABC', litter: '{prefix}-{YYYY}-{litterSeq:3}', offspring: '{prefix}-{YYYY}-{litterSeq:3}-{pupSeq}' });
+        assert(ok.length === 0, ok.join('; '));
+        const errors = validateIdTemplates({ prefix: null, litter: '{prefix}-{year}', offspring: '{litterSeq}-{sex}' });
+        assert(errors.some(e => e.includes('unknown tokens: {year}')), errors.join('; '));
+        assert(errors.some(e => e.includes('must contain {litterSeq}')), errors.join('; '));
+        assert(errors.some(e => e.includes('must contain {pupSeq}')), errors.join('; '));
+        assert(errors.some(e => e.includes('set a prefix')), errors.join('; '));
+        const noLitter = validateIdTemplates({ litter: null, offspring: '{litterSeq}-{pupSeq}' });
+        assert(noLitter.some(e => e.includes('needs a litter template')), noLitter.join('; '));
+        assert(validateIdTemplates({ litter: '{litterSeq', offspring: null }).some(e => e.includes('unclosed brace')), 'unclosed brace');
+        assert(validateIdTemplates({ speciesCodes: { 'Mus.musculus': 'MM' } }).length === 1, 'dotted species key');
+        assert(validateIdTemplates({ litter: null, offspring: null }).length === 0, 'templates off is valid');
+    });
+
+    await test('Rendering: the club format with padding, dates and sex', async () => {
+        const values = templateValues({ prefix: ' ABC ', date: '2026-03-23T00:00:00Z', species: 'Fancy Mouse', litterSeq: 7, pupSeq: 2, sex: 'Female' });
+        assert(renderIdTemplate('{prefix}-{YYYY}-{litterSeq:3}-{pupSeq}', values) === 'ABC-2026-007-2', renderIdTemplate('{prefix}-{YYYY}-{litterSeq:3}-{pupSeq}', values));
+        assert(renderIdTemplate('{species}{YY}{MM}/{litterSeq}{sex}', values) === 'FM2603/7F', renderIdTemplate('{species}{YY}{MM}/{litterSeq}{sex}', values));
+        assert(templateValues({ sex: 'Unknown' }).sex === 'U', 'unknown sex → U');
+    });
+
+    await test('Rendering: a missing value gives no number', async () => {
+        const values = templateValues({ prefix: 'ABC', date: '2026-03-23', species: null, litterSeq: 1 });
+        assert(renderIdTemplate('{prefix}-{species}-{litterSeq}', values) === null, 'species unknown');
+        assert(renderIdTemplate('{prefix}-{litterSeq}', values) === 'ABC-1', 'species not printed');
+    });
+
+    await test('Species codes: breeder codes first, then initials or first three letters', async () => {
+        assert(speciesCode('Fancy Mouse') === 'FM', speciesCode('Fancy Mouse'));
+        assert(speciesCode('Rat') === 'RAT', speciesCode('Rat'));
+        assert(speciesCode('Fancy Mouse', { 'Fancy Mouse': 'MUS' }) === 'MUS', 'object codes');
+        assert(speciesCode('Fancy Mouse', new Map([['Fancy Mouse', 'M']])) === 'M', 'Map codes');
+    });
+
+    await test('Counter scope follows the species and date tokens the template prints', async () => {
+        const values = templateValues({ date: '2026-03-23', species: 'Fancy Mouse' });
+        assert(litterCounterKey('u1', '{litterSeq}', values) === 'idTemplate:u1:litter', 'unscoped');
+        assert(litterCounterKey('u1', '{YY}-{litterSeq}', values) === 'idTemplate:u1:litter:2026', 'yearly');
+        assert(litterCounterKey('u1', '{species}{YYYY}{MM}-{litterSeq}', values) === 'idTemplate:u1:litter:FM:2026:03', 'species + month');
+        assert(litterCounterKey('u1', '{species}-{litterSeq}', templateValues({ date: '2026-03-23' })) === null, 'unknown species → no counter');
+    });
+
+    await test('Allocation skips taken numbers and gives up with a 409', async () => {
+        const taken = new Set(['ABC-1', 'ABC-2']);
+        const render = (seq) => `ABC-${seq}`;
+        const allocated = await allocateTemplateId({ nextSeq: counterFrom(), render, isTaken: async (n) => taken.has(n) });
+        assert(allocated.number === 'ABC-3' && allocated.seq === 3, JSON.stringify(allocated));
+        assert(await allocateTemplateId({ nextSeq: counterFrom(), render: () => null, isTaken: async () => false }) === null, 'unrenderable → null');
+        let error = null;
+        try {
+            await allocateTemplateId({ nextSeq: counterFrom(), render, isTaken: async () => true, maxAttempts: 3 });
+        } catch (e) {
+            error = e;
+        }
+        assert(error instanceof IdTemplateError && error.statusCode === 409 && error.errors[0].includes('ABC-3'), error && error.message);
+    });
+
+    console.log('\n==============================');
+    console.log(' ID Template Test Results');
+    console.log('==============================');
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed);
+    results.forEach(r => {
+        const icon = r.passed ? '✅' : '❌';
+        console.log(`${icon} ${r.name}`);
+        if (!r.passed) console.log(`   → ${r.error}`);
+    });
+    console.log('------------------------------');
+    console.log(`Passed: ${passed}/${results.length}`);
+    if (failed.length > 0) {
+        console.log(`Failed: ${failed.length}`);
+        process.exit(1);
+    } else {
+        console.log('All tests passed.');
+    }
+})();
@@ -11,6 +11,7 @@
 const {
     calculateInbreedingCoefficient,
     calculatePairingInbreeding,
+    explainAnimalInbreeding,
     buildPedigree
 } = require('../utils/inbreeding');
 
@@ -284,6 +285,83 @@ test('Pedigree loop: same animal on both sides → 50% (selfing)', async () => {
     expectCOI(result, 50, 'Selfing/loop guard');
 });
 
+// 16. Per-animal breakdown: half siblings share one grandparent via one path each.
+// Wright: n1=1, n2=1 → (½)^3 = 12.5%, attributed entirely to the shared sire.
+test('Breakdown: half siblings → 12.5% from one path pair', async () => {
+    const db = {
+        S:  { sire: null, dam: null },
+        D1: { sire: null, dam: null },
+        D2: { sire: null, dam: null },
+        A:  { sire: 'S', dam: 'D1' },
+        B:  { sire: 'S', dam: 'D2' },
+        X:  { sire: 'A', dam: 'B' }
+    };
+    const result = await explainAnimalInbreeding('X', makeFetchAnimal(db));
+    expectCOI(result.total, 12.5, 'Half-sib breakdown total');
+    if (result.breakdown.length !== 1 || result.breakdown[0].ancestorId !== 'S') {
+        throw new Error(`expected S as the only common ancestor, got ${JSON.stringify(result.breakdown.map(b => b.ancestorId))}`);
+    }
+    const [path] = result.breakdown[0].paths;
+    if (result.breakdown[0].paths.length !== 1 || path.n1 !== 1 || path.n2 !== 1 || path.pathCount !== 1) {
+        throw new Error(`expected a single n1=1/n2=1 path, got ${JSON.stringify(result.breakdown[0].paths)}`);
+    }
+});
+
+// 17. Per-animal breakdown agrees with calculateInbreedingCoefficient and its path
+// contributions add up to each ancestor's total, on a pedigree with an inbred ancestor.
+test('Breakdown: totals match COI and path contributions sum per ancestor', async () => {
+    const db = {
+        S:  { sire: null, dam: null },
+        D:  { sire: null, dam: null },
+        A:  { sire: 'S', dam: 'D' },
+        B:  { sire: 'S', dam: 'D' },
+        AB: { sire: 'A', dam: 'B' },          // inbred (25%)
+        U:  { sire: null, dam: null },
+        C1: { sire: 'AB', dam: 'U' },
+        C2: { sire: 'AB', dam: 'A' },
+        X:  { sire: 'C1', dam: 'C2' }
+    };
+    const fetchAnimal = makeFetchAnimal(db);
+    const coi = await calculateInbreedingCoefficient('X', fetchAnimal);
+    const result = await explainAnimalInbreeding('X', fetchAnimal);
+    expectCOI(result.total, coi, 'Breakdown total vs COI');
+
+    for (const entry of result.breakdown) {
+        const pathSum = entry.paths.reduce((sum, p) => sum + p.contribution_pct, 0);
+        expectCOI(pathSum, entry.contribution_pct, `Path sum for ${entry.ancestorId}`);
+    }
+    const ab = result.breakdown.find(b => b.ancestorId === 'AB');
+    if (!ab) throw new Error('expected AB among the common ancestors');
+    expectCOI(ab.fa_pct, 25, 'F of inbred ancestor AB');
+});
+
+// 18. Line-bred sire: A reaches Z along two paths of different length (S→A and S→B→A).
+// Z contributes (½)^(2+1+1) + (½)^(3+1+1) = 6.25% + 3.125% = 9.375%, and the per-ancestor
+// total must match its listed path pairs (regression: BFS propagated A before S→B→A arrived).
+test('Breakdown: line-bred sire sums every path to the common ancestor → 9.375%', async () => {
+    const db = {
+        Z: { sire: null, dam: null },
+        Y: { sire: null, dam: null },
+        C: { sire: null, dam: null },
+        E: { sire: null, dam: null },
+        A: { sire: 'Z', dam: 'Y' },
+        B: { sire: 'A', dam: 'C' },
+        S: { sire: 'A', dam: 'B' },
+        D: { sire: 'Z', dam: 'E' },
+        X: { sire: 'S', dam: 'D' }
+    };
+    const fetchAnimal = makeFetchAnimal(db);
+    expectCOI(await calculateInbreedingCoefficient('X', fetchAnimal), 9.375, 'Line-bred COI');
+
+    const result = await explainAnimalInbreeding('X', fetchAnimal);
+    expectCOI(result.total, 9.375, 'Line-bred breakdown total');
+    const z = result.breakdown.find(b => b.ancestorId === 'Z');
+    if (!z) throw new Error('expected Z among the common ancestors');
+    expectCOI(z.contribution_pct, 9.375, 'Contribution of Z');
+    const pathSum = z.paths.reduce((sum, p) => sum + p.contribution_pct, 0);
+    expectCOI(pathSum, z.contribution_pct, 'Path sum for Z');
+});
+
 // ---------------------------------------------------------------------------
 // Report
 // ---------------------------------------------------------------------------
@@ -0,0 +1,198 @@
+/**
+ * Litter Lifecycle Unit Tests
+ *
+ * Covers utils/litterLifecycle.js: deriving a status from the older litter fields, validated
+ * transitions (including undo), the field values each status sets, and date ordering.
+ * Also checks that getLitterReproStatus() in utils/reproStatusSync.js honours a stored status.
+ *
+ * Pure functions only — no MongoDB connection needed.
+ */
+
+const {
+    deriveLitterStatus,
+    planLitterStatusChange,
+    validateLitterDates,
+    LitterStatusError
+} = require('../utils/litterLifecycle');
+const { getLitterReproStatus, computeReproFlags } = require('../utils/reproStatusSync');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+function expectStatusError(fn, statusCode, fragment) {
+    try {
+        fn();
+    } catch (e) {
+        assert(e instanceof LitterStatusError, `expected LitterStatusError, got ${e.name}: ${e.message}`);
+        assert(e.statusCode === statusCode, `expected status ${statusCode}, got ${e.statusCode}`);
+        const text = [e.message, ...e.errors].join(' ');
+        assert(!fragment || text.includes(fragment), `expected "${fragment}" in "${text}"`);
+        return;
+    }
+    throw new Error('expected a LitterStatusError');
+}
+
+const NOW = new Date('2026-05-10T12:00:00Z');
+const stored = (fields) => ({ _id: 'litter1', statusHistory: [], ...fields });
+
+// 1. Older litters get a status from their fields.
+test('Derived status follows the older fields', () => {
+    assert(deriveLitterStatus({ isPlanned: true }) === 'planned', 'isPlanned → planned');
+    assert(deriveLitterStatus({ isPlanned: false, matingDate: NOW }) === 'mated', 'matingDate → mated');
+    assert(deriveLitterStatus({ pregnancyDate: NOW }) === 'pregnant', 'pregnancyDate → pregnant');
+    assert(deriveLitterStatus({ birthDate: NOW }) === 'born', 'birthDate → born');
+    assert(deriveLitterStatus({ birthDate: NOW, weaningConfirmed: true }) === 'weaned', 'weaningConfirmed → weaned');
+    assert(deriveLitterStatus({ pregnancyDate: NOW, pregnancyLost: true }) === 'lost', 'pregnancyLost → lost');
+    assert(deriveLitterStatus({ matingDate: NOW, outcome: 'Unsuccessful' }) === 'failed', 'Unsuccessful → failed');
+});
+
+// 2. An explicit transition fills in the fields the rest of the app reads.
+test('planned → mated sets isPlanned=false and defaults the mating date', () => {
+    const change = planLitterStatusChange(stored({ status: 'planned', isPlanned: true }), { status: 'mated' }, NOW);
+    assert(change.from === 'planned' && change.to === 'mated' && change.changed, 'transition recorded');
+    assert(change.fields.isPlanned === false, 'isPlanned cleared');
+    assert(change.fields.matingDate === NOW, 'matingDate defaulted to now');
+});
+
+// 3. Older clients that only send fields still produce a validated transition.
+test('"Wean Today" from an older client is recorded as born → weaned', () => {
+    const litter = stored({ status: 'born', birthDate: new Date('2026-04-01') });
+    const change = planLitterStatusChange(litter, { weaningConfirmed: true, weaningDate: NOW }, NOW);
+    assert(change.to === 'weaned' && !change.explicit, `expected implied weaned, got ${change.to}`);
+});
+
+// 4. Skipping back is rejected; the last step can be undone.
+test('born → pregnant only allowed as an undo of pregnant → born', () => {
+    const born = { status: 'born', pregnancyDate: new Date('2026-03-20'), birthDate: new Date('2026-04-01') };
+    expectStatusError(
+        () => planLitterStatusChange(stored({ ...born, statusHistory: [{ from: 'mated', to: 'born' }] }), { status: 'pregnant', birthDate: null }),
+        409, 'cannot go from born to pregnant'
+    );
+    const undo = planLitterStatusChange(
+        stored({ ...born, statusHistory: [{ from: 'mated', to: 'pregnant' }, { from: 'pregnant', to: 'born' }] }),
+        { status: 'pregnant', birthDate: null }
+    );
+    assert(undo.correction === true && undo.to === 'pregnant', 'undo marked as correction');
+});
+
+// 5. An undo must also clear the date that defines the later status.
+test('Undo that leaves the birth date in place is rejected', () => {
+    const litter = stored({
+        status: 'born', pregnancyDate: new Date('2026-03-20'), birthDate: new Date('2026-04-01'),
+        statusHistory: [{ from: 'pregnant', to: 'born' }]
+    });
+    expectStatusError(() => planLitterStatusChange(litter, { status: 'pregnant' }), 400, 'describe a born litter');
+});
+
+// 6. Terminal statuses.
+test('weaned, failed and lost are final', () => {
+    const weaned = stored({ status: 'weaned', birthDate: NOW, weaningConfirmed: true, statusHistory: [{ from: 'born', to: 'weaned' }] });
+    expectStatusError(() => planLitterStatusChange(weaned, { status: 'lost' }), 409, 'Allowed from weaned: born (undo)');
+    const failed = stored({ status: 'failed', outcome: 'Unsuccessful', statusHistory: [{ from: null, to: 'failed' }] });
+    expectStatusError(() => planLitterStatusChange(failed, { status: 'born' }), 409, 'failed is a final status');
+});
+
+// 7. Date ordering.
+test('Weaning before birth and birth before mating are rejected', () => {
+    const errors = validateLitterDates({ matingDate: '2026-04-10', birthDate: '2026-04-01', weaningDate: '2026-03-01' });
+    assert(errors.some(e => e.includes('weaning date cannot be before the birth date')), errors.join('; '));
+    assert(errors.some(e => e.includes('birth date cannot be before the mating date')), errors.join('; '));
+    expectStatusError(
+        () => planLitterStatusChange(stored({ status: 'born', birthDate: new Date('2026-04-01') }), { weaningDate: '2026-03-01' }),
+        400, 'weaning date cannot be before the birth date'
+    );
+});
+
+// 8. Bad dates already stored do not block unrelated edits.
+test('Editing notes on a litter with stored bad dates is allowed', () => {
+    const litter = stored({ birthDate: new Date('2026-04-01'), weaningDate: new Date('2026-03-01') });
+    const change = planLitterStatusChange(litter, { notes: 'Moved to rack B' });
+    assert(change.to === 'born' && !change.changed, 'status unchanged');
+    const echoed = planLitterStatusChange(litter, { notes: 'Checked', birthDate: '2026-04-01T00:00:00.000Z', weaningDate: new Date('2026-03-01') });
+    assert(echoed.to === 'born' && !echoed.changed, 'unchanged dates sent back are not re-checked');
+});
+
+// 9. New litters.
+test('New litter: explicit status applied, unknown status rejected', () => {
+    const change = planLitterStatusChange({}, { status: 'planned', sireId_public: 'CTC1' }, NOW);
+    assert(change.to === 'planned' && change.fields.isPlanned === true, 'planned litter gets isPlanned');
+    expectStatusError(() => planLitterStatusChange({}, { status: 'hatched' }), 400, 'Unknown litter status');
+});
+
+// 10. Repro sync reads the stored status.
+test('getLitterReproStatus uses the stored status', () => {
+    assert(getLitterReproStatus({ status: 'mated', isPlanned: true }, NOW) === 'mating', 'mated → mating');
+    assert(getLitterReproStatus({ status: 'lost', birthDate: NOW }, NOW) === null, 'lost → none');
+    assert(getLitterReproStatus({ status: 'born', birthDate: new Date('2026-05-01') }, NOW, 30) === 'nursing', 'recent birth → nursing');
+    assert(getLitterReproStatus({ status: 'born', birthDate: new Date('2026-01-01') }, NOW, 30) === null, 'past cutoff → none');
+});
+
+// 11. The edit form echoes the current status back; date edits still move the litter along.
+test('Unchanged status sent with a birth date is not an explicit transition', () => {
+    const litter = stored({ status: 'mated', matingDate: new Date('2026-03-01') });
+    const change = planLitterStatusChange(litter, { status: 'mated', birthDate: new Date('2026-03-25') }, NOW);
+    assert(change.to === 'born' && change.changed && !change.explicit, `expected implied born, got ${change.to}`);
+    const notes = planLitterStatusChange(litter, { status: 'mated', notes: 'Checked' }, NOW);
+    assert(notes.to === 'mated' && !notes.changed, 'plain edit keeps the status');
+});
+
+// 12. Older litters without a stored status are re-derived out of a wrong final status.
+test('Litter without stored status recovers from a derived final status', () => {
+    const legacy = stored({ status: null, matingDate: new Date('2026-03-01'), outcome: 'Unsuccessful' });
+    const change = planLitterStatusChange(legacy, { outcome: 'Successful', birthDate: new Date('2026-03-25') }, NOW);
+    assert(change.from === 'failed' && change.to === 'born', `expected failed → born, got ${change.from} → ${change.to}`);
+    const stamped = stored({ status: 'failed', matingDate: new Date('2026-03-01'), outcome: 'Unsuccessful' });
+    expectStatusError(() => planLitterStatusChange(stamped, { outcome: 'Successful', birthDate: new Date('2026-03-25') }), 409, 'failed is a final status');
+});
+
+// 13. Status flags sent alongside a requested status do not override it.
+test('Requested status wins over stale flags in the same update', () => {
+    const planned = stored({ status: 'mated', isPlanned: false, matingDate: new Date('2026-03-01') });
+    const change = planLitterStatusChange(planned, { status: 'born', isPlanned: true, birthDate: new Date('2026-03-21') }, NOW);
+    assert(change.to === 'born', `expected born, got ${change.to}`);
+    assert(change.fields.isPlanned === false, `isPlanned should be false, got ${change.fields.isPlanned}`);
+    assert(change.fields.birthDate.toISOString().startsWith('2026-03-21'), 'sent birth date kept');
+});
+
+// 14. An ordinary litter recorded without isPlanned or any dates is not a planned mating.
+test('Undated unplanned litter has no status and does not flag its parents', () => {
+    assert(deriveLitterStatus({ isPlanned: false }) === null, 'no stage → null');
+    const change = planLitterStatusChange({}, { isPlanned: false, sireId_public: 'CTC1', damId_public: 'CTC2' }, NOW);
+    assert(change.to === null, `expected no status, got ${change.to}`);
+    const litter = { _id: 'litter1', status: change.to, ...change.fields };
+    const flags = computeReproFlags([litter], 'CTC1', new Map(), NOW);
+    assert(!flags.isPlannedMating && !flags.isInMating, `parent flagged: ${JSON.stringify(flags)}`);
+    const mated = planLitterStatusChange(stored({ status: null, isPlanned: false }), { status: 'mated' }, NOW);
+    assert(mated.to === 'mated' && mated.changed, 'can still move on to mated');
+});
+
+console.log('\n==============================');
+console.log(' Litter Lifecycle Test Results');
+console.log('==============================');
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
@@ -0,0 +1,135 @@
+/**
+ * Litter Milestone Projection Unit Tests
+ *
+ * Covers utils/litterMilestones.js: due date and milestone projection from a species'
+ * breeding timeline, timeline validation, and which milestones the daily reminder digest
+ * (utils/animalAlertsCron.js) counts as due.
+ *
+ * Pure functions only — no MongoDB connection needed.
+ */
+
+const { SEPARATE_BY_SEX_REMINDER_DAYS, projectLitterMilestones, dueLitterMilestones, validateSpeciesTimeline } = require('../utils/litterMilestones');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+const iso = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+const MOUSE = {
+    name: 'Fancy Mouse',
+    gestationDaysMin: 19, gestationDaysMax: 21,
+    weaningAgeDaysMin: 21, weaningAgeDaysMax: 28,
+    eyeOpeningAgeDays: 14,
+    sexualMaturityAgeDays: 35,
+};
+
+// 1. Mated litter: due window and expected (midpoint) date, milestones from the projected birth.
+test('Mating date → due window and milestones from projected birth', () => {
+    const { expectedDueDate, projectedMilestones: m } = projectLitterMilestones({ matingDate: day('2026-03-01') }, MOUSE);
+    assert(iso(expectedDueDate) === '2026-03-21', `expected due 2026-03-21, got ${iso(expectedDueDate)}`);
+    assert(iso(m.dueDateEarliest) === '2026-03-20' && iso(m.dueDateLatest) === '2026-03-22', 'due window 20th-22nd');
+    assert(m.basis === 'projectedDueDate', `basis ${m.basis}`);
+    assert(iso(m.weaningWindowStart) === '2026-04-11' && iso(m.weaningWindowEnd) === '2026-04-18', 'weaning window');
+    assert(iso(m.sexingDate) === '2026-04-04', `sexing ${iso(m.sexingDate)}`);
+    assert(iso(m.separateBySexDate) === '2026-04-25', `separate ${iso(m.separateBySexDate)}`);
+});
+
+// 2. Once born, milestones follow the real birth date.
+test('Birth date replaces the projected birth', () => {
+    const { projectedMilestones: m } = projectLitterMilestones({ matingDate: day('2026-03-01'), birthDate: day('2026-03-23') }, MOUSE);
+    assert(m.basis === 'birthDate', `basis ${m.basis}`);
+    assert(iso(m.weaningWindowStart) === '2026-04-13', `weaning start ${iso(m.weaningWindowStart)}`);
+});
+
+// 3. A hand-entered due date is the basis until birth.
+test('Manual due date is used for post-birth milestones', () => {
+    const { projectedMilestones: m } = projectLitterMilestones(
+        { matingDate: day('2026-03-01'), expectedDueDate: day('2026-03-25') }, MOUSE, { manualDueDate: true });
+    assert(m.basis === 'expectedDueDate' && iso(m.sexingDate) === '2026-04-08', `sexing ${iso(m.sexingDate)}`);
+});
+
+// 4. Partial / missing timelines.
+test('Species without a timeline projects nothing; one-sided ranges collapse', () => {
+    const none = projectLitterMilestones({ matingDate: day('2026-03-01') }, { name: 'Axolotl' });
+    assert(none.expectedDueDate === null && none.projectedMilestones === null, 'no timeline → nothing');
+    const { expectedDueDate, projectedMilestones: m } = projectLitterMilestones({ matingDate: day('2026-03-01') }, { gestationDaysMax: 30 });
+    assert(iso(expectedDueDate) === '2026-03-31' && iso(m.dueDateEarliest) === '2026-03-31', 'max only → single date');
+    assert(m.sexingDate === null, 'no eye-opening age → no sexing date');
+});
+
+// 5. Validation.
+test('Timeline validation rejects negative values and min > max', () => {
+    const errors = validateSpeciesTimeline({ gestationDaysMin: 25, gestationDaysMax: 20, eyeOpeningAgeDays: -1 });
+    assert(errors.some(e => e.includes('gestationDaysMin cannot be greater')), errors.join('; '));
+    assert(errors.some(e => e.includes('eyeOpeningAgeDays')), errors.join('; '));
+    assert(validateSpeciesTimeline(MOUSE).length === 0, 'valid timeline passes');
+});
+
+// 6. Reminders.
+test('Due milestones: sexing and weaning for an unsexed nursing litter', () => {
+    const litter = {
+        status: 'born', birthDate: day('2026-03-23'),
+        projectedMilestones: projectLitterMilestones({ birthDate: day('2026-03-23') }, MOUSE).projectedMilestones,
+    };
+    assert(dueLitterMilestones(litter, day('2026-04-01')).length === 0, 'nothing due at day 9');
+    const due = dueLitterMilestones(litter, day('2026-04-14'));
+    assert(due.join() === 'weaning,sexing', `got ${due.join()}`);
+    assert(dueLitterMilestones({ ...litter, maleCount: 3, femaleCount: 4, weaningDismissed: true }, day('2026-04-14')).length === 0, 'sexed + dismissed');
+    assert(dueLitterMilestones({ ...litter, status: 'weaned', weaningConfirmed: true }, day('2026-05-01')).length === 0, 'weaned litters are done');
+});
+
+test('Due milestones: separate by sex stops once done or after its window', () => {
+    const litter = {
+        status: 'born', birthDate: day('2026-03-23'), maleCount: 3, femaleCount: 4, weaningDismissed: true,
+        projectedMilestones: projectLitterMilestones({ birthDate: day('2026-03-23') }, MOUSE).projectedMilestones,
+    };
+    const start = litter.projectedMilestones.separateBySexDate;
+    const after = (days) => new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
+    assert(dueLitterMilestones(litter, start).join() === 'separateBySex', 'due on its date');
+    assert(dueLitterMilestones(litter, after(SEPARATE_BY_SEX_REMINDER_DAYS - 1)).join() === 'separateBySex', 'due through the window');
+    assert(dueLitterMilestones(litter, after(SEPARATE_BY_SEX_REMINDER_DAYS)).length === 0, 'stops after the window');
+    assert(dueLitterMilestones({ ...litter, separatedBySex: true }, start).length === 0, 'stops once separated');
+});
+
+test('Due milestones: mated litter past its latest due date is overdue', () => {
+    const litter = {
+        status: 'mated', matingDate: day('2026-03-01'),
+        projectedMilestones: projectLitterMilestones({ matingDate: day('2026-03-01') }, MOUSE).projectedMilestones,
+    };
+    assert(dueLitterMilestones(litter, day('2026-03-21')).length === 0, 'not yet overdue');
+    assert(dueLitterMilestones(litter, day('2026-03-22')).join() === 'overdue', 'overdue on the latest due date');
+    assert(dueLitterMilestones({ ...litter, status: 'pregnant', pregnancyDate: day('2026-03-10') }, day('2026-03-25')).length === 0,
+        'confirmed pregnancies use the recorded due-date reminder instead');
+});
+
+console.log('\n==============================');
+console.log(' Litter Milestone Test Results');
+console.log('==============================');
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
@@ -0,0 +1,107 @@
+/**
+ * Bulk Litter Offspring Planning Unit Tests
+ *
+ * Covers planLitterOffspring() in database/db_service.js — the pure part of
+ * POST /api/litters/:id_backend/offspring/bulk that decides how many pups to create, their
+ * auto-numbered names and their sexes from the litter's male/female/unknown counts.
+ *
+ * No live MongoDB connection is used/required.
+ */
+
+const { planLitterOffspring } = require('../database/db_service');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+function expectInvalid(fn, fragment) {
+    try {
+        fn();
+    } catch (e) {
+        assert(e.code === 'INVALID_OFFSPRING_REQUEST', `expected INVALID_OFFSPRING_REQUEST, got ${e.code}: ${e.message}`);
+        assert(e.message.includes(fragment), `expected "${fragment}" in "${e.message}"`);
+        return;
+    }
+    throw new Error('expected an INVALID_OFFSPRING_REQUEST error');
+}
+
+const LITTER = { litter_id_public: 'CTL1042', maleCount: 3, femaleCount: 4, unknownCount: 1, litterSizeBorn: 9, stillbornCount: 1 };
+
+// 1. Defaults: one pup per counted animal, sexes from the counts, numbered names.
+test('Count and sexes come from the litter counts', () => {
+    const pups = planLitterOffspring(LITTER, []);
+    assert(pups.length === 8, `expected 8 pups, got ${pups.length}`);
+    const sexes = pups.map(p => p.gender).join(',');
+    assert(sexes === 'Male,Male,Male,Female,Female,Female,Female,Unknown', sexes);
+    assert(pups[0].name === 'CTL1042 Pup 1' && pups[7].name === 'CTL1042 Pup 8', `${pups[0].name} … ${pups[7].name}`);
+    assert(pups.every(p => p.lifeStage === 'Newborn'), 'newborn life stage');
+});
+
+// 2. Pups already linked are subtracted per sex and numbering continues.
+test('Existing offspring reduce the remaining counts', () => {
+    const pups = planLitterOffspring(LITTER, ['Male', 'Female', 'Female']);
+    assert(pups.length === 5, `expected 5, got ${pups.length}`);
+    assert(pups.map(p => p.gender).join(',') === 'Male,Male,Female,Female,Unknown', pups.map(p => p.gender).join(','));
+    assert(pups[0].name === 'CTL1042 Pup 4', pups[0].name);
+});
+
+// 3. Without sex counts, live-born size decides; extra pups are Unknown.
+test('Unsexed litter falls back to live-born size', () => {
+    const pups = planLitterOffspring({ litter_id_public: 'CTL7', breedingPairCodeName: 'Project A', litterSizeBorn: 6, stillbornCount: 2 }, []);
+    assert(pups.length === 4 && pups.every(p => p.gender === 'Unknown'), `${pups.length} pups`);
+    assert(pups[0].name === 'Project A Pup 1', pups[0].name);
+});
+
+// 4. Pattern, defaults and per-pup overrides; unknown fields are ignored.
+test('Name pattern, defaults and per-pup overrides', () => {
+    const pups = planLitterOffspring(LITTER, [], {
+        count: 2,
+        namePattern: '{litter}-{n}',
+        startNumber: 10,
+        defaults: { color: 'Black', creatorId: 'someone-else', isDisplay: true, geneticCode: 'a/a' },
+        animals: [{ name: 'Keeper', gender: 'Female' }],
+    });
+    assert(pups[0].name === 'Keeper' && pups[0].gender === 'Female', JSON.stringify(pups[0]));
+    assert(pups[1].name === 'CTL1042-11' && pups[1].gender === 'Male', JSON.stringify(pups[1]));
+    assert(pups.every(p => p.color === 'Black' && p.creatorId === undefined), 'defaults applied, non-whitelisted dropped');
+    assert(pups.every(p => p.isDisplay === undefined && p.geneticCode === undefined), 'visibility and genetic code are not bulk fields');
+});
+
+// 5. Limits.
+test('Nothing left, bad count, bad name pattern and oversize requests are rejected', () => {
+    expectInvalid(() => planLitterOffspring({ litter_id_public: 'CTL1' }, []), 'Nothing to create');
+    expectInvalid(() => planLitterOffspring(LITTER, [], { count: 2.5 }), 'Nothing to create');
+    expectInvalid(() => planLitterOffspring(LITTER, [], { count: 51 }), 'At most 50');
+    expectInvalid(() => planLitterOffspring(LITTER, [], { count: 2, namePattern: ['{n}'] }), 'namePattern');
+    expectInvalid(() => planLitterOffspring(LITTER, [], { count: 2, namePattern: '  ' }), 'namePattern');
+});
+
+console.log('\n==============================');
+console.log(' Litter Offspring Test Results');
+console.log('==============================');
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
@@ -0,0 +1,107 @@
+/**
+ * Pedigree Shape Unit Tests
+ *
+ * Covers the pure pedigree builders in database/db_service.js behind GET /api/pedigree/:id:
+ * the generation cap (MAX_PEDIGREE_GENERATIONS), the nested tree, the flat graph and
+ * Ahnentafel numbering (subject 1, sire of n at 2n, dam of n at 2n + 1).
+ *
+ * No live MongoDB connection is used/required.
+ */
+
+const {
+    MAX_PEDIGREE_GENERATIONS,
+    pedigreeDepth,
+    buildNestedPedigree,
+    buildFlatPedigree,
+    buildAhnentafelPedigree,
+} = require('../database/db_service');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+const animal = (id_public, sireId_public = null, damId_public = null) => ({ id_public, name: id_public, sireId_public, damId_public });
+
+// P ← S (sire), D (dam); D's parents are DS and DD; S's dam DD as well (line-bred); X is not public.
+const FAMILY = new Map([
+    ['P', animal('P', 'S', 'D')],
+    ['S', animal('S', null, 'DD')],
+    ['D', animal('D', 'DS', 'DD')],
+    ['DS', animal('DS', 'X')],
+    ['DD', animal('DD')],
+]);
+
+// A sire line 20 generations deep: A0 ← A1 ← ... ← A20.
+const CHAIN = new Map(Array.from({ length: 21 }, (_, i) => [`A${i}`, animal(`A${i}`, i < 20 ? `A${i + 1}` : null)]));
+
+// 1. Generations are capped at 12.
+test('Depth is generations + 1, capped at 12 generations', () => {
+    assert(MAX_PEDIGREE_GENERATIONS === 12, `MAX_PEDIGREE_GENERATIONS is ${MAX_PEDIGREE_GENERATIONS}`);
+    assert(pedigreeDepth(4) === 5, `4 generations → ${pedigreeDepth(4)} levels`);
+    assert(pedigreeDepth(12) === 13, `12 generations → ${pedigreeDepth(12)} levels`);
+    assert(pedigreeDepth(30) === 13, `30 generations → ${pedigreeDepth(30)} levels`);
+});
+
+// 2. Ahnentafel numbers follow the sire 2n / dam 2n + 1 rule and list known slots in order.
+test('Ahnentafel numbering', () => {
+    const entries = buildAhnentafelPedigree(FAMILY, 'P', pedigreeDepth(3));
+    const numbers = entries.map(e => `${e.number}:${e.id_public}`).join(' ');
+    assert(numbers === '1:P 2:S 3:D 5:DD 6:DS 7:DD 12:X', `Got ${numbers}`);
+    const placeholder = entries.find(e => e.id_public === 'X');
+    assert(placeholder.isPlaceholder && placeholder.generation === 3, JSON.stringify(placeholder));
+});
+
+// 3. A deep line stops at the 12th generation; its last ancestor is number 2^12.
+test('Twelve generations along a sire line', () => {
+    const entries = buildAhnentafelPedigree(CHAIN, 'A0', pedigreeDepth(20));
+    assert(entries.length === 13, `Expected 13 entries, got ${entries.length}`);
+    const last = entries[entries.length - 1];
+    assert(last.id_public === 'A12' && last.number === 4096 && last.generation === 12, JSON.stringify(last));
+});
+
+// 4. Nested tree: ancestors beyond the depth are cut off.
+test('Nested tree stops at the requested depth', () => {
+    const tree = buildNestedPedigree(CHAIN, 'A0', pedigreeDepth(2));
+    assert(tree.sire.sire.id_public === 'A2', 'grand-sire present');
+    assert(tree.sire.sire.sire === null, 'third generation cut off');
+});
+
+// 5. Flat graph lists a line-bred ancestor once, with every generation it occupies.
+test('Flat graph deduplicates repeated ancestors', () => {
+    const flat = buildFlatPedigree(FAMILY, 'P', pedigreeDepth(3));
+    const dd = flat.nodes.filter(n => n.id_public === 'DD');
+    assert(dd.length === 1 && dd[0].generations.join(',') === '2', JSON.stringify(dd));
+    assert(flat.generations === 3, `generations ${flat.generations}`);
+    const ddEdges = flat.edges.filter(e => e.parentId_public === 'DD').map(e => e.childId_public).sort().join(',');
+    assert(ddEdges === 'D,S', `DD edges ${ddEdges}`);
+});
+
+console.log('\n==============================');
+console.log(' Pedigree Test Results');
+console.log('==============================');
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
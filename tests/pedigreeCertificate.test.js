@@ -0,0 +1,129 @@
+/**
+ * Pedigree Certificate Unit Tests
+ *
+ * Covers utils/pedigreeCertificate.js: page sizes, the breeder/owner display name, which photo
+ * URLs a certificate may load (uploads on this server or allowed hosts only), and a full render
+ * to PDF.
+ *
+ * The render test needs node-canvas' native build and is skipped where it is not installed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    getPageSize,
+    profileDisplayName,
+    resolvePhotoSource,
+    renderPedigreeCertificate,
+} = require('../utils/pedigreeCertificate');
+
+const results = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+const ENV = { UPLOADER_URL: 'https://uploads.crittertrack.net/', DOMAIN: 'crittertrack.net', CERTIFICATE_PHOTO_HOSTS: 'cdn.example.com, pub-1.r2.dev' };
+
+const canvasAvailable = (() => {
+    try {
+        require('canvas');
+        return true;
+    } catch (e) {
+        return false;
+    }
+})();
+
+(async () => {
+    // 1. Landscape swaps the paper's sides.
+    await test('Page sizes by paper and orientation', () => {
+        const a4 = getPageSize('a4', 'landscape');
+        assert(a4.width === 842 && a4.height === 595, JSON.stringify(a4));
+        const letter = getPageSize('letter', 'portrait');
+        assert(letter.width === 612 && letter.height === 792, JSON.stringify(letter));
+    });
+
+    // 2. Names are shown only when the profile shows them.
+    await test('Display name respects the profile visibility flags', () => {
+        assert(profileDisplayName({ id_public: 'CTU2', breederName: 'Starlight', showBreederName: true }) === 'Starlight', 'breeder name');
+        assert(profileDisplayName({ id_public: 'CTU2', breederName: 'Starlight', personalName: 'Ann', showPersonalName: true }) === 'Ann', 'personal name');
+        assert(profileDisplayName({ id_public: 'CTU2', breederName: 'Starlight' }) === 'CTU2', 'hidden names fall back to the id');
+        assert(profileDisplayName(null) === null, 'no profile');
+    });
+
+    // 3. Remote photos only from the uploader, the app's domain or listed CDN hosts.
+    await test('Photo URLs outside the allowed hosts are refused', () => {
+        const allowed = (url) => resolvePhotoSource(url, { env: ENV, uploadsDir: os.tmpdir() });
+        assert(allowed('https://uploads.crittertrack.net/uploads/a.png').url, 'uploader host');
+        assert(allowed('https://crittertrack.net/img/a.png').url, 'app domain');
+        assert(allowed('https://pub-1.r2.dev/a.png').url, 'listed CDN host');
+        assert(allowed('http://169.254.169.254/latest/meta-data/') === null, 'metadata address');
+        assert(allowed('http://localhost:5000/api/admin') === null, 'localhost');
+        assert(allowed('https://evil.example.com/a.png') === null, 'other host');
+        assert(allowed('file:///etc/passwd') === null, 'file URL');
+        assert(allowed('/api/admin') === null, 'relative non-upload path');
+    });
+
+    // 4. Files uploaded to this server are read from the uploads directory, whatever the host.
+    await test('Local uploads resolve to the uploads directory', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'certificate-'));
+        fs.writeFileSync(path.join(dir, 'pup.png'), 'x');
+        try {
+            const source = resolvePhotoSource('http://10.0.0.5:5000/uploads/pup.png', { env: {}, uploadsDir: dir });
+            assert(source && source.file === path.join(dir, 'pup.png'), JSON.stringify(source));
+            assert(resolvePhotoSource('http://10.0.0.5/uploads/missing.png', { env: {}, uploadsDir: dir }) === null, 'missing file');
+            assert(resolvePhotoSource('http://10.0.0.5/uploads/../pup.png', { env: {}, uploadsDir: dir }) === null, 'path outside uploads');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    // 5. A full render produces a PDF, including placeholder ancestors and a disallowed photo.
+    if (canvasAvailable) {
+        await test('Renders a PDF certificate', async () => {
+            const pdf = await renderPedigreeCertificate({
+                animal: { id_public: 'CTC1', name: 'Pip', species: 'Fancy Mouse', imageUrl: 'http://169.254.169.254/photo.png' },
+                pedigree: {
+                    id_public: 'CTC1', name: 'Pip', generation: 0,
+                    sire: { id_public: 'CTC2', name: 'Mars', generation: 1, sire: null, dam: null },
+                    dam: { id_public: 'CTC3', isPlaceholder: true, generation: 1 },
+                },
+                coi: 3.125,
+                owner: { id_public: 'CTU2', breederName: 'Starlight', showBreederName: true },
+                breeder: null,
+            }, { paper: 'letter', orientation: 'portrait', generations: 3 });
+            assert(Buffer.isBuffer(pdf) && pdf.subarray(0, 5).toString() === '%PDF-', 'Expected PDF bytes');
+        });
+    } else {
+        console.log('node-canvas is not built here; skipping the render test.');
+    }
+
+    console.log('\n==============================');
+    console.log(' Pedigree Certificate Test Results');
+    console.log('==============================');
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed);
+    results.forEach(r => {
+        const icon = r.passed ? '✅' : '❌';
+        console.log(`${icon} ${r.name}`);
+        if (!r.passed) console.log(`   → ${r.error}`);
+    });
+    console.log('------------------------------');
+    console.log(`Passed: ${passed}/${results.length}`);
+    if (failed.length > 0) {
+        console.log(`Failed: ${failed.length}`);
+        process.exit(1);
+    } else {
+        console.log('All tests passed.');
+    }
+})();
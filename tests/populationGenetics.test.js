@@ -0,0 +1,167 @@
+/**
+ * Population Genetics Report Unit Tests
+ *
+ * Covers calculatePopulationGenetics() in utils/populationGenetics.js: founder contributions,
+ * founder equivalents, founder genome equivalents (1 / 2·MK), gene diversity (1 − MK), and the
+ * two effective population size estimates (sex ratio, individual rate of inbreeding).
+ *
+ * Tolerance: +/-0.01 on every value (percentages are on the 0-100 scale).
+ */
+
+const { calculatePopulationGenetics } = require('../utils/populationGenetics');
+
+// ---------------------------------------------------------------------------
+// Pedigree builder helpers (same convention as tests/inbreeding.test.js)
+// ---------------------------------------------------------------------------
+function makeFetchAnimal(db) {
+    return async (id) => {
+        const entry = db[id];
+        if (!entry) return null;
+        return {
+            id_public: id,
+            name: String(id),
+            sireId_public: entry.sire || null,
+            damId_public: entry.dam || null
+        };
+    };
+}
+
+const TOLERANCE = 0.01;
+
+function expectClose(actual, expected, label) {
+    if (actual == null || Math.abs(actual - expected) > TOLERANCE) {
+        throw new Error(`${label}: expected ${expected} but got ${actual}`);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Minimal test runner (no external framework dependency, matches inbreeding.test.js)
+// ---------------------------------------------------------------------------
+const results = [];
+
+async function test(name, fn) {
+    try {
+        await fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Test cases
+// ---------------------------------------------------------------------------
+
+// 1. Two unrelated founders: each is its own founder, MK = (½ + ½) / 4 = 25%.
+test('Unrelated founder pair → MK 25%, fg = fe = 2, Ne(sex) = 2', async () => {
+    const db = { M: {}, F: {} };
+    const report = await calculatePopulationGenetics(
+        [{ id_public: 'M', gender: 'Male' }, { id_public: 'F', gender: 'Female' }],
+        makeFetchAnimal(db)
+    );
+    if (report.founderCount !== 2) throw new Error(`Expected 2 founders, got ${report.founderCount}`);
+    expectClose(report.meanKinship, 25, 'Mean kinship');
+    expectClose(report.geneDiversityRetained, 75, 'Gene diversity');
+    expectClose(report.founderGenomeEquivalents, 2, 'Founder genome equivalents');
+    expectClose(report.founderEquivalents, 2, 'Founder equivalents');
+    expectClose(report.pedigreeCompleteness, 100, 'Pedigree completeness');
+    expectClose(report.neSexRatio, 2, 'Ne from sex ratio');
+    if (report.neInbreedingRate !== null) throw new Error('Ne from ΔF should be null without pedigree depth');
+});
+
+// 2. Full siblings from two founders: founders contribute 50% each, f(X,Y) = 25%.
+// MK = (½ + ½ + 2 × ¼) / 4 = 37.5% → fg = 1 / 0.75 ≈ 1.33 while fe stays 2 (no drift yet
+// in founder representation, but the siblings share half their genome).
+test('Full-sibling pair → founder contributions 50/50, MK 37.5%', async () => {
+    const db = { S: {}, D: {}, X: { sire: 'S', dam: 'D' }, Y: { sire: 'S', dam: 'D' } };
+    const report = await calculatePopulationGenetics(
+        [{ id_public: 'X', gender: 'Male' }, { id_public: 'Y', gender: 'Female' }],
+        makeFetchAnimal(db)
+    );
+    if (report.founders.map(f => f.id_public).sort().join(',') !== 'D,S') {
+        throw new Error(`Expected founders S and D, got ${report.founders.map(f => f.id_public).join(',')}`);
+    }
+    report.founders.forEach(f => expectClose(f.contribution, 50, `Contribution of ${f.id_public}`));
+    expectClose(report.meanKinship, 37.5, 'Mean kinship');
+    expectClose(report.founderGenomeEquivalents, 1.33, 'Founder genome equivalents');
+    expectClose(report.founderEquivalents, 2, 'Founder equivalents');
+    expectClose(report.meanEquivalentGenerations, 1, 'Equivalent complete generations');
+});
+
+// 3. Offspring of full siblings: F = 25%, t = 2 equivalent generations,
+// ΔF = 1 − (1 − 0.25)^(1/(2−1)) = 25% → Ne = 1 / (2 × 0.25) = 2.
+test('Full-sib offspring → ΔF 25%, Ne(ΔF) = 2', async () => {
+    const db = {
+        S: {}, D: {},
+        X: { sire: 'S', dam: 'D' }, Y: { sire: 'S', dam: 'D' },
+        Z: { sire: 'X', dam: 'Y' }
+    };
+    const report = await calculatePopulationGenetics([{ id_public: 'Z', gender: 'Female' }], makeFetchAnimal(db));
+    expectClose(report.meanInbreeding, 25, 'Mean inbreeding');
+    expectClose(report.meanEquivalentGenerations, 2, 'Equivalent complete generations');
+    expectClose(report.meanDeltaF, 25, 'Mean ΔF');
+    expectClose(report.neInbreedingRate, 2, 'Ne from rate of inbreeding');
+    if (report.neSexRatio !== 0) throw new Error(`Expected Ne(sex) 0 for a single-sex population, got ${report.neSexRatio}`);
+});
+
+// 4. Only the sire is recorded: half the genome traces to no founder.
+test('Missing dam → pedigree completeness 50%', async () => {
+    const db = { S: {}, X: { sire: 'S' } };
+    const report = await calculatePopulationGenetics([{ id_public: 'X', gender: 'Male' }], makeFetchAnimal(db));
+    expectClose(report.pedigreeCompleteness, 50, 'Pedigree completeness');
+    expectClose(report.founders[0].contribution, 50, 'Sire contribution');
+});
+
+// 5. Ancestors beyond the generation limit are reported as truncated founders.
+test('Generation limit → truncated founders flagged', async () => {
+    const db = { GS: {}, S: { sire: 'GS' }, X: { sire: 'S' } };
+    const report = await calculatePopulationGenetics([{ id_public: 'X', gender: 'Male' }], makeFetchAnimal(db), 1);
+    if (report.founders.length !== 1 || report.founders[0].id_public !== 'S' || !report.founders[0].truncated) {
+        throw new Error(`Expected S as the only (truncated) founder, got ${JSON.stringify(report.founders)}`);
+    }
+});
+
+// 6. Empty population.
+test('Empty population → zero size, null statistics', async () => {
+    const report = await calculatePopulationGenetics([], makeFetchAnimal({}));
+    if (report.populationSize !== 0 || report.meanKinship !== null) {
+        throw new Error(`Unexpected empty report: ${JSON.stringify(report)}`);
+    }
+});
+
+// 7. Self-kinship uses F at the same depth as the pairwise kinships: with a 2-generation limit
+// the half-sib parents' shared sire A is still inside Z's DAG, so F = 2 × ¼ × ¼ = 12.5% and
+// MK = (1 + F) / 2 = 56.25%.
+test('Generation limit → self-kinship counts the same common ancestors', async () => {
+    const db = { A: {}, B: {}, C: {}, X: { sire: 'A', dam: 'B' }, Y: { sire: 'A', dam: 'C' }, Z: { sire: 'X', dam: 'Y' } };
+    const report = await calculatePopulationGenetics([{ id_public: 'Z', gender: 'Male' }], makeFetchAnimal(db), 2);
+    expectClose(report.meanInbreeding, 12.5, 'Mean inbreeding');
+    expectClose(report.meanKinship, 56.25, 'Mean kinship');
+});
+
+// ---------------------------------------------------------------------------
+// Report
+// ---------------------------------------------------------------------------
+(async () => {
+    await new Promise(r => setTimeout(r, 100));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed);
+
+    console.log('\n==============================');
+    console.log(' Population Genetics Unit Test Results');
+    console.log('==============================');
+    results.forEach(r => {
+        const icon = r.passed ? '✅' : '❌';
+        console.log(`${icon} ${r.name}`);
+        if (!r.passed) console.log(`   → ${r.error}`);
+    });
+    console.log('------------------------------');
+    console.log(`Passed: ${passed}/${results.length}`);
+    if (failed.length > 0) {
+        console.log(`Failed: ${failed.length}`);
+        process.exit(1);
+    } else {
+        console.log('All tests passed.');
+    }
+})();
@@ -0,0 +1,123 @@
+/**
+ * Reservation (Waitlist) Unit Tests
+ *
+ * Covers utils/reservations.js: status transitions and who may make them, request
+ * normalisation and validation for registered users, visitors and breeder-entered spots,
+ * queue reordering, and matching animals against a reservation's preference.
+ *
+ * Pure functions only — no MongoDB connection needed.
+ */
+
+const {
+    ReservationError,
+    checkReservationTransition,
+    normalizeReservationRequest,
+    validateReservationRequest,
+    reorderWaitlist,
+    matchesReservationPreference
+} = require('../utils/reservations');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+function expectReservationError(fn, statusCode, fragment) {
+    try {
+        fn();
+    } catch (e) {
+        assert(e instanceof ReservationError, `expected ReservationError, got ${e.name}: ${e.message}`);
+        assert(e.statusCode === statusCode, `expected status ${statusCode}, got ${e.statusCode}`);
+        const text = [e.message, ...e.errors].join(' ');
+        assert(!fragment || text.includes(fragment), `expected "${fragment}" in "${text}"`);
+        return;
+    }
+    throw new Error('expected a ReservationError');
+}
+
+// 1. The breeder's path through a reservation.
+test('Breeder moves requested → accepted → assigned → available → completed', () => {
+    checkReservationTransition({ status: 'requested' }, 'accepted', 'breeder');
+    checkReservationTransition({ status: 'accepted', assignedAnimalId_public: 'CTC5' }, 'assigned', 'breeder');
+    checkReservationTransition({ status: 'assigned', assignedAnimalId_public: 'CTC5' }, 'available', 'breeder');
+    checkReservationTransition({ status: 'available', assignedAnimalId_public: 'CTC5' }, 'accepted', 'breeder');
+    checkReservationTransition({ status: 'available', assignedAnimalId_public: 'CTC5' }, 'completed', 'breeder');
+});
+
+// 2. Illegal moves and final statuses.
+test('Skipping ahead and leaving a final status are rejected', () => {
+    expectReservationError(() => checkReservationTransition({ status: 'requested' }, 'available', 'breeder'), 409, 'Allowed from requested: accepted, declined, withdrawn');
+    expectReservationError(() => checkReservationTransition({ status: 'released' }, 'accepted', 'breeder'), 409, 'released is a final status');
+    expectReservationError(() => checkReservationTransition({ status: 'accepted' }, 'assigned', 'breeder'), 400, 'Assign an animal');
+    expectReservationError(() => checkReservationTransition({ status: 'accepted' }, 'reserved', 'breeder'), 400, 'Unknown reservation status');
+});
+
+// 3. The requester can only withdraw.
+test('Requester may withdraw but not accept', () => {
+    checkReservationTransition({ status: 'assigned', assignedAnimalId_public: 'CTC5' }, 'withdrawn', 'requester');
+    expectReservationError(() => checkReservationTransition({ status: 'requested' }, 'accepted', 'requester'), 403, 'Only the breeder');
+});
+
+// 4. Request validation.
+test('Visitors need a name and a valid email; every request needs a litter or species', () => {
+    const visitor = normalizeReservationRequest({ contactName: '  Sam ', contactEmail: 'Sam@Example.COM ', preference: { species: 'Fancy Rat', gender: 'Female' } });
+    assert(visitor.contactName === 'Sam' && visitor.contactEmail === 'sam@example.com', 'trimmed and lower-cased');
+    assert(validateReservationRequest(visitor, { needsContact: true, needsEmail: true }).length === 0, 'valid visitor request');
+
+    const errors = validateReservationRequest(normalizeReservationRequest({ contactEmail: 'not-an-email', preference: { gender: 'Either' } }), { needsContact: true, needsEmail: true });
+    assert(errors.includes('Choose a litter or at least a species preference.'), errors.join('; '));
+    assert(errors.includes('contactName is required.'), errors.join('; '));
+    assert(errors.includes('contactEmail is not a valid email address.'), errors.join('; '));
+    assert(errors.some(e => e.startsWith('preference.gender must be one of')), errors.join('; '));
+
+    const member = normalizeReservationRequest({ litter_id_public: 'CTL9' });
+    assert(member.preference.gender === 'Any' && validateReservationRequest(member).length === 0, 'registered user: litter only');
+});
+
+// 5. Queue order.
+test('Reordering a queue renumbers only the entries that moved', () => {
+    const queue = [{ _id: 'a', position: 1 }, { _id: 'b', position: 2 }, { _id: 'c', position: 3 }, { _id: 'd', position: 4 }];
+    const changes = reorderWaitlist(queue, 'd', 2);
+    assert(JSON.stringify(changes) === JSON.stringify([{ _id: 'd', position: 2 }, { _id: 'b', position: 3 }, { _id: 'c', position: 4 }]), JSON.stringify(changes));
+    assert(reorderWaitlist(queue, 'a', 99).map(c => `${c._id}${c.position}`).join() === 'b1,c2,d3,a4', 'clamped to the end');
+    assert(reorderWaitlist(queue, 'b', 2).length === 0, 'no-op');
+    assert(reorderWaitlist(queue, 'zz', 1).length === 0, 'unknown id');
+});
+
+// 6. Preference matching for candidate offspring.
+test('Animals are matched on species, sex and colour', () => {
+    const doe = { species: 'Fancy Rat', gender: 'Female', color: 'Black Berkshire' };
+    assert(matchesReservationPreference(doe, { species: 'Fancy Rat', gender: 'Female', color: 'black' }), 'colour substring, any case');
+    assert(matchesReservationPreference(doe, { species: 'Fancy Rat', gender: 'Any' }), 'Any sex');
+    assert(!matchesReservationPreference(doe, { species: 'Fancy Rat', gender: 'Male' }), 'wrong sex');
+    assert(!matchesReservationPreference(doe, { species: 'Fancy Mouse' }), 'wrong species');
+});
+
+console.log('\n==============================');
+console.log(' Reservation Test Results');
+console.log('==============================');
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
@@ -0,0 +1,140 @@
+/**
+ * Supply Forecast Unit Tests
+ *
+ * Covers utils/supplyForecast.js: checking hand-entered stock movements, average daily use
+ * from the ledger, run-out and reorder forecasts (with the threshold fallback for items without
+ * history), and the shopping list grouped by supplier.
+ *
+ * Pure functions only — no MongoDB connection needed.
+ */
+
+const {
+    NO_SUPPLIER,
+    validateSupplyMovement,
+    averageDailyConsumption,
+    forecastSupply,
+    buildShoppingList
+} = require('../utils/supplyForecast');
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (e) {
+        results.push({ name, passed: false, error: e.message });
+    }
+}
+
+function assert(cond, msg) {
+    if (!cond) throw new Error(msg);
+}
+
+const NOW = new Date('2026-05-20T12:00:00');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (n) => new Date(NOW.getTime() - n * DAY_MS);
+const consume = (n, days) => ({ type: 'consume', change: -n, occurredAt: daysAgo(days) });
+
+// 15 used over 10 days of tracking: 1.5 a day. The restock does not count as use.
+const LEDGER = [consume(5, 9), consume(5, 5), { type: 'restock', change: 20, occurredAt: daysAgo(4) }, consume(5, 1)];
+
+test('validateSupplyMovement checks type, quantity, unitCost and notes', () => {
+    assert(validateSupplyMovement({ type: 'consume', quantity: 2 }).length === 0, 'valid use');
+    assert(validateSupplyMovement({ type: 'adjust', quantity: 0 }).length === 0, 'count of 0 allowed');
+    assert(validateSupplyMovement({ type: 'restock', quantity: 0 })[0].includes('above 0'), 'empty restock');
+    assert(validateSupplyMovement({ type: 'adjust', quantity: -1 })[0].includes('negative'), 'negative count');
+    assert(validateSupplyMovement({ type: 'consume', quantity: '' })[0].includes('number'), 'missing quantity');
+    assert(validateSupplyMovement({ type: 'spill', quantity: 1 })[0].includes('type must be one of'), 'unknown type');
+    assert(validateSupplyMovement({ type: 'consume', quantity: 1, notes: 'x'.repeat(501) }).length === 1, 'long notes');
+    assert(validateSupplyMovement({ type: 'restock', quantity: 5, unitCost: '2.50' }).length === 0, 'numeric unit cost');
+    assert(validateSupplyMovement({ type: 'restock', quantity: 5, unitCost: 'cheap' })[0].includes('unitCost'), 'non-numeric unit cost');
+    assert(validateSupplyMovement({ type: 'restock', quantity: 5, unitCost: -1 })[0].includes('unitCost'), 'negative unit cost');
+});
+
+test('averageDailyConsumption divides use by the days tracked', () => {
+    const avg = averageDailyConsumption(LEDGER, { since: daysAgo(10), now: NOW });
+    assert(avg.perDay === 1.5, `expected 1.5/day, got ${avg.perDay}`);
+    assert(avg.consumed === 15 && avg.events === 3 && avg.days === 10, 'basis figures');
+
+    const tooNew = averageDailyConsumption([consume(1, 2), consume(1, 1)], { since: daysAgo(2), now: NOW });
+    assert(tooNew.perDay === null, 'two days of history is not enough');
+    const once = averageDailyConsumption([consume(4, 5)], { since: daysAgo(10), now: NOW });
+    assert(once.perDay === null, 'one use is not enough');
+});
+
+test('averageDailyConsumption only looks at the forecast window', () => {
+    const avg = averageDailyConsumption([consume(100, 80), consume(30, 20), consume(30, 10)], { since: daysAgo(100), now: NOW });
+    assert(avg.days === 60, `window caps the days, got ${avg.days}`);
+    assert(avg.consumed === 60 && avg.perDay === 1, 'use before the window ignored');
+});
+
+test('forecastSupply projects run-out and flags items that run out within lead time', () => {
+    const comfortable = forecastSupply({ currentStock: 15, leadTimeDays: 7, trackedSince: daysAgo(10) }, LEDGER, { now: NOW });
+    assert(comfortable.daysRemaining === 10, `10 days left, got ${comfortable.daysRemaining}`);
+    assert(!comfortable.reorderDue, 'order-by date still 3 days away');
+    assert(comfortable.orderByDate.getTime() > NOW.getTime(), 'order-by after today');
+
+    const tight = forecastSupply({ currentStock: 9, leadTimeDays: 7, reorderThreshold: 2, trackedSince: daysAgo(10) }, LEDGER, { now: NOW });
+    assert(tight.reasons.join() === 'forecast', `expected forecast, got ${tight.reasons}`);
+    assert(tight.suggestedQuantity === 47, `37 days of use minus stock, got ${tight.suggestedQuantity}`);
+});
+
+test('forecastSupply falls back to the threshold without history', () => {
+    const noHistory = forecastSupply({ currentStock: 2, reorderThreshold: 5 }, [], { now: NOW });
+    assert(noHistory.reasons.join() === 'threshold' && noHistory.averageDailyUse === null, 'threshold reason');
+    assert(noHistory.suggestedQuantity === 8, 'up to twice the threshold');
+
+    const forecasted = forecastSupply({ currentStock: 40, reorderThreshold: 50, trackedSince: daysAgo(10) }, LEDGER, { now: NOW });
+    assert(!forecasted.reorderDue, 'threshold ignored once there is a forecast');
+
+    const empty = forecastSupply({ currentStock: 0, reorderThreshold: 5, nextOrderDate: daysAgo(1) }, [], { now: NOW });
+    assert(empty.reasons.join() === 'out_of_stock,schedule', `got ${empty.reasons}`);
+});
+
+test('forecastSupply only reports out_of_stock for items whose stock is tracked', () => {
+    const scheduleOnly = forecastSupply({ currentStock: 0, nextOrderDate: daysAgo(1) }, [], { now: NOW });
+    assert(scheduleOnly.reasons.join() === 'schedule', `schedule-only item: got ${scheduleOnly.reasons}`);
+
+    const untracked = forecastSupply({ currentStock: 0 }, [], { now: NOW });
+    assert(!untracked.reorderDue, `untracked item at the default 0 is not due: got ${untracked.reasons}`);
+
+    const usedUp = forecastSupply({ currentStock: 0 }, [{ type: 'consume', change: -3, occurredAt: daysAgo(1) }], { now: NOW });
+    assert(usedUp.reasons.join() === 'out_of_stock', `item with recorded use: got ${usedUp.reasons}`);
+});
+
+test('buildShoppingList groups due items by supplier with estimated costs', () => {
+    const entry = (item, due, suggestedQuantity, runOutDate = null) => ({
+        item,
+        forecast: { reorderDue: due, reasons: due ? ['forecast'] : [], suggestedQuantity, runOutDate },
+    });
+    const list = buildShoppingList([
+        entry({ _id: 1, name: 'Mice (frozen)', supplier: 'Rodent Pro', costPerUnit: 1.25, currentStock: 4 }, true, 40, daysAgo(-5)),
+        entry({ _id: 2, name: 'Rats (frozen)', supplier: 'Rodent Pro ', costPerUnit: 3, currentStock: 0 }, true, 10),
+        entry({ _id: 3, name: 'Aspen bedding', supplier: '', currentStock: 1 }, true, 2, daysAgo(-2)),
+        entry({ _id: 4, name: 'Calcium', supplier: 'Rodent Pro', costPerUnit: 9, currentStock: 3 }, false, 0),
+    ]);
+    assert(list.items === 3, 'item not due left out');
+    assert(list.suppliers.map(s => s.supplier).join() === `Rodent Pro,${NO_SUPPLIER}`, 'supplier order');
+    const rodentPro = list.suppliers[0];
+    assert(rodentPro.items.map(i => i.name).join() === 'Rats (frozen),Mice (frozen)', 'out of stock first');
+    assert(rodentPro.estimatedCost === 80, `50 + 30, got ${rodentPro.estimatedCost}`);
+    assert(list.suppliers[1].itemsWithoutCost === 1, 'item without a price counted');
+    assert(list.estimatedTotal === 80, 'total');
+});
+
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed);
+results.forEach(r => {
+    const icon = r.passed ? '✅' : '❌';
+    console.log(`${icon} ${r.name}`);
+    if (!r.passed) console.log(`   → ${r.error}`);
+});
+console.log('------------------------------');
+console.log(`Passed: ${passed}/${results.length}`);
+if (failed.length > 0) {
+    console.log(`Failed: ${failed.length}`);
+    process.exit(1);
+} else {
+    console.log('All tests passed.');
+}
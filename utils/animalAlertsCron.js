@@ -2,8 +2,12 @@
 // These items are NOT persisted as Notification documents (they're derived/computed, not events),
 // so this bypasses the Notification model entirely and pushes directly via sendPushToUser.
 const cron = require('node-cron');
-const { Animal, Litter, Enclosure, SupplyItem, SystemSettings } = require('../database/models');
+const { Animal, Litter, Enclosure, SupplyItem, SupplyMovement, Species, SystemSettings } = require('../database/models');
 const { sendPushToUser } = require('./pushService');
+const { dueLitterMilestones } = require('./litterMilestones');
+const { SPECIES_CYCLE_FIELDS, heatHistory, predictNextHeat, isHeatAlertDue } = require('./heatCycles');
+const { isCleaningTaskOverdue } = require('./facilityMap');
+const { FORECAST_WINDOW_DAYS, forecastSupply } = require('./supplyForecast');
 
 const LAST_RUN_KEY = 'animalAlertsCron_lastRunDate';
 
@@ -33,13 +37,6 @@ const isFeedingDue = (lastDate, intervalHours) => {
     return (Date.now() - d.getTime()) / 3600000 >= Number(intervalHours);
 };
 
-const cleaningTaskFreqDays = (t) => {
-    if (t.frequencyDays) return t.frequencyDays;
-    if (!t.frequency) return null;
-    const mult = t.frequencyUnit === 'weeks' ? 7 : t.frequencyUnit === 'months' ? 30 : t.frequencyUnit === 'years' ? 365 : 1;
-    return t.frequency * mult;
-};
-
 const calcNextDose = (med) => {
     if (!med.intervalValue || !med.intervalUnit) return null;
     if (med.stopDate && new Date(med.stopDate) <= new Date()) return null;
@@ -109,12 +106,13 @@ const runAnimalAlertsCheck = async () => {
     const enclosures = await Enclosure.find({}).select('creatorId cleaningTasks').lean();
     enclosures.forEach((e) => {
         if (!e.creatorId) return;
-        const due = (e.cleaningTasks || []).filter((t) => isTaskDue(t.lastDoneDate, cleaningTaskFreqDays(t))).length;
+        const due = (e.cleaningTasks || []).filter((t) => isCleaningTaskOverdue(t)).length;
         bump(counts, e.creatorId, 'enclosureCare', due);
     });
 
-    // --- Litters: planned mating date reached, due date reached, weaning date reached ---
-    const littersAll = await Litter.find({}).select('creatorId isPlanned matingDate pregnancyDate expectedDueDate birthDate weaningDate weaningConfirmed pregnancyLost').lean();
+    // --- Litters: planned mating date reached, due date reached, weaning date reached, plus
+    // species-projected milestones (overdue mating, weaning window, sexing, separate by sex) ---
+    const littersAll = await Litter.find({}).select('creatorId status isPlanned matingDate pregnancyDate expectedDueDate birthDate weaningDate weaningConfirmed weaningDismissed separatedBySex pregnancyLost outcome maleCount femaleCount projectedMilestones').lean();
     littersAll.forEach((l) => {
         if (!l.creatorId) return;
         let reproCount = 0;
@@ -131,17 +129,52 @@ const runAnimalAlertsCheck = async () => {
             const days = daysSince(l.weaningDate);
             if (days !== null && days >= 0) reproCount += 1;
         }
+        reproCount += dueLitterMilestones(l).length;
         bump(counts, l.creatorId, 'breeding', reproCount);
     });
 
+    // --- Heat cycles: a female's predicted mating window (or heat) opening within a few days.
+    // Pregnant and nursing females are skipped — they are not cycling — as are animals that
+    // died or left the breeder. ---
+    const females = await Animal.find({
+        archived: { $ne: true },
+        isNeutered: { $ne: true },
+        isPregnant: { $ne: true },
+        isNursing: { $ne: true },
+        gender: { $nin: ['Male', 'Mixed'] },
+        status: { $nin: ['Deceased', 'Sold', 'Rehomed'] },
+        soldStatus: { $ne: 'sold' },
+        deceasedDate: null,
+        $or: [{ 'heatRecords.0': { $exists: true } }, { lastHeatDate: { $ne: null } }],
+    }).select('creatorId species estrusCycleLength lastHeatDate ovulationDate heatRecords').lean();
+    const speciesNames = [...new Set(females.map((f) => f.species).filter(Boolean))];
+    const speciesCycles = new Map((await Species.find({ name: { $in: speciesNames } }).select(['name', ...SPECIES_CYCLE_FIELDS].join(' ')).lean())
+        .map((s) => [s.name, s]));
+    females.forEach((f) => {
+        if (!f.creatorId) return;
+        const prediction = predictNextHeat(heatHistory(f), { estrusCycleLength: f.estrusCycleLength, species: speciesCycles.get(f.species) });
+        if (isHeatAlertDue(prediction)) bump(counts, f.creatorId, 'breeding', 1);
+    });
+
     // --- Supplies: reorder due (grouped with enclosure/logistics care, not feeding) ---
-    const supplies = await SupplyItem.find({}).select('userId currentStock reorderThreshold nextOrderDate').lean();
-    const today = new Date(); today.setHours(0, 0, 0, 0);
+    // Forecast from the stock ledger; items without enough history fall back to reorderThreshold.
+    const supplies = await SupplyItem.find({})
+        .select('userId currentStock reorderThreshold nextOrderDate leadTimeDays trackedSince')
+        .lean();
+    const usedSince = new Date(Date.now() - FORECAST_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const supplyMovements = await SupplyMovement.find({ type: 'consume', occurredAt: { $gte: usedSince } })
+        .select('supplyId type change occurredAt')
+        .lean();
+    const movementsBySupply = new Map();
+    supplyMovements.forEach((m) => {
+        const key = m.supplyId.toString();
+        if (!movementsBySupply.has(key)) movementsBySupply.set(key, []);
+        movementsBySupply.get(key).push(m);
+    });
     supplies.forEach((s) => {
         if (!s.userId) return;
-        const due = (s.reorderThreshold != null && s.currentStock <= s.reorderThreshold) ||
-            (s.nextOrderDate && new Date(s.nextOrderDate) <= today);
-        if (due) bump(counts, s.userId, 'enclosureCare', 1);
+        const { reorderDue } = forecastSupply(s, movementsBySupply.get(s._id.toString()) || []);
+        if (reorderDue) bump(counts, s.userId, 'enclosureCare', 1);
     });
 
     // --- Send one digest push per user per category with anything due ---
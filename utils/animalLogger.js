@@ -305,12 +305,19 @@ const logCareUpdates = async ({ userId, animalId, animalId_public, before, after
 };
 
 /**
- * Logs a single feeding action (mark fed / skip feeding) with category 'feeding'.
+ * Logs a single feeding action (mark fed / skip feeding) with category 'feeding'. The
+ * lastFedDate change is logged only when the feeding moved it (`previousFedDate` is its old
+ * value); other feedings log their outcome instead.
  */
-const logFeedingEvent = async ({ userId, animalId, animalId_public, foodName, quantity, notes, skipped }) => {
+const FEEDING_OUTCOME_LABELS = { accepted: 'Fed', refused: 'Feeding Refused', regurgitated: 'Regurgitated', skipped: 'Feeding Skipped' };
+
+const logFeedingEvent = async ({ userId, animalId, animalId_public, foodName, quantity, notes, skipped, outcome, fedAt, lastFedDateMoved = true, previousFedDate = null }) => {
     try {
+        const label = FEEDING_OUTCOME_LABELS[outcome] || (skipped ? 'Feeding Skipped' : 'Fed');
         const changes = [
-            { field: 'lastFedDate', label: skipped ? 'Feeding Skipped' : 'Fed', oldValue: null, newValue: new Date() },
+            lastFedDateMoved
+                ? { field: 'lastFedDate', label, oldValue: previousFedDate, newValue: fedAt || new Date() }
+                : { field: 'feedingOutcome', label, oldValue: null, newValue: outcome },
         ];
         if (foodName) changes.push({ field: 'food', label: 'Food', oldValue: null, newValue: foodName });
         if (quantity !== undefined && quantity !== null && quantity !== '') {
@@ -0,0 +1,237 @@
+/**
+ * breedingLines.js
+ *
+ * Breeding line membership and line-level pedigree trends (BreedingLine model).
+ *
+ * An animal belongs to a line as
+ *   founder    listed in line.founders (generation 0)
+ *   assigned   listed in line.members
+ *   derived    line.deriveMembership is on and at least one parent is a line member
+ * Generation = 1 + the highest generation among parents that are members (0 without any).
+ *
+ * Also converts to and from the pre-model PublicProfile.breedingLineDefs / animalBreedingLines
+ * shape, which /api/users/breeding-lines still speaks for older clients.
+ */
+const {
+    buildPedigreeDAG,
+    computePathSums,
+    kinshipFromPathSums,
+    calculateInbreedingCoefficient
+} = require('./inbreeding');
+
+const BREEDING_LINE_STATUSES = ['active', 'retired'];
+const MAX_BREEDING_LINES = 50;
+// The old GET/PUT /api/users/breeding-lines shape has 11 slots (11 allows the dev-only 11th
+// "Legacy" combo line); lines keyed beyond them are managed through /api/breeding-lines only.
+const LEGACY_MAX_BREEDING_LINES = 11;
+// Line trends trace every member's pedigree; larger lines use their latest generations.
+const MAX_TREND_MEMBERS = 300;
+
+// Thrown by the breeding line services; `errors` lists every problem found.
+class BreedingLineError extends Error {
+    constructor(message, errors = [], statusCode = 400) {
+        super(message);
+        this.name = 'BreedingLineError';
+        this.statusCode = statusCode;
+        this.errors = errors;
+    }
+}
+
+const isIdList = (value) => Array.isArray(value) && value.every(id => typeof id === 'string' && id.trim());
+
+/**
+ * Checks a create (`partial` false) or update payload.
+ * @returns {Array<String>} one message per problem
+ */
+function validateBreedingLine(input, { partial = false } = {}) {
+    const errors = [];
+    if (!partial || 'name' in input) {
+        if (typeof input.name !== 'string' || !input.name.trim()) errors.push('name is required');
+        else if (input.name.trim().length > 100) errors.push('name must be at most 100 characters');
+    }
+    for (const field of ['description', 'goals']) {
+        if (field in input && input[field] !== null && (typeof input[field] !== 'string' || input[field].length > 2000)) {
+            errors.push(`${field} must be text of at most 2000 characters`);
+        }
+    }
+    if ('species' in input && input.species !== null && (typeof input.species !== 'string' || input.species.length > 100)) {
+        errors.push('species must be a species name');
+    }
+    if ('status' in input && !BREEDING_LINE_STATUSES.includes(input.status)) {
+        errors.push(`status must be one of: ${BREEDING_LINE_STATUSES.join(', ')}`);
+    }
+    if ('color' in input && input.color !== null && (typeof input.color !== 'string' || input.color.length > 32)) {
+        errors.push('color must be a colour string');
+    }
+    for (const field of ['founders', 'members']) {
+        if (field in input && !isIdList(input[field])) errors.push(`${field} must be an array of animal IDs`);
+    }
+    return errors;
+}
+
+/**
+ * @param {Object} line - founders, members, deriveMembership
+ * @param {Array<Object>} animals - the owner's animals { id_public, sireId_public, damId_public }
+ * @returns {Map<String, { source: 'founder'|'assigned'|'derived', generation: Number }>}
+ *   id_public → membership, ordered by generation
+ */
+function deriveLineMembership(line, animals) {
+    const byId = new Map((animals || []).map(a => [a.id_public, a]));
+    const founders = new Set(line.founders || []);
+    const assigned = new Set(line.members || []);
+    const memo = new Map();
+    const visiting = new Set();
+
+    const resolve = (id) => {
+        if (memo.has(id)) return memo.get(id);
+        if (visiting.has(id)) return null; // malformed, cyclic pedigree
+        visiting.add(id);
+        const animal = byId.get(id);
+        const parentGenerations = animal
+            ? [animal.sireId_public, animal.damId_public].filter(Boolean).map(resolve).filter(Boolean).map(m => m.generation)
+            : [];
+        visiting.delete(id);
+
+        const fromParents = parentGenerations.length ? Math.max(...parentGenerations) + 1 : null;
+        let membership = null;
+        if (founders.has(id)) membership = { source: 'founder', generation: 0 };
+        else if (assigned.has(id)) membership = { source: 'assigned', generation: fromParents ?? 0 };
+        else if (line.deriveMembership && fromParents !== null) membership = { source: 'derived', generation: fromParents };
+        memo.set(id, membership);
+        return membership;
+    };
+
+    const candidates = new Set([...founders, ...assigned, ...(line.deriveMembership ? byId.keys() : [])]);
+    const members = [];
+    candidates.forEach(id => {
+        const membership = resolve(id);
+        if (membership) members.push([id, membership]);
+    });
+    members.sort((a, b) => a[1].generation - b[1].generation);
+    return new Map(members);
+}
+
+const isLegacySlot = (id) => Number.isInteger(Number(id)) && Number(id) >= 0 && Number(id) < LEGACY_MAX_BREEDING_LINES;
+
+/**
+ * BreedingLine payloads for a profile's old breedingLineDefs / animalBreedingLines. Blanked
+ * slots (the old UI's "delete" kept the slot with an empty name) are dropped, and so are slot
+ * ids past the legacy slots.
+ */
+function linesFromLegacyProfile(defs, animalLines) {
+    const assignments = animalLines && typeof animalLines === 'object' ? Object.entries(animalLines) : [];
+    return (Array.isArray(defs) ? defs : [])
+        .filter(def => def && typeof def.name === 'string' && def.name.trim() && isLegacySlot(def.id))
+        .map(def => ({
+            lineKey: Number(def.id),
+            name: def.name.trim(),
+            color: def.color || null,
+            members: assignments
+                .filter(([, ids]) => Array.isArray(ids) && ids.some(id => Number(id) === Number(def.id)))
+                .map(([animalId]) => animalId),
+        }));
+}
+
+// Lowest lineKey no line uses, so keys refill deleted slots and stay within the legacy slots.
+function nextLineKey(lines) {
+    const used = new Set(lines.map(line => line.lineKey));
+    let key = 0;
+    while (used.has(key)) key++;
+    return key;
+}
+
+/**
+ * The old { breedingLineDefs, animalBreedingLines } shape for a user's lines. Older clients
+ * expect defs[i].id === i, so deleted slots come back blank; only the first
+ * LEGACY_MAX_BREEDING_LINES slots are listed, so the payload can be saved back unchanged. Only
+ * assigned members and founders are listed; derived members are not stored per animal.
+ */
+function toLegacyBreedingLines(allLines) {
+    const lines = allLines.filter(line => line.lineKey < LEGACY_MAX_BREEDING_LINES);
+    const byKey = new Map(lines.map(line => [line.lineKey, line]));
+    const slots = lines.length ? Math.max(...lines.map(line => line.lineKey)) + 1 : 0;
+    const breedingLineDefs = Array.from({ length: slots }, (_, id) => {
+        const line = byKey.get(id);
+        return line ? { id, name: line.name, color: line.color || null } : { id, name: '', color: null };
+    });
+    const animalBreedingLines = {};
+    lines.forEach(line => {
+        new Set([...(line.founders || []), ...(line.members || [])]).forEach(id => {
+            (animalBreedingLines[id] = animalBreedingLines[id] || []).push(line.lineKey);
+        });
+    });
+    return { breedingLineDefs, animalBreedingLines };
+}
+
+const round = (value, digits = 4) => (value == null || !isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+/**
+ * COI and average kinship (AVK) of a line's members, by generation. AVK is taken against the
+ * whole line (self-kinship included, as calculateAverageKinship), so a rising AVK means the
+ * line is narrowing onto fewer ancestors.
+ *
+ * @param {Array<{ id_public: String, generation: Number }>} members
+ * @param {Function} fetchAnimal - resolves { sireId_public, damId_public, name } by id_public
+ * @param {Number} generations - pedigree depth to trace (default 20, as for AVK)
+ * @returns {Promise<{ overall: Object, generations: Array<Object>, animals: Array<Object> }>}
+ *   percentages (0-100)
+ */
+async function calculateLineTrends(members, fetchAnimal, generations = 20) {
+    const seen = new Set();
+    const population = (members || []).filter(m => m && m.id_public && !seen.has(m.id_public) && seen.add(m.id_public));
+
+    const pathSums = new Map();
+    for (const m of population) {
+        const dag = await buildPedigreeDAG(m.id_public, fetchAnimal, generations);
+        pathSums.set(m.id_public, computePathSums(m.id_public, dag));
+    }
+
+    const animals = [];
+    for (const m of population) {
+        const coi = await calculateInbreedingCoefficient(m.id_public, fetchAnimal, generations);
+        let sum = (1 + coi / 100) / 2;
+        const dp = pathSums.get(m.id_public);
+        population.forEach(other => {
+            if (other.id_public !== m.id_public) sum += kinshipFromPathSums(dp, pathSums.get(other.id_public));
+        });
+        animals.push({ id_public: m.id_public, generation: m.generation, coi, avk: round((sum / population.length) * 100) });
+    }
+
+    const summarize = (group) => ({
+        animals: group.length,
+        meanCOI: round(mean(group.map(a => a.coi))),
+        minCOI: group.length ? Math.min(...group.map(a => a.coi)) : null,
+        maxCOI: group.length ? Math.max(...group.map(a => a.coi)) : null,
+        meanAVK: round(mean(group.map(a => a.avk))),
+    });
+
+    const byGeneration = new Map();
+    animals.forEach(a => {
+        if (!byGeneration.has(a.generation)) byGeneration.set(a.generation, []);
+        byGeneration.get(a.generation).push(a);
+    });
+
+    return {
+        overall: summarize(animals),
+        generations: [...byGeneration.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([generation, group]) => ({ generation, ...summarize(group) })),
+        animals,
+    };
+}
+
+module.exports = {
+    BREEDING_LINE_STATUSES,
+    MAX_BREEDING_LINES,
+    LEGACY_MAX_BREEDING_LINES,
+    MAX_TREND_MEMBERS,
+    isLegacySlot,
+    nextLineKey,
+    BreedingLineError,
+    validateBreedingLine,
+    deriveLineMembership,
+    linesFromLegacyProfile,
+    toLegacyBreedingLines,
+    calculateLineTrends
+};
@@ -0,0 +1,195 @@
+/**
+ * breedingPerformance.js
+ *
+ * Aggregates Litter records into breeding performance figures per dam, per sire, per breeding
+ * line (BreedingLine, founders/assigned/derived members) and overall:
+ *
+ *   avgLitterSize        mean litterSizeBorn (numberBorn on older records) over born litters
+ *   avgWeaned            mean litterSizeWeaned over litters that recorded it
+ *   weaningRate          weaned / born, over litters recording both
+ *   stillbornRate        stillborn / born;  preWeaningLossRate  losses / born
+ *   mortalityRate        (stillborn + losses) / born
+ *   avgInterLitterDays   mean gap between consecutive birth dates (per animal; lines and overall
+ *                        average their animals' gaps)
+ *   ageAtFirstLitterDays first birth date − the animal's own birth date (per animal, over all its
+ *                        litters whatever the date filter; mean for lines)
+ *   pregnancyLossRate    lost / litters that reached pregnancy (confirmed pregnant, born or lost)
+ *   failedMatingRate     failed / litters past the planning stage
+ *
+ * Rates are fractions (0-1) rounded to 4 places; figures without data are null.
+ */
+const { deriveLitterStatus } = require('./litterLifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places = 4) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(places)));
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const ratio = (num, den) => (den > 0 ? num / den : null);
+const bornSize = (l) => l.litterSizeBorn ?? l.numberBorn ?? null;
+const time = (date) => {
+    if (!date) return null;
+    const t = new Date(date).getTime();
+    return isNaN(t) ? null : t;
+};
+
+// Chronologically consecutive birth gaps, in days.
+function interLitterGaps(litters) {
+    const births = litters.map(l => time(l.birthDate)).filter(t => t !== null).sort((a, b) => a - b);
+    const gaps = [];
+    for (let i = 1; i < births.length; i++) gaps.push((births[i] - births[i - 1]) / DAY_MS);
+    return gaps;
+}
+
+/**
+ * Figures for one group of litters.
+ * @param {Array} litters
+ * @param {Object} [extra] - { interLitterGaps: Array<Number>, firstLitterAges: Array<Number> } to use
+ *   instead of computing them from `litters` (groups spanning several animals)
+ */
+function summarizeLitters(litters, extra = {}) {
+    const statusOf = (l) => l.status || deriveLitterStatus(l);
+    const statuses = litters.map(statusOf);
+    const born = litters.filter((l, i) => ['born', 'weaned'].includes(statuses[i]) || (l.birthDate && statuses[i] === 'lost'));
+    const sized = born.filter(l => bornSize(l) !== null);
+
+    let bornTotal = 0, stillborn = 0, losses = 0;
+    const bySex = {
+        stillborn: { male: 0, female: 0, unknown: 0 },
+        losses: { male: 0, female: 0, unknown: 0 },
+    };
+    sized.forEach(l => {
+        bornTotal += bornSize(l);
+        stillborn += l.stillbornCount || 0;
+        losses += l.lossesCount || 0;
+        bySex.stillborn.male += l.maleStillbornCount || 0;
+        bySex.stillborn.female += l.femaleStillbornCount || 0;
+        bySex.stillborn.unknown += l.unknownStillbornCount || 0;
+        bySex.losses.male += l.maleLossesCount || 0;
+        bySex.losses.female += l.femaleLossesCount || 0;
+        bySex.losses.unknown += l.unknownLossesCount || 0;
+    });
+
+    const weanedPairs = sized.filter(l => l.litterSizeWeaned !== null && l.litterSizeWeaned !== undefined);
+    const weanedBorn = weanedPairs.reduce((sum, l) => sum + bornSize(l), 0);
+    const weaned = weanedPairs.reduce((sum, l) => sum + l.litterSizeWeaned, 0);
+
+    const reachedPregnancy = litters.filter((l, i) => ['pregnant', 'born', 'weaned', 'lost'].includes(statuses[i]) || l.pregnancyDate).length;
+    const lost = statuses.filter(s => s === 'lost').length;
+    const pastPlanning = statuses.filter(s => s && s !== 'planned').length;
+    const failed = statuses.filter(s => s === 'failed').length;
+
+    const gaps = extra.interLitterGaps || interLitterGaps(litters);
+    const firstLitterAges = extra.firstLitterAges || [];
+
+    return {
+        litters: litters.length,
+        littersBorn: born.length,
+        totalBorn: bornTotal,
+        totalWeaned: weaned,
+        avgLitterSize: round(mean(sized.map(bornSize)), 2),
+        avgWeaned: round(mean(weanedPairs.map(l => l.litterSizeWeaned)), 2),
+        weaningRate: round(ratio(weaned, weanedBorn)),
+        stillbornRate: round(ratio(stillborn, bornTotal)),
+        preWeaningLossRate: round(ratio(losses, bornTotal)),
+        mortalityRate: round(ratio(stillborn + losses, bornTotal)),
+        mortalityBySex: bySex,
+        avgInterLitterDays: round(mean(gaps), 1),
+        ageAtFirstLitterDays: round(mean(firstLitterAges), 1),
+        pregnancyLossRate: round(ratio(lost, reachedPregnancy)),
+        failedMatingRate: round(ratio(failed, pastPlanning)),
+    };
+}
+
+// Age (days) of `animal` at its first litter among `litters`, or null.
+function ageAtFirstLitter(animal, litters) {
+    const born = time(animal && animal.birthDate);
+    const first = litters.map(l => time(l.birthDate)).filter(t => t !== null).sort((a, b) => a - b)[0];
+    if (born === null || first === undefined || first < born) return null;
+    return (first - born) / DAY_MS;
+}
+
+/**
+ * @param {Object} input
+ * @param {Array} input.litters - Litter records (already filtered to the species/date range wanted)
+ * @param {Array} [input.allLitters] - the same records before the date filter, for first-litter
+ *   ages (defaults to `litters`)
+ * @param {Map<String, Object>} input.animals - id_public → { id_public, name, prefix, suffix, species, birthDate }
+ * @param {Array} [input.lineDefs] - [{ id, name, color }], one per BreedingLine
+ * @param {Object} [input.animalLines] - { id_public: [lineId] } line membership per animal
+ * @returns {{ overall, dams: Array, sires: Array, lines: Array }} parents/lines sorted by litter count
+ */
+function buildBreedingPerformance({ litters, allLitters = litters, animals = new Map(), lineDefs = [], animalLines = {} }) {
+    const group = (key, from = litters) => {
+        const map = new Map();
+        from.forEach(l => {
+            const id = l[key];
+            if (!id) return;
+            if (!map.has(id)) map.set(id, []);
+            map.get(id).push(l);
+        });
+        return map;
+    };
+
+    const describe = (id) => {
+        const a = animals.get(id);
+        return {
+            id_public: id,
+            name: a ? [a.prefix, a.name, a.suffix].filter(Boolean).join(' ') : null,
+            species: a ? a.species || null : null,
+        };
+    };
+
+    const perParent = (key) => {
+        const everyLitter = group(key, allLitters);
+        return [...group(key).entries()]
+            .map(([id, ls]) => {
+                const firstAge = ageAtFirstLitter(animals.get(id), everyLitter.get(id) || ls);
+                return { ...describe(id), ...summarizeLitters(ls, { firstLitterAges: firstAge === null ? [] : [firstAge] }) };
+            })
+            .sort((a, b) => b.litters - a.litters);
+    };
+
+    // Gaps and first-litter ages are per-animal figures; groups average over their animals.
+    const animalFigures = (ids, byAnimal, littersOf) => {
+        const gaps = [];
+        const ages = [];
+        ids.forEach(id => {
+            const ls = littersOf.get(id);
+            if (!ls) return;
+            gaps.push(...interLitterGaps(ls));
+            const age = ageAtFirstLitter(byAnimal.get(id), allDamLitters.get(id) || ls);
+            if (age !== null) ages.push(age);
+        });
+        return { interLitterGaps: gaps, firstLitterAges: ages };
+    };
+
+    const damLitters = group('damId_public');
+    const allDamLitters = group('damId_public', allLitters);
+
+    const lines = (lineDefs || []).map(def => {
+        const members = new Set(Object.entries(animalLines || {})
+            .filter(([, ids]) => Array.isArray(ids) && ids.some(id => String(id) === String(def.id)))
+            .map(([animalId]) => animalId));
+        const lineLitters = litters.filter(l => members.has(l.damId_public) || members.has(l.sireId_public));
+        const dams = [...members].filter(id => damLitters.has(id));
+        return {
+            id: def.id,
+            name: def.name,
+            color: def.color || null,
+            animals: members.size,
+            ...summarizeLitters(lineLitters, animalFigures(dams, animals, damLitters)),
+        };
+    }).sort((a, b) => b.litters - a.litters);
+
+    return {
+        overall: summarizeLitters(litters, animalFigures([...damLitters.keys()], animals, damLitters)),
+        dams: perParent('damId_public'),
+        sires: perParent('sireId_public'),
+        lines,
+    };
+}
+
+module.exports = {
+    summarizeLitters,
+    buildBreedingPerformance
+};
@@ -0,0 +1,29 @@
+/**
+ * Minimal CSV serialisation shared by the export endpoints (RFC 4180 quoting, CRLF rows).
+ */
+
+function csvEscape(val) {
+    if (val === null || val === undefined) return '';
+    let s;
+    if (typeof val === 'object') {
+        s = JSON.stringify(val);
+    } else {
+        s = String(val);
+    }
+    if (s.includes(',') || s.includes('\n') || s.includes('"') || s.includes('\r')) {
+        return '"' + s.replace(/"/g, '""') + '"';
+    }
+    return s;
+}
+
+function toCSV(records) {
+    if (!records || records.length === 0) return 'No records exported.';
+    const headers = Object.keys(records[0]);
+    const rows = [headers.join(',')];
+    for (const rec of records) {
+        rows.push(headers.map(h => csvEscape(rec[h])).join(','));
+    }
+    return rows.join('\r\n');
+}
+
+module.exports = { csvEscape, toCSV };
@@ -0,0 +1,149 @@
+/**
+ * enclosureAssignment.js
+ *
+ * Rules checked when an animal is assigned to an enclosure (Enclosure.assignmentRules). Each
+ * rule is 'off', 'soft' (assign, but return a warning) or 'hard' (refuse unless the owner gives
+ * an override reason, which is kept in the EnclosureLog):
+ *
+ *   capacity     more animals than Enclosure.capacity
+ *   species      a species not in Enclosure.speciesLabels, or — without labels — a species
+ *                other than the current occupants'
+ *   sexMixing    sexPolicy 'no_intact_mixed': an intact male with intact females;
+ *                'single_sex': males with females, neutered or not. 'Mixed' (a group) counts as
+ *                both sexes; Unknown and Intersex are never flagged
+ *   quarantine   an animal neither in quarantine nor in treatment going into an enclosure whose
+ *                purpose is 'health'
+ *
+ * Occupants are the enclosure's other animals that are not deceased or rehomed.
+ */
+
+const RULE_MODES = ['off', 'soft', 'hard'];
+const ASSIGNMENT_RULES = ['capacity', 'species', 'sexMixing', 'quarantine'];
+const SEX_POLICIES = ['no_intact_mixed', 'single_sex'];
+const DEFAULT_ASSIGNMENT_RULES = {
+    capacity: 'soft',
+    species: 'soft',
+    sexMixing: 'off',
+    sexPolicy: 'no_intact_mixed',
+    quarantine: 'soft',
+};
+const INACTIVE_STATUSES = ['Deceased', 'Rehomed'];
+const MAX_OVERRIDE_REASON_LENGTH = 500;
+
+/**
+ * Checks an assignmentRules payload; missing keys keep their defaults.
+ * @returns {Array<String>} one message per problem
+ */
+function validateAssignmentRules(rules) {
+    if (rules === null || rules === undefined) return [];
+    if (typeof rules !== 'object' || Array.isArray(rules)) return ['assignmentRules must be an object.'];
+    const errors = [];
+    ASSIGNMENT_RULES.forEach(rule => {
+        if (rules[rule] !== undefined && !RULE_MODES.includes(rules[rule])) {
+            errors.push(`assignmentRules.${rule} must be one of: ${RULE_MODES.join(', ')}.`);
+        }
+    });
+    if (rules.sexPolicy !== undefined && !SEX_POLICIES.includes(rules.sexPolicy)) {
+        errors.push(`assignmentRules.sexPolicy must be one of: ${SEX_POLICIES.join(', ')}.`);
+    }
+    return errors;
+}
+
+// Stored rules over the defaults; enclosures created before the rules existed get the defaults.
+function resolveAssignmentRules(rules = {}) {
+    const resolved = { ...DEFAULT_ASSIGNMENT_RULES };
+    Object.keys(resolved).forEach(key => {
+        if (rules && rules[key] !== undefined && rules[key] !== null) resolved[key] = rules[key];
+    });
+    return resolved;
+}
+
+const sexesOf = (animal) => (animal.gender === 'Mixed' ? ['Male', 'Female'] : ['Male', 'Female'].includes(animal.gender) ? [animal.gender] : []);
+const nameOf = (animal) => [animal.prefix, animal.name, animal.suffix].filter(Boolean).join(' ') || animal.id_public;
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * @param {Object} input
+ * @param {Object} input.enclosure - capacity, speciesLabels, purpose, assignmentRules
+ * @param {Object} input.animal - id_public, name, species, gender, isNeutered, isQuarantine, isInTreatment
+ * @param {Array<Object>} input.occupants - the enclosure's animals (the animal itself is skipped)
+ * @returns {{ allowed: Boolean, warnings: Array, rejections: Array }} each violation
+ *   { rule, code, message, ...details }; allowed is false while there are rejections
+ */
+function evaluateAssignment({ enclosure, animal, occupants = [] }) {
+    const rules = resolveAssignmentRules(enclosure.assignmentRules);
+    const others = occupants.filter(o => o.id_public !== animal.id_public && !INACTIVE_STATUSES.includes(o.status));
+    const violations = [];
+    const add = (rule, code, message, details = {}) => violations.push({ rule, code, message, ...details });
+
+    if (rules.capacity !== 'off' && enclosure.capacity && others.length + 1 > enclosure.capacity) {
+        add('capacity', 'over_capacity', `${enclosure.name || 'This enclosure'} holds ${enclosure.capacity}; this would make ${others.length + 1}.`,
+            { capacity: enclosure.capacity, occupants: others.length });
+    }
+
+    if (rules.species !== 'off') {
+        const labels = (enclosure.speciesLabels || []).filter(Boolean);
+        if (labels.length) {
+            if (!labels.some(label => sameText(label, animal.species))) {
+                add('species', 'species_not_allowed', `${animal.species} is not listed as suitable for this enclosure.`,
+                    { species: animal.species, allowedSpecies: labels });
+            }
+        } else {
+            const otherSpecies = [...new Set(others.map(o => o.species).filter(s => s && !sameText(s, animal.species)))];
+            if (otherSpecies.length) {
+                add('species', 'mixed_species', `This enclosure already houses ${otherSpecies.join(', ')}.`,
+                    { species: animal.species, occupantSpecies: otherSpecies });
+            }
+        }
+    }
+
+    if (rules.sexMixing !== 'off') {
+        const mine = sexesOf(animal);
+        const conflicts = others.filter(o => {
+            const theirs = sexesOf(o);
+            const mixed = mine.some(a => theirs.some(b => a !== b));
+            if (!mixed) return false;
+            return rules.sexPolicy === 'single_sex' || (!animal.isNeutered && !o.isNeutered);
+        });
+        if (conflicts.length) {
+            const message = rules.sexPolicy === 'single_sex'
+                ? 'This enclosure is single-sex.'
+                : 'An intact male would be housed with intact females.';
+            add('sexMixing', rules.sexPolicy === 'single_sex' ? 'mixed_sexes' : 'intact_mixed_sexes', message,
+                { conflictingAnimals: conflicts.map(o => ({ id_public: o.id_public, name: nameOf(o), gender: o.gender, isNeutered: !!o.isNeutered })) });
+        }
+    }
+
+    if (rules.quarantine !== 'off' && enclosure.purpose === 'health' && !animal.isQuarantine && !animal.isInTreatment) {
+        add('quarantine', 'not_in_quarantine', 'This enclosure is for quarantine and treatment; the animal is in neither.');
+    }
+
+    const warnings = violations.filter(v => rules[v.rule] === 'soft');
+    const rejections = violations.filter(v => rules[v.rule] === 'hard');
+    return { allowed: rejections.length === 0, warnings, rejections };
+}
+
+/**
+ * @returns {{ reason: String|null, errors: Array<String> }}
+ */
+function normalizeOverrideReason(value) {
+    if (value === null || value === undefined || value === '') return { reason: null, errors: [] };
+    if (typeof value !== 'string' || !value.trim()) return { reason: null, errors: ['overrideReason must be text.'] };
+    const reason = value.trim();
+    if (reason.length > MAX_OVERRIDE_REASON_LENGTH) {
+        return { reason: null, errors: [`overrideReason must be at most ${MAX_OVERRIDE_REASON_LENGTH} characters.`] };
+    }
+    return { reason, errors: [] };
+}
+
+module.exports = {
+    RULE_MODES,
+    ASSIGNMENT_RULES,
+    SEX_POLICIES,
+    DEFAULT_ASSIGNMENT_RULES,
+    INACTIVE_STATUSES,
+    validateAssignmentRules,
+    resolveAssignmentRules,
+    evaluateAssignment,
+    normalizeOverrideReason
+};
@@ -0,0 +1,337 @@
+/**
+ * enclosureReadings.js
+ *
+ * Environmental readings for an enclosure (EnclosureReading model), entered by hand or posted
+ * by a local sensor script with the enclosure's sensor key:
+ *
+ *   temperature    in the reading's temperatureUnit (C/F); compared against tempMin/tempMax
+ *                  after converting to the enclosure's temperatureUnit
+ *   humidity       % relative humidity; compared against humidityMin/humidityMax
+ *   ph, ammonia,   water parameters (ammonia, nitrite and nitrate in ppm); compared against
+ *   nitrite,       phMin/phMax, ammoniaMax, nitriteMax and nitrateMax
+ *   nitrate
+ *
+ * A target left empty is not checked. Each reading stores the breaches found when it was
+ * recorded, so the log shows what was out of range against the targets of the time.
+ *
+ * Alerts follow the enclosure's latest reading: the first out-of-range reading alerts, a
+ * still-out-of-range reading alerts again when another value drifts out or after
+ * READING_ALERT_REPEAT_HOURS, and the first reading back in range sends an all-clear.
+ * Back-filled readings (older than the latest one, or than READING_ALERT_MAX_AGE_HOURS)
+ * never alert.
+ */
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const READING_SOURCES = ['manual', 'sensor'];
+const WATER_FIELDS = ['ph', 'ammonia', 'nitrite', 'nitrate'];
+const READING_FIELDS = ['temperature', 'humidity', ...WATER_FIELDS];
+const READING_LABELS = {
+    temperature: 'Temperature',
+    humidity: 'Humidity',
+    ph: 'pH',
+    ammonia: 'Ammonia',
+    nitrite: 'Nitrite',
+    nitrate: 'Nitrate',
+};
+// Enclosure target fields per reading field
+const READING_TARGETS = {
+    temperature: ['tempMin', 'tempMax'],
+    humidity: ['humidityMin', 'humidityMax'],
+    ph: ['phMin', 'phMax'],
+    ammonia: [null, 'ammoniaMax'],
+    nitrite: [null, 'nitriteMax'],
+    nitrate: [null, 'nitrateMax'],
+};
+// Plausible bounds; anything outside is a typo or a faulty probe. Temperature in °C.
+const READING_BOUNDS = {
+    temperature: [-50, 100],
+    humidity: [0, 100],
+    ph: [0, 14],
+    ammonia: [0, 1000],
+    nitrite: [0, 1000],
+    nitrate: [0, 1000],
+};
+
+const READING_ALERT_REPEAT_HOURS = 6;
+const READING_ALERT_MAX_AGE_HOURS = 24;
+// Most readings a sensor may post in one request (buffered readings after an outage)
+const MAX_SENSOR_BATCH = 100;
+const MAX_SUMMARY_DAYS = 366;
+// Sensor clocks may run slightly ahead
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+const SENSOR_KEY_PREFIX = 'ctsk_';
+
+// statusCode 401 for a missing or unknown sensor key, 404 for a missing reading.
+class EnclosureReadingError extends Error {
+    constructor(message, errors = [], statusCode = 400) {
+        super(message);
+        this.name = 'EnclosureReadingError';
+        this.statusCode = statusCode;
+        this.errors = errors;
+    }
+}
+
+const round = (value, places = 2) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(places)));
+
+// '' and null mean "not measured"; anything else must be a number.
+function parseReadingNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+    return Number.isFinite(number) ? number : NaN;
+}
+
+function convertTemperature(value, from = 'C', to = 'C') {
+    if (value === null || value === undefined || from === to) return value ?? null;
+    return from === 'F' ? (value - 32) * 5 / 9 : value * 9 / 5 + 32;
+}
+
+/**
+ * Cleans a reading payload.
+ * @param {Object} input - recordedAt, temperature, temperatureUnit, humidity, ph, ammonia,
+ *   nitrite, nitrate, notes
+ * @param {Object} [options]
+ * @param {String} [options.temperatureUnit] - unit assumed when the payload names none
+ * @param {Date} [options.now]
+ * @returns {{ reading: Object|null, errors: Array<String> }} reading null when input is not an object
+ */
+function normalizeReading(input = {}, { temperatureUnit = 'C', now = new Date() } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { reading: null, errors: ['A reading must be an object.'] };
+    }
+    const errors = [];
+    const reading = {
+        recordedAt: input.recordedAt ? new Date(input.recordedAt) : new Date(now),
+        temperatureUnit: input.temperatureUnit || temperatureUnit,
+        notes: typeof input.notes === 'string' ? input.notes.trim() : '',
+    };
+    if (isNaN(reading.recordedAt.getTime())) errors.push('recordedAt is not a valid date.');
+    else if (reading.recordedAt.getTime() > new Date(now).getTime() + FUTURE_TOLERANCE_MS) errors.push('recordedAt cannot be in the future.');
+    if (!['C', 'F'].includes(reading.temperatureUnit)) errors.push('temperatureUnit must be C or F.');
+
+    READING_FIELDS.forEach(field => {
+        const value = parseReadingNumber(input[field]);
+        reading[field] = value;
+        if (value === null) return;
+        if (Number.isNaN(value)) {
+            errors.push(`${field} must be a number.`);
+            return;
+        }
+        const [low, high] = READING_BOUNDS[field];
+        const checked = field === 'temperature' ? convertTemperature(value, reading.temperatureUnit, 'C') : value;
+        if (checked < low || checked > high) errors.push(`${field} is outside the plausible range.`);
+    });
+    if (READING_FIELDS.every(field => reading[field] === null)) errors.push('Record at least one measurement.');
+    if (reading.notes.length > 500) errors.push('notes must be at most 500 characters.');
+    return { reading, errors };
+}
+
+/**
+ * Checks an enclosure's target fields (tempMin … nitrateMax) as sent to the enclosure routes.
+ * @returns {Array<String>} one message per problem
+ */
+function validateReadingTargets(targets = {}) {
+    const errors = [];
+    Object.entries(READING_TARGETS).forEach(([field, [minKey, maxKey]]) => {
+        const min = minKey ? parseReadingNumber(targets[minKey]) : null;
+        const max = parseReadingNumber(targets[maxKey]);
+        if (Number.isNaN(min)) errors.push(`${minKey} must be a number.`);
+        if (Number.isNaN(max)) errors.push(`${maxKey} must be a number.`);
+        if (field !== 'temperature' && [min, max].some(v => v !== null && v < 0)) {
+            errors.push(`${READING_LABELS[field]} targets cannot be negative.`);
+        }
+        if (min !== null && max !== null && !Number.isNaN(min) && !Number.isNaN(max) && min > max) {
+            errors.push(`${minKey} cannot be above ${maxKey}.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * A reading's values outside the enclosure's targets.
+ * @returns {Array<{ field, label, value, unit, min, max, direction: 'low'|'high' }>} temperature
+ *   values and targets in the enclosure's unit
+ */
+function checkReadingRanges(reading, enclosure = {}) {
+    const breaches = [];
+    const enclosureUnit = enclosure.temperatureUnit || 'C';
+    READING_FIELDS.forEach(field => {
+        let value = reading[field];
+        if (value === null || value === undefined) return;
+        const [minKey, maxKey] = READING_TARGETS[field];
+        const min = minKey ? enclosure[minKey] ?? null : null;
+        const max = enclosure[maxKey] ?? null;
+        if (field === 'temperature') value = round(convertTemperature(value, reading.temperatureUnit || 'C', enclosureUnit), 1);
+        const direction = min !== null && value < min ? 'low' : max !== null && value > max ? 'high' : null;
+        if (!direction) return;
+        breaches.push({
+            field,
+            label: READING_LABELS[field],
+            value,
+            unit: field === 'temperature' ? enclosureUnit : field === 'humidity' ? '%' : field === 'ph' ? '' : 'ppm',
+            min,
+            max,
+            direction,
+        });
+    });
+    return breaches;
+}
+
+// "Temperature 31.5 C (max 30)"
+function describeBreach(breach) {
+    const unit = breach.unit === '%' ? '%' : breach.unit ? ` ${breach.unit}` : '';
+    const limit = breach.direction === 'low' ? `min ${breach.min}` : `max ${breach.max}`;
+    return `${breach.label} ${breach.value}${unit} (${limit})`;
+}
+
+/**
+ * Whether a new reading changes the enclosure's alert state, and what to send.
+ * @param {Object|null} state - Enclosure.readingAlert: { active, fields, since, lastNotifiedAt }
+ * @param {Array} breaches - checkReadingRanges() for the reading
+ * @param {Object} context - { recordedAt, lastReadingAt, now }
+ * @returns {{ notify: 'out_of_range'|'back_in_range'|null, state: Object|null }} state null
+ *   when the reading does not drive alerts (back-filled)
+ */
+function decideReadingAlert(state, breaches, { recordedAt, lastReadingAt = null, now = new Date() }) {
+    const at = new Date(recordedAt).getTime();
+    const nowMs = new Date(now).getTime();
+    if (lastReadingAt && at < new Date(lastReadingAt).getTime()) return { notify: null, state: null };
+    if (nowMs - at > READING_ALERT_MAX_AGE_HOURS * HOUR_MS) return { notify: null, state: null };
+
+    const current = state && state.active ? state : null;
+    const fields = breaches.map(b => b.field);
+    if (!fields.length) {
+        return current
+            ? { notify: 'back_in_range', state: { active: false, fields: [], since: null, lastNotifiedAt: new Date(nowMs) } }
+            : { notify: null, state: null };
+    }
+    if (!current) {
+        return { notify: 'out_of_range', state: { active: true, fields, since: new Date(at), lastNotifiedAt: new Date(nowMs) } };
+    }
+    const newField = fields.some(f => !(current.fields || []).includes(f));
+    const lastNotified = current.lastNotifiedAt ? new Date(current.lastNotifiedAt).getTime() : 0;
+    const repeat = nowMs - lastNotified >= READING_ALERT_REPEAT_HOURS * HOUR_MS;
+    return {
+        notify: newField || repeat ? 'out_of_range' : null,
+        state: {
+            active: true,
+            fields,
+            since: current.since || new Date(at),
+            lastNotifiedAt: newField || repeat ? new Date(nowMs) : current.lastNotifiedAt,
+        },
+    };
+}
+
+/**
+ * Calendar day of a date in a time zone, as YYYY-MM-DD.
+ * @throws {RangeError} for an unknown time zone
+ */
+const dayKey = (date, timeZone = 'UTC') => new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+}).format(new Date(date));
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        dayKey(new Date(), timeZone);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// Temperature in `unit`, as an aggregation expression over a stored reading.
+function temperatureExpression(unit) {
+    const fromF = { $divide: [{ $multiply: [{ $subtract: ['$temperature', 32] }, 5] }, 9] };
+    const fromC = { $add: [{ $divide: [{ $multiply: ['$temperature', 9] }, 5] }, 32] };
+    const other = unit === 'F' ? 'C' : 'F';
+    return { $cond: [{ $eq: [{ $ifNull: ['$temperatureUnit', 'C'] }, other] }, unit === 'F' ? fromC : fromF, '$temperature'] };
+}
+
+/**
+ * Aggregation stages reducing stored readings to one group per calendar day, oldest first, so a
+ * long window of sensor readings is summarised in MongoDB instead of being loaded. Put a $match
+ * for the enclosure and window in front; dailySummaryFromGroups() shapes the result.
+ * @param {Object} [options] - { temperatureUnit: unit to report temperatures in, timeZone }
+ */
+function dailyReadingSummaryStages({ temperatureUnit = 'C', timeZone = 'UTC' } = {}) {
+    const project = {
+        day: { $dateToString: { format: '%Y-%m-%d', date: '$recordedAt', timezone: timeZone } },
+        outOfRange: { $cond: [{ $gt: [{ $size: { $ifNull: ['$breaches', []] } }, 0] }, 1, 0] },
+    };
+    const group = { _id: '$day', readings: { $sum: 1 }, outOfRange: { $sum: '$outOfRange' } };
+    READING_FIELDS.forEach(field => {
+        project[field] = field === 'temperature' ? temperatureExpression(temperatureUnit) : `$${field}`;
+        // $min/$max/$avg skip nulls and missing values; count only the readings that measured it
+        group[`${field}Min`] = { $min: `$${field}` };
+        group[`${field}Max`] = { $max: `$${field}` };
+        group[`${field}Mean`] = { $avg: `$${field}` };
+        group[`${field}Count`] = { $sum: { $cond: [{ $in: [{ $type: `$${field}` }, ['double', 'int', 'long', 'decimal']] }, 1, 0] } };
+    });
+    return [{ $project: project }, { $group: group }, { $sort: { _id: 1 } }];
+}
+
+/**
+ * Daily min / max / mean per measurement from dailyReadingSummaryStages() groups.
+ * @returns {Array<{ date, readings, outOfRange, temperature, humidity, ph, ammonia, nitrite, nitrate }>}
+ *   each measurement { min, max, mean, count }, or null when not measured that day
+ */
+function dailySummaryFromGroups(groups) {
+    return groups.map(g => {
+        const day = { date: g._id, readings: g.readings, outOfRange: g.outOfRange };
+        READING_FIELDS.forEach(field => {
+            const count = g[`${field}Count`] || 0;
+            day[field] = count ? {
+                min: round(g[`${field}Min`]),
+                max: round(g[`${field}Max`]),
+                mean: round(g[`${field}Mean`]),
+                count,
+            } : null;
+        });
+        return day;
+    });
+}
+
+/**
+ * A from/to query window, defaulting to the last `defaultDays` days.
+ * @returns {{ from: Date, to: Date, errors: Array<String> }}
+ */
+function readingWindow({ from, to } = {}, { defaultDays = 30, maxDays = MAX_SUMMARY_DAYS, now = new Date() } = {}) {
+    const errors = [];
+    const end = to ? new Date(to) : new Date(now);
+    const start = from ? new Date(from) : new Date(end.getTime() - defaultDays * DAY_MS);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) errors.push('from and to must be valid dates.');
+    else if (start > end) errors.push('from must be before to.');
+    else if (end - start > maxDays * DAY_MS) errors.push(`The window can span at most ${maxDays} days.`);
+    return { from: start, to: end, errors };
+}
+
+// Sensor keys are shown once; only their SHA-256 hash is stored.
+const generateSensorKey = () => SENSOR_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+const hashSensorKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+module.exports = {
+    READING_SOURCES,
+    WATER_FIELDS,
+    READING_FIELDS,
+    READING_LABELS,
+    READING_TARGETS,
+    READING_ALERT_REPEAT_HOURS,
+    READING_ALERT_MAX_AGE_HOURS,
+    MAX_SENSOR_BATCH,
+    MAX_SUMMARY_DAYS,
+    EnclosureReadingError,
+    convertTemperature,
+    normalizeReading,
+    validateReadingTargets,
+    checkReadingRanges,
+    describeBreach,
+    decideReadingAlert,
+    isValidTimeZone,
+    dailyReadingSummaryStages,
+    dailySummaryFromGroups,
+    readingWindow,
+    generateSensorKey,
+    hashSensorKey
+};
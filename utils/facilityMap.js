@@ -0,0 +1,228 @@
+/**
+ * facilityMap.js
+ *
+ * The location tree (Location.parentLocationId) with occupancy roll-ups, for planning where
+ * animals and new litters go:
+ *
+ *   building → room → rack → shelf
+ *
+ * A location's parent must be of a shallower type (a shelf may sit in a room, not a room on a
+ * shelf), which also rules out cycles. Buildings have no parent; rooms without one are
+ * "unassigned" as before.
+ *
+ * An enclosure sits at its most specific location: locationId, else roomId, else buildingId.
+ * Every node reports its own enclosures' figures (`own`) and those summed over its subtree
+ * (`totals`):
+ *
+ *   enclosures     count
+ *   animals        total, bySpecies, bySex, byStatus — animals not deceased or rehomed
+ *   capacity       summed Enclosure.capacity of enclosures that set one
+ *   freeCapacity   free places in those enclosures (full ones count 0, not negative)
+ *   uncapped       enclosures without a capacity
+ *   overdueTasks   cleaning/maintenance tasks past their frequency
+ */
+
+const LOCATION_TYPES = ['building', 'room', 'rack', 'shelf'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const depthOf = (type) => LOCATION_TYPES.indexOf(type);
+
+/**
+ * Whether `parent` may hold a location of `type`.
+ * @returns {String|null} the problem, or null when allowed
+ */
+function checkLocationParent(type, parent) {
+    if (depthOf(type) === -1) return `type must be one of: ${LOCATION_TYPES.join(', ')}.`;
+    if (!parent) return type === 'rack' || type === 'shelf' ? `A ${type} must be inside another location.` : null;
+    if (type === 'building') return 'A building cannot be inside another location.';
+    if (depthOf(parent.type) >= depthOf(type)) return `A ${type} cannot be inside a ${parent.type}.`;
+    return null;
+}
+
+/**
+ * Frequency of an Enclosure.cleaningTasks entry in days (frequencyDays on older entries).
+ */
+const cleaningTaskFreqDays = (t) => {
+    if (t.frequencyDays) return t.frequencyDays;
+    if (!t.frequency) return null;
+    const mult = t.frequencyUnit === 'weeks' ? 7 : t.frequencyUnit === 'months' ? 30 : t.frequencyUnit === 'years' ? 365 : 1;
+    return t.frequency * mult;
+};
+
+// Overdue on the day the frequency has passed since lastDoneDate; never-done tasks are overdue.
+function isCleaningTaskOverdue(task, now = new Date()) {
+    const freq = cleaningTaskFreqDays(task);
+    if (!freq) return false;
+    if (!task.lastDoneDate) return true;
+    const done = new Date(task.lastDoneDate);
+    if (isNaN(done.getTime())) return false;
+    done.setHours(0, 0, 0, 0);
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    return Math.floor((today - done) / DAY_MS) >= Number(freq);
+}
+
+/**
+ * Ancestors of a location, nearest first.
+ * @param {Map<String, Object>} byId - locations by id string
+ */
+function locationAncestors(location, byId) {
+    const chain = [];
+    const seen = new Set([String(location._id)]);
+    let parentId = location.parentLocationId;
+    while (parentId && byId.has(String(parentId)) && !seen.has(String(parentId))) {
+        const parent = byId.get(String(parentId));
+        chain.push(parent);
+        seen.add(String(parentId));
+        parentId = parent.parentLocationId;
+    }
+    return chain;
+}
+
+/**
+ * The buildingId / roomId an enclosure placed at `location` is filed under.
+ * @returns {{ buildingId, roomId }} null where the chain has none
+ */
+function placementFor(location, byId) {
+    const chain = [location, ...locationAncestors(location, byId)];
+    const building = chain.find(l => l.type === 'building');
+    const room = chain.find(l => l.type === 'room');
+    return { buildingId: building ? building._id : null, roomId: room ? room._id : null };
+}
+
+const emptyStats = (withSpecies = false) => ({
+    enclosures: 0,
+    animals: { total: 0, bySpecies: {}, bySex: {}, byStatus: {} },
+    capacity: 0,
+    freeCapacity: 0,
+    uncapped: 0,
+    overdueTasks: 0,
+    ...(withSpecies ? { freeCapacityForSpecies: 0 } : {}),
+});
+
+const bumpKey = (counts, key, n = 1) => { counts[key] = (counts[key] || 0) + n; };
+
+function addStats(into, from) {
+    into.enclosures += from.enclosures;
+    into.animals.total += from.animals.total;
+    ['bySpecies', 'bySex', 'byStatus'].forEach(group => {
+        Object.entries(from.animals[group]).forEach(([key, n]) => bumpKey(into.animals[group], key, n));
+    });
+    into.capacity += from.capacity;
+    into.freeCapacity += from.freeCapacity;
+    into.uncapped += from.uncapped;
+    into.overdueTasks += from.overdueTasks;
+    if (into.freeCapacityForSpecies !== undefined) into.freeCapacityForSpecies += from.freeCapacityForSpecies;
+}
+
+const suitsSpecies = (enclosure, species) => {
+    const labels = (enclosure.speciesLabels || []).filter(Boolean);
+    return !labels.length || labels.some(l => l.trim().toLowerCase() === species.trim().toLowerCase());
+};
+
+/**
+ * @param {Object} input
+ * @param {Array} input.locations - the user's Location documents (lean)
+ * @param {Array} input.enclosures - the user's enclosures: _id, name, purpose, capacity,
+ *   speciesLabels, cleaningTasks, buildingId, roomId, locationId
+ * @param {Array} input.animals - housed animals: enclosureId, species, gender, status
+ * @param {Object} [options]
+ * @param {String} [options.species] - also report freeCapacityForSpecies: free places in
+ *   enclosures whose speciesLabels include it (or that list none)
+ * @param {Date} [options.now]
+ * @returns {{ locations: Array, unplaced: Object, totals: Object }} locations: the root nodes
+ *   { _id, name, type, parentLocationId, children, enclosures, own, totals }; unplaced: the
+ *   enclosures with no location, as a pseudo-node
+ */
+function buildLocationTree({ locations = [], enclosures = [], animals = [] }, { species = null, now = new Date() } = {}) {
+    const nodes = new Map(locations.map(l => [String(l._id), {
+        _id: l._id,
+        name: l.name,
+        type: l.type,
+        parentLocationId: l.parentLocationId || null,
+        children: [],
+        enclosures: [],
+        own: emptyStats(!!species),
+        totals: null,
+    }]));
+    const unplaced = { name: 'Unplaced', enclosures: [], own: emptyStats(!!species), totals: null };
+
+    const animalsByEnclosure = new Map();
+    animals.forEach(a => {
+        const key = String(a.enclosureId);
+        if (!animalsByEnclosure.has(key)) animalsByEnclosure.set(key, []);
+        animalsByEnclosure.get(key).push(a);
+    });
+
+    enclosures.forEach(enc => {
+        const housed = animalsByEnclosure.get(String(enc._id)) || [];
+        const overdue = (enc.cleaningTasks || []).filter(t => isCleaningTaskOverdue(t, now)).length;
+        const free = enc.capacity ? Math.max(0, enc.capacity - housed.length) : null;
+        const summary = {
+            _id: enc._id,
+            name: enc.name,
+            purpose: enc.purpose || 'general',
+            capacity: enc.capacity || null,
+            animals: housed.length,
+            freeCapacity: free,
+            overdueTasks: overdue,
+            species: [...new Set(housed.map(a => a.species).filter(Boolean))],
+        };
+        const placedAt = [enc.locationId, enc.roomId, enc.buildingId].find(id => id && nodes.has(String(id)));
+        const node = placedAt ? nodes.get(String(placedAt)) : unplaced;
+        node.enclosures.push(summary);
+
+        const stats = node.own;
+        stats.enclosures += 1;
+        housed.forEach(a => {
+            stats.animals.total += 1;
+            bumpKey(stats.animals.bySpecies, a.species || 'Unknown');
+            bumpKey(stats.animals.bySex, a.gender || 'Unknown');
+            bumpKey(stats.animals.byStatus, a.status || 'Unknown');
+        });
+        if (free === null) stats.uncapped += 1;
+        else {
+            stats.capacity += enc.capacity;
+            stats.freeCapacity += free;
+        }
+        if (species && free && suitsSpecies(enc, species)) stats.freeCapacityForSpecies += free;
+        stats.overdueTasks += overdue;
+    });
+
+    // Link children; a location whose parent is missing becomes a root.
+    const roots = [];
+    nodes.forEach(node => {
+        const parentId = node.parentLocationId && String(node.parentLocationId);
+        if (parentId && nodes.has(parentId)) nodes.get(parentId).children.push(node);
+        else roots.push(node);
+    });
+
+    const byTypeThenName = (a, b) => depthOf(a.type) - depthOf(b.type) || a.name.localeCompare(b.name);
+    const rollUp = (node) => {
+        node.children.sort(byTypeThenName);
+        node.enclosures.sort((a, b) => a.name.localeCompare(b.name));
+        node.totals = emptyStats(!!species);
+        addStats(node.totals, node.own);
+        node.children.forEach(child => addStats(node.totals, rollUp(child)));
+        return node.totals;
+    };
+    roots.sort(byTypeThenName);
+
+    const totals = emptyStats(!!species);
+    roots.forEach(root => addStats(totals, rollUp(root)));
+    unplaced.enclosures.sort((a, b) => a.name.localeCompare(b.name));
+    unplaced.totals = unplaced.own;
+    addStats(totals, unplaced.own);
+
+    return { locations: roots, unplaced, totals };
+}
+
+module.exports = {
+    LOCATION_TYPES,
+    checkLocationParent,
+    cleaningTaskFreqDays,
+    isCleaningTaskOverdue,
+    locationAncestors,
+    placementFor,
+    buildLocationTree
+};
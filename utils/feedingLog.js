@@ -0,0 +1,205 @@
+/**
+ * feedingLog.js
+ *
+ * The per-animal feeding log (FeedingRecord): what was offered, how many, and what happened:
+ *
+ *   accepted       eaten
+ *   refused        not taken
+ *   regurgitated   eaten, then brought back up
+ *   skipped        nothing offered this time
+ *
+ * Accepted and skipped feedings move the animal's lastFedDate (and so its feeding-due reminder)
+ * on; refusals and regurgitations do not. lastOfferedDate follows every feeding but skipped ones.
+ *
+ * Offered food (anything but skipped) comes out of stock through the supply ledger, except
+ * refused prey put back (preyReturned, e.g. live feeders).
+ *
+ * The refusal streak is the run of refusals among the latest offered feedings; skipped feedings
+ * neither count nor break it. The owner is notified when it reaches REFUSAL_ALERT_STREAK and at
+ * every REFUSAL_ALERT_STREAK refusals after that.
+ *
+ * Prey ratio: the meal's weight (prey weight × quantity) as a percentage of the animal's body
+ * weight, taken from its latest growth record on or before the feeding and no older than
+ * BODY_WEIGHT_MAX_AGE_DAYS. Prey weight is the request's preyWeight (per item, in the animal's
+ * weight unit unless the value names one) or the supply item's feederWeightGrams.
+ */
+
+const { parseMeasurement } = require('./growthCurves');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FEEDING_OUTCOMES = ['accepted', 'refused', 'regurgitated', 'skipped'];
+const REFUSAL_ALERT_STREAK = 3;
+const BODY_WEIGHT_MAX_AGE_DAYS = 60;
+const SUMMARY_WINDOW_DAYS = 90;
+const MAX_FEEDING_NOTES_LENGTH = 500;
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// statusCode 404 for a missing animal or enclosure.
+class FeedingError extends Error {
+    constructor(message, errors = [], statusCode = 400) {
+        super(message);
+        this.name = 'FeedingError';
+        this.statusCode = statusCode;
+        this.errors = errors;
+    }
+}
+
+const round = (value, places = 2) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(places)));
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Checks a feeding payload: { outcome, quantity, preyWeight, preyReturned, notes, fedAt }.
+ * The older { skipped: true } is read as outcome 'skipped'; outcome defaults to 'accepted'.
+ * @param {Object} [options] - { now, weightUnit: the animal's weight unit for preyWeight }
+ * @returns {{ feeding: Object, errors: Array<String> }} feeding: outcome, quantity (Number|null),
+ *   preyWeightGrams (per item, Number|null), preyReturned, notes, fedAt
+ */
+function normalizeFeeding(input = {}, { now = new Date(), weightUnit = 'g' } = {}) {
+    const errors = [];
+    const outcome = isBlank(input.outcome) ? (input.skipped ? 'skipped' : 'accepted') : input.outcome;
+    if (!FEEDING_OUTCOMES.includes(outcome)) {
+        errors.push(`outcome must be one of: ${FEEDING_OUTCOMES.join(', ')}.`);
+    }
+
+    // Older clients send quantity 0 for "not counted"; it is read as blank.
+    let quantity = null;
+    if (!isBlank(input.quantity) && Number(input.quantity) !== 0) {
+        quantity = Number(input.quantity);
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+            errors.push('quantity must be a number above 0.');
+            quantity = null;
+        }
+    }
+
+    let preyWeightGrams = null;
+    if (!isBlank(input.preyWeight)) {
+        preyWeightGrams = parseMeasurement(input.preyWeight, weightUnit, 'weight');
+        if (!preyWeightGrams || preyWeightGrams <= 0) {
+            errors.push('preyWeight must be a weight above 0, e.g. "25" or "25 g".');
+            preyWeightGrams = null;
+        }
+    }
+
+    let fedAt = new Date(now);
+    if (!isBlank(input.fedAt)) {
+        fedAt = new Date(input.fedAt);
+        if (isNaN(fedAt.getTime())) {
+            errors.push('fedAt must be a date.');
+        } else if (fedAt.getTime() > new Date(now).getTime() + FUTURE_TOLERANCE_MS) {
+            errors.push('fedAt cannot be in the future.');
+        }
+    }
+
+    if (!isBlank(input.notes) && (typeof input.notes !== 'string' || input.notes.length > MAX_FEEDING_NOTES_LENGTH)) {
+        errors.push(`notes must be text of at most ${MAX_FEEDING_NOTES_LENGTH} characters.`);
+    }
+
+    return {
+        feeding: {
+            outcome,
+            quantity,
+            preyWeightGrams: round(preyWeightGrams),
+            preyReturned: outcome === 'refused' && !!input.preyReturned,
+            notes: typeof input.notes === 'string' ? input.notes.trim() : '',
+            fedAt,
+        },
+        errors,
+    };
+}
+
+// Whether a feeding takes its food out of stock.
+const usesStock = (feeding) => feeding.outcome !== 'skipped' && !feeding.preyReturned && !!feeding.quantity;
+
+/**
+ * The animal's weight at the time of a feeding.
+ * @param {Array} points - normalizeGrowthRecords output (oldest first, weights in grams)
+ * @returns {{ grams: Number, date: Date }|null}
+ */
+function bodyWeightAt(points, fedAt, maxAgeDays = BODY_WEIGHT_MAX_AGE_DAYS) {
+    const at = new Date(fedAt).getTime();
+    const earliest = at - maxAgeDays * DAY_MS;
+    for (let i = points.length - 1; i >= 0; i--) {
+        const t = points[i].date.getTime();
+        if (t > at || points[i].weight === null) continue;
+        return t >= earliest && points[i].weight > 0 ? { grams: points[i].weight, date: points[i].date } : null;
+    }
+    return null;
+}
+
+/**
+ * Meal weight and prey-to-body-weight ratio for a feeding.
+ * @returns {{ mealWeightGrams: Number|null, preyRatio: Number|null }} preyRatio in percent
+ */
+function preyRatio(preyWeightGrams, quantity, bodyWeight) {
+    if (!preyWeightGrams) return { mealWeightGrams: null, preyRatio: null };
+    const meal = preyWeightGrams * (quantity || 1);
+    return {
+        mealWeightGrams: round(meal),
+        preyRatio: bodyWeight ? round((meal / bodyWeight.grams) * 100, 1) : null,
+    };
+}
+
+const byNewest = (a, b) => new Date(b.fedAt) - new Date(a.fedAt);
+
+/**
+ * Refusals in a row among the latest offered feedings.
+ * @param {Array} records - FeedingRecords, any order
+ */
+function refusalStreak(records) {
+    let streak = 0;
+    for (const record of [...records].sort(byNewest)) {
+        if (record.outcome === 'skipped') continue;
+        if (record.outcome !== 'refused') break;
+        streak += 1;
+    }
+    return streak;
+}
+
+const isRefusalAlertDue = (streak) => streak >= REFUSAL_ALERT_STREAK && streak % REFUSAL_ALERT_STREAK === 0;
+
+/**
+ * @param {Array} records - an animal's FeedingRecords (at least SUMMARY_WINDOW_DAYS)
+ * @param {Object} [options] - { now }
+ * @returns {{ windowDays, feedings, offered, byOutcome, acceptanceRate, refusalStreak, refusalAlert,
+ *   lastOfferedAt, lastAcceptedAt, averagePreyRatio }} counts and rates over the window;
+ *   acceptanceRate in percent of offered feedings
+ */
+function summarizeFeedings(records, { now = new Date() } = {}) {
+    const since = new Date(now).getTime() - SUMMARY_WINDOW_DAYS * DAY_MS;
+    const recent = records.filter(r => new Date(r.fedAt).getTime() >= since).sort(byNewest);
+    const byOutcome = Object.fromEntries(FEEDING_OUTCOMES.map(o => [o, 0]));
+    recent.forEach(r => { if (byOutcome[r.outcome] !== undefined) byOutcome[r.outcome] += 1; });
+    const offered = recent.length - byOutcome.skipped;
+    const lastOffered = recent.find(r => r.outcome !== 'skipped');
+    const lastAccepted = recent.find(r => r.outcome === 'accepted');
+    const ratios = recent.filter(r => r.outcome === 'accepted' && r.preyRatio != null).map(r => r.preyRatio);
+    const streak = refusalStreak(recent);
+    return {
+        windowDays: SUMMARY_WINDOW_DAYS,
+        feedings: recent.length,
+        offered,
+        byOutcome,
+        acceptanceRate: offered ? round((byOutcome.accepted / offered) * 100, 1) : null,
+        refusalStreak: streak,
+        refusalAlert: streak >= REFUSAL_ALERT_STREAK,
+        lastOfferedAt: lastOffered ? lastOffered.fedAt : null,
+        lastAcceptedAt: lastAccepted ? lastAccepted.fedAt : null,
+        averagePreyRatio: ratios.length ? round(ratios.reduce((a, b) => a + b, 0) / ratios.length, 1) : null,
+    };
+}
+
+module.exports = {
+    FEEDING_OUTCOMES,
+    REFUSAL_ALERT_STREAK,
+    BODY_WEIGHT_MAX_AGE_DAYS,
+    SUMMARY_WINDOW_DAYS,
+    FeedingError,
+    normalizeFeeding,
+    usesStock,
+    bodyWeightAt,
+    preyRatio,
+    refusalStreak,
+    isRefusalAlertDue,
+    summarizeFeedings
+};
@@ -0,0 +1,390 @@
+/**
+ * Genotype parsing and Mendelian offspring prediction against a species' GeneticsData.
+ *
+ * A genetic code is a whitespace-separated list of allele pairs, one per locus, e.g.
+ * "a/a B/b c/ch". "-" stands for an unknown allele ("A/-" = at least one A). Loci are found by
+ * allele membership (so the order of pairs, and of the two alleles within a pair, is free);
+ * pairs are normalised to the notation used by the locus' combinations, else to the locus'
+ * allele order.
+ *
+ * Offspring prediction assumes unlinked loci: each locus gets its own Punnett square, and the
+ * combined tables are products of the per-locus outcomes.
+ */
+
+const UNKNOWN_ALLELE = '-';
+
+// Thrown by the animal save path when a geneticCode does not parse; `errors` holds one
+// { token, message } per offending pair.
+class GeneticCodeError extends Error {
+    constructor(speciesName, errors = []) {
+        super(`Invalid genetic code for ${speciesName}: ${errors.map(e => e.message).join(' ')}`);
+        this.name = 'GeneticCodeError';
+        this.statusCode = 400;
+        this.errors = errors;
+    }
+}
+
+// GeneticsData array → category reported on each locus
+const GENE_CATEGORIES = [
+    ['genes', 'color'],
+    ['markingGenes', 'marking'],
+    ['coatGenes', 'coat'],
+    ['otherGenes', 'other'],
+];
+
+// Combined genotype table is a product across loci; beyond this it is omitted (per-locus
+// tables and the phenotype table are still returned).
+const MAX_GENOTYPE_OUTCOMES = 512;
+
+/**
+ * Indexes every locus of a GeneticsData document by allele symbol.
+ * @returns {{ speciesName, version, loci: Array, alleleLoci: Map<String, Array> }}
+ */
+function buildLocusIndex(geneticsData) {
+    const loci = [];
+    const alleleLoci = new Map();
+
+    for (const [field, category] of GENE_CATEGORIES) {
+        for (const gene of (geneticsData && geneticsData[field]) || []) {
+            const alleles = (gene.alleles || []).map((a, idx) => ({
+                symbol: a.symbol,
+                name: a.name || null,
+                dominance: a.dominance || 'recessive',
+                rank: [a.order || 0, idx],
+            }));
+            const combinations = new Map();
+            (gene.combinations || []).forEach(c => combinations.set(c.notation, {
+                notation: c.notation,
+                phenotype: c.phenotype || null,
+                carrier: c.carrier || null,
+                isLethal: !!c.isLethal,
+            }));
+
+            const locus = {
+                symbol: gene.symbol,
+                name: gene.name,
+                category,
+                alleles,
+                alleleSymbols: new Set(alleles.map(a => a.symbol)),
+                combinations,
+            };
+            loci.push(locus);
+            for (const allele of alleles) {
+                if (!alleleLoci.has(allele.symbol)) alleleLoci.set(allele.symbol, []);
+                alleleLoci.get(allele.symbol).push(locus);
+            }
+        }
+    }
+
+    return {
+        speciesName: geneticsData ? geneticsData.speciesName : null,
+        version: geneticsData ? geneticsData.version : null,
+        loci,
+        alleleLoci,
+    };
+}
+
+const alleleRank = (locus, symbol) => {
+    if (symbol === UNKNOWN_ALLELE) return [Infinity, Infinity];
+    const allele = locus.alleles.find(a => a.symbol === symbol);
+    return allele ? allele.rank : [Infinity, Infinity];
+};
+
+/**
+ * Orders a pair the way the locus writes it: the combination notation if one matches either
+ * order, otherwise by allele order (dominant-first as entered by the admin), unknowns last.
+ * @returns {{ alleles: [String, String], notation: String }}
+ */
+function normalizePair(locus, a1, a2) {
+    if (locus.combinations.has(`${a1}/${a2}`)) return { alleles: [a1, a2], notation: `${a1}/${a2}` };
+    if (locus.combinations.has(`${a2}/${a1}`)) return { alleles: [a2, a1], notation: `${a2}/${a1}` };
+    const [r1, r2] = [alleleRank(locus, a1), alleleRank(locus, a2)];
+    const swap = r1[0] > r2[0] || (r1[0] === r2[0] && r1[1] > r2[1]);
+    const alleles = swap ? [a2, a1] : [a1, a2];
+    return { alleles, notation: alleles.join('/') };
+}
+
+const describeLocus = (locus) => `${locus.name} (${locus.symbol})`;
+
+/**
+ * Parses a genetic code against an index from buildLocusIndex.
+ * @returns {{ genotype: Array<{ locus, locusName, category, alleles, notation }>, normalizedCode: String,
+ *   errors: Array<{ token, message }> }} genotype follows the species' locus order; normalizedCode
+ *   keeps the pairs in the order entered, each in normalised notation; errors is empty when valid
+ */
+function parseGeneticCode(code, index) {
+    const genotype = [];
+    const normalizedTokens = [];
+    const errors = [];
+    const seen = new Map();
+    const tokens = String(code || '').split(/[\s,;]+/).filter(Boolean);
+
+    for (const token of tokens) {
+        const parts = token.split('/');
+        if (parts.length !== 2 || !parts[0] || !parts[1]) {
+            errors.push({ token, message: `"${token}" is not an allele pair (expected e.g. "A/a").` });
+            continue;
+        }
+        const [a1, a2] = parts;
+        if (a1 === UNKNOWN_ALLELE && a2 === UNKNOWN_ALLELE) {
+            errors.push({ token, message: `"${token}" has no known allele.` });
+            continue;
+        }
+
+        const known = [a1, a2].filter(a => a !== UNKNOWN_ALLELE);
+        const unknown = known.filter(a => !index.alleleLoci.has(a));
+        if (unknown.length === known.length) {
+            errors.push({
+                token,
+                message: `Unknown allele${unknown.length > 1 ? 's' : ''} ${unknown.map(a => `"${a}"`).join(' and ')} in "${token}" — not defined for ${index.speciesName || 'this species'}.`
+            });
+            continue;
+        }
+        if (unknown.length > 0) {
+            const locus = index.alleleLoci.get(known.find(a => index.alleleLoci.has(a)))[0];
+            errors.push({
+                token,
+                message: `Unknown allele "${unknown[0]}" in "${token}" — the ${describeLocus(locus)} locus has: ${locus.alleles.map(a => a.symbol).join(', ')}.`
+            });
+            continue;
+        }
+
+        const candidates = index.alleleLoci.get(known[0]).filter(l => known.every(a => l.alleleSymbols.has(a)));
+        if (candidates.length === 0) {
+            const lociNames = known.map(a => describeLocus(index.alleleLoci.get(a)[0]));
+            errors.push({ token, message: `"${token}" mixes alleles from different loci: ${lociNames.join(' and ')}.` });
+            continue;
+        }
+        if (candidates.length > 1) {
+            errors.push({ token, message: `"${token}" is ambiguous — it matches the ${candidates.map(describeLocus).join(', ')} loci.` });
+            continue;
+        }
+
+        const locus = candidates[0];
+        if (seen.has(locus.symbol)) {
+            errors.push({ token, message: `The ${describeLocus(locus)} locus is listed more than once ("${seen.get(locus.symbol)}" and "${token}").` });
+            continue;
+        }
+        seen.set(locus.symbol, token);
+
+        const { alleles, notation } = normalizePair(locus, a1, a2);
+        genotype.push({ locus: locus.symbol, locusName: locus.name, category: locus.category, alleles, notation });
+        normalizedTokens.push(notation);
+    }
+
+    const locusOrder = new Map(index.loci.map((l, idx) => [l.symbol, idx]));
+    genotype.sort((a, b) => locusOrder.get(a.locus) - locusOrder.get(b.locus));
+    return { genotype, normalizedCode: normalizedTokens.join(' '), errors };
+}
+
+/**
+ * Looks up what a (normalised) pair means at a locus. For pairs with an unknown allele the
+ * phenotype is only reported if every possible completion agrees on it.
+ */
+function describePair(locus, alleles, notation) {
+    const combination = locus.combinations.get(notation);
+    if (combination) return combination;
+
+    const knownAllele = alleles.find(a => a !== UNKNOWN_ALLELE);
+    if (alleles.includes(UNKNOWN_ALLELE) && knownAllele) {
+        const completions = locus.alleles.map(a => {
+            const pair = normalizePair(locus, knownAllele, a.symbol);
+            return locus.combinations.get(pair.notation);
+        }).filter(Boolean);
+        const phenotypes = new Set(completions.map(c => c.phenotype));
+        if (completions.length > 0 && phenotypes.size === 1) {
+            return { notation, phenotype: completions[0].phenotype, carrier: null, isLethal: false };
+        }
+    }
+    return { notation, phenotype: null, carrier: null, isLethal: false };
+}
+
+// Gamete frequencies for one parent at one locus. A parent is either a recorded pair
+// ({ alleles }) or, when inferred (utils/genotypeInference.js), a weighted set of possible
+// pairs ({ distribution: [{ alleles, probability }] }).
+const gametesOf = (parent) => {
+    const gametes = new Map();
+    const pairs = parent.distribution || [{ alleles: parent.alleles, probability: 1 }];
+    for (const pair of pairs) {
+        for (const allele of pair.alleles) {
+            gametes.set(allele, (gametes.get(allele) || 0) + pair.probability / 2);
+        }
+    }
+    return gametes;
+};
+
+/**
+ * One locus' Punnett square. Each parent is an allele pair, a parsed genotype entry, or an
+ * entry with an inferred `distribution`.
+ * @returns {Array<{ notation, alleles, probability, phenotype, carrier, isLethal }>}
+ */
+function crossLocus(locus, sire, dam) {
+    const sireGametes = gametesOf(Array.isArray(sire) ? { alleles: sire } : sire);
+    const damGametes = gametesOf(Array.isArray(dam) ? { alleles: dam } : dam);
+    const outcomes = new Map();
+    for (const [s, ps] of sireGametes) {
+        for (const [d, pd] of damGametes) {
+            const { alleles, notation } = normalizePair(locus, s, d);
+            if (!outcomes.has(notation)) {
+                const info = describePair(locus, alleles, notation);
+                outcomes.set(notation, {
+                    notation,
+                    alleles,
+                    probability: 0,
+                    phenotype: info.phenotype,
+                    carrier: info.carrier,
+                    isLethal: info.isLethal,
+                });
+            }
+            outcomes.get(notation).probability += ps * pd;
+        }
+    }
+    return [...outcomes.values()].sort((a, b) => b.probability - a.probability);
+}
+
+const round4 = (p) => parseFloat(p.toFixed(4));
+
+/**
+ * Predicts offspring of two parsed genotypes (see parseGeneticCode). Entries may carry an
+ * inferred `distribution` in place of a recorded pair (see utils/genotypeInference.js).
+ *
+ * Per-locus tables give raw Punnett probabilities (lethal outcomes included). The combined
+ * genotype and phenotype tables are conditioned on viable offspring, since embryos with a lethal
+ * combination are not born; lethalProbability is the share of conceptions lost.
+ *
+ * @returns {Object} { loci, genotypes, genotypesTruncated, phenotypes, lethalProbability,
+ *   lethalWarnings, carriers, parentCarriers, unpredictedLoci }
+ */
+function predictOffspring(sireGenotype, damGenotype, index) {
+    const sireByLocus = new Map(sireGenotype.map(g => [g.locus, g]));
+    const damByLocus = new Map(damGenotype.map(g => [g.locus, g]));
+
+    const loci = [];
+    const unpredictedLoci = [];
+    for (const locus of index.loci) {
+        const sire = sireByLocus.get(locus.symbol);
+        const dam = damByLocus.get(locus.symbol);
+        if (!sire && !dam) continue;
+        if (!sire || !dam) {
+            unpredictedLoci.push({
+                locus: locus.symbol,
+                locusName: locus.name,
+                message: `Only the ${sire ? 'sire' : 'dam'}'s genotype covers the ${describeLocus(locus)} locus; outcomes there are not predicted.`
+            });
+            continue;
+        }
+        loci.push({ locus, outcomes: crossLocus(locus, sire, dam) });
+    }
+
+    // Viable share per locus (lethal outcomes there are mutually exclusive, so they add up);
+    // overall survival assumes independent loci.
+    let survival = 1;
+    const lethalWarnings = [];
+    for (const { locus, outcomes } of loci) {
+        let lethalShare = 0;
+        for (const o of outcomes) {
+            if (!o.isLethal) continue;
+            lethalShare += o.probability;
+            lethalWarnings.push({
+                locus: locus.symbol,
+                locusName: locus.name,
+                notation: o.notation,
+                probability: round4(o.probability),
+                message: `${o.notation} is lethal — expect ${Math.round(o.probability * 100)}% of conceptions at the ${describeLocus(locus)} locus to be lost.`
+            });
+        }
+        survival *= 1 - Math.min(1, lethalShare);
+    }
+
+    // Combined tables over viable outcomes, built locus by locus.
+    let genotypeStates = [{ notations: [], probability: 1 }];
+    let genotypesTruncated = false;
+    let phenotypeStates = new Map([['', { phenotypes: [], probability: 1 }]]);
+    for (const { outcomes } of loci) {
+        const viable = outcomes.filter(o => !o.isLethal);
+        const viableTotal = viable.reduce((sum, o) => sum + o.probability, 0);
+        if (viableTotal === 0) continue;
+
+        if (!genotypesTruncated) {
+            const next = [];
+            for (const state of genotypeStates) {
+                for (const o of viable) {
+                    next.push({ notations: [...state.notations, o.notation], probability: state.probability * o.probability / viableTotal });
+                }
+            }
+            if (next.length > MAX_GENOTYPE_OUTCOMES) {
+                genotypesTruncated = true;
+                genotypeStates = [];
+            } else {
+                genotypeStates = next;
+            }
+        }
+
+        const nextPhenotypes = new Map();
+        for (const state of phenotypeStates.values()) {
+            for (const o of viable) {
+                const phenotypes = o.phenotype ? [...state.phenotypes, o.phenotype] : state.phenotypes;
+                const key = phenotypes.join(' ');
+                if (!nextPhenotypes.has(key)) nextPhenotypes.set(key, { phenotypes, probability: 0 });
+                nextPhenotypes.get(key).probability += state.probability * o.probability / viableTotal;
+            }
+        }
+        phenotypeStates = nextPhenotypes;
+    }
+
+    const carriers = [];
+    for (const { locus, outcomes } of loci) {
+        const viableTotal = outcomes.filter(o => !o.isLethal).reduce((sum, o) => sum + o.probability, 0);
+        const byCarrier = new Map();
+        outcomes.filter(o => o.carrier && !o.isLethal).forEach(o => {
+            byCarrier.set(o.carrier, (byCarrier.get(o.carrier) || 0) + o.probability);
+        });
+        for (const [carrier, p] of byCarrier) {
+            carriers.push({ locus: locus.symbol, locusName: locus.name, carrier, probability: viableTotal > 0 ? round4(p / viableTotal) : 0 });
+        }
+    }
+
+    const parentCarriers = (genotype) => genotype
+        .map(g => {
+            const locus = index.loci.find(l => l.symbol === g.locus);
+            const info = locus ? describePair(locus, g.alleles, g.notation) : null;
+            return info && info.carrier ? { locus: g.locus, locusName: g.locusName, notation: g.notation, carrier: info.carrier } : null;
+        })
+        .filter(Boolean);
+
+    return {
+        loci: loci.map(({ locus, outcomes }) => ({
+            locus: locus.symbol,
+            locusName: locus.name,
+            category: locus.category,
+            outcomes: outcomes.map(o => ({ ...o, probability: round4(o.probability) })),
+        })),
+        genotypes: genotypeStates
+            .map(s => ({ genotype: s.notations.join(' '), probability: round4(s.probability) }))
+            .sort((a, b) => b.probability - a.probability),
+        genotypesTruncated,
+        phenotypes: [...phenotypeStates.entries()]
+            .map(([key, s]) => ({ phenotype: key || null, probability: round4(s.probability) }))
+            .sort((a, b) => b.probability - a.probability),
+        lethalProbability: round4(1 - survival),
+        lethalWarnings,
+        carriers,
+        parentCarriers: {
+            sire: parentCarriers(sireGenotype),
+            dam: parentCarriers(damGenotype),
+        },
+        unpredictedLoci,
+    };
+}
+
+module.exports = {
+    UNKNOWN_ALLELE,
+    GeneticCodeError,
+    GENE_CATEGORIES,
+    MAX_GENOTYPE_OUTCOMES,
+    buildLocusIndex,
+    normalizePair,
+    parseGeneticCode,
+    crossLocus,
+    predictOffspring
+};
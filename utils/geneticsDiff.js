@@ -0,0 +1,110 @@
+/**
+ * Structural diff between two GeneticsData documents (or GeneticsDataVersion snapshots).
+ *
+ * Loci are matched by category + symbol, alleles by symbol, combinations by notation and
+ * phenotype rules by name, so reordering alone is not reported as a change.
+ */
+const { GENE_CATEGORIES } = require('./genetics');
+
+const LOCUS_FIELDS = ['name', 'description'];
+const ALLELE_FIELDS = ['name', 'phenotype', 'dominance'];
+const COMBINATION_FIELDS = ['phenotype', 'carrier', 'isLethal'];
+
+// Schema defaults, so a hand-written or imported document that omits them compares equal.
+const FIELD_DEFAULTS = { dominance: 'recessive', isLethal: false, priority: 0 };
+
+const normalizeValue = (field, value) => {
+    if (value === undefined || value === null || value === '') {
+        return FIELD_DEFAULTS[field] !== undefined ? FIELD_DEFAULTS[field] : null;
+    }
+    return value;
+};
+
+function fieldChanges(before, after, fields) {
+    const changes = [];
+    for (const field of fields) {
+        const from = normalizeValue(field, before[field]);
+        const to = normalizeValue(field, after[field]);
+        if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+    }
+    return changes;
+}
+
+// Generic keyed-list diff: { added: [...], removed: [...], changed: [...] }
+function diffList(beforeList, afterList, keyOf, describe, compare) {
+    const before = new Map((beforeList || []).map(item => [keyOf(item), item]));
+    const after = new Map((afterList || []).map(item => [keyOf(item), item]));
+    const result = { added: [], removed: [], changed: [] };
+
+    for (const [key, item] of after) {
+        if (!before.has(key)) result.added.push(describe(item));
+    }
+    for (const [key, item] of before) {
+        if (!after.has(key)) {
+            result.removed.push(describe(item));
+            continue;
+        }
+        const change = compare(item, after.get(key));
+        if (change) result.changed.push({ ...describe(item), ...change });
+    }
+    return result;
+}
+
+const isEmptyDiff = (d) => d.added.length === 0 && d.removed.length === 0 && d.changed.length === 0;
+
+function compareLocus(before, after) {
+    const fields = fieldChanges(before, after, LOCUS_FIELDS);
+    const alleles = diffList(
+        before.alleles, after.alleles,
+        a => a.symbol,
+        a => ({ symbol: a.symbol }),
+        (a, b) => {
+            const changes = fieldChanges(a, b, ALLELE_FIELDS);
+            return changes.length ? { changes } : null;
+        }
+    );
+    const combinations = diffList(
+        before.combinations, after.combinations,
+        c => c.notation,
+        c => ({ notation: c.notation }),
+        (a, b) => {
+            const changes = fieldChanges(a, b, COMBINATION_FIELDS);
+            return changes.length ? { changes } : null;
+        }
+    );
+    if (fields.length === 0 && isEmptyDiff(alleles) && isEmptyDiff(combinations)) return null;
+    return { changes: fields, alleles, combinations };
+}
+
+/**
+ * @param {Object} from - older GeneticsData/version
+ * @param {Object} to - newer GeneticsData/version
+ * @returns {{ loci: { added, removed, changed }, phenotypeRules: { added, removed, changed }, identical: Boolean }}
+ */
+function diffGeneticsData(from, to) {
+    const lociOf = (doc) => GENE_CATEGORIES.flatMap(([field, category]) =>
+        ((doc && doc[field]) || []).map(gene => ({ ...gene, category })));
+
+    const loci = diffList(
+        lociOf(from), lociOf(to),
+        l => `${l.category}:${l.symbol}`,
+        l => ({ category: l.category, symbol: l.symbol, name: l.name }),
+        compareLocus
+    );
+
+    const phenotypeRules = diffList(
+        from && from.phenotypeRules, to && to.phenotypeRules,
+        r => r.name,
+        r => ({ name: r.name }),
+        (a, b) => {
+            const changes = fieldChanges(a, b, ['conditions', 'priority']);
+            return changes.length ? { changes } : null;
+        }
+    );
+
+    return { loci, phenotypeRules, identical: isEmptyDiff(loci) && isEmptyDiff(phenotypeRules) };
+}
+
+module.exports = {
+    diffGeneticsData
+};
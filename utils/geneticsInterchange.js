@@ -0,0 +1,310 @@
+/**
+ * Portable interchange format for a whole GeneticsData document, so locus tables can be kept
+ * in files and exchanged between clubs instead of being built one endpoint call at a time.
+ *
+ *   {
+ *     format: 'crittertrack-genetics', formatVersion: 1,
+ *     speciesName, sourceVersion, exportedAt, adminNotes,
+ *     genes | markingGenes | coatGenes | otherGenes: [{
+ *       symbol, name, description,
+ *       alleles: [{ symbol, name, phenotype, dominance }],
+ *       combinations: [{ notation, phenotype, carrier, isLethal }]
+ *     }],
+ *     phenotypeRules: [{ name, priority, conditions }]     // see utils/phenotypeRules.js
+ *   }
+ *
+ * Array order is the display order; database ids and `order` fields are not exported.
+ */
+const { GENE_CATEGORIES } = require('./genetics');
+const { PHENOTYPE_FIELDS } = require('./phenotypeRules');
+
+const INTERCHANGE_FORMAT = 'crittertrack-genetics';
+const INTERCHANGE_FORMAT_VERSION = 1;
+const DOMINANCE_VALUES = ['dominant', 'recessive', 'codominant'];
+const CONDITION_KEYS = new Set(['field', 'all', 'any', 'not', 'locus', 'genotype', 'hasAllele', 'homozygous', 'lacksAllele']);
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+const byOrder = (list) => (list || [])
+    .map((item, idx) => ({ item: plain(item), idx }))
+    .sort((a, b) => ((a.item.order || 0) - (b.item.order || 0)) || (a.idx - b.idx))
+    .map(({ item }) => item);
+const textOrNull = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+
+/**
+ * @param {Object} geneticsData - GeneticsData document (or lean object / version snapshot)
+ * @returns {Object} interchange document
+ */
+function exportGeneticsData(geneticsData) {
+    const doc = plain(geneticsData) || {};
+    const out = {
+        format: INTERCHANGE_FORMAT,
+        formatVersion: INTERCHANGE_FORMAT_VERSION,
+        speciesName: doc.speciesName,
+        sourceVersion: doc.version || null,
+        exportedAt: new Date().toISOString(),
+        adminNotes: doc.adminNotes || null,
+    };
+    for (const [field] of GENE_CATEGORIES) {
+        out[field] = byOrder(doc[field]).map(gene => ({
+            symbol: gene.symbol,
+            name: gene.name,
+            ...(gene.description ? { description: gene.description } : {}),
+            alleles: byOrder(gene.alleles).map(a => ({
+                symbol: a.symbol,
+                name: a.name || null,
+                phenotype: a.phenotype || null,
+                dominance: a.dominance || 'recessive',
+            })),
+            combinations: byOrder(gene.combinations).map(c => ({
+                notation: c.notation,
+                phenotype: c.phenotype || null,
+                carrier: c.carrier || null,
+                isLethal: !!c.isLethal,
+            })),
+        }));
+    }
+    out.phenotypeRules = (doc.phenotypeRules || []).map(r => plain(r)).map(r => ({
+        name: r.name,
+        priority: r.priority || 0,
+        conditions: r.conditions || {},
+    }));
+    return out;
+}
+
+// Every { locus, allele } a phenotype rule's conditions refer to, plus structural problems.
+function collectRuleReferences(condition, path, refs, problems) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        problems.push(`${path} must be an object`);
+        return;
+    }
+    if (condition.field !== undefined && !PHENOTYPE_FIELDS.includes(condition.field)) {
+        problems.push(`${path}.field must be one of ${PHENOTYPE_FIELDS.join(', ')}`);
+    }
+    for (const key of ['all', 'any']) {
+        if (condition[key] === undefined) continue;
+        if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+            problems.push(`${path}.${key} must be a non-empty array`);
+            continue;
+        }
+        condition[key].forEach((c, i) => collectRuleReferences(c, `${path}.${key}[${i}]`, refs, problems));
+    }
+    if (condition.not !== undefined) collectRuleReferences(condition.not, `${path}.not`, refs, problems);
+
+    if (condition.locus !== undefined) {
+        const alleles = [];
+        const genotypes = condition.genotype === undefined ? [] : [].concat(condition.genotype);
+        genotypes.forEach(n => {
+            const parts = String(n).split('/');
+            if (parts.length !== 2) problems.push(`${path}.genotype "${n}" is not an allele pair`);
+            else alleles.push(...parts);
+        });
+        for (const key of ['hasAllele', 'lacksAllele']) {
+            if (condition[key] !== undefined) alleles.push(condition[key]);
+        }
+        if (condition.homozygous !== undefined && condition.homozygous !== true) alleles.push(condition.homozygous);
+        if (genotypes.length === 0 && alleles.length === 0 && condition.homozygous === undefined) {
+            problems.push(`${path} names locus ${condition.locus} but no genotype, hasAllele, homozygous or lacksAllele test`);
+        }
+        refs.push({ path, locus: condition.locus, alleles });
+        return;
+    }
+
+    // Shorthand { A: 'a/a', B: ['b/b'] }
+    const shorthand = Object.keys(condition).filter(k => !CONDITION_KEYS.has(k));
+    const isComposite = ['all', 'any', 'not'].some(k => condition[k] !== undefined);
+    if (shorthand.length === 0 && !isComposite) {
+        problems.push(`${path} has no conditions`);
+    }
+    shorthand.forEach(locus => collectRuleReferences({ locus, genotype: condition[locus] }, `${path}.${locus}`, refs, problems));
+}
+
+/**
+ * Validates an interchange document and converts it to GeneticsData content. Nothing is saved.
+ * @param {Object} payload - interchange document (exportGeneticsData output, possibly hand-edited)
+ * @returns {{ valid: Boolean, errors: Array<{ path, message }>, warnings: Array<{ path, message }>,
+ *   summary: { loci, alleles, combinations, phenotypeRules }, speciesName: String|null,
+ *   content: Object|null }} content has genes/markingGenes/coatGenes/otherGenes/phenotypeRules/adminNotes
+ *   ready to assign to a GeneticsData document; null when invalid
+ */
+function validateGeneticsImport(payload) {
+    const errors = [];
+    const warnings = [];
+    const error = (path, message) => errors.push({ path, message });
+    const warn = (path, message) => warnings.push({ path, message });
+    const summary = { loci: 0, alleles: 0, combinations: 0, phenotypeRules: 0 };
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        error('', 'Import must be a JSON object');
+        return { valid: false, errors, warnings, summary, speciesName: null, content: null };
+    }
+    if (payload.format !== undefined && payload.format !== INTERCHANGE_FORMAT) {
+        error('format', `Unsupported format "${payload.format}" (expected "${INTERCHANGE_FORMAT}")`);
+    }
+    if (payload.formatVersion !== undefined && !(payload.formatVersion <= INTERCHANGE_FORMAT_VERSION)) {
+        error('formatVersion', `Format version ${payload.formatVersion} is newer than supported version ${INTERCHANGE_FORMAT_VERSION}`);
+    }
+    if (payload.format === undefined) {
+        warn('format', `No format marker; assuming ${INTERCHANGE_FORMAT} v${INTERCHANGE_FORMAT_VERSION}`);
+    }
+
+    const content = { adminNotes: textOrNull(payload.adminNotes) };
+    const lociBySymbol = new Map();
+    const allelesSeen = new Map(); // allele symbol → first locus path
+
+    for (const [field] of GENE_CATEGORIES) {
+        const genes = payload[field] === undefined ? [] : payload[field];
+        if (!Array.isArray(genes)) {
+            error(field, 'Must be an array');
+            content[field] = [];
+            continue;
+        }
+        content[field] = genes.map((gene, gi) => {
+            const path = `${field}[${gi}]`;
+            if (!gene || typeof gene !== 'object') {
+                error(path, 'Locus must be an object');
+                return null;
+            }
+            const symbol = textOrNull(gene.symbol);
+            const name = textOrNull(gene.name);
+            if (!symbol) error(`${path}.symbol`, 'Locus symbol is required');
+            if (!name) error(`${path}.name`, 'Locus name is required');
+            if (symbol) {
+                if (lociBySymbol.has(symbol)) {
+                    error(`${path}.symbol`, `Duplicate locus symbol "${symbol}" (also at ${lociBySymbol.get(symbol).path})`);
+                } else {
+                    lociBySymbol.set(symbol, { path, alleles: new Set() });
+                }
+            }
+            const locusAlleles = new Set();
+
+            const alleles = (Array.isArray(gene.alleles) ? gene.alleles : []).map((allele, ai) => {
+                const aPath = `${path}.alleles[${ai}]`;
+                const aSymbol = textOrNull(allele && allele.symbol);
+                if (!aSymbol) {
+                    error(`${aPath}.symbol`, 'Allele symbol is required');
+                    return null;
+                }
+                if (aSymbol === '-' || /[\s/,;]/.test(aSymbol)) {
+                    error(`${aPath}.symbol`, `Allele symbol "${aSymbol}" may not be "-" or contain spaces, "/", "," or ";"`);
+                }
+                if (locusAlleles.has(aSymbol)) {
+                    error(`${aPath}.symbol`, `Duplicate allele "${aSymbol}" in locus ${symbol || gi}`);
+                } else if (allelesSeen.has(aSymbol)) {
+                    warn(`${aPath}.symbol`, `Allele "${aSymbol}" is also used at ${allelesSeen.get(aSymbol)}; genetic codes using it will be ambiguous`);
+                } else {
+                    allelesSeen.set(aSymbol, path);
+                }
+                locusAlleles.add(aSymbol);
+                const dominance = allele.dominance === undefined || allele.dominance === null ? 'recessive' : allele.dominance;
+                if (!DOMINANCE_VALUES.includes(dominance)) {
+                    error(`${aPath}.dominance`, `Dominance must be one of ${DOMINANCE_VALUES.join(', ')}`);
+                }
+                summary.alleles++;
+                return {
+                    symbol: aSymbol,
+                    name: textOrNull(allele.name),
+                    phenotype: textOrNull(allele.phenotype),
+                    dominance,
+                    order: ai,
+                };
+            }).filter(Boolean);
+            if (gene.alleles !== undefined && !Array.isArray(gene.alleles)) error(`${path}.alleles`, 'Must be an array');
+            if (alleles.length === 0) warn(`${path}.alleles`, `Locus ${symbol || gi} has no alleles`);
+            if (symbol && lociBySymbol.get(symbol).path === path) lociBySymbol.get(symbol).alleles = locusAlleles;
+
+            const pairsSeen = new Map();
+            const combinations = (Array.isArray(gene.combinations) ? gene.combinations : []).map((combo, ci) => {
+                const cPath = `${path}.combinations[${ci}]`;
+                const notation = textOrNull(combo && combo.notation);
+                if (!notation) {
+                    error(`${cPath}.notation`, 'Combination notation is required');
+                    return null;
+                }
+                const parts = notation.split('/');
+                if (parts.length !== 2 || !parts[0] || !parts[1]) {
+                    error(`${cPath}.notation`, `"${notation}" is not an allele pair like "A/a"`);
+                } else {
+                    const unknown = parts.filter(p => !locusAlleles.has(p));
+                    if (unknown.length) {
+                        error(`${cPath}.notation`, `"${notation}" references allele(s) not in locus ${symbol || gi}: ${[...new Set(unknown)].join(', ')}`);
+                    }
+                    const key = [...parts].sort().join('/');
+                    if (pairsSeen.has(key)) {
+                        error(`${cPath}.notation`, `"${notation}" duplicates ${pairsSeen.get(key)}`);
+                    } else {
+                        pairsSeen.set(key, `combinations[${ci}] "${notation}"`);
+                    }
+                }
+                summary.combinations++;
+                return {
+                    notation,
+                    phenotype: textOrNull(combo.phenotype),
+                    carrier: textOrNull(combo.carrier),
+                    isLethal: !!combo.isLethal,
+                    order: ci,
+                };
+            }).filter(Boolean);
+            if (gene.combinations !== undefined && !Array.isArray(gene.combinations)) error(`${path}.combinations`, 'Must be an array');
+
+            summary.loci++;
+            return {
+                symbol,
+                name,
+                ...(field === 'genes' ? { description: textOrNull(gene.description), order: gi } : {}),
+                alleles,
+                combinations,
+            };
+        }).filter(Boolean);
+    }
+
+    const ruleNames = new Set();
+    const rules = payload.phenotypeRules === undefined ? [] : payload.phenotypeRules;
+    if (!Array.isArray(rules)) error('phenotypeRules', 'Must be an array');
+    content.phenotypeRules = (Array.isArray(rules) ? rules : []).map((rule, ri) => {
+        const path = `phenotypeRules[${ri}]`;
+        const name = textOrNull(rule && rule.name);
+        if (!name) {
+            error(`${path}.name`, 'Rule name is required');
+            return null;
+        }
+        if (ruleNames.has(name)) warn(`${path}.name`, `Another rule is also named "${name}"`);
+        ruleNames.add(name);
+
+        const priority = rule.priority === undefined || rule.priority === null ? 0 : Number(rule.priority);
+        if (!Number.isFinite(priority)) error(`${path}.priority`, 'Priority must be a number');
+
+        const refs = [];
+        const problems = [];
+        collectRuleReferences(rule.conditions, `${path}.conditions`, refs, problems);
+        problems.forEach(message => error(`${path}.conditions`, message));
+        for (const ref of refs) {
+            const locus = lociBySymbol.get(ref.locus);
+            if (!locus) {
+                error(ref.path, `Rule "${name}" refers to locus ${ref.locus}, which is not defined`);
+                continue;
+            }
+            const unknown = [...new Set(ref.alleles.filter(a => a !== '-' && !locus.alleles.has(a)))];
+            if (unknown.length) {
+                error(ref.path, `Rule "${name}" refers to allele(s) not in locus ${ref.locus}: ${unknown.join(', ')}`);
+            }
+        }
+        summary.phenotypeRules++;
+        return { name, conditions: rule.conditions, priority: Number.isFinite(priority) ? priority : 0 };
+    }).filter(Boolean);
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        summary,
+        speciesName: textOrNull(payload.speciesName),
+        content: errors.length === 0 ? content : null,
+    };
+}
+
+module.exports = {
+    INTERCHANGE_FORMAT,
+    INTERCHANGE_FORMAT_VERSION,
+    exportGeneticsData,
+    validateGeneticsImport
+};
@@ -0,0 +1,262 @@
+/**
+ * Per-locus genotype probabilities for an animal whose geneticCode is missing or partial,
+ * inferred from its relatives' recorded codes.
+ *
+ *   prior(X)      = Mendelian cross of the parents' (recursively inferred) distributions,
+ *                   or Hardy-Weinberg with equal allele frequencies where a parent is unknown,
+ *                   then restricted to what X's own partial code allows ("B/-")
+ *   posterior(X)  ∝ prior(X) × Π_offspring P(offspring's recorded pair | X, mate)
+ *
+ * So a black (a/a B/-) mouse that threw a b/b pup comes out as a/a B/b with certainty.
+ * Evidence only flows up from X's own offspring and down from its ancestors — siblings and
+ * grandchildren are not used. Lethal combinations are impossible for a born animal. When the
+ * recorded codes contradict each other the constraint is dropped and the locus is flagged.
+ */
+const { UNKNOWN_ALLELE, normalizePair, parseGeneticCode, crossLocus } = require('./genetics');
+
+const ANCESTOR_DEPTH = 3;
+const MATE_DEPTH = 2;
+
+const round4 = (p) => parseFloat(p.toFixed(4));
+
+// Every non-lethal unordered pair at a locus, Hardy-Weinberg weighted with equal allele frequencies.
+function basePrior(locus) {
+    const symbols = locus.alleles.map(a => a.symbol);
+    const dist = new Map();
+    for (let i = 0; i < symbols.length; i++) {
+        for (let j = i; j < symbols.length; j++) {
+            const { alleles, notation } = normalizePair(locus, symbols[i], symbols[j]);
+            const combination = locus.combinations.get(notation);
+            if (combination && combination.isLethal) continue;
+            dist.set(notation, { alleles, probability: i === j ? 1 : 2 });
+        }
+    }
+    return normalize(dist);
+}
+
+function normalize(dist) {
+    let total = 0;
+    dist.forEach(g => { total += g.probability; });
+    if (total <= 0) return null;
+    const out = new Map();
+    dist.forEach((g, notation) => out.set(notation, { alleles: g.alleles, probability: g.probability / total }));
+    return out;
+}
+
+const toEntry = (dist) => ({ distribution: [...dist.values()] });
+
+// Born offspring of two distributions (lethal outcomes removed, renormalised).
+function crossDistributions(locus, sireDist, damDist) {
+    const dist = new Map();
+    for (const o of crossLocus(locus, toEntry(sireDist), toEntry(damDist))) {
+        if (!o.isLethal) dist.set(o.notation, { alleles: o.alleles, probability: o.probability });
+    }
+    return normalize(dist);
+}
+
+// Does a full pair agree with a recorded, possibly partial ("A/-"), pair?
+function matchesRecorded(alleles, recorded) {
+    if (!recorded) return true;
+    const remaining = [...alleles];
+    for (const allele of recorded) {
+        if (allele === UNKNOWN_ALLELE) continue;
+        const idx = remaining.indexOf(allele);
+        if (idx < 0) return false;
+        remaining.splice(idx, 1);
+    }
+    return true;
+}
+
+function restrict(dist, recorded) {
+    const kept = new Map();
+    dist.forEach((g, notation) => {
+        if (matchesRecorded(g.alleles, recorded)) kept.set(notation, g);
+    });
+    return normalize(kept);
+}
+
+/**
+ * @param {String} animalId - id_public of the animal to infer
+ * @param {Object} index - buildLocusIndex(GeneticsData) for its species
+ * @param {Object} loaders
+ *   loadAnimal(id) → { id_public, name, sireId_public, damId_public, geneticCode } | null
+ *   loadOffspring(id) → [{ id_public, name, geneticCode, mateId }]  (mateId = the other parent)
+ * @returns {Promise<Object>} { animalId, loci: [...], evidence } — loci only where the animal or
+ *   a relative has something recorded; each with genotypes, allele carrier probabilities,
+ *   mostLikely, source ('recorded' | 'inferred') and conflict
+ */
+async function inferGenotype(animalId, index, { loadAnimal, loadOffspring }) {
+    const records = new Map();
+    const informedLoci = new Set();
+
+    const getRecord = async (id) => {
+        if (!id) return null;
+        if (!records.has(id)) {
+            records.set(id, (async () => {
+                const animal = await loadAnimal(id);
+                if (!animal) return null;
+                const { genotype } = parseGeneticCode(animal.geneticCode, index);
+                genotype.forEach(g => informedLoci.add(g.locus));
+                return { ...animal, recorded: new Map(genotype.map(g => [g.locus, g.alleles])) };
+            })());
+        }
+        return records.get(id);
+    };
+
+    const priors = new Map(index.loci.map(l => [l.symbol, basePrior(l)]));
+    const conflicts = new Set();
+
+    // Memoised per (animal, depth): Map<locus symbol, distribution>
+    const ancestral = new Map();
+    const ancestralDistribution = async (id, depth) => {
+        const key = `${id}:${depth}`;
+        if (ancestral.has(key)) return ancestral.get(key);
+        const promise = (async () => {
+            const record = await getRecord(id);
+            if (!record) return null;
+            const [sire, dam] = depth > 0
+                ? await Promise.all([
+                    record.sireId_public ? ancestralDistribution(record.sireId_public, depth - 1) : null,
+                    record.damId_public ? ancestralDistribution(record.damId_public, depth - 1) : null,
+                ])
+                : [null, null];
+
+            const result = new Map();
+            for (const locus of index.loci) {
+                const base = priors.get(locus.symbol);
+                if (!base) continue;
+                const prior = (sire || dam)
+                    ? crossDistributions(locus, (sire && sire.get(locus.symbol)) || base, (dam && dam.get(locus.symbol)) || base) || base
+                    : base;
+                const recorded = record.recorded.get(locus.symbol);
+                const restricted = restrict(prior, recorded);
+                if (!restricted && id === animalId) conflicts.add(locus.symbol);
+                result.set(locus.symbol, restricted || restrict(base, recorded) || prior);
+            }
+            return result;
+        })();
+        ancestral.set(key, promise);
+        return promise;
+    };
+
+    const target = await getRecord(animalId);
+    if (!target) throw new Error('Animal not found.');
+    const prior = await ancestralDistribution(animalId, ANCESTOR_DEPTH);
+
+    const offspring = [];
+    const seenOffspring = new Set();
+    for (const child of await loadOffspring(animalId)) {
+        if (!child || seenOffspring.has(child.id_public)) continue;
+        seenOffspring.add(child.id_public);
+        const { genotype } = parseGeneticCode(child.geneticCode, index);
+        if (genotype.length === 0) continue;
+        genotype.forEach(g => informedLoci.add(g.locus));
+        const mate = child.mateId ? await ancestralDistribution(child.mateId, MATE_DEPTH) : null;
+        offspring.push({ id_public: child.id_public, recorded: new Map(genotype.map(g => [g.locus, g.alleles])), mate });
+    }
+
+    const loci = [];
+    for (const locus of index.loci) {
+        if (!informedLoci.has(locus.symbol)) continue;
+        let dist = prior.get(locus.symbol);
+        const base = priors.get(locus.symbol);
+        if (!dist) continue;
+
+        // Likelihood of each offspring's recorded pair under each candidate pair for the target.
+        const posterior = new Map();
+        dist.forEach((g, notation) => {
+            let likelihood = 1;
+            for (const child of offspring) {
+                const childPair = child.recorded.get(locus.symbol);
+                if (!childPair) continue;
+                const mateDist = (child.mate && child.mate.get(locus.symbol)) || base;
+                const born = crossDistributions(locus, new Map([[notation, { alleles: g.alleles, probability: 1 }]]), mateDist);
+                let p = 0;
+                if (born) born.forEach(o => { if (matchesRecorded(o.alleles, childPair)) p += o.probability; });
+                likelihood *= p;
+            }
+            posterior.set(notation, { alleles: g.alleles, probability: g.probability * likelihood });
+        });
+        const updated = normalize(posterior);
+        if (updated) {
+            dist = updated;
+        } else {
+            conflicts.add(locus.symbol);
+        }
+
+        const recorded = target.recorded.get(locus.symbol) || null;
+        const genotypes = [...dist.entries()]
+            .map(([notation, g]) => {
+                const combination = locus.combinations.get(notation);
+                return {
+                    notation,
+                    probability: round4(g.probability),
+                    phenotype: combination ? combination.phenotype : null,
+                    carrier: combination ? combination.carrier : null,
+                };
+            })
+            .filter(g => g.probability > 0)
+            .sort((a, b) => b.probability - a.probability);
+
+        // P(at least one copy) and P(exactly one copy) per allele — "possible het" percentages.
+        const alleles = locus.alleles.map(a => {
+            let carrier = 0;
+            let het = 0;
+            dist.forEach(g => {
+                const copies = g.alleles.filter(x => x === a.symbol).length;
+                if (copies > 0) carrier += g.probability;
+                if (copies === 1) het += g.probability;
+            });
+            return { allele: a.symbol, carrierProbability: round4(carrier), hetProbability: round4(het) };
+        }).filter(a => a.carrierProbability > 0);
+
+        const fullyRecorded = recorded && !recorded.includes(UNKNOWN_ALLELE);
+        loci.push({
+            locus: locus.symbol,
+            locusName: locus.name,
+            category: locus.category,
+            recorded: recorded ? recorded.join('/') : null,
+            source: fullyRecorded ? 'recorded' : 'inferred',
+            mostLikely: genotypes.length ? genotypes[0].notation : null,
+            genotypes,
+            alleles,
+            conflict: conflicts.has(locus.symbol),
+        });
+    }
+
+    const relatives = (await Promise.all(records.values()))
+        .filter(r => r && r.id_public !== animalId && r.recorded.size > 0);
+
+    return {
+        animalId,
+        loci,
+        evidence: {
+            sireId_public: target.sireId_public || null,
+            damId_public: target.damId_public || null,
+            relativesWithCodes: relatives.length,
+            offspringWithCodes: offspring.length,
+        },
+    };
+}
+
+/**
+ * Turns an inference result into genotype entries for predictOffspring: recorded loci as
+ * pairs, inferred ones as distributions.
+ */
+function toPredictionGenotype(inference) {
+    return inference.loci.map(l => {
+        const distribution = l.genotypes.map(g => ({ alleles: g.notation.split('/'), probability: g.probability }));
+        const entry = { locus: l.locus, locusName: l.locusName, category: l.category };
+        if (l.source === 'recorded') {
+            return { ...entry, alleles: l.recorded.split('/'), notation: l.recorded };
+        }
+        return { ...entry, alleles: [UNKNOWN_ALLELE, UNKNOWN_ALLELE], notation: l.recorded || `${UNKNOWN_ALLELE}/${UNKNOWN_ALLELE}`, distribution };
+    });
+}
+
+module.exports = {
+    ANCESTOR_DEPTH,
+    MATE_DEPTH,
+    inferGenotype,
+    toPredictionGenotype
+};
@@ -0,0 +1,243 @@
+/**
+ * growthCurves.js
+ *
+ * Growth analysis from Animal.growthRecords, which stores measurements as free text
+ * ("12.5", "12,5 g", "1 lb 4 oz") in the animal's measurementUnits:
+ *
+ *   normalized     weight in grams; length, height and chest girth in centimetres
+ *   age bins       daily to 4 weeks, weekly to 26 weeks, then 30-day bins
+ *   reference      per age bin percentiles (p10/p25/p50/p75/p90) over every animal of the
+ *                  species with a birth date; each animal counts once per bin (its mean there),
+ *                  and bins with fewer than MIN_REFERENCE_ANIMALS animals are left out
+ *   litter-mates   the mean of the other pups' values in the same age bin
+ *
+ * Flags, on an animal's latest weighing:
+ *   below_percentile   under the Nth percentile of the species reference (default 10)
+ *   runt               under RUNT_RATIO of the litter-mates' mean weight
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEIGHT_UNITS = { mg: 0.001, g: 1, gr: 1, gram: 1, grams: 1, kg: 1000, oz: 28.349523125, lb: 453.59237, lbs: 453.59237 };
+const LENGTH_UNITS = { mm: 0.1, cm: 1, m: 100, in: 2.54, inch: 2.54, inches: 2.54, '"': 2.54, ft: 30.48 };
+const LENGTH_FIELDS = ['length', 'height', 'chestGirth'];
+const GROWTH_MEASURES = ['weight', ...LENGTH_FIELDS];
+
+const MIN_REFERENCE_ANIMALS = 5;
+const REFERENCE_PERCENTILES = [10, 25, 50, 75, 90];
+const DEFAULT_FLAG_PERCENTILE = 10;
+const RUNT_RATIO = 0.75;
+
+const round = (value, places = 2) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(places)));
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+/**
+ * Parses a free-text measurement into grams ('weight') or centimetres (lengths). Units written
+ * in the value win over `defaultUnit`; several number-unit pairs are added up (1 lb 4 oz).
+ * @returns {Number|null} null for blank, unparseable or unknown-unit values
+ */
+function parseMeasurement(value, defaultUnit, kind = 'weight') {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') value = String(value);
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const units = kind === 'weight' ? WEIGHT_UNITS : LENGTH_UNITS;
+    const fallback = units[String(defaultUnit || (kind === 'weight' ? 'g' : 'cm')).toLowerCase()];
+
+    const pairs = [...value.trim().matchAll(/(\d+(?:[.,]\d+)?)\s*([a-zA-Z"]+)?/g)];
+    if (!pairs.length) return null;
+    let total = 0;
+    for (const [, number, unit] of pairs) {
+        const factor = unit ? units[unit.toLowerCase()] : fallback;
+        if (factor === undefined) return null;
+        total += parseFloat(number.replace(',', '.')) * factor;
+    }
+    return total > 0 ? total : null;
+}
+
+const time = (date) => {
+    if (!date) return null;
+    const t = new Date(date).getTime();
+    return isNaN(t) ? null : t;
+};
+
+/**
+ * An animal's growth records as numbers, oldest first. Records without a date or any
+ * parseable measurement are dropped.
+ * @param {Object} animal - birthDate, growthRecords, measurementUnits
+ * @returns {Array<{ date: Date, ageDays: Number|null, weight, length, height, chestGirth, bcs }>}
+ */
+function normalizeGrowthRecords(animal) {
+    const units = animal.measurementUnits || {};
+    const born = time(animal.birthDate);
+    return (animal.growthRecords || [])
+        .map(record => {
+            const at = time(record.date);
+            if (at === null) return null;
+            const point = {
+                date: new Date(at),
+                ageDays: born === null ? null : Math.floor((at - born) / DAY_MS),
+                weight: round(parseMeasurement(record.weight, units.weight, 'weight')),
+            };
+            LENGTH_FIELDS.forEach(field => {
+                point[field] = round(parseMeasurement(record[field], units.length, 'length'));
+            });
+            const bcs = parseFloat(String(record.bcs ?? '').replace(',', '.'));
+            point.bcs = Number.isFinite(bcs) ? bcs : null;
+            return GROWTH_MEASURES.some(m => point[m] !== null) ? point : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * First day of the age bin `ageDays` falls in: daily to day 28, weekly to day 182, then 30 days.
+ * @returns {Number|null}
+ */
+function ageBinStart(ageDays) {
+    if (ageDays === null || ageDays === undefined || ageDays < 0) return null;
+    if (ageDays <= 28) return ageDays;
+    if (ageDays <= 182) return 29 + Math.floor((ageDays - 29) / 7) * 7;
+    return 183 + Math.floor((ageDays - 183) / 30) * 30;
+}
+
+const ageBinEnd = (start) => (start <= 28 ? start : start < 183 ? Math.min(start + 6, 182) : start + 29);
+
+// One animal's mean `measure` per age bin.
+function binMeans(points, measure) {
+    const bins = new Map();
+    points.forEach(p => {
+        const bin = ageBinStart(p.ageDays);
+        if (bin === null || p[measure] === null || p[measure] === undefined) return;
+        if (!bins.has(bin)) bins.set(bin, []);
+        bins.get(bin).push(p[measure]);
+    });
+    return new Map([...bins.entries()].map(([bin, values]) => [bin, mean(values)]));
+}
+
+// Linear-interpolated quantile of a sorted list (p in 0-100).
+function quantile(sorted, p) {
+    if (!sorted.length) return null;
+    const pos = (sorted.length - 1) * (p / 100);
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Species reference curve.
+ * @param {Array<Array>} animalsPoints - normalizeGrowthRecords() output per animal
+ * @param {String} measure - 'weight', 'length', 'height' or 'chestGirth'
+ * @returns {Array<{ ageStart, ageEnd, animals, p10, p25, p50, p75, p90, values }>} values: the sorted
+ *   per-animal means, for percentile ranks — strip before sending a curve to clients
+ */
+function buildReferenceCurve(animalsPoints, measure = 'weight', minAnimals = MIN_REFERENCE_ANIMALS) {
+    const bins = new Map();
+    animalsPoints.forEach(points => {
+        binMeans(points, measure).forEach((value, bin) => {
+            if (!bins.has(bin)) bins.set(bin, []);
+            bins.get(bin).push(value);
+        });
+    });
+    return [...bins.entries()]
+        .filter(([, values]) => values.length >= minAnimals)
+        .sort((a, b) => a[0] - b[0])
+        .map(([bin, values]) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const entry = { ageStart: bin, ageEnd: ageBinEnd(bin), animals: sorted.length };
+            REFERENCE_PERCENTILES.forEach(p => { entry[`p${p}`] = round(quantile(sorted, p)); });
+            entry.values = sorted;
+            return entry;
+        });
+}
+
+/**
+ * Percentile rank (0-100) of `value` among a reference bin's values: the share below it,
+ * counting ties half.
+ */
+function percentileRank(sortedValues, value) {
+    if (!sortedValues || !sortedValues.length || value === null) return null;
+    const below = sortedValues.filter(v => v < value).length;
+    const equal = sortedValues.filter(v => v === value).length;
+    return round(((below + equal / 2) / sortedValues.length) * 100, 1);
+}
+
+/**
+ * An animal's weighings with daily gain, percentile against the reference and the
+ * litter-mates' mean at the same age, plus flags on the latest weighing.
+ *
+ * @param {Array} points - normalizeGrowthRecords() output
+ * @param {Object} [options]
+ * @param {Array<Array>} [options.littermates] - the other pups' points
+ * @param {Array} [options.reference] - buildReferenceCurve(…, 'weight')
+ * @param {Number} [options.percentile] - flag threshold (default 10)
+ * @returns {{ points: Array, latest: Object|null, flags: Array<Object> }}
+ */
+function analyzeGrowth(points, { littermates = [], reference = [], percentile = DEFAULT_FLAG_PERCENTILE } = {}) {
+    const referenceByBin = new Map(reference.map(bin => [bin.ageStart, bin]));
+    const littermateBins = littermates.map(lm => binMeans(lm, 'weight'));
+
+    let previous = null;
+    const annotated = points.map(point => {
+        const bin = ageBinStart(point.ageDays);
+        const ref = bin === null ? null : referenceByBin.get(bin);
+        const mates = bin === null ? [] : littermateBins.map(m => m.get(bin)).filter(v => v !== undefined);
+        const littermateMean = point.weight !== null && mates.length ? mean(mates) : null;
+        const days = previous ? (point.date - previous.date) / DAY_MS : null;
+        const entry = {
+            ...point,
+            dailyGain: point.weight !== null && previous && days > 0 ? round((point.weight - previous.weight) / days) : null,
+            weightPercentile: point.weight !== null && ref ? percentileRank(ref.values, point.weight) : null,
+            referenceMedian: ref ? ref.p50 : null,
+            littermateMean: round(littermateMean),
+            littermateRatio: littermateMean ? round(point.weight / littermateMean, 3) : null,
+        };
+        if (point.weight !== null) previous = point;
+        return entry;
+    });
+
+    const weighed = annotated.filter(p => p.weight !== null);
+    const latest = weighed[weighed.length - 1] || null;
+    const flags = [];
+    if (latest && latest.weightPercentile !== null && latest.weightPercentile < percentile) {
+        flags.push({ type: 'below_percentile', ageDays: latest.ageDays, date: latest.date, percentile: latest.weightPercentile, threshold: percentile });
+    }
+    if (latest && latest.littermateRatio !== null && latest.littermateRatio < RUNT_RATIO) {
+        flags.push({ type: 'runt', ageDays: latest.ageDays, date: latest.date, ratio: latest.littermateRatio, threshold: RUNT_RATIO });
+    }
+    return { points: annotated, latest, flags };
+}
+
+/**
+ * @param {Array<{ id_public, name, gender, points }>} pups
+ * @param {Object} [options] - { reference, percentile }
+ * @returns {Array<Object>} one analyzeGrowth() summary per pup, flagged pups first
+ */
+function analyzeLitterGrowth(pups, { reference = [], percentile = DEFAULT_FLAG_PERCENTILE } = {}) {
+    return pups
+        .map(pup => {
+            const littermates = pups.filter(other => other !== pup).map(other => other.points);
+            const { latest, flags } = analyzeGrowth(pup.points, { littermates, reference, percentile });
+            return {
+                id_public: pup.id_public,
+                name: pup.name,
+                gender: pup.gender,
+                weighings: pup.points.filter(p => p.weight !== null).length,
+                latest,
+                flags,
+            };
+        })
+        .sort((a, b) => b.flags.length - a.flags.length);
+}
+
+module.exports = {
+    GROWTH_MEASURES,
+    DEFAULT_FLAG_PERCENTILE,
+    RUNT_RATIO,
+    parseMeasurement,
+    normalizeGrowthRecords,
+    ageBinStart,
+    buildReferenceCurve,
+    percentileRank,
+    analyzeGrowth,
+    analyzeLitterGrowth
+};
@@ -0,0 +1,314 @@
+/**
+ * heatCycles.js
+ *
+ * Heat (estrus) history and next-heat prediction for females (Animal.heatRecords):
+ *
+ *   cycle length     mean gap between consecutive heat onsets ('observed'); gaps far from the
+ *                    median (a missed or unrecorded heat) are left out. Without two heats on
+ *                    record: Animal.estrusCycleLength ('animal'), then the species' typical
+ *                    cycle ('species')
+ *   next heat        last onset + cycle length, rolled forward past cycles that went unrecorded;
+ *                    the earliest/latest range is ± the observed spread (or the species range).
+ *                    After more than MAX_UNRECORDED_CYCLES unrecorded cycles in a row the
+ *                    prediction is marked stale and no longer alerts
+ *   mating window    days after onset: the mean recorded ovulation day, and the days after it,
+ *                    or the species' matingWindowStartDay..EndDay
+ *
+ * The snapshot fields (lastHeatDate, ovulationDate, estrusCycleLength) are kept in step with
+ * the history by the heat record services; an estrusCycleLength typed in by hand is kept and
+ * marked estrusCycleLengthSource 'manual'. animalAlertsCron counts living, owned females whose
+ * window (or heat, without one) opens within HEAT_ALERT_LEAD_DAYS — shortened to a quarter of
+ * the cycle, at least a day, so a 4–5 day rodent cycle is reminded the day before.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HEAT_SIGNS = ['swelling', 'discharge', 'flagging', 'lordosis', 'ear wiggling', 'restlessness', 'mounting', 'attracting males', 'other'];
+const SPECIES_CYCLE_FIELDS = ['estrusCycleDaysMin', 'estrusCycleDaysMax', 'matingWindowStartDay', 'matingWindowEndDay'];
+
+// Gaps outside this share of the median gap are treated as missed/irregular heats.
+const INTERVAL_TOLERANCE = 0.5;
+// Fertile days from the recorded ovulation day on (eggs mature after ovulation in dogs; in
+// short-cycle rodents ovulation and mating fall in the same night).
+const POST_OVULATION_WINDOW_DAYS = 3;
+const HEAT_ALERT_LEAD_DAYS = 3;
+// Short cycles (rats, mice, hamsters) come round every few days: their lead time is this share
+// of the cycle, so the reminder is not sent on every day of it.
+const ALERT_LEAD_CYCLE_SHARE = 0.25;
+// Longest cycle length accepted, in days (species cycle fields and Animal.estrusCycleLength)
+const MAX_CYCLE_DAYS = 730;
+// Heats nobody recorded for this many cycles running: the history is too old to remind from.
+const MAX_UNRECORDED_CYCLES = 2;
+
+// statusCode 404 for a missing record, 400 for a bad payload.
+class HeatRecordError extends Error {
+    constructor(message, errors = [], statusCode = 400) {
+        super(message);
+        this.name = 'HeatRecordError';
+        this.statusCode = statusCode;
+        this.errors = errors;
+    }
+}
+
+const num = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+const time = (date) => {
+    if (!date) return null;
+    const t = new Date(date).getTime();
+    return isNaN(t) ? null : t;
+};
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setUTCHours(0, 0, 0, 0);
+    return d.getTime();
+};
+const round = (value, places = 1) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(places)));
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const median = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+const stdDev = (values) => {
+    if (values.length < 2) return null;
+    const m = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+};
+const toDate = (t) => (t === null ? null : new Date(t));
+
+/**
+ * Checks a heat record (updates are checked merged onto the stored record).
+ * @returns {Array<String>} one message per problem
+ */
+function validateHeatRecord(input) {
+    const errors = [];
+    if (time(input.startDate) === null) errors.push('startDate is required and must be a date');
+    for (const field of ['endDate', 'ovulationDate']) {
+        if (field in input && input[field] !== null && input[field] !== '' && time(input[field]) === null) {
+            errors.push(`${field} must be a date`);
+        }
+    }
+    const start = time(input.startDate);
+    if (start !== null) {
+        if (time(input.endDate) !== null && time(input.endDate) < start) errors.push('endDate cannot be before startDate');
+        if (time(input.ovulationDate) !== null && time(input.ovulationDate) < start) errors.push('ovulationDate cannot be before startDate');
+    }
+    if ('signs' in input && input.signs !== null && (!Array.isArray(input.signs) || input.signs.some(s => !HEAT_SIGNS.includes(s)))) {
+        errors.push(`signs must be a list of: ${HEAT_SIGNS.join(', ')}`);
+    }
+    if ('progesteroneLevel' in input && input.progesteroneLevel !== null && input.progesteroneLevel !== '') {
+        const level = num(input.progesteroneLevel);
+        if (!Number.isFinite(level) || level < 0) errors.push('progesteroneLevel must be a positive number');
+    }
+    if ('notes' in input && input.notes !== null && (typeof input.notes !== 'string' || input.notes.length > 2000)) {
+        errors.push('notes must be text of at most 2000 characters');
+    }
+    return errors;
+}
+
+/**
+ * Checks species cycle values from an admin edit.
+ * @returns {Array<String>} one message per problem
+ */
+function validateSpeciesCycle(values) {
+    const errors = [];
+    for (const field of SPECIES_CYCLE_FIELDS) {
+        if (!(field in values)) continue;
+        const error = validateCycleDays(field, values[field]);
+        if (error) errors.push(error);
+    }
+    for (const [min, max] of [['estrusCycleDaysMin', 'estrusCycleDaysMax'], ['matingWindowStartDay', 'matingWindowEndDay']]) {
+        const lo = num(values[min]);
+        const hi = num(values[max]);
+        if (lo !== null && hi !== null && lo > hi) errors.push(`${min} cannot be greater than ${max}`);
+    }
+    return errors;
+}
+
+/**
+ * Checks one cycle-length-style value in days (species cycle fields, Animal.estrusCycleLength).
+ * @returns {String|null} the problem, or null when valid or empty
+ */
+function validateCycleDays(field, raw) {
+    const value = num(raw);
+    if (value !== null && (!Number.isFinite(value) || value < 0 || value > MAX_CYCLE_DAYS)) {
+        return `${field} must be a number of days between 0 and ${MAX_CYCLE_DAYS}`;
+    }
+    return null;
+}
+
+/**
+ * An animal's heat history; a lastHeatDate saved before heat records existed stands in as the
+ * only record.
+ */
+const heatHistory = (animal) => ((animal.heatRecords && animal.heatRecords.length)
+    ? animal.heatRecords
+    : (animal.lastHeatDate ? [{ startDate: animal.lastHeatDate, ovulationDate: animal.ovulationDate || null }] : []));
+
+// Records with a valid onset, oldest first.
+const sortedRecords = (records) => (records || [])
+    .filter(r => r && time(r.startDate) !== null)
+    .sort((a, b) => time(a.startDate) - time(b.startDate));
+
+/**
+ * Average cycle length from a female's heat history.
+ * @returns {{ averageDays: Number|null, intervals: Array<Number>, used: Array<Number>, spreadDays: Number|null }}
+ *   intervals: every onset-to-onset gap (days); used: the gaps the average is taken over
+ */
+function calculateCycleLength(records) {
+    const starts = sortedRecords(records).map(r => startOfDay(r.startDate));
+    const intervals = [];
+    for (let i = 1; i < starts.length; i++) {
+        const gap = (starts[i] - starts[i - 1]) / DAY_MS;
+        if (gap > 0) intervals.push(gap);
+    }
+    const mid = median(intervals);
+    const used = intervals.length >= 3
+        ? intervals.filter(gap => Math.abs(gap - mid) <= mid * INTERVAL_TOLERANCE)
+        : intervals;
+    return {
+        averageDays: round(mean(used)),
+        intervals,
+        used,
+        spreadDays: round(stdDev(used)),
+    };
+}
+
+/**
+ * Snapshot fields for Animal after the heat history changed. A hand-entered cycle length (or
+ * one stored before heat records existed) is left alone.
+ * @param {Array} records - the full history
+ * @param {Object} animal - current estrusCycleLength, estrusCycleLengthSource
+ * @returns {{ lastHeatDate, ovulationDate, estrusCycleLength?, estrusCycleLengthSource? }}
+ */
+function heatSnapshot(records, animal = {}) {
+    const sorted = sortedRecords(records);
+    const last = sorted[sorted.length - 1];
+    const snapshot = {
+        lastHeatDate: last ? new Date(last.startDate) : null,
+        ovulationDate: last && last.ovulationDate ? new Date(last.ovulationDate) : null,
+    };
+    const manual = animal.estrusCycleLengthSource === 'manual'
+        || (!animal.estrusCycleLengthSource && num(animal.estrusCycleLength) !== null);
+    if (!manual) {
+        const { averageDays } = calculateCycleLength(sorted);
+        snapshot.estrusCycleLength = averageDays === null ? null : Math.round(averageDays);
+        snapshot.estrusCycleLengthSource = averageDays === null ? null : 'calculated';
+    }
+    return snapshot;
+}
+
+/**
+ * @param {Array} records - Animal.heatRecords
+ * @param {Object} [options]
+ * @param {Number} [options.estrusCycleLength] - the animal's own value, used without two heats on record
+ * @param {Object} [options.species] - Species document with the cycle fields
+ * @param {Date} [options.today]
+ * @returns {Object|null} null when there is no heat on record or no cycle length to go by
+ */
+function predictNextHeat(records, { estrusCycleLength = null, species = null, today = new Date() } = {}) {
+    const sorted = sortedRecords(records);
+    if (!sorted.length) return null;
+
+    const observed = calculateCycleLength(sorted);
+    const speciesMin = num(species && species.estrusCycleDaysMin);
+    const speciesMax = num(species && species.estrusCycleDaysMax);
+    let cycleLength = observed.averageDays;
+    let cycleLengthSource = 'observed';
+    const spread = observed.spreadDays !== null ? Math.max(1, Math.round(observed.spreadDays)) : 0;
+    let earlyBy = spread;
+    let lateBy = spread;
+    if (cycleLength === null && num(estrusCycleLength) > 0) {
+        cycleLength = num(estrusCycleLength);
+        cycleLengthSource = 'animal';
+        earlyBy = lateBy = 0;
+    }
+    if (cycleLength === null && (speciesMin !== null || speciesMax !== null)) {
+        const lo = speciesMin ?? speciesMax;
+        const hi = speciesMax ?? speciesMin;
+        cycleLength = (lo + hi) / 2;
+        cycleLengthSource = 'species';
+        earlyBy = cycleLength - lo;
+        lateBy = hi - cycleLength;
+    }
+    if (!(cycleLength > 0)) return null;
+
+    // Mating window, as days after onset
+    const ovulationDays = sorted
+        .filter(r => time(r.ovulationDate) !== null)
+        .map(r => (startOfDay(r.ovulationDate) - startOfDay(r.startDate)) / DAY_MS);
+    let windowDays = null;
+    let matingWindowSource = null;
+    if (ovulationDays.length) {
+        const day = Math.round(mean(ovulationDays));
+        windowDays = [day, day + POST_OVULATION_WINDOW_DAYS - 1];
+        matingWindowSource = 'observed';
+    } else if (num(species && species.matingWindowStartDay) !== null || num(species && species.matingWindowEndDay) !== null) {
+        const lo = num(species.matingWindowStartDay) ?? num(species.matingWindowEndDay);
+        const hi = num(species.matingWindowEndDay) ?? lo;
+        windowDays = [lo, hi];
+        matingWindowSource = 'species';
+    }
+
+    // Roll forward past heats that came and went without being recorded.
+    const lastStart = startOfDay(sorted[sorted.length - 1].startDate);
+    const todayStart = startOfDay(today);
+    const stepMs = cycleLength * DAY_MS;
+    const tailMs = (windowDays ? windowDays[1] : 0) * DAY_MS;
+    let next = lastStart + stepMs;
+    // Cycles whose heat and window have both passed, counted arithmetically: a loop would take
+    // one step per cycle, which for a tiny cycle length is millions of steps.
+    const unrecordedCycles = Math.max(0, Math.ceil((todayStart - tailMs - next) / stepMs));
+    next = startOfDay(next + unrecordedCycles * stepMs);
+
+    return {
+        cycleLengthDays: round(cycleLength),
+        cycleLengthSource,
+        intervals: observed.intervals,
+        heatsRecorded: sorted.length,
+        lastHeatDate: toDate(lastStart),
+        nextHeatDate: toDate(next),
+        nextHeatEarliest: toDate(next - Math.round(earlyBy) * DAY_MS),
+        nextHeatLatest: toDate(next + Math.round(lateBy) * DAY_MS),
+        daysUntilHeat: Math.round((next - todayStart) / DAY_MS),
+        unrecordedCycles,
+        stale: unrecordedCycles > MAX_UNRECORDED_CYCLES,
+        matingWindowStart: windowDays ? toDate(next + windowDays[0] * DAY_MS) : null,
+        matingWindowEnd: windowDays ? toDate(next + windowDays[1] * DAY_MS) : null,
+        matingWindowSource,
+    };
+}
+
+/**
+ * Whether the daily digest should remind the owner about this female: her mating window (or,
+ * without one, her next heat) opens within `leadDays` (at most ALERT_LEAD_CYCLE_SHARE of her
+ * cycle, at least one day) or is open today. Stale predictions (heats unrecorded for more than
+ * MAX_UNRECORDED_CYCLES cycles) never alert.
+ */
+function isHeatAlertDue(prediction, today = new Date(), leadDays = HEAT_ALERT_LEAD_DAYS) {
+    if (!prediction) return false;
+    if (prediction.unrecordedCycles > MAX_UNRECORDED_CYCLES) return false;
+    if (prediction.cycleLengthDays) {
+        leadDays = Math.max(1, Math.min(leadDays, Math.floor(prediction.cycleLengthDays * ALERT_LEAD_CYCLE_SHARE)));
+    }
+    const opens = time(prediction.matingWindowStart ?? prediction.nextHeatDate);
+    const closes = time(prediction.matingWindowEnd ?? prediction.nextHeatDate);
+    const todayStart = startOfDay(today);
+    return opens - todayStart <= leadDays * DAY_MS && closes >= todayStart;
+}
+
+module.exports = {
+    HEAT_SIGNS,
+    SPECIES_CYCLE_FIELDS,
+    HEAT_ALERT_LEAD_DAYS,
+    MAX_UNRECORDED_CYCLES,
+    HeatRecordError,
+    heatHistory,
+    validateHeatRecord,
+    validateSpeciesCycle,
+    validateCycleDays,
+    calculateCycleLength,
+    heatSnapshot,
+    predictNextHeat,
+    isHeatAlertDue
+};
@@ -0,0 +1,191 @@
+/**
+ * idTemplates.js
+ *
+ * Breeder-defined registration numbers for litters (Litter.registrationNumber) and their
+ * offspring (Animal.breederAssignedId), configured in User.idTemplates:
+ *
+ *   {prefix}          the breeder's registration prefix (idTemplates.prefix)
+ *   {YYYY} {YY} {MM}  year / month of the litter's birth (mating date before birth, else today)
+ *   {species}         species code (idTemplates.speciesCodes, else derived from the name)
+ *   {litterSeq}       the litter's number in its counter scope
+ *   {pupSeq}          the pup's number within its litter (offspring template only)
+ *   {sex}             M / F / U (offspring template only)
+ *
+ * Sequence tokens take an optional zero-pad width: {litterSeq:3} → 007.
+ *
+ * The litter counter is kept per user and per value of the scoping tokens the litter template
+ * prints — {species} and the date tokens — so `{prefix}-{YYYY}-{litterSeq}` starts over each
+ * year while `{prefix}-{litterSeq}` counts on across years and species. Pups are counted per
+ * litter. Numbers already taken (typed in by hand, or from an older template) are skipped.
+ */
+
+const ID_TEMPLATE_KINDS = ['litter', 'offspring'];
+const TEMPLATE_TOKENS = {
+    litter: ['prefix', 'YYYY', 'YY', 'MM', 'species', 'litterSeq'],
+    offspring: ['prefix', 'YYYY', 'YY', 'MM', 'species', 'litterSeq', 'pupSeq', 'sex'],
+};
+const SEQUENCE_TOKENS = ['litterSeq', 'pupSeq'];
+const MAX_TEMPLATE_LENGTH = 60;
+// Taken numbers skipped before allocation gives up
+const MAX_ID_COLLISION_RETRIES = 25;
+
+const TOKEN_PATTERN = /\{(\w+)(?::(\d))?\}/g;
+
+// statusCode 409 when no free number could be found or a hand-entered one is already used.
+class IdTemplateError extends Error {
+    constructor(message, errors = [], statusCode = 400) {
+        super(message);
+        this.name = 'IdTemplateError';
+        this.statusCode = statusCode;
+        this.errors = errors;
+    }
+}
+
+const tokensOf = (template) => [...String(template).matchAll(TOKEN_PATTERN)].map(m => ({ name: m[1], width: m[2] ? Number(m[2]) : 0 }));
+const usesToken = (template, name) => !!template && tokensOf(template).some(t => t.name === name);
+
+/**
+ * Checks an idTemplates settings payload ({ prefix, litter, offspring, speciesCodes }); null
+ * or empty templates switch numbering off for that kind.
+ * @returns {Array<String>} one message per problem
+ */
+function validateIdTemplates(input) {
+    const errors = [];
+    if (input.prefix != null && (typeof input.prefix !== 'string' || input.prefix.trim().length > 20 || /[{}]/.test(input.prefix))) {
+        errors.push('prefix must be text of at most 20 characters without braces');
+    }
+    ID_TEMPLATE_KINDS.forEach(kind => {
+        const template = input[kind];
+        if (template == null || template === '') return;
+        if (typeof template !== 'string' || template.length > MAX_TEMPLATE_LENGTH) {
+            errors.push(`${kind} template must be text of at most ${MAX_TEMPLATE_LENGTH} characters`);
+            return;
+        }
+        const unknown = tokensOf(template).filter(t => !TEMPLATE_TOKENS[kind].includes(t.name)).map(t => `{${t.name}}`);
+        if (unknown.length) errors.push(`${kind} template has unknown tokens: ${unknown.join(', ')}`);
+        if (/[{}]/.test(template.replace(TOKEN_PATTERN, ''))) errors.push(`${kind} template has an unclosed brace`);
+        const required = kind === 'litter' ? 'litterSeq' : 'pupSeq';
+        if (!usesToken(template, required)) errors.push(`${kind} template must contain {${required}}`);
+        if (usesToken(template, 'prefix') && !(input.prefix && input.prefix.trim())) {
+            errors.push(`${kind} template uses {prefix}; set a prefix`);
+        }
+    });
+    if (usesToken(input.offspring, 'litterSeq') && !input.litter) {
+        errors.push('offspring template uses {litterSeq}, which needs a litter template');
+    }
+    if (input.speciesCodes != null) {
+        const entries = input.speciesCodes instanceof Map ? [...input.speciesCodes.entries()]
+            : (typeof input.speciesCodes === 'object' && !Array.isArray(input.speciesCodes) ? Object.entries(input.speciesCodes) : null);
+        const badEntry = ([species, code]) => /[.$]/.test(species)
+            || typeof code !== 'string' || !code.trim() || code.length > 10 || /[{}]/.test(code);
+        if (!entries || entries.some(badEntry)) {
+            errors.push('speciesCodes must map species names to codes of at most 10 characters');
+        }
+    }
+    return errors;
+}
+
+/**
+ * The code {species} prints: the breeder's own code for it, else the initials of a
+ * multi-word name ("Fancy Mouse" → FM) or the first three letters of a single word (RAT).
+ */
+function speciesCode(species, speciesCodes) {
+    if (!species) return null;
+    const custom = speciesCodes instanceof Map ? speciesCodes.get(species) : speciesCodes && speciesCodes[species];
+    if (custom) return custom.trim();
+    const words = species.trim().split(/\s+/).filter(Boolean);
+    return (words.length > 1 ? words.map(w => w[0]).join('') : words[0].slice(0, 3)).toUpperCase();
+}
+
+// The date a litter's numbers are stamped with.
+const templateDate = (litter = {}) => new Date(litter.birthDate || litter.matingDate || Date.now());
+
+/**
+ * Token values for one litter or pup. Missing inputs leave their token unset.
+ * @param {Object} input - { prefix, date, species, speciesCodes, litterSeq, pupSeq, sex }
+ */
+function templateValues({ prefix, date, species, speciesCodes, litterSeq, pupSeq, sex } = {}) {
+    const d = date ? new Date(date) : null;
+    const valid = d && !isNaN(d.getTime());
+    const year = valid ? String(d.getUTCFullYear()) : null;
+    return {
+        prefix: prefix ? prefix.trim() : null,
+        YYYY: year,
+        YY: year && year.slice(-2),
+        MM: valid ? String(d.getUTCMonth() + 1).padStart(2, '0') : null,
+        species: speciesCode(species, speciesCodes),
+        litterSeq: litterSeq ?? null,
+        pupSeq: pupSeq ?? null,
+        sex: sex ? ({ Male: 'M', Female: 'F' }[sex] || 'U') : null,
+    };
+}
+
+/**
+ * @returns {String|null} the rendered number, or null when a token it uses has no value
+ *   (e.g. {species} on a litter whose parents are unknown)
+ */
+function renderIdTemplate(template, values) {
+    if (!template) return null;
+    let missing = false;
+    const rendered = template.replace(TOKEN_PATTERN, (_, name, width) => {
+        const value = values[name];
+        if (value === null || value === undefined || value === '') {
+            missing = true;
+            return '';
+        }
+        return SEQUENCE_TOKENS.includes(name) && width ? String(value).padStart(Number(width), '0') : String(value);
+    });
+    return missing ? null : rendered;
+}
+
+/**
+ * Counter name for a user's litter template: one counter per combination of the scoping
+ * token values the template prints. Returns null while one of those values is unknown.
+ */
+function litterCounterKey(userId, template, values) {
+    const scope = [];
+    if (usesToken(template, 'species')) scope.push(values.species);
+    if (['YYYY', 'YY', 'MM'].some(t => usesToken(template, t))) scope.push(values.YYYY);
+    if (usesToken(template, 'MM')) scope.push(values.MM);
+    if (scope.some(part => !part)) return null;
+    return ['idTemplate', String(userId), 'litter', ...scope].join(':');
+}
+
+const pupCounterKey = (userId, litterId) => `idTemplate:${userId}:pups:${litterId}`;
+
+/**
+ * Draws sequence numbers until the rendered number is free.
+ * @param {Object} input
+ * @param {Function} input.nextSeq - async () → the next counter value
+ * @param {Function} input.render - seq → number (or null when it cannot be rendered)
+ * @param {Function} input.isTaken - async number → Boolean
+ * @returns {Promise<{ number: String, seq: Number }|null>} null when the template cannot be rendered
+ * @throws {IdTemplateError} 409 after MAX_ID_COLLISION_RETRIES taken numbers
+ */
+async function allocateTemplateId({ nextSeq, render, isTaken, maxAttempts = MAX_ID_COLLISION_RETRIES }) {
+    const skipped = [];
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const seq = await nextSeq();
+        const number = render(seq);
+        if (number === null) return null;
+        if (!(await isTaken(number))) return { number, seq };
+        skipped.push(number);
+    }
+    throw new IdTemplateError('Could not find a free registration number for this template.', [`Already taken: ${skipped.join(', ')}`], 409);
+}
+
+module.exports = {
+    ID_TEMPLATE_KINDS,
+    TEMPLATE_TOKENS,
+    MAX_ID_COLLISION_RETRIES,
+    IdTemplateError,
+    usesToken,
+    validateIdTemplates,
+    speciesCode,
+    templateDate,
+    templateValues,
+    renderIdTemplate,
+    litterCounterKey,
+    pupCounterKey,
+    allocateTemplateId
+};
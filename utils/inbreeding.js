@@ -245,23 +245,39 @@ async function buildPedigreeDAG(rootId, fetchAnimal, maxGenerations) {
  *   dp[ancestor] = Σ_{all paths from rootId to ancestor} (0.5)^path_length
  *   where path_length = number of nodes including start and end.
  *
- * This is a simple BFS propagation on the DAG — O(unique_animals), not O(2^G).
- * The BFS naturally handles an ancestor reachable via multiple paths: each time
- * a predecessor is processed it adds its contribution to dp[ancestor],
- * and the ancestor is enqueued only once (after its first discovery) so it
- * propagates further enriched by all predecessors processed before it is dequeued.
- *
- * Note: for deeply linebred pedigrees an ancestor may be reached via very many
- * paths from shallower predecessors before it is itself dequeued, so its dp
- * value is fully accumulated before it propagates. This relies on BFS ordering
- * (breadth ≈ topological order from root): a node's dp is complete before it is
- * dequeued as long as ALL paths to it come through nodes at strictly shallower
- * depth — which holds for pedigrees without true cycles (biologically impossible).
+ * Propagated in topological order (Kahn's algorithm over the part of the DAG reachable from
+ * rootId) — O(unique_animals), not O(2^G). An ancestor only passes its value on to its own
+ * parents once every descendant of it on the way down from rootId has been processed, so
+ * its dp is complete before it propagates.
+ *
+ * Plain BFS order is NOT enough: on a linebred pedigree (S = A×B, B = A×C) A is dequeued via
+ * the short path S→A before the longer S→B→A path has added to it, and everything above A is
+ * then undercounted.
+ *
+ * Animals caught in a data cycle (listed as their own ancestor — biologically impossible)
+ * never reach zero pending descendants and so do not propagate further; links back to rootId
+ * itself are ignored for the same reason.
  */
 function computePathSums(rootId, dag) {
+    // pending[id] = number of child→parent links into id from animals reachable from rootId
+    const pending = new Map();
+    const seen = new Set([rootId]);
+    const stack = [rootId];
+    while (stack.length > 0) {
+        const node = dag.get(stack.pop());
+        if (!node) continue;
+        for (const parentId of [node.sireId, node.damId]) {
+            if (!parentId || parentId === rootId || !dag.has(parentId)) continue;
+            pending.set(parentId, (pending.get(parentId) || 0) + 1);
+            if (!seen.has(parentId)) {
+                seen.add(parentId);
+                stack.push(parentId);
+            }
+        }
+    }
+
     const dp = new Map([[rootId, 0.5]]); // path [root] has length 1 → (0.5)^1
     const queue = [rootId];
-    const inQueue = new Set([rootId]);
 
     while (queue.length > 0) {
         const id = queue.shift();
@@ -269,13 +285,12 @@ function computePathSums(rootId, dag) {
         if (!node) continue;
 
         const carry = (dp.get(id) || 0) * 0.5;
-        for (const childId of [node.sireId, node.damId]) {
-            if (!childId || !dag.has(childId)) continue;
-            dp.set(childId, (dp.get(childId) || 0) + carry);
-            if (!inQueue.has(childId)) {
-                inQueue.add(childId);
-                queue.push(childId);
-            }
+        for (const parentId of [node.sireId, node.damId]) {
+            if (!parentId || parentId === rootId || !dag.has(parentId)) continue;
+            dp.set(parentId, (dp.get(parentId) || 0) + carry);
+            const remaining = pending.get(parentId) - 1;
+            pending.set(parentId, remaining);
+            if (remaining === 0) queue.push(parentId);
         }
     }
     return dp;
@@ -363,6 +378,125 @@ async function explainPairingInbreeding(sireId, damId, fetchAnimal, generations
     };
 }
 
+/**
+ * Count ancestry paths from rootId by length, for every ancestor in the DAG.
+ *
+ *   counts[ancestor] = Map<links, numberOfPaths>
+ *   where links = number of parent→child steps from rootId (rootId itself = 0).
+ *
+ * Propagated one generation at a time, so the work is O(unique_animals × generations) even
+ * when an ancestor is reachable along thousands of distinct paths. Summing
+ * count × (0.5)^(links+1) over a node's entries reproduces computePathSums' dp value exactly.
+ */
+function computePathLengthCounts(rootId, dag) {
+    const counts = new Map();
+    let frontier = new Map([[rootId, 1]]);
+
+    // A path can never be longer than the number of animals in an acyclic pedigree — the bound
+    // only matters for malformed data where an animal is listed as its own ancestor.
+    for (let links = 0; frontier.size > 0 && links <= dag.size; links++) {
+        const next = new Map();
+        for (const [id, pathCount] of frontier) {
+            if (!counts.has(id)) counts.set(id, new Map());
+            counts.get(id).set(links, pathCount);
+
+            const node = dag.get(id);
+            if (!node) continue;
+            for (const parentId of [node.sireId, node.damId]) {
+                if (!parentId || !dag.has(parentId)) continue;
+                next.set(parentId, (next.get(parentId) || 0) + pathCount);
+            }
+        }
+        frontier = next;
+    }
+    return counts;
+}
+
+/**
+ * Wright-path COI breakdown for an EXISTING animal (as opposed to explainPairingInbreeding,
+ * which scores a prospective sire/dam pairing).
+ *
+ * Totals are identical to calculateInbreedingCoefficient() — the same DAG+DP summation over
+ * the animal's sire and dam, with the same generations-2 depth adjustment (see its comment) —
+ * and each common ancestor additionally lists its path-length pairs:
+ *
+ *   paths[] = { n1, n2, pathCount, contribution_pct }
+ *   n1/n2 = links from the sire/dam to the ancestor, pathCount = number of distinct path pairs
+ *   of those lengths, contribution = pathCount × (½)^(n1+n2+1).
+ *
+ * fa_pct is the ancestor's own COI, reported so a reader can see where inbred ancestors sit.
+ * Like the existing calculation it is NOT folded into the (1+F_A) factor: inbreeding of an
+ * ancestor is already reflected by its own common ancestors appearing further up the list,
+ * and keeping the factor at 1 keeps this breakdown summing to the COI shown everywhere else.
+ *
+ * @returns {{ animalId, sireId, damId, total: Number, breakdown: Array }} total as a percentage
+ */
+async function explainAnimalInbreeding(animalId, fetchAnimal, generations = 50) {
+    const empty = { animalId, sireId: null, damId: null, total: 0, breakdown: [] };
+    if (!animalId || generations <= 0) return empty;
+
+    const animal = await fetchAnimal(animalId);
+    if (!animal) return empty;
+
+    const sireId = animal.sireId_public || animal.fatherId_public;
+    const damId = animal.damId_public || animal.motherId_public;
+    if (!sireId || !damId) return { ...empty, sireId: sireId || null, damId: damId || null };
+
+    const depth = generations - 2;
+    const sireDag = await buildPedigreeDAG(sireId, fetchAnimal, depth);
+    const damDag  = await buildPedigreeDAG(damId,  fetchAnimal, depth);
+
+    const sireDP = computePathSums(sireId, sireDag);
+    const damDP  = computePathSums(damId,  damDag);
+    const sireCounts = computePathLengthCounts(sireId, sireDag);
+    const damCounts  = computePathLengthCounts(damId,  damDag);
+
+    let totalCoi = 0;
+    const breakdown = [];
+
+    for (const [ancestorId, sContrib] of sireDP) {
+        const dContrib = damDP.get(ancestorId);
+        if (dContrib == null) continue;
+
+        const contribution = 2 * sContrib * dContrib;
+        totalCoi += contribution;
+
+        const paths = [];
+        for (const [n1, c1] of sireCounts.get(ancestorId) || []) {
+            for (const [n2, c2] of damCounts.get(ancestorId) || []) {
+                paths.push({
+                    n1,
+                    n2,
+                    pathCount: c1 * c2,
+                    contribution_pct: parseFloat((c1 * c2 * Math.pow(0.5, n1 + n2 + 1) * 100).toFixed(4)),
+                });
+            }
+        }
+        paths.sort((a, b) => (a.n1 + a.n2) - (b.n1 + b.n2) || a.n1 - b.n1);
+
+        const node = sireDag.get(ancestorId) || damDag.get(ancestorId);
+        breakdown.push({
+            ancestorId,
+            ancestorName: node ? node.name : ancestorId,
+            fa_pct: await calculateInbreedingCoefficient(ancestorId, fetchAnimal, generations),
+            contribution_pct: parseFloat((contribution * 100).toFixed(4)),
+            sirePathSum: parseFloat((sContrib * 100).toFixed(4)),
+            damPathSum:  parseFloat((dContrib * 100).toFixed(4)),
+            paths,
+        });
+    }
+
+    breakdown.sort((a, b) => b.contribution_pct - a.contribution_pct);
+
+    return {
+        animalId,
+        sireId,
+        damId,
+        total: parseFloat((totalCoi * 100).toFixed(2)),
+        breakdown
+    };
+}
+
 /**
  * Kinship (coancestry) coefficient f(X,Y) between two DISTINCT individuals, derived from
  * their Wright's path-coefficient DP maps (see computePathSums).
@@ -463,6 +597,82 @@ async function calculateAverageKinship(animalId, populationIds, fetchAnimal, gen
     };
 }
 
+/**
+ * Rank prospective mates for one animal by predicted offspring COI and by the pair's mean
+ * kinship against a reference population.
+ *
+ *   offspringCOI    = kinship of animal and candidate — the same sum calculatePairingInbreeding
+ *                     (and so the single-pair /inbreeding/pairing endpoint) reports
+ *   pairMeanKinship = (MK_animal + MK_candidate) / 2, where MK is the animal's AVK over
+ *                     populationIds (self-kinship included, exactly as calculateAverageKinship)
+ *
+ * Lower is better for both. Candidates are ranked by offspring COI, ties broken by pair mean
+ * kinship — pairing two under-represented animals preserves more of the population's
+ * founder diversity than pairing two equally-unrelated but over-used ones.
+ *
+ * Every animal's DAG/path sums are built once and reused for both the offspring COI and all
+ * N×M kinship lookups, so the whole ranking costs one pedigree traversal per animal plus the
+ * map comparisons.
+ *
+ * @param {String} animalId - the animal a mate is being chosen for
+ * @param {String[]} candidateIds - opposite-sex candidates to score
+ * @param {String[]} populationIds - reference population for mean kinship (see getAvkReferencePopulation)
+ * @returns {Promise<Array<{ candidateId, offspringCOI, candidateMeanKinship, pairMeanKinship }>>}
+ *   percentages (0-100), sorted best first; mean kinships are null when the population is empty
+ */
+async function rankMateCandidates(animalId, candidateIds, populationIds, fetchAnimal, generations = 20) {
+    const candidates = [...new Set((candidateIds || []).filter(id => id && id !== animalId))];
+    if (!animalId || candidates.length === 0) return [];
+
+    const population = [...new Set((populationIds || []).filter(Boolean))];
+    const populationSet = new Set(population);
+
+    const pathSumCache = new Map();
+    const pathSumsFor = (id) => {
+        if (!pathSumCache.has(id)) {
+            pathSumCache.set(id, buildPedigreeDAG(id, fetchAnimal, generations).then(dag => computePathSums(id, dag)));
+        }
+        return pathSumCache.get(id);
+    };
+
+    const meanKinshipCache = new Map();
+    const meanKinshipOf = async (id) => {
+        if (population.length === 0) return null;
+        if (meanKinshipCache.has(id)) return meanKinshipCache.get(id);
+
+        const dp = await pathSumsFor(id);
+        let sum = 0;
+        if (populationSet.has(id)) {
+            // Self-kinship f(X,X) = (1 + F_X) / 2 — see calculateAverageKinship.
+            sum += (1 + (await calculateInbreedingCoefficient(id, fetchAnimal, generations)) / 100) / 2;
+        }
+        for (const otherId of population) {
+            if (otherId === id) continue;
+            sum += kinshipFromPathSums(dp, await pathSumsFor(otherId));
+        }
+        const mk = sum / population.length;
+        meanKinshipCache.set(id, mk);
+        return mk;
+    };
+
+    const animalMK = await meanKinshipOf(animalId);
+
+    const ranked = [];
+    for (const candidateId of candidates) {
+        const offspringCOI = parseFloat((kinshipFromPathSums(await pathSumsFor(animalId), await pathSumsFor(candidateId)) * 100).toFixed(4));
+        const candidateMK = await meanKinshipOf(candidateId);
+        ranked.push({
+            candidateId,
+            offspringCOI,
+            candidateMeanKinship: candidateMK == null ? null : parseFloat((candidateMK * 100).toFixed(4)),
+            pairMeanKinship: animalMK == null ? null : parseFloat((((animalMK + candidateMK) / 2) * 100).toFixed(4)),
+        });
+    }
+
+    ranked.sort((a, b) => a.offspringCOI - b.offspringCOI || (a.pairMeanKinship ?? 0) - (b.pairMeanKinship ?? 0));
+    return ranked;
+}
+
 module.exports = {
     calculateInbreedingCoefficient,
     calculateInbreedingCoefficientWithDiagnostics,
@@ -470,6 +680,10 @@ module.exports = {
     buildPedigree,
     buildPedigreeDAG,
     computePathSums,
+    computePathLengthCounts,
     explainPairingInbreeding,
-    calculateAverageKinship
+    explainAnimalInbreeding,
+    kinshipFromPathSums,
+    calculateAverageKinship,
+    rankMateCandidates
 };
@@ -0,0 +1,256 @@
+/**
+ * litterLifecycle.js
+ *
+ * Explicit litter status and the transitions allowed between statuses:
+ *
+ *   planned → mated → pregnant → born → weaned
+ *      ↘        ↘         ↘        ↘
+ *       failed   failed    lost     lost
+ *
+ * Forward moves may skip steps (a litter can be recorded as born without ever being marked
+ * pregnant), and the most recent transition can always be undone as a correction. weaned,
+ * failed and lost are otherwise terminal.
+ *
+ * The older fields (isPlanned, matingDate, pregnancyDate, birthDate, weaningConfirmed,
+ * pregnancyLost, outcome) are still what the rest of the app reads, so entering a status sets
+ * them to match (e.g. "weaned" sets weaningConfirmed and defaults weaningDate to today), and an
+ * update is rejected if they would still describe a different status afterwards.
+ * Litters saved before statuses existed have status null; deriveLitterStatus() stands in for it,
+ * and a final status derived that way does not block later edits.
+ */
+
+const LITTER_STATUSES = ['planned', 'mated', 'pregnant', 'born', 'weaned', 'failed', 'lost'];
+const MAIN_PATH = ['planned', 'mated', 'pregnant', 'born', 'weaned'];
+const TERMINAL_STATUSES = ['weaned', 'failed', 'lost'];
+
+const TRANSITIONS = {
+    planned: ['mated', 'pregnant', 'born', 'weaned', 'failed'],
+    mated: ['pregnant', 'born', 'weaned', 'failed'],
+    pregnant: ['born', 'weaned', 'lost'],
+    born: ['weaned', 'lost'],
+    weaned: [],
+    failed: [],
+    lost: [],
+};
+
+// Chronological order the recorded dates must respect (each pair where both are set).
+const DATE_SEQUENCE = [
+    ['matingDate', 'mating date'],
+    ['pregnancyDate', 'pregnancy date'],
+    ['birthDate', 'birth date'],
+    ['weaningDate', 'weaning date'],
+];
+
+// Thrown by addLitter/updateLitter; statusCode 409 for an illegal transition, 400 for
+// inconsistent or impossible field values. `errors` lists every problem found.
+class LitterStatusError extends Error {
+    constructor(message, errors = [], statusCode = 400) {
+        super(message);
+        this.name = 'LitterStatusError';
+        this.statusCode = statusCode;
+        this.errors = errors;
+    }
+}
+
+/**
+ * The status the older fields describe. Used for litters without a stored status and to check
+ * that an update leaves the fields consistent with the status being stored.
+ * null for an unplanned litter with no dates — it describes no stage yet, and must not be
+ * stored as "planned" (that would flag both parents as a planned mating).
+ */
+function deriveLitterStatus(litter) {
+    if (litter.pregnancyLost) return 'lost';
+    if (litter.birthDate && litter.weaningConfirmed) return 'weaned';
+    if (litter.birthDate) return 'born';
+    if (litter.outcome === 'Unsuccessful') return 'failed';
+    if (litter.pregnancyDate) return 'pregnant';
+    if (litter.isPlanned) return 'planned';
+    if (litter.matingDate) return 'mated';
+    return null;
+}
+
+const currentLitterStatus = (litter) => litter.status || deriveLitterStatus(litter);
+
+// A litter without a status moves like a planned one (it can only go on to the same stages).
+const transitionStage = (status) => status || 'planned';
+
+// The status before the most recent transition, i.e. what an undo returns to.
+function previousLitterStatus(litter) {
+    const history = litter.statusHistory || [];
+    const last = history[history.length - 1];
+    return last && last.from ? last.from : null;
+}
+
+/**
+ * @returns {{ allowed: Boolean, correction: Boolean }} correction = undoing the last transition
+ */
+function checkLitterTransition(litter, to) {
+    const from = transitionStage(currentLitterStatus(litter));
+    to = transitionStage(to);
+    if (from === to) return { allowed: true, correction: false };
+    if (previousLitterStatus(litter) === to) return { allowed: true, correction: true };
+    return { allowed: (TRANSITIONS[from] || []).includes(to), correction: false };
+}
+
+/**
+ * Field values that put a litter into `status`. Dates already recorded are kept; a missing
+ * date for the status being entered defaults to `now`. Dates of later stages are never
+ * cleared automatically — a correction back from "born" must send birthDate: null itself.
+ */
+function statusFieldUpdates(status, merged, now = new Date()) {
+    const updates = {};
+    const reopen = () => {
+        if (merged.pregnancyLost) updates.pregnancyLost = false;
+        if (merged.outcome === 'Unsuccessful') updates.outcome = 'Unknown';
+        if (merged.weaningConfirmed) updates.weaningConfirmed = false;
+    };
+    switch (status) {
+        case 'planned':
+            updates.isPlanned = true;
+            reopen();
+            break;
+        case 'mated':
+            updates.isPlanned = false;
+            if (!merged.matingDate) updates.matingDate = now;
+            reopen();
+            break;
+        case 'pregnant':
+            updates.isPlanned = false;
+            if (!merged.pregnancyDate) updates.pregnancyDate = now;
+            reopen();
+            break;
+        case 'born':
+            updates.isPlanned = false;
+            if (!merged.birthDate) updates.birthDate = now;
+            reopen();
+            break;
+        case 'weaned':
+            updates.isPlanned = false;
+            updates.weaningConfirmed = true;
+            if (!merged.weaningDate) updates.weaningDate = now;
+            if (merged.pregnancyLost) updates.pregnancyLost = false;
+            break;
+        case 'failed':
+            updates.isPlanned = false;
+            updates.outcome = 'Unsuccessful';
+            break;
+        case 'lost':
+            updates.isPlanned = false;
+            updates.pregnancyLost = true;
+            updates.outcome = 'Unsuccessful';
+            break;
+    }
+    return updates;
+}
+
+/**
+ * Impossible date combinations, e.g. a weaning date before the birth date.
+ * @returns {Array<String>} one message per problem
+ */
+function validateLitterDates(litter) {
+    const errors = [];
+    const dated = DATE_SEQUENCE
+        .map(([field, label]) => ({ field, label, time: litter[field] ? new Date(litter[field]).getTime() : null }))
+        .filter(d => d.time !== null);
+    for (const d of dated) {
+        if (isNaN(d.time)) errors.push(`The ${d.label} is not a valid date.`);
+    }
+    const valid = dated.filter(d => !isNaN(d.time));
+    for (let i = 0; i < valid.length; i++) {
+        for (let j = i + 1; j < valid.length; j++) {
+            if (valid[j].time < valid[i].time) {
+                errors.push(`The ${valid[j].label} cannot be before the ${valid[i].label}.`);
+            }
+        }
+    }
+    if (litter.weaningDate && !litter.birthDate) {
+        errors.push('A weaning date requires a birth date.');
+    }
+    return errors;
+}
+
+/**
+ * Works out the status change an update makes and the field values to store with it.
+ *
+ * @param {Object} litter - the stored litter (lean), or {} for a new one
+ * @param {Object} updates - incoming field updates; a `status` other than the current one is an
+ *   explicit transition, otherwise the status implied by the updated fields is used (older
+ *   clients only send dates/flags)
+ * @returns {{ from: String|null, to: String|null, changed: Boolean, correction: Boolean, explicit: Boolean,
+ *   fields: Object }} fields = updates plus status-driven field values (without `status` itself)
+ * @throws {LitterStatusError}
+ */
+function planLitterStatusChange(litter, updates, now = new Date()) {
+    const { status: requested, ...fieldUpdates } = updates;
+    const isNew = !litter._id;
+    const from = isNew ? null : currentLitterStatus(litter);
+
+    if (requested !== undefined && requested !== null && !LITTER_STATUSES.includes(requested)) {
+        throw new LitterStatusError(`Unknown litter status "${requested}".`, [`Status must be one of: ${LITTER_STATUSES.join(', ')}.`]);
+    }
+
+    // The edit form sends the current status back with every save; only a different status is a
+    // requested transition; otherwise the status follows the updated fields.
+    let merged = { ...litter, ...fieldUpdates };
+    const explicit = !!requested && (isNew || requested !== from);
+    const to = explicit ? requested : deriveLitterStatus(merged);
+    const changed = from !== to;
+
+    // A litter without a stored status only has a derived one; if that is a final status it may
+    // be wrong (e.g. an old "Unsuccessful" outcome), so it is re-derived instead of enforced.
+    const legacyFinal = !isNew && !litter.status && TERMINAL_STATUSES.includes(from);
+
+    let correction = false;
+    if (!isNew && changed && !legacyFinal) {
+        const check = checkLitterTransition(litter, to);
+        if (!check.allowed) {
+            const stage = transitionStage(from);
+            const options = TRANSITIONS[stage] || [];
+            const previous = previousLitterStatus(litter);
+            const hint = options.length || previous
+                ? `Allowed from ${stage}: ${[...options, ...(previous ? [`${previous} (undo)`] : [])].join(', ')}.`
+                : `${stage} is a final status.`;
+            throw new LitterStatusError(`A litter cannot go from ${stage} to ${transitionStage(to)}.`, [hint], 409);
+        }
+        correction = check.correction;
+    }
+
+    // Status flags (isPlanned, weaningConfirmed, pregnancyLost, outcome) follow the requested
+    // status over any sent alongside it; dates sent with it are kept (see statusFieldUpdates).
+    const fields = { ...fieldUpdates };
+    if (explicit && (changed || isNew)) {
+        Object.assign(fields, statusFieldUpdates(to, merged, now));
+        merged = { ...litter, ...fields };
+    }
+
+    // Dates are checked whenever they or the status change, so a litter saved with bad dates
+    // before this existed can still be edited. The edit form sends every date back on each
+    // save, so only a date whose value differs from the stored one counts as changed.
+    const dateValue = (value) => (value ? new Date(value).getTime() : null);
+    const touchesDates = DATE_SEQUENCE.some(([field]) => field in fields
+        && !Object.is(dateValue(fields[field]), dateValue(litter[field])));
+    const errors = (isNew || changed || touchesDates) ? validateLitterDates(merged) : [];
+    const described = deriveLitterStatus(merged);
+    if (described !== to) {
+        errors.push(`The litter's details describe ${described ? `a ${described}` : 'an unplanned'} litter, not ${to}${explicit ? '' : ` (current status: ${from})`}.`);
+    }
+    if (errors.length) {
+        throw new LitterStatusError('Invalid litter details.', errors);
+    }
+
+    return { from, to, changed, correction, explicit, fields };
+}
+
+module.exports = {
+    LITTER_STATUSES,
+    MAIN_PATH,
+    TERMINAL_STATUSES,
+    TRANSITIONS,
+    LitterStatusError,
+    deriveLitterStatus,
+    currentLitterStatus,
+    checkLitterTransition,
+    statusFieldUpdates,
+    validateLitterDates,
+    planLitterStatusChange
+};
@@ -0,0 +1,160 @@
+/**
+ * litterMilestones.js
+ *
+ * Projects a litter's expected due date and post-birth milestones from its species' breeding
+ * timeline (Species.gestationDaysMin/Max, weaningAgeDaysMin/Max, eyeOpeningAgeDays,
+ * sexualMaturityAgeDays):
+ *
+ *   due date window     matingDate + gestation min..max (expected = midpoint)
+ *   weaning window      birth + weaning age min..max
+ *   sexing date         birth + eye-opening age (pups are sexed once their eyes are open)
+ *   separate by sex     birth + sexual-maturity age (the latest safe day for mixed-sex groups)
+ *
+ * "birth" is the recorded birthDate, or the expected due date until the litter is born.
+ * addLitter/updateLitter store the result on Litter.projectedMilestones (litters saved before
+ * then: migrations/backfill-litter-projections-2026-10-19.js); animalAlertsCron reads it
+ * through dueLitterMilestones().
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The separate-by-sex reminder runs for this many days from its date, unless the litter is
+// marked separatedBySex sooner.
+const SEPARATE_BY_SEX_REMINDER_DAYS = 7;
+
+const SPECIES_TIMELINE_FIELDS = [
+    'gestationDaysMin', 'gestationDaysMax',
+    'weaningAgeDaysMin', 'weaningAgeDaysMax',
+    'eyeOpeningAgeDays', 'sexualMaturityAgeDays',
+];
+
+const addDays = (date, days) => {
+    if (!date || days === null || days === undefined) return null;
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return null;
+    return new Date(d.getTime() + days * DAY_MS);
+};
+
+const num = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+// A min/max pair where either end may be missing: [low, high], or nulls.
+const range = (min, max) => {
+    const lo = num(min);
+    const hi = num(max);
+    if (lo === null && hi === null) return [null, null];
+    return [lo ?? hi, hi ?? lo];
+};
+
+/**
+ * Checks species timeline values from an admin edit.
+ * @returns {Array<String>} one message per problem
+ */
+function validateSpeciesTimeline(values) {
+    const errors = [];
+    for (const field of SPECIES_TIMELINE_FIELDS) {
+        if (!(field in values)) continue;
+        const value = num(values[field]);
+        if (value !== null && (!Number.isFinite(value) || value < 0 || value > 3650)) {
+            errors.push(`${field} must be a number of days between 0 and 3650`);
+        }
+    }
+    for (const [min, max] of [['gestationDaysMin', 'gestationDaysMax'], ['weaningAgeDaysMin', 'weaningAgeDaysMax']]) {
+        const lo = num(values[min]);
+        const hi = num(values[max]);
+        if (lo !== null && hi !== null && lo > hi) errors.push(`${min} cannot be greater than ${max}`);
+    }
+    return errors;
+}
+
+/**
+ * @param {Object} litter - matingDate, birthDate, expectedDueDate (only used when `manualDueDate`)
+ * @param {Object|null} species - Species document with the timeline fields
+ * @param {Object} [options]
+ * @param {Boolean} [options.manualDueDate] - expectedDueDate was entered by hand; keep it as the
+ *   basis for post-birth milestones instead of the projected one
+ * @returns {{ expectedDueDate: Date|null, projectedMilestones: Object|null }} projectedMilestones is
+ *   null when the species has no timeline data
+ */
+function projectLitterMilestones(litter, species, { manualDueDate = false } = {}) {
+    if (!species || SPECIES_TIMELINE_FIELDS.every(f => num(species[f]) === null)) {
+        return { expectedDueDate: null, projectedMilestones: null };
+    }
+
+    const [gestationMin, gestationMax] = range(species.gestationDaysMin, species.gestationDaysMax);
+    const dueDateEarliest = addDays(litter.matingDate, gestationMin);
+    const dueDateLatest = addDays(litter.matingDate, gestationMax);
+    const expectedDueDate = gestationMin === null ? null : addDays(litter.matingDate, Math.round((gestationMin + gestationMax) / 2));
+
+    const birthBasis = litter.birthDate
+        ? 'birthDate'
+        : (manualDueDate && litter.expectedDueDate) ? 'expectedDueDate'
+        : expectedDueDate ? 'projectedDueDate' : null;
+    const birth = birthBasis === 'birthDate' ? litter.birthDate
+        : birthBasis === 'expectedDueDate' ? litter.expectedDueDate
+        : expectedDueDate;
+
+    const [weaningMin, weaningMax] = range(species.weaningAgeDaysMin, species.weaningAgeDaysMax);
+
+    return {
+        expectedDueDate,
+        projectedMilestones: {
+            dueDateEarliest,
+            dueDateLatest,
+            weaningWindowStart: addDays(birth, weaningMin),
+            weaningWindowEnd: addDays(birth, weaningMax),
+            sexingDate: addDays(birth, num(species.eyeOpeningAgeDays)),
+            separateBySexDate: addDays(birth, num(species.sexualMaturityAgeDays)),
+            species: species.name || null,
+            basis: birthBasis,
+            projectedAt: new Date(),
+        },
+    };
+}
+
+const reached = (date, today) => {
+    if (!date) return false;
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return false;
+    d.setHours(0, 0, 0, 0);
+    const t = new Date(today); t.setHours(0, 0, 0, 0);
+    return d.getTime() <= t.getTime();
+};
+
+/**
+ * Projected milestones that have arrived and are not yet done, for the daily reminder digest.
+ * Recorded dates are reminded by animalAlertsCron itself (a recorded weaningDate replaces the
+ * projected weaning window here). separateBySex stops once the litter is marked separatedBySex,
+ * or SEPARATE_BY_SEX_REMINDER_DAYS after its date.
+ * @returns {Array<'overdue'|'weaning'|'sexing'|'separateBySex'>}
+ */
+function dueLitterMilestones(litter, today = new Date()) {
+    const m = litter.projectedMilestones;
+    if (!m) return [];
+    const due = [];
+    const closed = litter.pregnancyLost || litter.outcome === 'Unsuccessful'
+        || ['failed', 'lost', 'weaned'].includes(litter.status);
+
+    // Mated but neither confirmed pregnant nor born by the end of the gestation window.
+    const mated = litter.status ? litter.status === 'mated' : (!litter.isPlanned && litter.matingDate);
+    if (mated && !closed && !litter.pregnancyDate && !litter.birthDate && reached(m.dueDateLatest, today)) {
+        due.push('overdue');
+    }
+
+    const nursing = litter.birthDate && !litter.weaningConfirmed && !closed;
+    if (!nursing) return due;
+    if (!litter.weaningDate && !litter.weaningDismissed && reached(m.weaningWindowStart, today)) due.push('weaning');
+    const sexed = litter.maleCount != null || litter.femaleCount != null;
+    if (!sexed && reached(m.sexingDate, today)) due.push('sexing');
+    if (!litter.separatedBySex && reached(m.separateBySexDate, today)
+        && !reached(addDays(m.separateBySexDate, SEPARATE_BY_SEX_REMINDER_DAYS), today)) {
+        due.push('separateBySex');
+    }
+    return due;
+}
+
+module.exports = {
+    SEPARATE_BY_SEX_REMINDER_DAYS,
+    SPECIES_TIMELINE_FIELDS,
+    validateSpeciesTimeline,
+    projectLitterMilestones,
+    dueLitterMilestones
+};
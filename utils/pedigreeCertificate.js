@@ -0,0 +1,328 @@
+/**
+ * Printable pedigree certificate rendering (PDF).
+ *
+ * Uses node-canvas' PDF backend (createCanvas(w, h, 'pdf')), so every coordinate below is in
+ * PDF points (1/72 in) and text stays vector — certificates print crisply at any size.
+ *
+ * Layout: a header, a subject panel (details + photo) across the top, and a left-to-right
+ * pedigree chart filling the rest of the page, one column per generation (parents first).
+ */
+const fs = require('fs');
+const path = require('path');
+
+// node-canvas is a native module; it is loaded on first render so the layout and photo helpers
+// can be used without it.
+const canvasModule = () => require('canvas');
+
+const PAPER_SIZES = {
+    a4: { width: 595, height: 842 },
+    letter: { width: 612, height: 792 },
+};
+const ORIENTATIONS = ['landscape', 'portrait'];
+const MIN_CERTIFICATE_GENERATIONS = 3;
+const MAX_CERTIFICATE_GENERATIONS = 5;
+
+const MARGIN = 36;
+const PANEL_HEIGHT = 128;
+const COLUMN_GAP = 10;
+const PHOTO_TIMEOUT_MS = 5000;
+const PHOTO_MAX_BYTES = 5 * 1024 * 1024;
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+const getPageSize = (paper, orientation) => {
+    const size = PAPER_SIZES[paper];
+    const portrait = { width: Math.min(size.width, size.height), height: Math.max(size.width, size.height) };
+    return orientation === 'landscape' ? { width: portrait.height, height: portrait.width } : portrait;
+};
+
+const profileDisplayName = (profile) => {
+    if (!profile) return null;
+    if (profile.showBreederName && profile.breederName) return profile.breederName;
+    if (profile.showPersonalName && profile.personalName) return profile.personalName;
+    return profile.id_public || null;
+};
+
+const fullAnimalName = (animal) => [animal.prefix, animal.name, animal.suffix].filter(Boolean).join(' ');
+
+const formatDate = (date) => (date ? new Date(date).toISOString().split('T')[0] : '—');
+
+// Truncates with an ellipsis so long prefixes/names never spill into the next box.
+const fitText = (ctx, text, maxWidth) => {
+    const value = String(text ?? '');
+    if (ctx.measureText(value).width <= maxWidth) return value;
+    let end = value.length;
+    while (end > 0 && ctx.measureText(`${value.slice(0, end)}…`).width > maxWidth) end--;
+    return end > 0 ? `${value.slice(0, end)}…` : '';
+};
+
+const hostOf = (value) => {
+    if (!value) return null;
+    try {
+        return new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`).hostname.toLowerCase();
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Hosts a certificate may fetch photos from: the uploader (R2 worker), the app's own domain and
+ * any CDN hosts listed in CERTIFICATE_PHOTO_HOSTS (comma-separated).
+ */
+const allowedPhotoHosts = (env = process.env) => new Set([
+    env.UPLOADER_URL, env.PUBLIC_HOST, env.PUBLIC_URL, env.DOMAIN,
+    ...String(env.CERTIFICATE_PHOTO_HOSTS || '').split(','),
+].map(v => hostOf(String(v || '').trim())).filter(Boolean));
+
+/**
+ * Where to read an animal photo from. The URL is stored on the animal, so it is never fetched
+ * as-is: files uploaded to this server (/uploads/<name>) are read from disk, anything else must
+ * be http(s) on an allowed host.
+ * @returns {{ file: String }|{ url: String }|null}
+ */
+const resolvePhotoSource = (imageUrl, { env = process.env, uploadsDir = UPLOADS_DIR } = {}) => {
+    if (!imageUrl || typeof imageUrl !== 'string') return null;
+    let url;
+    try {
+        url = new URL(imageUrl, 'http://localhost');
+    } catch (err) {
+        return null;
+    }
+    const local = /^\/uploads\/([\w.-]+)$/.exec(url.pathname);
+    if (local && !local[1].startsWith('.')) {
+        const file = path.join(uploadsDir, local[1]);
+        if (fs.existsSync(file)) return { file };
+    }
+    if (!/^https?:\/\//i.test(imageUrl) || !['http:', 'https:'].includes(url.protocol)) return null;
+    return allowedPhotoHosts(env).has(url.hostname.toLowerCase()) ? { url: url.href } : null;
+};
+
+// Reads at most PHOTO_MAX_BYTES; larger or non-image responses are dropped.
+const downloadPhoto = async (url) => {
+    const response = await fetch(url, { redirect: 'error', signal: AbortSignal.timeout(PHOTO_TIMEOUT_MS) });
+    if (!response.ok || !/^image\//i.test(response.headers.get('content-type') || '')) return null;
+    if (Number(response.headers.get('content-length')) > PHOTO_MAX_BYTES) return null;
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > PHOTO_MAX_BYTES) return null;
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+// A slow, missing or disallowed image must never fail the certificate.
+const fetchPhoto = async (imageUrl) => {
+    const source = resolvePhotoSource(imageUrl);
+    if (!source) return null;
+    try {
+        if (source.file && fs.statSync(source.file).size > PHOTO_MAX_BYTES) return null;
+        const bytes = source.file ? await fs.promises.readFile(source.file) : await downloadPhoto(source.url);
+        return bytes ? await canvasModule().loadImage(bytes) : null;
+    } catch (err) {
+        console.warn('[CERTIFICATE] Could not load animal photo:', err.message || err);
+        return null;
+    }
+};
+
+const drawHeader = (ctx, page, { animal, breeder }) => {
+    ctx.fillStyle = '#111111';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.font = 'bold 20pt Serif';
+    ctx.fillText('Pedigree Certificate', page.width / 2, MARGIN);
+    ctx.font = '10pt Serif';
+    const breederName = profileDisplayName(breeder) || animal.manualBreederName;
+    const subtitle = [animal.species, breederName ? `Bred by ${breederName}` : null].filter(Boolean).join(' · ');
+    ctx.fillText(fitText(ctx, subtitle, page.width - MARGIN * 2), page.width / 2, MARGIN + 26);
+    ctx.textAlign = 'left';
+};
+
+const drawSubjectPanel = (ctx, page, top, { animal, coi, owner, breeder }, photo) => {
+    const width = page.width - MARGIN * 2;
+    ctx.strokeStyle = '#444444';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(MARGIN, top, width, PANEL_HEIGHT);
+
+    const photoSize = PANEL_HEIGHT - 16;
+    const textRight = photo ? MARGIN + width - photoSize - 16 : MARGIN + width - 8;
+
+    const rows = [
+        ['Name', fullAnimalName(animal)],
+        ['CritterTrack ID', animal.id_public],
+        ['Registration', animal.pedigreeRegistrationId || animal.breederAssignedId || '—'],
+        ['Sex', animal.gender || '—'],
+        ['Born', formatDate(animal.birthDate)],
+        ['Colour', animal.color || '—'],
+        ['Coat', animal.coat || '—'],
+        ['Markings', animal.markings || '—'],
+        ['COI', coi == null ? '—' : `${coi.toFixed(2)}%`],
+        ['Breeder', profileDisplayName(breeder) || animal.manualBreederName || '—'],
+        ['Owner', profileDisplayName(owner) || '—'],
+    ];
+
+    // Two columns of label/value rows
+    const perColumn = Math.ceil(rows.length / 2);
+    const columnWidth = (textRight - MARGIN - 8) / 2;
+    const rowHeight = (PANEL_HEIGHT - 16) / perColumn;
+    ctx.textBaseline = 'middle';
+    rows.forEach(([label, value], idx) => {
+        const col = Math.floor(idx / perColumn);
+        const x = MARGIN + 8 + col * columnWidth;
+        const y = top + 8 + (idx % perColumn) * rowHeight + rowHeight / 2;
+        ctx.fillStyle = '#666666';
+        ctx.font = '8pt Sans';
+        ctx.fillText(label, x, y);
+        ctx.fillStyle = '#111111';
+        ctx.font = idx === 0 ? 'bold 10pt Sans' : '9pt Sans';
+        ctx.fillText(fitText(ctx, value, columnWidth - 80), x + 74, y);
+    });
+
+    if (photo) {
+        const scale = Math.min(photoSize / photo.width, photoSize / photo.height);
+        const w = photo.width * scale;
+        const h = photo.height * scale;
+        const boxX = MARGIN + width - photoSize - 8;
+        ctx.drawImage(photo, boxX + (photoSize - w) / 2, top + 8 + (photoSize - h) / 2, w, h);
+    }
+};
+
+const drawAncestorBox = (ctx, node, x, y, w, h) => {
+    ctx.lineWidth = 0.75;
+    if (!node) {
+        ctx.strokeStyle = '#cccccc';
+        ctx.setLineDash([2, 2]);
+        ctx.strokeRect(x, y, w, h);
+        ctx.setLineDash([]);
+        return;
+    }
+
+    ctx.strokeStyle = node.isPlaceholder ? '#999999' : '#333333';
+    ctx.setLineDash(node.isPlaceholder ? [2, 2] : []);
+    ctx.strokeRect(x, y, w, h);
+    ctx.setLineDash([]);
+
+    const fontSize = Math.max(5, Math.min(9, h / 3.4));
+    const lines = node.isPlaceholder
+        ? [[`${node.id_public}`, false], ['(not public)', false]]
+        : [
+            [node.name, true],
+            [[node.id_public, node.pedigreeRegistrationId || node.breederAssignedId].filter(Boolean).join(' · '), false],
+            [[node.color, node.coat].filter(Boolean).join(', '), false],
+        ];
+    const maxLines = Math.max(1, Math.floor((h - 2) / (fontSize + 2)));
+    const shown = lines.filter(([text]) => text).slice(0, maxLines);
+    const blockHeight = shown.length * (fontSize + 2);
+
+    ctx.textBaseline = 'top';
+    shown.forEach(([text, bold], idx) => {
+        ctx.fillStyle = bold ? '#111111' : '#444444';
+        ctx.font = `${bold ? 'bold ' : ''}${fontSize}pt Sans`;
+        ctx.fillText(fitText(ctx, text, w - 6), x + 3, y + (h - blockHeight) / 2 + idx * (fontSize + 2));
+    });
+};
+
+/**
+ * Draws generations 1..`generations` as columns. Generation g has 2^g slots; a node at
+ * (g, i) has its sire at (g+1, 2i) and its dam at (g+1, 2i+1) — Ahnentafel order.
+ */
+const drawPedigreeChart = (ctx, area, pedigree, generations) => {
+    const columnWidth = area.width / generations;
+    const boxWidth = columnWidth - COLUMN_GAP;
+
+    const slot = (g, i) => {
+        const slotHeight = area.height / Math.pow(2, g);
+        const boxHeight = Math.min(slotHeight - 3, 46);
+        return {
+            x: area.x + (g - 1) * columnWidth,
+            y: area.y + i * slotHeight + (slotHeight - boxHeight) / 2,
+            h: boxHeight,
+            centerY: area.y + i * slotHeight + slotHeight / 2,
+        };
+    };
+
+    const walk = (node, g, i) => {
+        if (g > generations) return;
+        const { x, y, h, centerY } = slot(g, i);
+        drawAncestorBox(ctx, node, x, y, boxWidth, h);
+
+        if (g === generations) return;
+        const sireSlot = slot(g + 1, 2 * i);
+        const damSlot = slot(g + 1, 2 * i + 1);
+        const elbowX = x + boxWidth + COLUMN_GAP / 2;
+        ctx.strokeStyle = '#999999';
+        ctx.lineWidth = 0.5;
+        ctx.beginPath();
+        ctx.moveTo(x + boxWidth, centerY);
+        ctx.lineTo(elbowX, centerY);
+        ctx.moveTo(elbowX, sireSlot.centerY);
+        ctx.lineTo(elbowX, damSlot.centerY);
+        ctx.moveTo(elbowX, sireSlot.centerY);
+        ctx.lineTo(sireSlot.x, sireSlot.centerY);
+        ctx.moveTo(elbowX, damSlot.centerY);
+        ctx.lineTo(damSlot.x, damSlot.centerY);
+        ctx.stroke();
+
+        walk(node && node.sire, g + 1, 2 * i);
+        walk(node && node.dam, g + 1, 2 * i + 1);
+    };
+
+    walk(pedigree && pedigree.sire, 1, 0);
+    walk(pedigree && pedigree.dam, 1, 1);
+};
+
+const drawFooter = (ctx, page) => {
+    const y = page.height - MARGIN + 8;
+    ctx.fillStyle = '#666666';
+    ctx.font = '7pt Sans';
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText(`Generated by CritterTrack on ${formatDate(new Date())}`, MARGIN, y);
+    ctx.textAlign = 'right';
+    ctx.fillText('Breeder signature: ______________________', page.width - MARGIN, y);
+    ctx.textAlign = 'left';
+};
+
+/**
+ * Renders a one-page pedigree certificate.
+ *
+ * @param {Object} data - { animal, pedigree, coi, owner, breeder } (see getPedigreeCertificateData);
+ *   `pedigree` is the nested tree, `coi` a percentage or null
+ * @param {Object} options - { paper: 'a4' | 'letter', orientation: 'landscape' | 'portrait', generations: 3-5 }
+ * @returns {Promise<Buffer>} the PDF bytes
+ */
+async function renderPedigreeCertificate(data, { paper = 'a4', orientation = 'landscape', generations = 4 } = {}) {
+    const page = getPageSize(paper, orientation);
+    const canvas = canvasModule().createCanvas(page.width, page.height, 'pdf');
+    const ctx = canvas.getContext('2d');
+
+    const photo = await fetchPhoto(data.animal.imageUrl || data.animal.photoUrl);
+
+    drawHeader(ctx, page, data);
+    const panelTop = MARGIN + 46;
+    drawSubjectPanel(ctx, page, panelTop, data, photo);
+
+    const chartTop = panelTop + PANEL_HEIGHT + 14;
+    drawPedigreeChart(ctx, {
+        x: MARGIN,
+        y: chartTop,
+        width: page.width - MARGIN * 2 + COLUMN_GAP,
+        height: page.height - MARGIN - 14 - chartTop,
+    }, data.pedigree, generations);
+
+    drawFooter(ctx, page);
+
+    return canvas.toBuffer('application/pdf');
+}
+
+module.exports = {
+    PAPER_SIZES,
+    ORIENTATIONS,
+    MIN_CERTIFICATE_GENERATIONS,
+    MAX_CERTIFICATE_GENERATIONS,
+    PHOTO_MAX_BYTES,
+    getPageSize,
+    profileDisplayName,
+    resolvePhotoSource,
+    renderPedigreeCertificate,
+};
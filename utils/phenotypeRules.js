@@ -0,0 +1,143 @@
+/**
+ * Evaluates GeneticsData.phenotypeRules against a parsed genotype (utils/genetics.js) to
+ * suggest an animal's color, coat and markings.
+ *
+ * Each rule is { name, conditions, priority }. `name` is the suggested value; `conditions` is:
+ *
+ *   { field: 'color' | 'coat' | 'markings',      // target field, default 'color'
+ *     ...condition }
+ *
+ * where a condition is one of
+ *   { all: [condition, ...] }  { any: [condition, ...] }  { not: condition }
+ *   { locus: 'A', genotype: 'a/a' }            exact pair (either allele order); may be an array
+ *   { locus: 'C', hasAllele: 'c' }             at least one copy
+ *   { locus: 'C', homozygous: 'c' }            two copies (homozygous: true = any homozygote)
+ *   { locus: 'B', lacksAllele: 'b' }           no copy
+ *   { A: 'a/a', B: ['b/b'] }                   shorthand: every locus must match
+ *
+ * Evaluation is three-valued: a condition on a locus the genotype does not cover, or that an
+ * unknown ('-') allele leaves open, is undecided, and a rule only applies when it is definitely
+ * true. Per field, the highest-priority applicable rule wins (ties: earlier rule) — unless a
+ * rule ranked above it is undecided, in which case nothing is suggested for that field.
+ */
+const { UNKNOWN_ALLELE } = require('./genetics');
+
+const PHENOTYPE_FIELDS = ['color', 'coat', 'markings'];
+const RESERVED_KEYS = new Set(['field', 'all', 'any', 'not', 'locus', 'genotype', 'hasAllele', 'homozygous', 'lacksAllele']);
+
+const samePair = (alleles, notation) => {
+    const parts = String(notation).split('/');
+    if (parts.length !== 2) return false;
+    return (alleles[0] === parts[0] && alleles[1] === parts[1]) || (alleles[0] === parts[1] && alleles[1] === parts[0]);
+};
+
+// true | false | null (undecided)
+function evaluateLeaf(condition, byLocus) {
+    const entry = byLocus.get(condition.locus);
+    if (!entry) return null;
+    const { alleles } = entry;
+    const known = alleles.filter(a => a !== UNKNOWN_ALLELE);
+    const hasUnknown = known.length < alleles.length;
+
+    if (condition.genotype !== undefined) {
+        const options = Array.isArray(condition.genotype) ? condition.genotype : [condition.genotype];
+        if (options.some(n => samePair(alleles, n))) return true;
+        if (!hasUnknown) return false;
+        // "A/-" could still be any listed pair containing A
+        return options.some(n => String(n).split('/').includes(known[0])) ? null : false;
+    }
+    if (condition.hasAllele !== undefined) {
+        if (known.includes(condition.hasAllele)) return true;
+        return hasUnknown ? null : false;
+    }
+    if (condition.lacksAllele !== undefined) {
+        if (known.includes(condition.lacksAllele)) return false;
+        return hasUnknown ? null : true;
+    }
+    if (condition.homozygous !== undefined) {
+        if (hasUnknown) {
+            if (condition.homozygous !== true && known[0] !== condition.homozygous) return false;
+            return null;
+        }
+        const homozygous = alleles[0] === alleles[1];
+        return condition.homozygous === true ? homozygous : homozygous && alleles[0] === condition.homozygous;
+    }
+    return false;
+}
+
+// Malformed conditions never match (rather than staying undecided and blocking lower rules).
+function evaluateCondition(condition, byLocus) {
+    if (!condition || typeof condition !== 'object') return false;
+
+    if (Array.isArray(condition.all)) {
+        let result = true;
+        for (const c of condition.all) {
+            const r = evaluateCondition(c, byLocus);
+            if (r === false) return false;
+            if (r === null) result = null;
+        }
+        return result;
+    }
+    if (Array.isArray(condition.any)) {
+        let result = false;
+        for (const c of condition.any) {
+            const r = evaluateCondition(c, byLocus);
+            if (r === true) return true;
+            if (r === null) result = null;
+        }
+        return result;
+    }
+    if (condition.not !== undefined) {
+        const r = evaluateCondition(condition.not, byLocus);
+        return r === null ? null : !r;
+    }
+    if (condition.locus !== undefined) {
+        return evaluateLeaf(condition, byLocus);
+    }
+
+    // Shorthand { A: 'a/a', B: 'b/b' }
+    const loci = Object.keys(condition).filter(k => !RESERVED_KEYS.has(k));
+    if (loci.length === 0) return false;
+    return evaluateCondition({ all: loci.map(locus => ({ locus, genotype: condition[locus] })) }, byLocus);
+}
+
+/**
+ * @param {Array<{ locus, alleles }>} genotype - parsed genotype (parseGeneticCode / Animal.geneticGenotype)
+ * @param {Array} rules - GeneticsData.phenotypeRules
+ * @returns {{ suggestions: { color, coat, markings }, matchedRules: Array<{ name, field, priority }>,
+ *   undecidedRules: Array<{ name, field, priority }> }}
+ */
+function evaluatePhenotypeRules(genotype, rules) {
+    const byLocus = new Map((genotype || []).map(g => [g.locus, g]));
+    const suggestions = { color: null, coat: null, markings: null };
+    const decided = { color: false, coat: false, markings: false };
+    const matchedRules = [];
+    const undecidedRules = [];
+
+    const ordered = (rules || [])
+        .map((rule, idx) => ({ rule, idx }))
+        .sort((a, b) => ((b.rule.priority || 0) - (a.rule.priority || 0)) || (a.idx - b.idx));
+
+    for (const { rule } of ordered) {
+        const conditions = rule.conditions || {};
+        const field = PHENOTYPE_FIELDS.includes(conditions.field) ? conditions.field : 'color';
+        const result = evaluateCondition(conditions, byLocus);
+        const summary = { name: rule.name, field, priority: rule.priority || 0 };
+        if (result === null) {
+            undecidedRules.push(summary);
+            decided[field] = true;
+        } else if (result === true) {
+            matchedRules.push(summary);
+            if (!decided[field]) suggestions[field] = rule.name;
+            decided[field] = true;
+        }
+    }
+
+    return { suggestions, matchedRules, undecidedRules };
+}
+
+module.exports = {
+    PHENOTYPE_FIELDS,
+    evaluateCondition,
+    evaluatePhenotypeRules
+};
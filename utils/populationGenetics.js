@@ -0,0 +1,177 @@
+/**
+ * Colony-level pedigree statistics for a reference population (typically one owner's living,
+ * non-archived animals of one species — see getAvkReferencePopulation).
+ *
+ * Everything here is derived from the same buildPedigreeDAG/computePathSums machinery that
+ * COI and AVK use (utils/inbreeding.js), so the numbers are consistent with what an animal's
+ * detail view shows:
+ *
+ *   genetic contribution of ancestor A to X   c(X,A) = Σ_paths (½)^links = 2 × dp_X[A]
+ *   founder contribution p_f                  = (1/N) Σ_X c(X,f)
+ *   founder equivalents fe                    = 1 / Σ p_f²          (p normalised to known genome)
+ *   mean kinship MK                           = (1/N²) Σ_i Σ_j f(i,j)   (self-kinship included)
+ *   founder genome equivalents fg             = 1 / (2 × MK)
+ *   gene diversity retained GD                = 1 − MK
+ *   Ne (sex ratio)                            = 4·Nm·Nf / (Nm + Nf)
+ *   Ne (rate of inbreeding)                   = 1 / (2·ΔF̄), with individual
+ *                                               ΔF_i = 1 − (1 − F_i)^(1/(t_i − 1))
+ *                                               and t_i = equivalent complete generations
+ *
+ * A "founder" is any ancestor whose parents are not in its pedigree DAG — a true founder, or an
+ * ancestor at the generation limit (reported with `truncated: true`). Genome from a missing
+ * single parent is counted as unknown, which is why pedigreeCompleteness can be below 100%.
+ */
+const {
+    buildPedigreeDAG,
+    computePathSums,
+    kinshipFromPathSums
+} = require('./inbreeding');
+
+const pct = (value) => (value == null || !isFinite(value) ? null : parseFloat((value * 100).toFixed(4)));
+const round = (value, digits = 2) => (value == null || !isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+
+// F_X = f(sire, dam), summed over X's own DAG so it is truncated at the same depth as the
+// pairwise kinships below; self-kinship (1 + F) / 2 then matches them.
+const inbreedingFromDag = (id, dag) => {
+    const node = dag.get(id);
+    if (!node || !node.sireId || !node.damId || node.sireId === node.damId) return 0;
+    if (!dag.has(node.sireId) || !dag.has(node.damId)) return 0;
+    return kinshipFromPathSums(computePathSums(node.sireId, dag), computePathSums(node.damId, dag));
+};
+
+/**
+ * @param {Array<{ id_public: String, gender: String }>} animals - the reference population
+ * @param {Function} fetchAnimal - resolves { sireId_public, damId_public, name } by id_public
+ * @param {Number} generations - pedigree depth to trace (default 20, as for AVK)
+ * @returns {Promise<Object>} population summary; ratios as percentages, null where undefined
+ */
+async function calculatePopulationGenetics(animals, fetchAnimal, generations = 20) {
+    const seen = new Set();
+    const population = (animals || []).filter(a => a && a.id_public && !seen.has(a.id_public) && seen.add(a.id_public));
+    const N = population.length;
+
+    const males = population.filter(a => a.gender === 'Male').length;
+    const females = population.filter(a => a.gender === 'Female').length;
+    const neSexRatio = males + females > 0 ? (4 * males * females) / (males + females) : null;
+
+    if (N === 0) {
+        return {
+            populationSize: 0, males, females,
+            founderCount: 0, founders: [],
+            founderEquivalents: null, founderGenomeEquivalents: null,
+            meanKinship: null, geneDiversityRetained: null,
+            pedigreeCompleteness: null, meanInbreeding: null,
+            meanEquivalentGenerations: null, meanDeltaF: null,
+            neSexRatio: null, neInbreedingRate: null,
+        };
+    }
+
+    const dags = new Map();
+    const dps = new Map();
+    for (const { id_public } of population) {
+        const dag = await buildPedigreeDAG(id_public, fetchAnimal, generations);
+        dags.set(id_public, dag);
+        dps.set(id_public, computePathSums(id_public, dag));
+    }
+
+    // --- Founder contributions and pedigree completeness ---
+    const founderTotals = new Map();
+    let knownGenomeSum = 0;
+    for (const { id_public } of population) {
+        const dag = dags.get(id_public);
+        const dp = dps.get(id_public);
+        for (const [ancestorId, pathSum] of dp) {
+            const node = dag.get(ancestorId);
+            if (!node) continue;
+            const sireKnown = node.sireId && dag.has(node.sireId);
+            const damKnown = node.damId && dag.has(node.damId);
+            if (sireKnown || damKnown) continue;
+
+            const contribution = 2 * pathSum;
+            knownGenomeSum += contribution;
+            if (!founderTotals.has(ancestorId)) {
+                founderTotals.set(ancestorId, {
+                    id_public: ancestorId,
+                    name: node.name,
+                    truncated: !!(node.sireId || node.damId),
+                    total: 0,
+                    descendantCount: 0,
+                });
+            }
+            const entry = founderTotals.get(ancestorId);
+            entry.total += contribution;
+            entry.descendantCount += 1;
+        }
+    }
+
+    const knownGenome = knownGenomeSum / N;
+    let sumSquares = 0;
+    const founders = [...founderTotals.values()].map(f => {
+        const contribution = f.total / N;
+        if (knownGenome > 0) sumSquares += Math.pow(contribution / knownGenome, 2);
+        return {
+            id_public: f.id_public,
+            name: f.name,
+            truncated: f.truncated,
+            descendantCount: f.descendantCount,
+            contribution: pct(contribution),
+        };
+    }).sort((a, b) => b.contribution - a.contribution);
+
+    // --- Inbreeding, equivalent generations and ΔF per individual ---
+    const inbreeding = new Map();
+    let sumF = 0;
+    let sumT = 0;
+    let sumDeltaF = 0;
+    let deltaFCount = 0;
+    for (const { id_public } of population) {
+        const F = inbreedingFromDag(id_public, dags.get(id_public));
+        inbreeding.set(id_public, F);
+        sumF += F;
+
+        let t = 0;
+        for (const [ancestorId, pathSum] of dps.get(id_public)) {
+            if (ancestorId !== id_public) t += 2 * pathSum;
+        }
+        sumT += t;
+        // ΔF_i is undefined for animals with ≤ 1 equivalent generation of known pedigree.
+        if (t > 1) {
+            sumDeltaF += 1 - Math.pow(1 - F, 1 / (t - 1));
+            deltaFCount++;
+        }
+    }
+    const meanDeltaF = deltaFCount > 0 ? sumDeltaF / deltaFCount : null;
+
+    // --- Mean kinship across the whole population (self-kinship included) ---
+    let kinshipSum = 0;
+    for (let i = 0; i < N; i++) {
+        const idI = population[i].id_public;
+        kinshipSum += (1 + inbreeding.get(idI)) / 2;
+        for (let j = i + 1; j < N; j++) {
+            kinshipSum += 2 * kinshipFromPathSums(dps.get(idI), dps.get(population[j].id_public));
+        }
+    }
+    const meanKinship = kinshipSum / (N * N);
+
+    return {
+        populationSize: N,
+        males,
+        females,
+        founderCount: founders.length,
+        founders,
+        founderEquivalents: sumSquares > 0 ? round(1 / sumSquares) : null,
+        founderGenomeEquivalents: meanKinship > 0 ? round(1 / (2 * meanKinship)) : null,
+        meanKinship: pct(meanKinship),
+        geneDiversityRetained: pct(1 - meanKinship),
+        pedigreeCompleteness: pct(knownGenome),
+        meanInbreeding: pct(sumF / N),
+        meanEquivalentGenerations: round(sumT / N),
+        meanDeltaF: pct(meanDeltaF),
+        neSexRatio: round(neSexRatio, 1),
+        neInbreedingRate: meanDeltaF > 0 ? round(1 / (2 * meanDeltaF), 1) : null,
+    };
+}
+
+module.exports = {
+    calculatePopulationGenetics
+};
@@ -24,6 +24,9 @@ const TYPE_TO_CATEGORY = {
     transfer_cancelled: 'requests',
     animal_returned: 'requests',
     animal_recalled: 'requests',
+    waitlist_request: 'requests',
+    reservation_update: 'requests',
+    reservation_available: 'requests',
     // Moderation, admin broadcasts/announcements, and report/bug-report replies are all
     // platform/admin-driven communication (as opposed to another user or your own animals),
     // so they're grouped under one "system" preference category.
@@ -40,18 +43,20 @@ const TYPE_TO_CATEGORY = {
     new_rating: 'system',
     beta_survey_completed: 'system',
     litter_assignment: 'breeding',
+    enclosure_reading_alert: 'enclosureCare',
+    feeding_refusal_alert: 'health',
 };
 
 // Category metadata shown in Settings so users can toggle each on/off.
 const PUSH_CATEGORIES = [
     { id: 'messages', label: 'New messages' },
-    { id: 'requests', label: 'Requests & transfers', description: 'Breeder/parent/link requests, animal transfers' },
+    { id: 'requests', label: 'Requests & transfers', description: 'Breeder/parent/link requests, animal transfers, waitlist reservations' },
     { id: 'system', label: 'System notifications', description: 'Moderation notices, announcements/broadcasts, new ratings, and updates on your bug reports/issues' },
     { id: 'breeding', label: 'Litters & mating reminders' },
     { id: 'feeding', label: 'Feeding reminders', description: 'Daily digest of animals overdue for feeding' },
-    { id: 'enclosureCare', label: 'Enclosure & supplies', description: 'Daily digest of overdue enclosure cleaning/maintenance and supply reorders' },
+    { id: 'enclosureCare', label: 'Enclosure & supplies', description: 'Daily digest of overdue enclosure cleaning/maintenance and supply reorders, and out-of-range enclosure readings' },
     { id: 'careTasks', label: 'Grooming, training & custom care', description: 'Daily digest of overdue grooming/training schedules and custom animal care tasks' },
-    { id: 'health', label: 'Health & medical alerts', description: 'Daily digest of due medication doses, quarantine end dates, and Concern/Critical health status' },
+    { id: 'health', label: 'Health & medical alerts', description: 'Daily digest of due medication doses, quarantine end dates, Concern/Critical health status, and feeding refusal streaks' },
 ];
 
 const categoryForType = (type) => TYPE_TO_CATEGORY[type] || 'other';
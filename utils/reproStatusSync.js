@@ -19,6 +19,10 @@ const { Animal, PublicAnimal, Litter, Species } = require('../database/models');
 // Species collection (e.g. a custom/user-added species never assigned one).
 const DEFAULT_MAX_NURSING_DAYS = 90;
 
+// Litter lifecycle status → the reproductive status it gives its parents ('born' is nursing
+// until the species' cutoff, handled separately).
+const LIFECYCLE_REPRO_STATUS = { planned: 'planned', mated: 'mating', pregnant: 'pregnant', weaned: null, failed: null, lost: null };
+
 /**
  * Determine the single active reproductive status contributed by one litter.
  * Returns one of: 'nursing' | 'pregnant' | 'mating' | 'planned' | null.
@@ -36,6 +40,17 @@ const DEFAULT_MAX_NURSING_DAYS = 90;
  *    to mark as weaned doesn't leave the dam flagged "nursing" forever.
  */
 function getLitterReproStatus(litter, today = new Date(), maxNursingDays = DEFAULT_MAX_NURSING_DAYS) {
+    // Litters with an explicit lifecycle status (utils/litterLifecycle.js) use it directly;
+    // older litters fall through to the field-based rules below.
+    if (litter.status) {
+        if (litter.status === 'born') {
+            if (!litter.birthDate) return 'nursing';
+            const daysSinceBirth = (today.getTime() - new Date(litter.birthDate).getTime()) / (1000 * 60 * 60 * 24);
+            return daysSinceBirth > maxNursingDays ? null : 'nursing';
+        }
+        return LIFECYCLE_REPRO_STATUS[litter.status] ?? null;
+    }
+
     const hasBirth = !!litter.birthDate;
     const isWeaned = !!litter.weaningConfirmed;
     const hasPregnancy = !!litter.pregnancyDate;
@@ -128,9 +143,9 @@ async function buildNursingCutoffMap(litters) {
  * Recompute and persist isPlannedMating / isInMating / isPregnant / isNursing
  * for the given parent id_public(s), based on their most recent unresolved
  * litter. Dam-only flags (isPregnant/isNursing) are only ever set on the
- * animal acting as the litter's dam.
+ * animal acting as the litter's dam. Pass `session` to run the writes inside a transaction.
  */
-async function syncParentReproStatus(creatorId, parentIdsPublic = []) {
+async function syncParentReproStatus(creatorId, parentIdsPublic = [], { session = null } = {}) {
     const parentIds = [...new Set((parentIdsPublic || []).filter(Boolean))];
     if (!parentIds.length) return;
 
@@ -138,12 +153,12 @@ async function syncParentReproStatus(creatorId, parentIdsPublic = []) {
         const litters = await Litter.find({
             creatorId,
             $or: [{ sireId_public: id_public }, { damId_public: id_public }],
-        }).select('sireId_public damId_public isPlanned matingDate pregnancyDate birthDate weaningDate weaningConfirmed pregnancyLost createdAt').lean();
+        }).select('sireId_public damId_public status isPlanned matingDate pregnancyDate birthDate weaningDate weaningConfirmed pregnancyLost createdAt').session(session).lean();
 
         const nursingCutoffByLitter = await buildNursingCutoffMap(litters);
         const flags = computeReproFlags(litters, id_public, nursingCutoffByLitter);
-        await Animal.updateOne({ creatorId, id_public }, { $set: flags });
-        await PublicAnimal.updateOne({ id_public }, { $set: flags });
+        await Animal.updateOne({ creatorId, id_public }, { $set: flags }, { session });
+        await PublicAnimal.updateOne({ id_public }, { $set: flags }, { session });
     }
 }
 
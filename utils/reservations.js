@@ -0,0 +1,170 @@
+/**
+ * reservations.js
+ *
+ * Waitlist reservation rules (Reservation model):
+ *
+ *   requested → accepted ⇄ assigned ⇄ available → completed
+ *       ↘
+ *    declined        released / withdrawn from any open status
+ *
+ * Moving back to accepted unassigns the offspring (available → accepted included).
+ *
+ *   requested   someone asked for a spot; the breeder has not answered
+ *   accepted    on the waitlist, at `position` in its queue
+ *   assigned    a specific offspring is set aside for this spot
+ *   available   that offspring is ready to go home — the requester is notified
+ *   completed   handed over
+ *   declined    the breeder turned the request down
+ *   released    the breeder gave the spot up
+ *   withdrawn   the requester cancelled
+ *
+ * A queue is one breeder's accepted-or-later reservations for the same litter or, without a
+ * litter, for the same species. The requester may only withdraw; every other move is the
+ * breeder's.
+ */
+const validator = require('validator');
+
+const RESERVATION_STATUSES = ['requested', 'accepted', 'assigned', 'available', 'completed', 'declined', 'released', 'withdrawn'];
+const OPEN_RESERVATION_STATUSES = ['requested', 'accepted', 'assigned', 'available'];
+// Statuses that hold a place in the queue
+const QUEUED_RESERVATION_STATUSES = ['accepted', 'assigned', 'available'];
+const RESERVATION_GENDERS = ['Male', 'Female', 'Any'];
+
+const TRANSITIONS = {
+    requested: ['accepted', 'declined', 'withdrawn'],
+    accepted: ['assigned', 'released', 'withdrawn'],
+    assigned: ['accepted', 'available', 'released', 'withdrawn'],
+    available: ['accepted', 'assigned', 'completed', 'released', 'withdrawn'],
+    completed: [],
+    declined: [],
+    released: [],
+    withdrawn: [],
+};
+const REQUESTER_TRANSITIONS = ['withdrawn'];
+
+// Most open requests one visitor email may hold with one breeder.
+const MAX_OPEN_VISITOR_REQUESTS = 3;
+
+// statusCode 409 for an illegal transition, 403 for a move the actor may not make.
+class ReservationError extends Error {
+    constructor(message, errors = [], statusCode = 400) {
+        super(message);
+        this.name = 'ReservationError';
+        this.statusCode = statusCode;
+        this.errors = errors;
+    }
+}
+
+/**
+ * @param {Object} reservation - the stored reservation
+ * @param {String} to - requested status
+ * @param {'breeder'|'requester'} actor
+ * @throws {ReservationError}
+ */
+function checkReservationTransition(reservation, to, actor) {
+    if (!RESERVATION_STATUSES.includes(to)) {
+        throw new ReservationError(`Unknown reservation status "${to}".`, [`Status must be one of: ${RESERVATION_STATUSES.join(', ')}.`]);
+    }
+    const from = reservation.status;
+    const allowed = TRANSITIONS[from] || [];
+    if (!allowed.includes(to)) {
+        const hint = allowed.length ? `Allowed from ${from}: ${allowed.join(', ')}.` : `${from} is a final status.`;
+        throw new ReservationError(`A reservation cannot go from ${from} to ${to}.`, [hint], 409);
+    }
+    if (actor === 'requester' && !REQUESTER_TRANSITIONS.includes(to)) {
+        throw new ReservationError('Only the breeder can change this reservation.', [], 403);
+    }
+    if (to === 'assigned' && !reservation.assignedAnimalId_public) {
+        throw new ReservationError('Assign an animal to move a reservation to assigned.', [], 400);
+    }
+}
+
+const trimOrNull = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * The request fields a reservation is created from, trimmed.
+ * @returns {{ litter_id_public, preference: { species, gender, color }, contactName, contactEmail, message }}
+ */
+function normalizeReservationRequest(input = {}) {
+    const preference = input.preference && typeof input.preference === 'object' ? input.preference : {};
+    return {
+        litter_id_public: trimOrNull(input.litter_id_public),
+        preference: {
+            species: trimOrNull(preference.species),
+            gender: trimOrNull(preference.gender) || 'Any',
+            color: trimOrNull(preference.color),
+        },
+        contactName: trimOrNull(input.contactName),
+        contactEmail: trimOrNull(input.contactEmail) ? input.contactEmail.trim().toLowerCase() : null,
+        message: typeof input.message === 'string' ? input.message.trim() : '',
+    };
+}
+
+/**
+ * @param {Object} request - output of normalizeReservationRequest
+ * @param {Object} [options]
+ * @param {Boolean} [options.needsContact] - visitors and breeder-entered spots need a contact name
+ *   (and visitors an email); registered users are reached through their account
+ * @param {Boolean} [options.needsEmail]
+ * @returns {Array<String>} one message per problem
+ */
+function validateReservationRequest(request, { needsContact = false, needsEmail = false } = {}) {
+    const errors = [];
+    if (!request.litter_id_public && !request.preference.species) {
+        errors.push('Choose a litter or at least a species preference.');
+    }
+    if (!RESERVATION_GENDERS.includes(request.preference.gender)) {
+        errors.push(`preference.gender must be one of: ${RESERVATION_GENDERS.join(', ')}.`);
+    }
+    if (needsContact && !request.contactName) errors.push('contactName is required.');
+    if (request.contactName && request.contactName.length > 100) errors.push('contactName must be at most 100 characters.');
+    if (needsEmail && !request.contactEmail) errors.push('contactEmail is required.');
+    if (request.contactEmail && !validator.isEmail(request.contactEmail)) errors.push('contactEmail is not a valid email address.');
+    if (request.message.length > 2000) errors.push('message must be at most 2000 characters.');
+    return errors;
+}
+
+/**
+ * New 1-based positions after moving one reservation within its queue.
+ * @param {Array<{ _id, position }>} queue - the queue's reservations
+ * @param {*} id - the reservation being moved
+ * @param {Number} position - where it goes (clamped to the queue)
+ * @returns {Array<{ _id, position: Number }>} every entry whose position changed
+ */
+function reorderWaitlist(queue, id, position) {
+    const ordered = [...queue].sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
+    const index = ordered.findIndex(r => String(r._id) === String(id));
+    if (index === -1) return [];
+    const [moved] = ordered.splice(index, 1);
+    const target = Math.min(Math.max(Math.round(position) - 1, 0), ordered.length);
+    ordered.splice(target, 0, moved);
+    return ordered
+        .map((r, i) => ({ _id: r._id, position: i + 1, previous: r.position }))
+        .filter(r => r.position !== r.previous)
+        .map(({ _id, position: p }) => ({ _id, position: p }));
+}
+
+/**
+ * Whether an animal fits a reservation's preference (species exact, sex unless Any, colour
+ * as a case-insensitive substring).
+ */
+function matchesReservationPreference(animal, preference = {}) {
+    if (preference.species && animal.species !== preference.species) return false;
+    if (preference.gender && preference.gender !== 'Any' && animal.gender !== preference.gender) return false;
+    if (preference.color && !(animal.color || '').toLowerCase().includes(preference.color.toLowerCase())) return false;
+    return true;
+}
+
+module.exports = {
+    RESERVATION_STATUSES,
+    OPEN_RESERVATION_STATUSES,
+    QUEUED_RESERVATION_STATUSES,
+    RESERVATION_GENDERS,
+    MAX_OPEN_VISITOR_REQUESTS,
+    ReservationError,
+    checkReservationTransition,
+    normalizeReservationRequest,
+    validateReservationRequest,
+    reorderWaitlist,
+    matchesReservationPreference
+};
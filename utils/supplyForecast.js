@@ -0,0 +1,210 @@
+/**
+ * supplyForecast.js
+ *
+ * Stock forecasting from the supply ledger (SupplyMovement), one entry per stock change:
+ *
+ *   consume   used up (feeding, enclosure task supplies, or by hand)
+ *   restock   bought / delivered
+ *   adjust    a stock count correction
+ *
+ * Average daily use is the consumption over the last FORECAST_WINDOW_DAYS, divided by the days
+ * the ledger has covered in that window (SupplyItem.trackedSince: an item tracked for a week is
+ * averaged over a week). It needs MIN_CONSUME_EVENTS uses over MIN_HISTORY_DAYS; until then
+ * there is no forecast.
+ *
+ * An item is due for reordering when:
+ *   out_of_stock   stock is 0 on an item whose stock is tracked (it has a reorderThreshold or
+ *                  recorded use); 0 is also the default for schedule-only items
+ *   forecast       it runs out within its lead time (leadTimeDays, default DEFAULT_LEAD_TIME_DAYS)
+ *   threshold      stock is at reorderThreshold — only while there is no forecast
+ *   schedule       nextOrderDate has come
+ *
+ * The suggested order brings stock up to lead time + REORDER_COVER_DAYS of use (or, without a
+ * forecast, twice the reorder threshold).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUPPLY_MOVEMENT_TYPES = ['consume', 'restock', 'adjust'];
+const SUPPLY_MOVEMENT_SOURCES = ['manual', 'feeding', 'enclosure_task', 'stock_edit'];
+const FORECAST_WINDOW_DAYS = 60;
+const MIN_CONSUME_EVENTS = 2;
+const MIN_HISTORY_DAYS = 3;
+const DEFAULT_LEAD_TIME_DAYS = 7;
+const REORDER_COVER_DAYS = 30;
+const NO_SUPPLIER = 'No supplier';
+
+// statusCode 404 for a missing item.
+class SupplyError extends Error {
+    constructor(message, errors = [], statusCode = 400) {
+        super(message);
+        this.name = 'SupplyError';
+        this.statusCode = statusCode;
+        this.errors = errors;
+    }
+}
+
+const round = (value, places = 2) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(places)));
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+/**
+ * Checks a hand-entered movement: { type, quantity, unitCost, notes }. quantity is the amount
+ * used or bought (positive), or for 'adjust' the counted stock; unitCost, when given, is what
+ * one unit cost on a restock.
+ * @returns {Array<String>} one message per problem
+ */
+function validateSupplyMovement(input = {}) {
+    const errors = [];
+    if (!SUPPLY_MOVEMENT_TYPES.includes(input.type)) {
+        errors.push(`type must be one of: ${SUPPLY_MOVEMENT_TYPES.join(', ')}.`);
+    }
+    const quantity = Number(input.quantity);
+    if (input.quantity === '' || input.quantity === null || input.quantity === undefined || !Number.isFinite(quantity)) {
+        errors.push('quantity must be a number.');
+    } else if (input.type === 'adjust' ? quantity < 0 : quantity <= 0) {
+        errors.push(input.type === 'adjust' ? 'A stock count cannot be negative.' : 'quantity must be above 0.');
+    }
+    if (input.unitCost !== undefined && input.unitCost !== null && input.unitCost !== ''
+        && !(Number.isFinite(Number(input.unitCost)) && Number(input.unitCost) >= 0)) {
+        errors.push('unitCost must be a number of at least 0.');
+    }
+    if (input.notes !== undefined && input.notes !== null && (typeof input.notes !== 'string' || input.notes.length > 500)) {
+        errors.push('notes must be text of at most 500 characters.');
+    }
+    return errors;
+}
+
+/**
+ * @param {Array} movements - the item's ledger entries: type, change (signed), occurredAt
+ * @param {Object} [options]
+ * @param {Date} [options.since] - when the ledger started (default: its oldest entry given)
+ * @param {Date} [options.now]
+ * @param {Number} [options.windowDays]
+ * @returns {{ perDay: Number|null, consumed: Number, events: Number, days: Number }}
+ */
+function averageDailyConsumption(movements, { since = null, now = new Date(), windowDays = FORECAST_WINDOW_DAYS } = {}) {
+    const nowMs = new Date(now).getTime();
+    const windowStart = nowMs - windowDays * DAY_MS;
+    const times = movements.map(m => new Date(m.occurredAt).getTime()).filter(t => !isNaN(t));
+    if (!times.length) return { perDay: null, consumed: 0, events: 0, days: 0 };
+    const start = since ? Math.min(new Date(since).getTime(), ...times) : Math.min(...times);
+    const from = Math.max(windowStart, start);
+    const days = (nowMs - from) / DAY_MS;
+    const used = movements.filter(m => m.type === 'consume' && new Date(m.occurredAt).getTime() >= windowStart);
+    const consumed = used.reduce((sum, m) => sum + Math.abs(m.change || 0), 0);
+    const enough = used.length >= MIN_CONSUME_EVENTS && days >= MIN_HISTORY_DAYS && consumed > 0;
+    return { perDay: enough ? consumed / days : null, consumed: round(consumed), events: used.length, days: round(days, 1) };
+}
+
+/**
+ * @param {Object} item - SupplyItem: currentStock, reorderThreshold, nextOrderDate, leadTimeDays, trackedSince
+ * @param {Array} movements - its ledger entries (at least the forecast window)
+ * @param {Object} [options] - { now }
+ * @returns {{ averageDailyUse, daysRemaining, runOutDate, orderByDate, leadTimeDays,
+ *   reorderDue: Boolean, reasons: Array<String>, suggestedQuantity: Number|null, basis: Object }}
+ */
+function forecastSupply(item, movements = [], { now = new Date() } = {}) {
+    const today = startOfDay(now);
+    const stock = Math.max(0, Number(item.currentStock) || 0);
+    const leadTimeDays = item.leadTimeDays != null ? item.leadTimeDays : DEFAULT_LEAD_TIME_DAYS;
+    const basis = averageDailyConsumption(movements, { since: item.trackedSince, now });
+    const perDay = basis.perDay;
+
+    let daysRemaining = null;
+    let runOutDate = null;
+    let orderByDate = null;
+    if (perDay) {
+        daysRemaining = stock / perDay;
+        runOutDate = startOfDay(new Date(new Date(now).getTime() + daysRemaining * DAY_MS));
+        orderByDate = new Date(runOutDate.getTime() - leadTimeDays * DAY_MS);
+    }
+
+    const tracksStock = item.reorderThreshold != null || movements.some(m => m.type === 'consume');
+    const reasons = [];
+    if (stock <= 0 && tracksStock) reasons.push('out_of_stock');
+    else if (orderByDate && orderByDate <= today) reasons.push('forecast');
+    else if (!perDay && item.reorderThreshold != null && stock <= item.reorderThreshold) reasons.push('threshold');
+    if (item.nextOrderDate && startOfDay(item.nextOrderDate) <= today) reasons.push('schedule');
+
+    let suggestedQuantity = null;
+    if (perDay) suggestedQuantity = Math.ceil(perDay * (leadTimeDays + REORDER_COVER_DAYS) - stock);
+    else if (item.reorderThreshold != null) suggestedQuantity = Math.ceil(item.reorderThreshold * 2 - stock);
+    if (suggestedQuantity !== null && suggestedQuantity <= 0) suggestedQuantity = reasons.length ? 1 : 0;
+
+    return {
+        averageDailyUse: round(perDay, 3),
+        daysRemaining: round(daysRemaining, 1),
+        runOutDate,
+        orderByDate,
+        leadTimeDays,
+        reorderDue: reasons.length > 0,
+        reasons,
+        suggestedQuantity,
+        basis: { consumed: basis.consumed, events: basis.events, days: basis.days, windowDays: FORECAST_WINDOW_DAYS },
+    };
+}
+
+/**
+ * Items due for reordering, grouped by supplier, soonest run-out first within a group.
+ * @param {Array<{ item, forecast }>} entries
+ * @returns {{ suppliers: Array<{ supplier, items, estimatedCost, itemsWithoutCost }>,
+ *   estimatedTotal: Number, items: Number }}
+ */
+function buildShoppingList(entries) {
+    const groups = new Map();
+    entries.filter(e => e.forecast.reorderDue).forEach(({ item, forecast }) => {
+        const supplier = (item.supplier || '').trim() || NO_SUPPLIER;
+        if (!groups.has(supplier)) groups.set(supplier, []);
+        const cost = item.costPerUnit != null && forecast.suggestedQuantity != null
+            ? round(item.costPerUnit * forecast.suggestedQuantity)
+            : null;
+        groups.get(supplier).push({
+            supplyId: item._id,
+            name: item.name,
+            category: item.category,
+            unit: item.unit || '',
+            currentStock: item.currentStock,
+            suggestedQuantity: forecast.suggestedQuantity,
+            costPerUnit: item.costPerUnit ?? null,
+            estimatedCost: cost,
+            runOutDate: forecast.runOutDate,
+            reasons: forecast.reasons,
+        });
+    });
+
+    const runOut = (line) => (line.runOutDate ? new Date(line.runOutDate).getTime() : line.currentStock <= 0 ? -Infinity : Infinity);
+    const suppliers = [...groups.entries()]
+        .map(([supplier, items]) => {
+            items.sort((a, b) => runOut(a) - runOut(b) || a.name.localeCompare(b.name));
+            return {
+                supplier,
+                items,
+                estimatedCost: round(items.reduce((sum, i) => sum + (i.estimatedCost || 0), 0)),
+                itemsWithoutCost: items.filter(i => i.estimatedCost === null).length,
+            };
+        })
+        .sort((a, b) => (a.supplier === NO_SUPPLIER) - (b.supplier === NO_SUPPLIER) || a.supplier.localeCompare(b.supplier));
+
+    return {
+        suppliers,
+        estimatedTotal: round(suppliers.reduce((sum, s) => sum + s.estimatedCost, 0)),
+        items: suppliers.reduce((sum, s) => sum + s.items.length, 0),
+    };
+}
+
+module.exports = {
+    SUPPLY_MOVEMENT_TYPES,
+    SUPPLY_MOVEMENT_SOURCES,
+    FORECAST_WINDOW_DAYS,
+    DEFAULT_LEAD_TIME_DAYS,
+    NO_SUPPLIER,
+    SupplyError,
+    validateSupplyMovement,
+    averageDailyConsumption,
+    forecastSupply,
+    buildShoppingList
+};
@@ -169,6 +169,7 @@ const USER_ACTIONS = {
     PROFILE_UPDATE: 'profile_update',
     PROFILE_IMAGE_CHANGE: 'profile_image_change',
     PRIVACY_SETTINGS_CHANGE: 'privacy_settings_change',
+    ID_TEMPLATES_UPDATE: 'id_templates_update',
     
     // Animals
     ANIMAL_CREATE: 'animal_create',
@@ -185,6 +186,11 @@ const USER_ACTIONS = {
     LITTER_CREATE: 'litter_create',
     LITTER_UPDATE: 'litter_update',
     LITTER_DELETE: 'litter_delete',
+
+    // Breeding lines
+    BREEDING_LINE_CREATE: 'breeding_line_create',
+    BREEDING_LINE_UPDATE: 'breeding_line_update',
+    BREEDING_LINE_DELETE: 'breeding_line_delete',
     
     // Messages
     MESSAGE_SEND: 'message_send',
@@ -203,9 +209,15 @@ const USER_ACTIONS = {
     ENCLOSURE_DELETE: 'enclosure_delete',
     ENCLOSURE_ASSIGN: 'enclosure_assign',
     ENCLOSURE_UNASSIGN: 'enclosure_unassign',
+    ENCLOSURE_ASSIGN_OVERRIDE: 'enclosure_assign_override',
     ANIMAL_FED: 'animal_fed',
     CARE_TASK_DONE: 'care_task_done',
     ENCLOSURE_TASK_DONE: 'enclosure_task_done',
+    ENCLOSURE_READING_ADD: 'enclosure_reading_add',
+    ENCLOSURE_READING_UPDATE: 'enclosure_reading_update',
+    ENCLOSURE_READING_DELETE: 'enclosure_reading_delete',
+    ENCLOSURE_SENSOR_KEY_CREATE: 'enclosure_sensor_key_create',
+    ENCLOSURE_SENSOR_KEY_REVOKE: 'enclosure_sensor_key_revoke',
     REPRODUCTION_UPDATE: 'reproduction_update',
 };
 